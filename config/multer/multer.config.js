@@ -115,4 +115,89 @@ const uploadCourseImage = multer({
   },
 });
 
-export { upload, uploadCourseImage };
+// Quiz import files (GIFT or CSV) are parsed straight from memory
+const quizFileFilter = (req, file, cb) => {
+  if ([".gift", ".txt", ".csv"].includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(
+      new Error(
+        "Invalid file type. Only .gift, .txt and .csv files are allowed."
+      ),
+      false
+    );
+  }
+};
+
+// Configure multer for quiz imports
+const uploadQuizFile = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: quizFileFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB per file
+    files: 1,
+  },
+});
+
+// Content packages (SCORM or exported courses) are zips kept on disk until they are unpacked
+const packageStorage = multer.diskStorage({
+  destination: path.join(__dirname, "../../tmp/packages"),
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    cb(null, file.fieldname + "-" + uniqueSuffix + ".zip");
+  },
+});
+
+const packageFileFilter = (req, file, cb) => {
+  if (path.extname(file.originalname).toLowerCase() === ".zip") {
+    cb(null, true);
+  } else {
+    cb(
+      new Error(
+        "Invalid file type. Only .zip packages are allowed."
+      ),
+      false
+    );
+  }
+};
+
+// Configure multer for package imports; the controller removes the file once it is unpacked
+const uploadPackage = multer({
+  storage: packageStorage,
+  fileFilter: packageFileFilter,
+  limits: {
+    fileSize: 500 * 1024 * 1024, // 500MB per package
+    files: 1,
+  },
+});
+
+// Assignment submissions are private: kept outside the public uploads folder and only served through
+// the submission download endpoint
+const submissionStorage = multer.diskStorage({
+  destination: path.join(__dirname, "../../storage/submissions"),
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname);
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    cb(null, file.fieldname + "-" + uniqueSuffix + ext);
+  },
+});
+
+// Configure multer for assignment submissions
+const uploadSubmission = multer({
+  storage: submissionStorage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 500 * 1024 * 1024, // 500MB per file
+    files: 10,
+  },
+});
+
+export {
+  upload,
+  uploadSubmission,
+  uploadCourseImage,
+  uploadQuizFile,
+  uploadPackage,
+  allowedMimeTypes,
+  videoMimeTypes,
+};
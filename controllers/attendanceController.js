@@ -3,36 +3,148 @@ import User from '../models/user.model.js';
 import Course from '../models/Course.js';
 import Batch from '../models/Batch_table.js';
 import PDFDocument from 'pdfkit';
+import moment from 'moment-timezone';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  getActivePolicy,
+  getClassEndTime,
+  applyAttendancePolicy,
+  summarizeAttendance
+} from '../services/attendancePolicyService.js';
+import { streamAttendanceExport, EXPORT_FORMATS } from '../services/attendanceExportService.js';
+import { getOccurrenceIdForDay } from '../services/classOccurrenceService.js';
+import { getAttendanceHolidayMatcher } from '../services/holidayService.js';
+import {
+  getBatchTimezone,
+  getTenantTimezone,
+  getViewerTimezone,
+  getDayRange,
+  formatInTimezone
+} from '../utils/timezone.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Calculate attendance status based on duration and late rules
-const calculateAttendanceStatus = (totalDurationSeconds, classStartTime, firstJoinTime) => {
-  const MIN_PRESENT_DURATION = 10 * 60; // 10 minutes in seconds
-  const LATE_JOIN_THRESHOLD = 5 * 60; // 5 minutes in seconds
-
-  // Check if joined late
-  if (firstJoinTime) {
-    const timeDiff = Math.abs(firstJoinTime - classStartTime);
-    if (timeDiff > LATE_JOIN_THRESHOLD * 1000) { // Convert to milliseconds
-      if (totalDurationSeconds >= MIN_PRESENT_DURATION) {
-        return 'late'; // Joined late but stayed enough time
-      } else {
-        return 'absent'; // Joined late but didn't stay enough time
-      }
+// Students of a grouped report with their records in the viewer's timezone
+const localizeStudentGroups = (groupedByStudent, timezone) => Object.values(groupedByStudent).map(entry => ({
+  ...entry,
+  records: entry.records.map(record => localizeAttendanceRecord(record, timezone))
+}));
+
+// Group records by student and summarise each student under the given policy
+const groupRecordsByStudent = (attendanceRecords, policy, isHoliday = null) => {
+  const groupedByStudent = {};
+  attendanceRecords.forEach(record => {
+    if (!record.student_id) return; // Skip if student not found or population failed
+    const studentId = record.student_id._id.toString();
+
+    if (!groupedByStudent[studentId]) {
+      groupedByStudent[studentId] = {
+        student: record.student_id,
+        records: []
+      };
+    }
+
+    groupedByStudent[studentId].records.push(record);
+  });
+
+  Object.values(groupedByStudent).forEach(entry => {
+    const { total, ...counts } = summarizeAttendance(entry.records, policy, { isHoliday });
+    entry.summary = { total_classes: total, ...counts };
+  });
+
+  return groupedByStudent;
+};
+
+// Timezone that defines day and month boundaries of a report: the batch's, else the tenant's
+const getReportTimezone = async (tenantId, batchId) => {
+  if (batchId) {
+    const batch = await Batch.findById(batchId).select('timezone tenant_id');
+    if (batch) return getBatchTimezone(batch);
+  }
+  return getTenantTimezone(tenantId);
+};
+
+// Attendance record with its dates expressed in the viewer's timezone
+const localizeAttendanceRecord = (record, timezone) => {
+  const data = typeof record.toObject === 'function' ? record.toObject() : record;
+  return {
+    ...data,
+    date: formatInTimezone(data.date, timezone),
+    class_start_time: formatInTimezone(data.class_start_time, timezone),
+    class_end_time: formatInTimezone(data.class_end_time, timezone),
+    sessions: (data.sessions || []).map(session => ({
+      ...session,
+      join_time: formatInTimezone(session.join_time, timezone),
+      leave_time: formatInTimezone(session.leave_time, timezone)
+    }))
+  };
+};
+
+// Filters for a single day, shared by the daily summary and its exports
+const buildDailyQuery = ({ date, batch_id, course_id }, timezone) => {
+  const query = {
+    date: getDayRange(date || new Date(), timezone)
+  };
+
+  if (batch_id) {
+    query.batch_id = batch_id;
+  }
+
+  if (course_id) {
+    query.course_id = course_id;
+  }
+
+  return query;
+};
+
+// First and last instant of a calendar month in the given timezone
+const getMonthRange = (month, year, timezone) => {
+  const start = moment.tz({ year: parseInt(year), month: parseInt(month) - 1, day: 1 }, timezone);
+  return { startDate: start.toDate(), endDate: start.clone().endOf('month').toDate() };
+};
+
+// Filters for a calendar month, shared by the monthly summary and its exports
+const buildMonthlyQuery = ({ student_id, course_id, batch_id, month, year }, timezone) => {
+  const { startDate, endDate } = getMonthRange(month, year, timezone);
+
+  const query = {
+    course_id,
+    date: {
+      $gte: startDate,
+      $lte: endDate
     }
+  };
+
+  // If batch_id is provided, add it to the query
+  if (batch_id) {
+    query.batch_id = batch_id;
+  }
+
+  if (student_id && student_id.trim() !== '') {
+    query.student_id = student_id;
   }
 
-  // Check if stayed enough time
-  if (totalDurationSeconds >= MIN_PRESENT_DURATION) {
-    return 'present';
-  } else {
-    return 'absent';
+  return query;
+};
+
+// Filters for a course/batch and optional date range, shared by the summary and its exports
+const buildCourseBatchQuery = ({ course_id, batch_id, start_date, end_date }, timezone) => {
+  const query = {
+    course_id,
+    batch_id
+  };
+
+  if (start_date && end_date) {
+    query.date = {
+      $gte: moment.tz(start_date, timezone).startOf('day').toDate(),
+      $lte: moment.tz(end_date, timezone).endOf('day').toDate()
+    };
   }
+
+  return query;
 };
 
 // Handle student joining a session
@@ -73,31 +185,31 @@ const handleStudentJoin = async (req, res) => {
       });
     }
 
-    // Find or create attendance record for today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Start of day
+    // Find or create attendance record for today (in the batch timezone)
+    const timezone = await getBatchTimezone(batch);
 
     let attendance = await Attendance.findOne({
       student_id,
       course_id,
       batch_id,
-      date: {
-        $gte: today,
-        $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000) // End of day
-      }
+      date: getDayRange(new Date(), timezone)
     });
 
     const joinTime = new Date();
 
     if (!attendance) {
+      const policy = await getActivePolicy(batch.tenant_id, batch._id);
+
       // Create new attendance record
       attendance = new Attendance({
         student_id,
         course_id,
         batch_id,
+        occurrence_id: await getOccurrenceIdForDay(batch._id, joinTime, timezone),
         date: new Date(),
         marked_by: req.user.user_id || req.user._id, // Use Profile ID if available
         class_start_time: new Date(class_start_time),
+        class_end_time: getClassEndTime(class_start_time, batch, policy),
         sessions: [{
           join_time: joinTime,
           leave_time: null,
@@ -144,18 +256,15 @@ const handleStudentLeave = async (req, res) => {
 
     const leaveTime = new Date();
 
-    // Find today's attendance record
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // Find today's attendance record (in the batch timezone)
+    const batch = await Batch.findById(batch_id);
+    const timezone = batch ? await getBatchTimezone(batch) : await getTenantTimezone(req.user.tenant_id);
 
     const attendance = await Attendance.findOne({
       student_id,
       course_id,
       batch_id,
-      date: {
-        $gte: today,
-        $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
-      }
+      date: getDayRange(new Date(), timezone)
     }).populate('sessions');
 
     if (!attendance) {
@@ -182,22 +291,12 @@ const handleStudentLeave = async (req, res) => {
     const durationMs = leaveTime.getTime() - activeSession.join_time.getTime();
     activeSession.duration_seconds = Math.floor(durationMs / 1000);
 
-    // Calculate total duration across all sessions
-    const totalDuration = attendance.sessions.reduce((total, session) => {
-      return total + (session.duration_seconds || 0);
-    }, 0);
-
-    attendance.total_duration_seconds = totalDuration;
-
-    // Calculate attendance status
-    const firstJoinTime = attendance.sessions.length > 0 ?
-      attendance.sessions[0].join_time : null;
-
-    attendance.status = calculateAttendanceStatus(
-      totalDuration,
-      attendance.class_start_time,
-      firstJoinTime
-    );
+    // Re-evaluate the record against the batch's active attendance policy
+    const policy = await getActivePolicy(batch?.tenant_id || req.user.tenant_id, batch_id);
+    if (!attendance.class_end_time) {
+      attendance.class_end_time = getClassEndTime(attendance.class_start_time, batch, policy);
+    }
+    applyAttendancePolicy(attendance, policy);
 
     await attendance.save();
 
@@ -219,30 +318,10 @@ const handleStudentLeave = async (req, res) => {
 // Get daily attendance summary
 const getDailyAttendance = async (req, res) => {
   try {
-    const { date, batch_id, course_id } = req.query;
-
-    let queryDate = new Date();
-    if (date) {
-      queryDate = new Date(date);
-    }
-
-    // Normalize to start of day
-    queryDate.setHours(0, 0, 0, 0);
-
-    let query = {
-      date: {
-        $gte: queryDate,
-        $lt: new Date(queryDate.getTime() + 24 * 60 * 60 * 1000)
-      }
-    };
-
-    if (batch_id) {
-      query.batch_id = batch_id;
-    }
-
-    if (course_id) {
-      query.course_id = course_id;
-    }
+    const { batch_id } = req.query;
+    const timezone = await getReportTimezone(req.user.tenant_id, batch_id);
+    const viewerTimezone = getViewerTimezone(req, timezone);
+    const query = buildDailyQuery(req.query, timezone);
 
     const attendanceRecords = await Attendance.find(query)
       .populate('student_id', 'fname lname email')
@@ -250,24 +329,21 @@ const getDailyAttendance = async (req, res) => {
       .populate('batch_id', 'batch_name')
       .populate('marked_by', 'fname lname email');
 
-    // Calculate statistics
-    const presentCount = attendanceRecords.filter(record => record.status === 'present').length;
-    const lateCount = attendanceRecords.filter(record => record.status === 'late').length;
-    const absentCount = attendanceRecords.filter(record => record.status === 'absent').length;
+    // Calculate statistics under the active policy
+    const policy = await getActivePolicy(req.user.tenant_id, batch_id);
+    const isHoliday = await getAttendanceHolidayMatcher(req.user.tenant_id, attendanceRecords);
+    const { attendance_percentage, ...counts } = summarizeAttendance(attendanceRecords, policy, { isHoliday });
 
     res.status(200).json({
       success: true,
       data: {
-        records: attendanceRecords,
+        records: attendanceRecords.map(record => localizeAttendanceRecord(record, viewerTimezone)),
         summary: {
-          total: attendanceRecords.length,
-          present: presentCount,
-          late: lateCount,
-          absent: absentCount,
-          attendance_rate: attendanceRecords.length > 0
-            ? ((presentCount + lateCount) / attendanceRecords.length) * 100
-            : 0
-        }
+          ...counts,
+          attendance_rate: attendance_percentage
+        },
+        policy,
+        timezone: viewerTimezone
       }
     });
   } catch (error) {
@@ -293,41 +369,21 @@ const getMonthlyAttendance = async (req, res) => {
       });
     }
 
-    const startDate = new Date(year, parseInt(month) - 1, 1);
-    const endDate = new Date(year, parseInt(month), 0); // Last day of month
-    endDate.setHours(23, 59, 59, 999);
-
-    let query = {
-      course_id,
-      date: {
-        $gte: startDate,
-        $lte: endDate
-      }
-    };
-
-    // If batch_id is provided, add it to the query
-    if (batch_id) {
-      query.batch_id = batch_id;
-    }
+    const timezone = await getReportTimezone(req.user.tenant_id, batch_id);
+    const viewerTimezone = getViewerTimezone(req, timezone);
+    const query = buildMonthlyQuery(req.query, timezone);
+    const policy = await getActivePolicy(req.user.tenant_id, batch_id);
 
     // If student_id is provided and not empty, get specific student's data
     if (student_id && student_id.trim() !== '') {
-      query.student_id = student_id;
-
       const attendanceRecords = await Attendance.find(query)
         .populate('student_id', 'fname lname email')
         .populate('course_id', 'course_title')
         .populate('batch_id', 'batch_name');
 
       // Calculate monthly statistics for the specific student
-      const presentCount = attendanceRecords.filter(record => record.status === 'present').length;
-      const lateCount = attendanceRecords.filter(record => record.status === 'late').length;
-      const absentCount = attendanceRecords.filter(record => record.status === 'absent').length;
-      const totalCount = attendanceRecords.length;
-
-      const attendancePercentage = totalCount > 0
-        ? ((presentCount + lateCount) / totalCount) * 100
-        : 0;
+      const isHoliday = await getAttendanceHolidayMatcher(req.user.tenant_id, attendanceRecords);
+      const { total: totalCount, ...counts } = summarizeAttendance(attendanceRecords, policy, { isHoliday });
 
       // Calculate average duration
       const totalDuration = attendanceRecords.reduce((sum, record) => sum + record.total_duration_seconds, 0);
@@ -336,17 +392,15 @@ const getMonthlyAttendance = async (req, res) => {
       res.status(200).json({
         success: true,
         data: {
-          records: attendanceRecords,
+          records: attendanceRecords.map(record => localizeAttendanceRecord(record, viewerTimezone)),
           summary: {
             total_classes: totalCount,
-            attended: presentCount + lateCount,
-            present: presentCount,
-            late: lateCount,
-            absent: absentCount,
-            attendance_percentage: parseFloat(attendancePercentage.toFixed(2)),
+            ...counts,
             average_duration_seconds: Math.round(avgDuration),
             average_duration_minutes: Math.round(avgDuration / 60)
-          }
+          },
+          policy,
+          timezone: viewerTimezone
         }
       });
     } else {
@@ -369,49 +423,18 @@ const getMonthlyAttendance = async (req, res) => {
               total_present: 0,
               total_late: 0,
               total_absent: 0,
+              total_excused: 0,
               average_attendance_percentage: 0
-            }
+            },
+            policy
           }
         });
       }
 
-      // Group by student
-      const groupedByStudent = {};
-      attendanceRecords.forEach(record => {
-        if (!record.student_id) return; // Skip if student not found or population failed
-        const studentId = record.student_id._id.toString();
-
-        if (!groupedByStudent[studentId]) {
-          groupedByStudent[studentId] = {
-            student: record.student_id,
-            records: []
-          };
-        }
-
-        groupedByStudent[studentId].records.push(record);
-      });
-
-      // Calculate statistics for each student
-      Object.keys(groupedByStudent).forEach(studentId => {
-        const records = groupedByStudent[studentId].records;
-        const presentCount = records.filter(r => r.status === 'present').length;
-        const lateCount = records.filter(r => r.status === 'late').length;
-        const absentCount = records.filter(r => r.status === 'absent').length;
-        const totalCount = records.length;
-
-        groupedByStudent[studentId].summary = {
-          total_classes: totalCount,
-          attended: presentCount + lateCount,
-          present: presentCount,
-          late: lateCount,
-          absent: absentCount,
-          attendance_percentage: totalCount > 0
-            ? parseFloat(((presentCount + lateCount) / totalCount * 100).toFixed(2))
-            : 0
-        };
-      });
+      // Group by student and calculate statistics for each student
+      const isHoliday = await getAttendanceHolidayMatcher(req.user.tenant_id, attendanceRecords);
+      const groupedByStudent = groupRecordsByStudent(attendanceRecords, policy, isHoliday);
 
-      // Calculate overall summary
       // Calculate overall summary
       const allStudents = Object.values(groupedByStudent);
       const totalClasses = allStudents.reduce((sum, student) => sum + student.summary.total_classes, 0);
@@ -419,6 +442,9 @@ const getMonthlyAttendance = async (req, res) => {
       const totalPresent = allStudents.reduce((sum, student) => sum + student.summary.present, 0);
       const totalLate = allStudents.reduce((sum, student) => sum + student.summary.late, 0);
       const totalAbsent = allStudents.reduce((sum, student) => sum + student.summary.absent, 0);
+      const totalExcused = allStudents.reduce((sum, student) => sum + student.summary.excused, 0);
+      const totalCorrected = allStudents.reduce((sum, student) => sum + student.summary.corrected, 0);
+      const totalHoliday = allStudents.reduce((sum, student) => sum + student.summary.holiday, 0);
       const avgAttendance = allStudents.length > 0
         ? (allStudents.reduce((sum, student) => sum + student.summary.attendance_percentage, 0) / allStudents.length)
         : 0;
@@ -426,7 +452,7 @@ const getMonthlyAttendance = async (req, res) => {
       res.status(200).json({
         success: true,
         data: {
-          students: Object.values(groupedByStudent),
+          students: localizeStudentGroups(groupedByStudent, viewerTimezone),
           summary: {
             total_students: allStudents.length,
             total_classes: totalClasses,
@@ -434,8 +460,13 @@ const getMonthlyAttendance = async (req, res) => {
             total_present: totalPresent,
             total_late: totalLate,
             total_absent: totalAbsent,
+            total_excused: totalExcused,
+            total_corrected: totalCorrected,
+            total_holiday: totalHoliday,
             average_attendance_percentage: parseFloat(avgAttendance.toFixed(2))
-          }
+          },
+          policy,
+          timezone: viewerTimezone
         }
       });
     }
@@ -452,7 +483,7 @@ const getMonthlyAttendance = async (req, res) => {
 // Get attendance by course and batch
 const getAttendanceByCourseAndBatch = async (req, res) => {
   try {
-    const { course_id, batch_id, start_date, end_date } = req.query;
+    const { course_id, batch_id } = req.query;
 
     if (!course_id || !batch_id) {
       return res.status(400).json({
@@ -461,64 +492,27 @@ const getAttendanceByCourseAndBatch = async (req, res) => {
       });
     }
 
-    let query = {
-      course_id,
-      batch_id
-    };
-
-    if (start_date && end_date) {
-      query.date = {
-        $gte: new Date(start_date),
-        $lte: new Date(end_date)
-      };
-    }
+    const timezone = await getReportTimezone(req.user.tenant_id, batch_id);
+    const viewerTimezone = getViewerTimezone(req, timezone);
+    const query = buildCourseBatchQuery(req.query, timezone);
 
     const attendanceRecords = await Attendance.find(query)
       .populate('student_id', 'fname lname email user_code')
       .populate('course_id', 'course_title')
       .populate('batch_id', 'batch_name');
 
-    // Group by student
-    const groupedByStudent = {};
-    attendanceRecords.forEach(record => {
-      if (!record.student_id) return;
-      const studentId = record.student_id._id.toString();
-
-      if (!groupedByStudent[studentId]) {
-        groupedByStudent[studentId] = {
-          student: record.student_id,
-          records: []
-        };
-      }
-
-      groupedByStudent[studentId].records.push(record);
-    });
-
-    // Calculate statistics for each student
-    Object.keys(groupedByStudent).forEach(studentId => {
-      const records = groupedByStudent[studentId].records;
-      const presentCount = records.filter(r => r.status === 'present').length;
-      const lateCount = records.filter(r => r.status === 'late').length;
-      const absentCount = records.filter(r => r.status === 'absent').length;
-      const totalCount = records.length;
-
-      groupedByStudent[studentId].summary = {
-        total_classes: totalCount,
-        attended: presentCount + lateCount,
-        present: presentCount,
-        late: lateCount,
-        absent: absentCount,
-        attendance_percentage: totalCount > 0
-          ? parseFloat(((presentCount + lateCount) / totalCount * 100).toFixed(2))
-          : 0
-      };
-    });
+    // Group by student and calculate statistics under the batch policy
+    const policy = await getActivePolicy(req.user.tenant_id, batch_id);
+    const isHoliday = await getAttendanceHolidayMatcher(req.user.tenant_id, attendanceRecords);
+    const groupedByStudent = groupRecordsByStudent(attendanceRecords, policy, isHoliday);
 
     res.status(200).json({
       success: true,
       data: {
-        students: Object.values(groupedByStudent),
-        total_records: attendanceRecords.length
+        students: localizeStudentGroups(groupedByStudent, viewerTimezone),
+        total_records: attendanceRecords.length,
+        policy,
+        timezone: viewerTimezone
       }
     });
   } catch (error) {
@@ -543,20 +537,14 @@ const generateDailyAttendancePDF = async (req, res) => {
       });
     }
 
-    // Fetch attendance records for the specified date, course, and batch
-    const queryDate = new Date(date);
-    queryDate.setHours(0, 0, 0, 0);
-
-    const endDate = new Date(queryDate);
-    endDate.setDate(endDate.getDate() + 1);
+    // Fetch attendance records for the specified date (in the batch timezone), course, and batch
+    const timezone = await getReportTimezone(req.user.tenant_id, batch_id);
+    const viewerTimezone = getViewerTimezone(req, timezone);
 
     const attendanceRecords = await Attendance.find({
       course_id,
       batch_id,
-      date: {
-        $gte: queryDate,
-        $lt: endDate
-      }
+      date: getDayRange(date, timezone)
     })
       .populate('student_id', 'fname lname email')
       .populate('course_id', 'course_title')
@@ -595,7 +583,7 @@ const generateDailyAttendancePDF = async (req, res) => {
 
     // Add report details
     doc.fontSize(12);
-    doc.text(`Date: ${new Date(date).toLocaleDateString()}`, 50, doc.y);
+    doc.text(`Date: ${moment.tz(date, timezone).format('MMM D, YYYY')} (${timezone})`, 50, doc.y);
     doc.text(`Course: ${course.course_title}`, 50, doc.y);
     doc.text(`Batch: ${batch.batch_name}`, 50, doc.y);
     doc.text(`Instructor: ${instructor.fname} ${instructor.lname}`, 50, doc.y);
@@ -659,12 +647,38 @@ const generateDailyAttendancePDF = async (req, res) => {
     });
 
     // Add summary
-    const presentCount = attendanceRecords.filter(r => r.status === 'present').length;
-    const lateCount = attendanceRecords.filter(r => r.status === 'late').length;
-    const absentCount = attendanceRecords.filter(r => r.status === 'absent').length;
+    const policy = await getActivePolicy(batch.tenant_id, batch_id);
+    const isHoliday = await getAttendanceHolidayMatcher(batch.tenant_id, attendanceRecords);
+    const summary = summarizeAttendance(attendanceRecords, policy, { isHoliday });
 
     doc.moveDown(2);
-    doc.text(`Summary: Total: ${attendanceRecords.length}, Present: ${presentCount}, Late: ${lateCount}, Absent: ${absentCount}`, 50, doc.y);
+    doc.text(`Summary: Total: ${summary.total}, Present: ${summary.present}, Late: ${summary.late}, Absent: ${summary.absent}, Excused: ${summary.excused}`, 50, doc.y);
+    if (summary.holiday > 0) {
+      // Name the holidays of the waived absences; batches in the report may differ in holidays
+      const holidayNames = [...new Set(
+        attendanceRecords.filter(record => record.status === 'absent').map(isHoliday).filter(Boolean)
+      )];
+      doc.text(`Holiday: ${holidayNames.join(', ')} - ${summary.holiday} absence(s) not counted`, 50, doc.y);
+    }
+    doc.text(`Attendance Rate: ${summary.attendance_percentage}% (Policy: ${policy.name})`, 50, doc.y);
+
+    // List manual corrections so the report shows how each status was reached
+    const correctedRecords = attendanceRecords.filter(record => record.student_id && record.status_history?.length > 0);
+    if (correctedRecords.length > 0) {
+      doc.moveDown(1);
+      doc.fontSize(12).text('Corrections', 50, doc.y, { underline: true });
+      doc.fontSize(9);
+      correctedRecords.forEach(record => {
+        record.status_history.forEach(change => {
+          doc.text(
+            `${record.student_id.fname} ${record.student_id.lname}: ${change.previous_status || '-'} -> ${change.new_status} ` +
+            `by ${change.changed_by_role || 'staff'} on ${moment.tz(change.changed_at, viewerTimezone).format('MMM D, YYYY h:mm A z')}` +
+            (change.reason ? ` (${change.reason})` : ''),
+            50, doc.y, { width: 500 }
+          );
+        });
+      });
+    }
 
     // Finalize PDF
     doc.end();
@@ -699,9 +713,8 @@ const generateMonthlyAttendancePDF = async (req, res) => {
       });
     }
 
-    const startDate = new Date(year, parseInt(month) - 1, 1);
-    const endDate = new Date(year, parseInt(month), 0); // Last day of month
-    endDate.setHours(23, 59, 59, 999);
+    const timezone = await getReportTimezone(req.user.tenant_id, batch_id);
+    const { startDate, endDate } = getMonthRange(month, year, timezone);
 
     // Query to get all attendance records for the month
     const attendanceRecords = await Attendance.find({
@@ -723,45 +736,15 @@ const generateMonthlyAttendancePDF = async (req, res) => {
       });
     }
 
-    // Group by student
-    const groupedByStudent = {};
-    attendanceRecords.forEach(record => {
-      const studentId = record.student_id._id.toString();
-
-      if (!groupedByStudent[studentId]) {
-        groupedByStudent[studentId] = {
-          student: record.student_id,
-          records: []
-        };
-      }
-
-      groupedByStudent[studentId].records.push(record);
-    });
-
-    // Calculate statistics for each student
-    Object.keys(groupedByStudent).forEach(studentId => {
-      const records = groupedByStudent[studentId].records;
-      const presentCount = records.filter(r => r.status === 'present').length;
-      const lateCount = records.filter(r => r.status === 'late').length;
-      const absentCount = records.filter(r => r.status === 'absent').length;
-      const totalCount = records.length;
-
-      groupedByStudent[studentId].summary = {
-        total_classes: totalCount,
-        attended: presentCount + lateCount,
-        present: presentCount,
-        late: lateCount,
-        absent: absentCount,
-        attendance_percentage: totalCount > 0
-          ? parseFloat(((presentCount + lateCount) / totalCount * 100).toFixed(2))
-          : 0
-      };
-    });
-
     // Get course and batch details
     const course = await Course.findById(course_id);
     const batch = await Batch.findById(batch_id);
 
+    // Group by student and calculate statistics under the batch policy
+    const policy = await getActivePolicy(batch.tenant_id, batch_id);
+    const isHoliday = await getAttendanceHolidayMatcher(batch.tenant_id, attendanceRecords);
+    const groupedByStudent = groupRecordsByStudent(attendanceRecords, policy, isHoliday);
+
     // Create PDF document
     const doc = new PDFDocument();
     const monthNames = ["January", "February", "March", "April", "May", "June",
@@ -852,8 +835,13 @@ const generateMonthlyAttendancePDF = async (req, res) => {
       ? Object.values(groupedByStudent).reduce((sum, s) => sum + s.summary.attendance_percentage, 0) / totalStudents
       : 0;
 
+    const correctedCount = Object.values(groupedByStudent).reduce((sum, s) => sum + s.summary.corrected, 0);
+    const holidayCount = Object.values(groupedByStudent).reduce((sum, s) => sum + s.summary.holiday, 0);
+
     doc.moveDown(2);
     doc.text(`Summary: Total Students: ${totalStudents}, Average Attendance: ${avgAttendance.toFixed(2)}%`, 50, doc.y);
+    doc.text(`Corrected records: ${correctedCount}`, 50, doc.y);
+    if (holidayCount > 0) doc.text(`Absences on holidays (not counted): ${holidayCount}`, 50, doc.y);
 
     // Finalize PDF
     doc.end();
@@ -876,6 +864,127 @@ const generateMonthlyAttendancePDF = async (req, res) => {
   }
 };
 
+// Validate the requested export format (csv or xlsx)
+const getExportFormat = (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+    return null;
+  }
+  return format;
+};
+
+// Export daily attendance (CSV/XLSX) with the same filters as the daily summary
+const exportDailyAttendance = async (req, res) => {
+  try {
+    const format = getExportFormat(req, res);
+    if (!format) return;
+
+    const { date, batch_id } = req.query;
+    const timezone = await getReportTimezone(req.user.tenant_id, batch_id);
+    const query = buildDailyQuery(req.query, timezone);
+    const policy = await getActivePolicy(req.user.tenant_id, batch_id);
+    const day = moment.tz(date || new Date(), timezone).format('YYYYMMDD');
+
+    await streamAttendanceExport({
+      res,
+      format,
+      query,
+      tenantId: req.user.tenant_id,
+      policy,
+      timezone: getViewerTimezone(req, timezone),
+      filename: `daily-attendance-${day}${batch_id ? `-${batch_id}` : ''}`
+    });
+  } catch (error) {
+    console.error('Error exporting daily attendance:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Export monthly attendance (CSV/XLSX) with the same filters as the monthly summary
+const exportMonthlyAttendance = async (req, res) => {
+  try {
+    const format = getExportFormat(req, res);
+    if (!format) return;
+
+    const { course_id, batch_id, month, year } = req.query;
+    if (!course_id || !month || !year) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: course_id, month, year'
+      });
+    }
+
+    const timezone = await getReportTimezone(req.user.tenant_id, batch_id);
+    const query = buildMonthlyQuery(req.query, timezone);
+    const policy = await getActivePolicy(req.user.tenant_id, batch_id);
+
+    await streamAttendanceExport({
+      res,
+      format,
+      query,
+      tenantId: req.user.tenant_id,
+      policy,
+      timezone: getViewerTimezone(req, timezone),
+      filename: `monthly-attendance-${month}-${year}-${course_id}`
+    });
+  } catch (error) {
+    console.error('Error exporting monthly attendance:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Export course/batch attendance (CSV/XLSX) with the same filters as the course-batch summary
+const exportAttendanceByCourseAndBatch = async (req, res) => {
+  try {
+    const format = getExportFormat(req, res);
+    if (!format) return;
+
+    const { course_id, batch_id } = req.query;
+    if (!course_id || !batch_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: course_id, batch_id'
+      });
+    }
+
+    const timezone = await getReportTimezone(req.user.tenant_id, batch_id);
+    const query = buildCourseBatchQuery(req.query, timezone);
+    const policy = await getActivePolicy(req.user.tenant_id, batch_id);
+
+    await streamAttendanceExport({
+      res,
+      format,
+      query,
+      tenantId: req.user.tenant_id,
+      policy,
+      timezone: getViewerTimezone(req, timezone),
+      filename: `course-batch-attendance-${course_id}-${batch_id}`
+    });
+  } catch (error) {
+    console.error('Error exporting course/batch attendance:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 export {
   handleStudentJoin,
   handleStudentLeave,
@@ -883,5 +992,8 @@ export {
   getMonthlyAttendance,
   getAttendanceByCourseAndBatch,
   generateDailyAttendancePDF,
-  generateMonthlyAttendancePDF
+  generateMonthlyAttendancePDF,
+  exportDailyAttendance,
+  exportMonthlyAttendance,
+  exportAttendanceByCourseAndBatch
 };
\ No newline at end of file
@@ -0,0 +1,426 @@
+import Attendance from '../models/Attendance.js';
+import AttendanceCorrection from '../models/AttendanceCorrection.js';
+import Batch from '../models/Batch_table.js';
+import Login from '../models/login.model.js';
+
+const CORRECTABLE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+const isBatchInstructor = (batch, loginId) => {
+  const id = loginId?.toString();
+  return batch.instructor_id?.toString() === id
+    || (batch.instructor_ids || []).some(instructorId => instructorId.toString() === id);
+};
+
+// Tenant admins manage every batch of their tenant, instructors only their own batches
+const canManageBatch = (user, batch) => {
+  const role = (user.role || '').toLowerCase();
+  if (role === 'tenant') return batch.tenant_id?.toString() === user.tenant_id?.toString();
+  if (role === 'instructor') return isBatchInstructor(batch, user.id);
+  return false;
+};
+
+const getStudentProfileId = async (loginId) => {
+  const login = await Login.findById(loginId);
+  return login?.user_id || null;
+};
+
+// Change the status of a record and append the change to its audit trail
+const applyStatusChange = (attendance, { status, user, reason, correctionId = null, remarks }) => {
+  attendance.status_history.push({
+    previous_status: attendance.status,
+    new_status: status,
+    changed_by: user.id,
+    changed_by_role: (user.role || '').toLowerCase(),
+    reason: reason || '',
+    correction_id: correctionId,
+    changed_at: new Date()
+  });
+
+  attendance.status = status;
+  attendance.is_manual_override = true;
+  if (remarks !== undefined) attendance.remarks = remarks;
+  return attendance;
+};
+
+// Student raises a dispute about one of their attendance records
+const raiseCorrectionRequest = async (req, res) => {
+  try {
+    const { attendance_id, requested_status, reason } = req.body;
+
+    if (!attendance_id || !requested_status || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: attendance_id, requested_status, reason'
+      });
+    }
+
+    if (!CORRECTABLE_STATUSES.includes(requested_status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid requested_status. Must be one of: ${CORRECTABLE_STATUSES.join(', ')}`
+      });
+    }
+
+    const attendance = await Attendance.findById(attendance_id);
+    const studentProfileId = await getStudentProfileId(req.user.id);
+    if (!attendance || !studentProfileId || attendance.student_id.toString() !== studentProfileId.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance record not found'
+      });
+    }
+
+    if (attendance.status === requested_status) {
+      return res.status(400).json({
+        success: false,
+        message: `Attendance is already marked as ${requested_status}`
+      });
+    }
+
+    const pending = await AttendanceCorrection.findOne({ attendance_id, status: 'pending' });
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: 'A correction request for this record is already pending'
+      });
+    }
+
+    const batch = await Batch.findById(attendance.batch_id);
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+
+    const correction = await AttendanceCorrection.create({
+      attendance_id,
+      batch_id: batch._id,
+      tenant_id: batch.tenant_id,
+      student_id: attendance.student_id,
+      requested_by: req.user.id,
+      current_status: attendance.status,
+      requested_status,
+      reason
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Correction request submitted successfully',
+      data: correction
+    });
+  } catch (error) {
+    console.error('Error raising attendance correction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// List correction requests visible to the current user
+const getCorrectionRequests = async (req, res) => {
+  try {
+    const { status, batch_id } = req.query;
+    const role = (req.user.role || '').toLowerCase();
+    const filter = {};
+
+    if (role === 'student') {
+      filter.student_id = await getStudentProfileId(req.user.id);
+    } else if (role === 'instructor') {
+      const batches = await Batch.find({
+        tenant_id: req.user.tenant_id,
+        $or: [
+          { instructor_id: req.user.id },
+          { instructor_ids: req.user.id }
+        ]
+      }).select('_id');
+      filter.batch_id = { $in: batches.map(batch => batch._id) };
+    } else {
+      filter.tenant_id = req.user.tenant_id;
+    }
+
+    if (status) filter.status = status;
+    if (batch_id) {
+      if (filter.batch_id && !filter.batch_id.$in.some(id => id.toString() === batch_id)) {
+        return res.status(200).json({ success: true, data: [] });
+      }
+      filter.batch_id = batch_id;
+    }
+
+    const corrections = await AttendanceCorrection.find(filter)
+      .populate('student_id', 'fname lname email user_code')
+      .populate('batch_id', 'batch_name')
+      .populate('attendance_id', 'date status class_start_time total_duration_seconds')
+      .populate('reviewed_by', 'email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: corrections
+    });
+  } catch (error) {
+    console.error('Error getting attendance corrections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Instructor (or tenant admin) approves or rejects a pending request
+const reviewCorrectionRequest = async (req, res) => {
+  try {
+    const { correction_id } = req.params;
+    const { decision, note } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'decision must be either approved or rejected'
+      });
+    }
+
+    const correction = await AttendanceCorrection.findById(correction_id);
+    if (!correction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Correction request not found'
+      });
+    }
+
+    const batch = await Batch.findById(correction.batch_id);
+    if (!batch || !canManageBatch(req.user, batch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to review this request'
+      });
+    }
+
+    if (correction.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Correction request is already ${correction.status}`
+      });
+    }
+
+    const attendance = await Attendance.findById(correction.attendance_id);
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance record not found'
+      });
+    }
+
+    if (decision === 'approved') {
+      applyStatusChange(attendance, {
+        status: correction.requested_status,
+        user: req.user,
+        reason: note || correction.reason,
+        correctionId: correction._id
+      });
+      await attendance.save();
+    }
+
+    correction.status = decision;
+    correction.final_status = attendance.status;
+    correction.reviewed_by = req.user.id;
+    correction.review_note = note || '';
+    correction.reviewed_at = new Date();
+    await correction.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Correction request ${decision}`,
+      data: { correction, attendance }
+    });
+  } catch (error) {
+    console.error('Error reviewing attendance correction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Tenant admin sets the final status of a request, whatever its current state
+const overrideCorrectionRequest = async (req, res) => {
+  try {
+    const { correction_id } = req.params;
+    const { status, reason } = req.body;
+
+    if (!CORRECTABLE_STATUSES.includes(status) || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: `A status (${CORRECTABLE_STATUSES.join(', ')}) and a reason are required`
+      });
+    }
+
+    const correction = await AttendanceCorrection.findOne({
+      _id: correction_id,
+      tenant_id: req.user.tenant_id
+    });
+    if (!correction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Correction request not found'
+      });
+    }
+
+    const attendance = await Attendance.findById(correction.attendance_id);
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance record not found'
+      });
+    }
+
+    if (attendance.status !== status) {
+      applyStatusChange(attendance, {
+        status,
+        user: req.user,
+        reason,
+        correctionId: correction._id
+      });
+      await attendance.save();
+    }
+
+    correction.status = 'overridden';
+    correction.final_status = status;
+    correction.reviewed_by = req.user.id;
+    correction.review_note = reason;
+    correction.reviewed_at = new Date();
+    await correction.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Correction request overridden',
+      data: { correction, attendance }
+    });
+  } catch (error) {
+    console.error('Error overriding attendance correction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Instructor or tenant admin corrects a record directly
+const correctAttendanceRecord = async (req, res) => {
+  try {
+    const { attendance_id } = req.params;
+    const { status, reason, remarks } = req.body;
+
+    if (!CORRECTABLE_STATUSES.includes(status) || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: `A status (${CORRECTABLE_STATUSES.join(', ')}) and a reason are required`
+      });
+    }
+
+    const attendance = await Attendance.findById(attendance_id);
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance record not found'
+      });
+    }
+
+    const batch = await Batch.findById(attendance.batch_id);
+    if (!batch || !canManageBatch(req.user, batch)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to correct this record'
+      });
+    }
+
+    applyStatusChange(attendance, { status, user: req.user, reason, remarks });
+    await attendance.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance corrected successfully',
+      data: attendance
+    });
+  } catch (error) {
+    console.error('Error correcting attendance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Audit trail of a record with the related correction requests
+const getAttendanceHistory = async (req, res) => {
+  try {
+    const { attendance_id } = req.params;
+
+    const attendance = await Attendance.findById(attendance_id)
+      .populate('student_id', 'fname lname email user_code')
+      .populate('status_history.changed_by', 'email');
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance record not found'
+      });
+    }
+
+    const role = (req.user.role || '').toLowerCase();
+    if (role === 'student') {
+      const studentProfileId = await getStudentProfileId(req.user.id);
+      if (!studentProfileId || attendance.student_id._id.toString() !== studentProfileId.toString()) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attendance record not found'
+        });
+      }
+    } else {
+      const batch = await Batch.findById(attendance.batch_id);
+      if (!batch || !canManageBatch(req.user, batch)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not authorized to view this record'
+        });
+      }
+    }
+
+    const corrections = await AttendanceCorrection.find({ attendance_id })
+      .populate('reviewed_by', 'email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        attendance_id: attendance._id,
+        student: attendance.student_id,
+        current_status: attendance.status,
+        is_manual_override: attendance.is_manual_override,
+        history: attendance.status_history,
+        corrections
+      }
+    });
+  } catch (error) {
+    console.error('Error getting attendance history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+export {
+  raiseCorrectionRequest,
+  getCorrectionRequests,
+  reviewCorrectionRequest,
+  overrideCorrectionRequest,
+  correctAttendanceRecord,
+  getAttendanceHistory
+};
@@ -0,0 +1,287 @@
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import AttendancePolicy from '../models/AttendancePolicy.js';
+import Attendance from '../models/Attendance.js';
+import Batch from '../models/Batch_table.js';
+import {
+  getActivePolicy,
+  getClassEndTime,
+  applyAttendancePolicy
+} from '../services/attendancePolicyService.js';
+import { getTenantTimezone } from '../utils/timezone.js';
+
+const POLICY_FIELDS = [
+  'name',
+  'min_presence_percentage',
+  'min_present_minutes',
+  'late_grace_minutes',
+  'early_leave_grace_minutes',
+  'max_early_leaves',
+  'default_class_duration_minutes',
+  'excused_handling',
+  'at_risk_threshold_percentage',
+  'at_risk_window_days',
+  'at_risk_min_classes',
+  'at_risk_alerts_enabled',
+  'is_active'
+];
+
+const pickPolicyFields = (body) => {
+  const data = {};
+  POLICY_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// List all attendance policies of the tenant
+const getAttendancePolicies = async (req, res) => {
+  try {
+    const policies = await AttendancePolicy.find({ tenant_id: req.user.tenant_id })
+      .populate('batch_id', 'batch_name')
+      .sort({ batch_id: 1, createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: policies
+    });
+  } catch (error) {
+    console.error('Error getting attendance policies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Get the policy that currently applies to a batch (or the tenant default)
+const getEffectiveAttendancePolicy = async (req, res) => {
+  try {
+    const { batch_id } = req.query;
+    const policy = await getActivePolicy(req.user.tenant_id, batch_id || null);
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    console.error('Error getting effective attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Create or replace the tenant default policy or a batch policy
+const upsertAttendancePolicy = async (req, res) => {
+  try {
+    const tenant_id = req.user.tenant_id;
+    const batch_id = req.body.batch_id || null;
+
+    if (batch_id) {
+      const batch = await Batch.findOne({ _id: batch_id, tenant_id });
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Batch not found'
+        });
+      }
+    }
+
+    const policy = await AttendancePolicy.findOneAndUpdate(
+      { tenant_id, batch_id },
+      {
+        ...pickPolicyFields(req.body),
+        tenant_id,
+        batch_id,
+        created_by: req.user.id
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance policy saved successfully',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Error saving attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Update an existing policy
+const updateAttendancePolicy = async (req, res) => {
+  try {
+    const { policy_id } = req.params;
+
+    const policy = await AttendancePolicy.findOneAndUpdate(
+      { _id: policy_id, tenant_id: req.user.tenant_id },
+      pickPolicyFields(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance policy updated successfully',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Error updating attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Delete a policy; affected batches fall back to the tenant default
+const deleteAttendancePolicy = async (req, res) => {
+  try {
+    const { policy_id } = req.params;
+
+    const policy = await AttendancePolicy.findOneAndDelete({
+      _id: policy_id,
+      tenant_id: req.user.tenant_id
+    });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting attendance policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Re-evaluate past attendance records against the currently active policies
+const recomputeAttendance = async (req, res) => {
+  try {
+    const { start_date, end_date, batch_id } = req.body;
+    const tenant_id = req.user.tenant_id;
+
+    if (!start_date || !end_date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: start_date, end_date'
+      });
+    }
+
+    // Whole days in the tenant timezone
+    const timezone = await getTenantTimezone(tenant_id);
+    const startMoment = moment.tz(start_date, timezone);
+    const endMoment = moment.tz(end_date, timezone);
+    if (!startMoment.isValid() || !endMoment.isValid() || startMoment.isAfter(endMoment)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+    const startDate = startMoment.startOf('day').toDate();
+    const endDate = endMoment.endOf('day').toDate();
+
+    const batchFilter = { tenant_id };
+    if (batch_id) {
+      if (!mongoose.Types.ObjectId.isValid(batch_id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid batch_id'
+        });
+      }
+      batchFilter._id = batch_id;
+    }
+    const batches = await Batch.find(batchFilter);
+
+    let processed = 0;
+    let updated = 0;
+    let skipped = 0;
+
+    for (const batch of batches) {
+      const policy = await getActivePolicy(tenant_id, batch._id);
+      const cursor = Attendance.find({
+        batch_id: batch._id,
+        date: { $gte: startDate, $lte: endDate }
+      }).cursor();
+
+      for await (const attendance of cursor) {
+        processed++;
+
+        if (attendance.is_manual_override || attendance.status === 'excused') {
+          skipped++;
+          continue;
+        }
+
+        // Open sessions cannot be evaluated yet
+        if (attendance.sessions.some(session => !session.leave_time)) {
+          skipped++;
+          continue;
+        }
+
+        const previousStatus = attendance.status;
+        if (!attendance.class_end_time) {
+          attendance.class_end_time = getClassEndTime(attendance.class_start_time, batch, policy);
+        }
+        applyAttendancePolicy(attendance, policy);
+
+        if (attendance.isModified()) {
+          await attendance.save();
+          if (attendance.status !== previousStatus) updated++;
+        }
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance recomputed successfully',
+      data: {
+        batches: batches.length,
+        processed,
+        status_changed: updated,
+        skipped
+      }
+    });
+  } catch (error) {
+    console.error('Error recomputing attendance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+export {
+  getAttendancePolicies,
+  getEffectiveAttendancePolicy,
+  upsertAttendancePolicy,
+  updateAttendancePolicy,
+  deleteAttendancePolicy,
+  recomputeAttendance
+};
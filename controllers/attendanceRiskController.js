@@ -0,0 +1,90 @@
+import AttendanceRiskFlag from '../models/AttendanceRiskFlag.js';
+import Batch from '../models/Batch_table.js';
+import { evaluateAttendanceRisk } from '../services/attendanceRiskService.js';
+
+// Batches the current user can see: the whole tenant for admins, assigned batches for instructors
+const getVisibleBatchFilter = (user) => {
+  const filter = { tenant_id: user.tenant_id };
+  if ((user.role || '').toLowerCase() === 'instructor') {
+    filter.$or = [
+      { instructor_id: user.id },
+      { instructor_ids: user.id }
+    ];
+  }
+  return filter;
+};
+
+// At-risk students grouped per batch for the instructor dashboard
+const getAtRiskStudents = async (req, res) => {
+  try {
+    const { batch_id, status = 'at_risk' } = req.query;
+
+    const batchFilter = getVisibleBatchFilter(req.user);
+    if (batch_id) batchFilter._id = batch_id;
+
+    const batches = await Batch.find(batchFilter).select('batch_name course_id');
+    if (batch_id && batches.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+
+    const flagFilter = { batch_id: { $in: batches.map(batch => batch._id) } };
+    if (status !== 'all') flagFilter.status = status;
+
+    const flags = await AttendanceRiskFlag.find(flagFilter)
+      .populate('student_id', 'fname lname email user_code')
+      .sort({ attendance_percentage: 1 });
+
+    const data = batches
+      .map(batch => ({
+        batch,
+        students: flags.filter(flag => flag.batch_id.toString() === batch._id.toString())
+      }))
+      .filter(entry => batch_id || entry.students.length > 0);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error getting at-risk students:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Run the at-risk evaluation for the tenant (or one batch) without waiting for the scheduler
+const runAtRiskEvaluation = async (req, res) => {
+  try {
+    const { batch_id, notify = true } = req.body || {};
+
+    const totals = await evaluateAttendanceRisk({
+      tenantId: req.user.tenant_id,
+      batchId: batch_id || null,
+      notify: notify !== false && notify !== 'false'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'At-risk evaluation completed',
+      data: totals
+    });
+  } catch (error) {
+    console.error('Error evaluating at-risk students:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+export {
+  getAtRiskStudents,
+  runAtRiskEvaluation
+};
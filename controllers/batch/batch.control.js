@@ -1,6 +1,78 @@
 import Batch from "../../models/Batch_table.js";
 import BatchStudent from "../../models/Batch_Students.js";
 import mongoose from "mongoose";
+import ClassOccurrence from "../../models/ClassOccurrence.js";
+import { syncBatchOccurrencesSafely } from "../../services/classOccurrenceService.js";
+import { deleteAttachedUploads } from "../../services/uploadService.js";
+import { findBatchConflicts } from "../../utils/batchConflict.js";
+import {
+  convertBatchSchedule,
+  getTenantTimezone,
+  getViewerTimezone,
+  isBatchActiveAt,
+  isBatchUpcomingAt,
+  isValidTimezone,
+  normalizeTimezone,
+} from "../../utils/timezone.js";
+
+// Attach the effective timezone and the schedule as seen from the viewer's timezone
+const withViewerSchedule = (batch, tenantTimezone, viewerTimezone) => {
+  const data = typeof batch.toObject === "function" ? batch.toObject() : batch;
+  const batchTimezone = normalizeTimezone(data.timezone, tenantTimezone);
+  return {
+    ...data,
+    effective_timezone: batchTimezone,
+    viewer_schedule: convertBatchSchedule(data, batchTimezone, viewerTimezone),
+  };
+};
+
+/**
+ * Find active batches that clash with the schedule of any instructor assigned to `candidate`.
+ * @returns {Promise<Array>} - One entry per instructor and conflicting batch.
+ */
+const findInstructorConflicts = async (candidate) => {
+  const instructorIds = [
+    ...new Set(
+      [candidate.instructor_id, ...(candidate.instructor_ids || [])]
+        .filter(Boolean)
+        .map((id) => id.toString())
+    ),
+  ];
+  if (instructorIds.length === 0 || (candidate.status && candidate.status !== "active")) return [];
+
+  const filter = {
+    tenant_id: candidate.tenant_id,
+    status: "active",
+    $or: [
+      { instructor_id: { $in: instructorIds } },
+      { instructor_ids: { $in: instructorIds } },
+    ],
+  };
+  if (candidate._id) filter._id = { $ne: candidate._id };
+
+  const instructorBatches = await Batch.find(filter).select(
+    "batch_name batch_time recurring_days start_date end_date status timezone instructor_id instructor_ids"
+  );
+  const timezone = await getTenantTimezone(candidate.tenant_id);
+
+  return findBatchConflicts(candidate, instructorBatches, { timezone }).flatMap((conflict) => {
+    const assigned = [conflict.batch.instructor_id, ...(conflict.batch.instructor_ids || [])]
+      .filter(Boolean)
+      .map((id) => id.toString());
+
+    return instructorIds
+      .filter((id) => assigned.includes(id))
+      .map((instructorId) => ({
+        instructor_id: instructorId,
+        batch_id: conflict.batch._id,
+        batch_name: conflict.batch.batch_name,
+        batch_time: conflict.batch.batch_time,
+        overlapping_days: conflict.overlapping_days,
+        overlap_start: conflict.overlap_start,
+        overlap_end: conflict.overlap_end,
+      }));
+  });
+};
 
 export const createBatch = async (req, res) => {
   try {
@@ -20,6 +92,7 @@ export const createBatch = async (req, res) => {
       meeting_link,
       meeting_platform,
       is_strict_schedule,
+      timezone,
     } = req.body;
     const tenant_id = req.user.tenant_id;
 
@@ -71,6 +144,13 @@ export const createBatch = async (req, res) => {
       });
     }
 
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid timezone. Use an IANA name such as Asia/Kolkata",
+      });
+    }
+
     // Check if batch name already exists for the same course and tenant
     const existingBatch = await Batch.findOne({
       tenant_id,
@@ -93,6 +173,26 @@ export const createBatch = async (req, res) => {
       finalInstructorIds = [instructor_id];
     }
 
+    // Prevent double-booking the assigned instructors
+    const instructorConflicts = await findInstructorConflicts({
+      tenant_id,
+      instructor_ids: finalInstructorIds,
+      status: status || "active",
+      batch_time,
+      recurring_days: recurring_days || [],
+      timezone: timezone || null,
+      start_date: startDate,
+      end_date: endDate,
+    });
+
+    if (instructorConflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Instructor schedule conflict with existing batches",
+        conflicts: instructorConflicts,
+      });
+    }
+
     // Create new batch
     const newBatch = new Batch({
       tenant_id,
@@ -111,9 +211,11 @@ export const createBatch = async (req, res) => {
       meeting_link,
       meeting_platform,
       is_strict_schedule: is_strict_schedule !== undefined ? is_strict_schedule : true,
+      timezone: timezone || null,
     });
 
     const savedBatch = await newBatch.save();
+    await syncBatchOccurrencesSafely(savedBatch);
 
     // Populate references for better response
     await savedBatch.populate([
@@ -190,6 +292,9 @@ export const getAllBatches = async (req, res) => {
       })
       .sort({ created_at: -1 });
 
+    const tenantTimezone = await getTenantTimezone(tenant_id);
+    const viewerTimezone = getViewerTimezone(req, tenantTimezone);
+
     // Get enrollment counts for each batch
     const batchesWithEnrollment = await Promise.all(
       batches.map(async (batch) => {
@@ -198,7 +303,7 @@ export const getAllBatches = async (req, res) => {
         });
 
         return {
-          ...batch.toObject(),
+          ...withViewerSchedule(batch, tenantTimezone, viewerTimezone),
           enrollment_count: enrollmentCount,
         };
       })
@@ -256,10 +361,12 @@ export const getBatchById = async (req, res) => {
       });
     }
 
+    const tenantTimezone = await getTenantTimezone(tenant_id);
+
     return res.status(200).json({
       success: true,
       message: "Batch retrieved successfully",
-      data: batch,
+      data: withViewerSchedule(batch, tenantTimezone, getViewerTimezone(req, tenantTimezone)),
     });
   } catch (error) {
     console.error("Error fetching batch:", error);
@@ -293,6 +400,14 @@ export const updateBatch = async (req, res) => {
     // Remove batch_id from update data if present
     delete updateData.batch_id;
 
+    if (updateData.timezone === "") updateData.timezone = null;
+    if (updateData.timezone && !isValidTimezone(updateData.timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid timezone. Use an IANA name such as Asia/Kolkata",
+      });
+    }
+
     // Sanitize ObjectId fields to prevent CastError
     if (updateData.instructor_id === "") delete updateData.instructor_id;
     if (updateData.course_id === "") delete updateData.course_id;
@@ -343,7 +458,32 @@ export const updateBatch = async (req, res) => {
       }
     }
 
-    // 4. Update
+    // 4. Instructor schedule conflicts (merge with existing for partial updates)
+    const scheduleFields = ["instructor_id", "instructor_ids", "batch_time", "recurring_days", "timezone", "start_date", "end_date", "status"];
+    if (scheduleFields.some((field) => updateData[field] !== undefined)) {
+      const instructorConflicts = await findInstructorConflicts({
+        _id: existingBatch._id,
+        tenant_id,
+        instructor_id: updateData.instructor_id ?? existingBatch.instructor_id,
+        instructor_ids: updateData.instructor_ids ?? existingBatch.instructor_ids,
+        status: updateData.status ?? existingBatch.status,
+        batch_time: updateData.batch_time ?? existingBatch.batch_time,
+        recurring_days: updateData.recurring_days ?? existingBatch.recurring_days,
+        timezone: updateData.timezone !== undefined ? updateData.timezone : existingBatch.timezone,
+        start_date: startDateVal,
+        end_date: endDateVal,
+      });
+
+      if (instructorConflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Instructor schedule conflict with existing batches",
+          conflicts: instructorConflicts,
+        });
+      }
+    }
+
+    // 5. Update
     const updatedBatch = await Batch.findOneAndUpdate(
       { _id: batch_id, tenant_id },
       { ...updateData, tenant_id },
@@ -369,6 +509,8 @@ export const updateBatch = async (req, res) => {
       },
     ]);
 
+    if (updatedBatch) await syncBatchOccurrencesSafely(updatedBatch);
+
     return res.status(200).json({
       success: true,
       message: "Batch updated successfully",
@@ -411,6 +553,10 @@ export const deleteBatch = async (req, res) => {
       });
     }
 
+    await ClassOccurrence.deleteMany({ batch_id: deletedBatch._id });
+    // Chunked recording uploads of the batch no longer count towards the tenant's quota
+    await deleteAttachedUploads("recording", deletedBatch.manual_recordings.map((recording) => recording._id));
+
     return res.status(200).json({
       success: true,
       message: "Batch deleted successfully",
@@ -589,10 +735,13 @@ export const getMyBatches = async (req, res) => {
     console.log("Debug - Final batches found:", batches.length);
     console.log("Debug - Search criteria:", { tenant_id, instructor_id });
 
+    const tenantTimezone = await getTenantTimezone(tenant_id);
+    const viewerTimezone = getViewerTimezone(req, tenantTimezone);
+
     return res.status(200).json({
       success: true,
       message: "Your batches retrieved successfully",
-      data: batches,
+      data: batches.map((batch) => withViewerSchedule(batch, tenantTimezone, viewerTimezone)),
     });
   } catch (error) {
     console.error("Error fetching instructor's batches:", error);
@@ -617,10 +766,12 @@ export const getActiveBatches = async (req, res) => {
       });
     }
 
-    const batches = await Batch.find({
+    // Batch dates are calendar days in the batch timezone, so widen the query by a day and filter exactly
+    const dayMs = 24 * 60 * 60 * 1000;
+    const candidates = await Batch.find({
       tenant_id,
-      start_date: { $lte: currentDate },
-      end_date: { $gte: currentDate },
+      start_date: { $lte: new Date(currentDate.getTime() + dayMs) },
+      end_date: { $gte: new Date(currentDate.getTime() - dayMs) },
       status: { $in: ["active"] },
     })
       .populate("tenant_id", "name")
@@ -628,10 +779,16 @@ export const getActiveBatches = async (req, res) => {
       .populate("instructor_id", "name email")
       .sort({ created_at: -1 });
 
+    const tenantTimezone = await getTenantTimezone(tenant_id);
+    const viewerTimezone = getViewerTimezone(req, tenantTimezone);
+    const batches = candidates.filter((batch) =>
+      isBatchActiveAt(batch, normalizeTimezone(batch.timezone, tenantTimezone), currentDate)
+    );
+
     return res.status(200).json({
       success: true,
       message: "Active batches retrieved successfully",
-      data: batches,
+      data: batches.map((batch) => withViewerSchedule(batch, tenantTimezone, viewerTimezone)),
     });
   } catch (error) {
     console.error("Error fetching active batches:", error);
@@ -656,9 +813,10 @@ export const getUpcomingBatches = async (req, res) => {
       });
     }
 
-    const batches = await Batch.find({
+    // Widen by a day and filter exactly against the start of the batch's first day in its timezone
+    const candidates = await Batch.find({
       tenant_id,
-      start_date: { $gt: currentDate },
+      start_date: { $gt: new Date(currentDate.getTime() - 24 * 60 * 60 * 1000) },
       status: { $in: ["active", "suspended"] },
     })
       .populate("tenant_id", "name")
@@ -666,10 +824,16 @@ export const getUpcomingBatches = async (req, res) => {
       .populate("instructor_id", "name email")
       .sort({ start_date: 1 });
 
+    const tenantTimezone = await getTenantTimezone(tenant_id);
+    const viewerTimezone = getViewerTimezone(req, tenantTimezone);
+    const batches = candidates.filter((batch) =>
+      isBatchUpcomingAt(batch, normalizeTimezone(batch.timezone, tenantTimezone), currentDate)
+    );
+
     return res.status(200).json({
       success: true,
       message: "Upcoming batches retrieved successfully",
-      data: batches,
+      data: batches.map((batch) => withViewerSchedule(batch, tenantTimezone, viewerTimezone)),
     });
   } catch (error) {
     console.error("Error fetching upcoming batches:", error);
@@ -854,6 +1018,26 @@ export const toggleBatchStatus = async (req, res) => {
       });
     }
 
+    // Reactivating must not double-book the instructors, as on create and update
+    if (status === "active") {
+      const existingBatch = await Batch.findOne({ _id: batch_id, tenant_id }).lean();
+      if (!existingBatch) {
+        return res.status(404).json({
+          success: false,
+          message: "Batch not found",
+        });
+      }
+
+      const instructorConflicts = await findInstructorConflicts({ ...existingBatch, status });
+      if (instructorConflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Instructor schedule conflict with existing batches",
+          conflicts: instructorConflicts,
+        });
+      }
+    }
+
     const updatedBatch = await Batch.findOneAndUpdate(
       { _id: batch_id, tenant_id },
       { status },
@@ -878,6 +1062,8 @@ export const toggleBatchStatus = async (req, res) => {
       });
     }
 
+    await syncBatchOccurrencesSafely(updatedBatch);
+
     return res.status(200).json({
       success: true,
       message: `Batch status updated to ${status} successfully`,
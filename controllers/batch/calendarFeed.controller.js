@@ -0,0 +1,120 @@
+import crypto from "crypto";
+import Login from "../../models/login.model.js";
+import Tenant from "../../models/tenant.model.js";
+import { buildUserCalendar } from "../../services/calendarFeedService.js";
+
+const FEED_ROLES = ["student", "instructor"];
+
+const generateFeedToken = () => crypto.randomBytes(32).toString("hex");
+
+// Subscribe URLs of a feed token; webcal:// opens the calendar app directly
+const getFeedUrls = (req, token) => {
+  const feedUrl = `${req.protocol}://${req.get("host")}${req.baseUrl}/calendar/ics/${token}.ics`;
+  return {
+    feed_url: feedUrl,
+    webcal_url: feedUrl.replace(/^https?:/, "webcal:"),
+  };
+};
+
+/**
+ * Get (and create on first use) the logged-in user's calendar feed URL
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCalendarFeed = async (req, res) => {
+  try {
+    const login = await Login.findById(req.user.id);
+    if (!login) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!login.calendar_feed_token) {
+      login.calendar_feed_token = generateFeedToken();
+      await login.save();
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Calendar feed retrieved successfully",
+      data: getFeedUrls(req, login.calendar_feed_token),
+    });
+  } catch (error) {
+    console.error("Error fetching calendar feed:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Replace the calendar feed token; previously shared URLs stop working
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const rotateCalendarFeed = async (req, res) => {
+  try {
+    const login = await Login.findById(req.user.id);
+    if (!login) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    login.calendar_feed_token = generateFeedToken();
+    await login.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Calendar feed URL regenerated successfully",
+      data: getFeedUrls(req, login.calendar_feed_token),
+    });
+  } catch (error) {
+    console.error("Error rotating calendar feed:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Serve the .ics feed of the user owning the token (no login; the token is the credential)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCalendarFeedIcs = async (req, res) => {
+  try {
+    const token = (req.params.token || "").replace(/\.ics$/i, "");
+    if (!token) return res.status(404).send("Calendar not found");
+
+    const login = await Login.findOne({ calendar_feed_token: token }).populate("role_id", "name");
+    const role = (login?.role_id?.name || "").toLowerCase();
+    if (!login || login.is_active === false || !FEED_ROLES.includes(role)) {
+      return res.status(404).send("Calendar not found");
+    }
+
+    const tenant = await Tenant.findById(login.tenant_id).select("is_active");
+    if (!tenant || !tenant.is_active) {
+      return res.status(404).send("Calendar not found");
+    }
+
+    const calendar = await buildUserCalendar(login, role);
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="schedule.ics"',
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+    });
+    return res.status(200).send(calendar);
+  } catch (error) {
+    console.error("Error building calendar feed:", error);
+    return res.status(500).send("Failed to build calendar");
+  }
+};
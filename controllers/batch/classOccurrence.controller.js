@@ -0,0 +1,609 @@
+import moment from "moment-timezone";
+import Attendance from "../../models/Attendance.js";
+import Batch from "../../models/Batch_table.js";
+import BatchStudent from "../../models/Batch_Students.js";
+import ClassOccurrence from "../../models/ClassOccurrence.js";
+import LiveSession from "../../models/Live_Session.model.js";
+import {
+  getOccurrenceAttendanceFilter,
+  linkLiveSessionToOccurrence,
+  syncBatchOccurrences,
+  syncLinkedLiveSession,
+} from "../../services/classOccurrenceService.js";
+import {
+  formatInTimezone,
+  getBatchTimezone,
+  getTenantTimezone,
+  getViewerTimezone,
+  parseInTimezone,
+} from "../../utils/timezone.js";
+
+const DAY_FORMAT = "YYYY-MM-DD";
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 92;
+
+const isBatchInstructor = (batch, loginId) =>
+  [batch.instructor_id, ...(batch.instructor_ids || [])]
+    .filter(Boolean)
+    .some((id) => id.toString() === loginId.toString());
+
+// Tenants manage every batch of their tenant, instructors only the batches they teach
+const canManageBatch = (user, batch) => {
+  if (!batch || batch.tenant_id.toString() !== user.tenant_id?.toString()) return false;
+  // Roles are matched case-insensitively, like authorizeRoles does
+  const role = user.role?.toLowerCase();
+  if (role === "tenant") return true;
+  return role === "instructor" && isBatchInstructor(batch, user.id);
+};
+
+/**
+ * Calendar range from ?from=&to= (days in the viewer's timezone), defaulting to the next 30 days.
+ * @returns {Object|null} - { start, end } or null when the range is invalid or too long.
+ */
+const getCalendarRange = (query, timezone) => {
+  const start = query.from
+    ? moment.tz(query.from, DAY_FORMAT, true, timezone).startOf("day")
+    : moment.tz(timezone).startOf("day");
+  const end = query.to
+    ? moment.tz(query.to, DAY_FORMAT, true, timezone).endOf("day")
+    : start.clone().add(DEFAULT_RANGE_DAYS, "days").endOf("day");
+
+  if (!start.isValid() || !end.isValid() || end.isBefore(start)) return null;
+  if (end.diff(start, "days") > MAX_RANGE_DAYS) return null;
+  return { start: start.toDate(), end: end.toDate() };
+};
+
+// Occurrence as seen from the viewer's timezone
+const toCalendarEntry = (occurrence, viewerTimezone) => {
+  const data = typeof occurrence.toObject === "function" ? occurrence.toObject() : occurrence;
+  const liveSession = data.live_session_id && data.live_session_id._id ? data.live_session_id : null;
+
+  return {
+    ...data,
+    start_time: formatInTimezone(data.start_time, viewerTimezone),
+    end_time: formatInTimezone(data.end_time, viewerTimezone),
+    original_start_time: formatInTimezone(data.original_start_time, viewerTimezone),
+    original_end_time: formatInTimezone(data.original_end_time, viewerTimezone),
+    date: moment.tz(data.start_time, viewerTimezone).format(DAY_FORMAT),
+    viewer_timezone: viewerTimezone,
+    join_url: liveSession && liveSession.status !== "cancelled" ? liveSession.join_url : null,
+  };
+};
+
+const getCalendarOccurrences = async (batchIds, range) =>
+  ClassOccurrence.find({
+    batch_id: { $in: batchIds },
+    start_time: { $gte: range.start, $lte: range.end },
+  })
+    .populate({
+      path: "batch_id",
+      select: "batch_name course_id meeting_link meeting_platform",
+      populate: { path: "course_id", select: "course_title" },
+    })
+    .populate("live_session_id", "topic join_url status dyte_meeting_id")
+    .sort({ start_time: 1 });
+
+/**
+ * Get the class occurrences of a batch
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getBatchOccurrences = async (req, res) => {
+  try {
+    const { batch_id } = req.params;
+
+    const batch = await Batch.findById(batch_id);
+    if (!canManageBatch(req.user, batch)) {
+      return res.status(404).json({
+        success: false,
+        message: "Batch not found or access denied",
+      });
+    }
+
+    const viewerTimezone = getViewerTimezone(req, await getBatchTimezone(batch));
+    const range = getCalendarRange(req.query, viewerTimezone);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid range. Use from/to as YYYY-MM-DD, at most ${MAX_RANGE_DAYS} days apart`,
+      });
+    }
+
+    const occurrences = await getCalendarOccurrences([batch._id], range);
+
+    return res.status(200).json({
+      success: true,
+      message: "Batch occurrences retrieved successfully",
+      data: {
+        timezone: viewerTimezone,
+        schedule_exceptions: batch.schedule_exceptions,
+        occurrences: occurrences.map((occurrence) => toCalendarEntry(occurrence, viewerTimezone)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching batch occurrences:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Regenerate the upcoming occurrences of a batch from its schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const regenerateBatchOccurrences = async (req, res) => {
+  try {
+    const { batch_id } = req.params;
+
+    const batch = await Batch.findOne({ _id: batch_id, tenant_id: req.user.tenant_id });
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Batch not found",
+      });
+    }
+
+    const result = await syncBatchOccurrences(batch);
+
+    return res.status(200).json({
+      success: true,
+      message: "Batch occurrences regenerated successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error regenerating batch occurrences:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add holiday/exception days to a batch; classes on those days are marked as holidays
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const addScheduleExceptions = async (req, res) => {
+  try {
+    const { batch_id } = req.params;
+    const { dates, reason } = req.body;
+
+    const list = [...new Set(Array.isArray(dates) ? dates : [dates])];
+    if (list.length === 0 || list.some((date) => !moment(date, DAY_FORMAT, true).isValid())) {
+      return res.status(400).json({
+        success: false,
+        message: "dates must be one or more days in YYYY-MM-DD format",
+      });
+    }
+
+    const batch = await Batch.findOne({ _id: batch_id, tenant_id: req.user.tenant_id });
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Batch not found",
+      });
+    }
+
+    const existing = new Map(batch.schedule_exceptions.map((exception) => [exception.date, exception]));
+    list.forEach((date) => {
+      if (existing.has(date)) {
+        existing.get(date).reason = reason || existing.get(date).reason;
+      } else {
+        batch.schedule_exceptions.push({ date, reason: reason || "" });
+      }
+    });
+    await batch.save();
+
+    // Classes on those days become holidays and their scheduled meetings are cancelled
+    await syncBatchOccurrences(batch);
+
+    return res.status(200).json({
+      success: true,
+      message: "Schedule exceptions added successfully",
+      data: batch.schedule_exceptions,
+    });
+  } catch (error) {
+    console.error("Error adding schedule exceptions:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a holiday/exception day from a batch
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const removeScheduleException = async (req, res) => {
+  try {
+    const { batch_id, date } = req.params;
+
+    const batch = await Batch.findOne({ _id: batch_id, tenant_id: req.user.tenant_id });
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Batch not found",
+      });
+    }
+
+    const before = batch.schedule_exceptions.length;
+    batch.schedule_exceptions = batch.schedule_exceptions.filter((exception) => exception.date !== date);
+    if (batch.schedule_exceptions.length === before) {
+      return res.status(404).json({
+        success: false,
+        message: "Schedule exception not found",
+      });
+    }
+    await batch.save();
+
+    await syncBatchOccurrences(batch);
+
+    return res.status(200).json({
+      success: true,
+      message: "Schedule exception removed successfully",
+      data: batch.schedule_exceptions,
+    });
+  } catch (error) {
+    console.error("Error removing schedule exception:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get one occurrence with its live session and attendance
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getOccurrenceById = async (req, res) => {
+  try {
+    const { occurrence_id } = req.params;
+
+    const occurrence = await ClassOccurrence.findById(occurrence_id).populate(
+      "live_session_id",
+      "topic join_url status dyte_meeting_id scheduled_start_time scheduled_end_time actual_start_time actual_end_time"
+    );
+    const batch = occurrence ? await Batch.findById(occurrence.batch_id) : null;
+    if (!occurrence || !canManageBatch(req.user, batch)) {
+      return res.status(404).json({
+        success: false,
+        message: "Occurrence not found or access denied",
+      });
+    }
+
+    const viewerTimezone = getViewerTimezone(req, occurrence.timezone);
+    const attendance = await Attendance.find(getOccurrenceAttendanceFilter(occurrence))
+      .select("student_id status total_duration_seconds class_start_time occurrence_id")
+      .populate("student_id", "fname lname email");
+
+    return res.status(200).json({
+      success: true,
+      message: "Occurrence retrieved successfully",
+      data: {
+        ...toCalendarEntry(occurrence, viewerTimezone),
+        batch_name: batch.batch_name,
+        attendance,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching occurrence:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Move a single occurrence to another time
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const rescheduleOccurrence = async (req, res) => {
+  try {
+    const { occurrence_id } = req.params;
+    const { start_time, end_time, reason } = req.body;
+
+    if (!start_time) {
+      return res.status(400).json({
+        success: false,
+        message: "start_time is required",
+      });
+    }
+
+    const occurrence = await ClassOccurrence.findById(occurrence_id);
+    const batch = occurrence ? await Batch.findById(occurrence.batch_id) : null;
+    if (!occurrence || !canManageBatch(req.user, batch)) {
+      return res.status(404).json({
+        success: false,
+        message: "Occurrence not found or access denied",
+      });
+    }
+
+    // Times without an offset are read in the occurrence's timezone; the class keeps its length by default
+    const start = parseInTimezone(start_time, occurrence.timezone);
+    const end = end_time
+      ? parseInTimezone(end_time, occurrence.timezone)
+      : start.clone().add(occurrence.end_time - occurrence.start_time, "ms");
+
+    if (!start.isValid() || !end.isValid() || !end.isAfter(start)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid start_time or end_time",
+      });
+    }
+
+    if (!occurrence.original_start_time) {
+      occurrence.original_start_time = occurrence.start_time;
+      occurrence.original_end_time = occurrence.end_time;
+    }
+    occurrence.start_time = start.toDate();
+    occurrence.end_time = end.toDate();
+    occurrence.status = "rescheduled";
+    occurrence.is_exception = true;
+    occurrence.reason = reason || "";
+    occurrence.changed_by = req.user.id;
+    occurrence.changed_at = new Date();
+    await occurrence.save();
+
+    await syncLinkedLiveSession(occurrence);
+
+    return res.status(200).json({
+      success: true,
+      message: "Occurrence rescheduled successfully",
+      data: toCalendarEntry(occurrence, getViewerTimezone(req, occurrence.timezone)),
+    });
+  } catch (error) {
+    console.error("Error rescheduling occurrence:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel a single occurrence
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const cancelOccurrence = async (req, res) => {
+  try {
+    const { occurrence_id } = req.params;
+    const { reason } = req.body;
+
+    const occurrence = await ClassOccurrence.findById(occurrence_id);
+    const batch = occurrence ? await Batch.findById(occurrence.batch_id) : null;
+    if (!occurrence || !canManageBatch(req.user, batch)) {
+      return res.status(404).json({
+        success: false,
+        message: "Occurrence not found or access denied",
+      });
+    }
+
+    occurrence.status = "cancelled";
+    occurrence.is_exception = true;
+    occurrence.reason = reason || "";
+    occurrence.changed_by = req.user.id;
+    occurrence.changed_at = new Date();
+    await occurrence.save();
+
+    await syncLinkedLiveSession(occurrence);
+
+    return res.status(200).json({
+      success: true,
+      message: "Occurrence cancelled successfully",
+      data: toCalendarEntry(occurrence, getViewerTimezone(req, occurrence.timezone)),
+    });
+  } catch (error) {
+    console.error("Error cancelling occurrence:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Undo a reschedule/cancel and put the occurrence back on the batch schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const restoreOccurrence = async (req, res) => {
+  try {
+    const { occurrence_id } = req.params;
+
+    const occurrence = await ClassOccurrence.findById(occurrence_id);
+    const batch = occurrence ? await Batch.findById(occurrence.batch_id) : null;
+    if (!occurrence || !canManageBatch(req.user, batch)) {
+      return res.status(404).json({
+        success: false,
+        message: "Occurrence not found or access denied",
+      });
+    }
+
+    if (occurrence.original_start_time) {
+      occurrence.start_time = occurrence.original_start_time;
+      occurrence.end_time = occurrence.original_end_time;
+    }
+    occurrence.original_start_time = null;
+    occurrence.original_end_time = null;
+    occurrence.status = "scheduled";
+    occurrence.is_exception = false;
+    occurrence.reason = "";
+    occurrence.changed_by = req.user.id;
+    occurrence.changed_at = new Date();
+    await occurrence.save();
+
+    // Let the schedule decide the final slot (and holiday status) of the day
+    await syncBatchOccurrences(batch);
+    const restored = await ClassOccurrence.findById(occurrence._id);
+    if (restored) await syncLinkedLiveSession(restored);
+
+    return res.status(200).json({
+      success: true,
+      message: "Occurrence restored successfully",
+      data: restored ? toCalendarEntry(restored, getViewerTimezone(req, restored.timezone)) : null,
+    });
+  } catch (error) {
+    console.error("Error restoring occurrence:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Link a live session of the same batch to an occurrence
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const linkOccurrenceLiveSession = async (req, res) => {
+  try {
+    const { occurrence_id } = req.params;
+    const { live_session_id } = req.body;
+
+    const occurrence = await ClassOccurrence.findById(occurrence_id);
+    const batch = occurrence ? await Batch.findById(occurrence.batch_id) : null;
+    if (!occurrence || !canManageBatch(req.user, batch)) {
+      return res.status(404).json({
+        success: false,
+        message: "Occurrence not found or access denied",
+      });
+    }
+
+    const liveSession = live_session_id ? await LiveSession.findById(live_session_id) : null;
+    if (!liveSession || liveSession.batch_id?.toString() !== batch._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: "Live session not found for this batch",
+      });
+    }
+
+    const linked = await linkLiveSessionToOccurrence(liveSession, occurrence._id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Live session linked successfully",
+      data: linked,
+    });
+  } catch (error) {
+    console.error("Error linking live session to occurrence:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the class calendar of the logged-in instructor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getInstructorCalendar = async (req, res) => {
+  try {
+    const instructor_id = req.user.id;
+    const tenant_id = req.user.tenant_id;
+
+    const viewerTimezone = getViewerTimezone(req, await getTenantTimezone(tenant_id));
+    const range = getCalendarRange(req.query, viewerTimezone);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid range. Use from/to as YYYY-MM-DD, at most ${MAX_RANGE_DAYS} days apart`,
+      });
+    }
+
+    const batches = await Batch.find({
+      tenant_id,
+      $or: [{ instructor_id }, { instructor_ids: instructor_id }],
+    }).select("_id");
+
+    const occurrences = await getCalendarOccurrences(
+      batches.map((batch) => batch._id),
+      range
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Instructor calendar retrieved successfully",
+      data: {
+        timezone: viewerTimezone,
+        from: formatInTimezone(range.start, viewerTimezone),
+        to: formatInTimezone(range.end, viewerTimezone),
+        occurrences: occurrences.map((occurrence) => toCalendarEntry(occurrence, viewerTimezone)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching instructor calendar:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the class calendar of the logged-in student
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getStudentCalendar = async (req, res) => {
+  try {
+    const student_id = req.user.id;
+
+    const viewerTimezone = getViewerTimezone(req, await getTenantTimezone(req.user.tenant_id));
+    const range = getCalendarRange(req.query, viewerTimezone);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid range. Use from/to as YYYY-MM-DD, at most ${MAX_RANGE_DAYS} days apart`,
+      });
+    }
+
+    const enrollments = await BatchStudent.find({ student_id, status: "active" }).select("batch_id");
+
+    const occurrences = await getCalendarOccurrences(
+      enrollments.map((enrollment) => enrollment.batch_id),
+      range
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Student calendar retrieved successfully",
+      data: {
+        timezone: viewerTimezone,
+        from: formatInTimezone(range.start, viewerTimezone),
+        to: formatInTimezone(range.end, viewerTimezone),
+        occurrences: occurrences.map((occurrence) => toCalendarEntry(occurrence, viewerTimezone)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching student calendar:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,475 @@
+import fs from "fs";
+import AssignmentSubmission from "../../models/AssignmentSubmission.js";
+import Login from "../../models/login.model.js";
+import User from "../../models/user.model.js";
+import {
+  applyLatePenalty,
+  checkCanSubmit,
+  checkSubmissionContent,
+  computeLatePenalty,
+  getAssignmentLesson,
+  getSubmissionDueDate,
+  removeUploadedFiles,
+  scoreSubmission,
+} from "../../services/assignmentService.js";
+import { getLessonAvailability } from "../../services/contentReleaseService.js";
+import { getCourseAccess, resolveReviewScope } from "../../services/courseAccessService.js";
+import { issueCertificateIfEligible } from "../../services/certificateService.js";
+import { completeAssignmentLesson, safelyUpdateProgress } from "../../services/lessonProgressService.js";
+
+const SUBMISSION_STATUSES = ["submitted", "graded", "resubmission_requested"];
+
+const isReviewer = (user) => ["tenant", "instructor"].includes(user.role);
+
+// Whether a tenant or instructor may review this student's work in the course; returns { status, error } or null
+const checkReviewAccess = async (user, course_id, student_id) => {
+  const scope = await resolveReviewScope(user, { course_id });
+  if (scope.error) return scope;
+  if (scope.studentLoginIds && !scope.studentLoginIds.some((id) => id.toString() === student_id.toString())) {
+    return { status: 403, error: "You do not teach this student" };
+  }
+  return null;
+};
+
+// The submission, if the user is its student or may review it; returns { submission, status, error }
+const loadSubmissionForUser = async (user, submission_id) => {
+  const submission = await AssignmentSubmission.findById(submission_id);
+  if (!submission) return { status: 404, error: "Submission not found" };
+
+  if (user.role === "student") {
+    if (submission.student_id.toString() !== user.id.toString()) return { status: 404, error: "Submission not found" };
+    return { submission };
+  }
+  if (!isReviewer(user)) return { status: 403, error: "Access denied" };
+
+  const denied = await checkReviewAccess(user, submission.course_id, submission.student_id);
+  return denied || { submission };
+};
+
+const getStudentProfiles = async (loginIds) => {
+  const logins = await Login.find({ _id: { $in: loginIds } }).select("email user_id");
+  const users = await User.find({ _id: { $in: logins.map((login) => login.user_id).filter(Boolean) } }).select("fname lname");
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  return new Map(
+    logins.map((login) => {
+      const user = login.user_id ? usersById.get(login.user_id.toString()) : null;
+      return [login._id.toString(), { _id: login._id, name: user ? `${user.fname} ${user.lname}` : login.email, email: login.email }];
+    })
+  );
+};
+
+/**
+ * Submit an assignment (files under "files" and/or text_content). Each submission is kept as history;
+ * a graded assignment can only be resubmitted after the instructor asks for it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const submitAssignment = async (req, res) => {
+  const files = req.files || [];
+  try {
+    const { lesson_id } = req.params;
+    const student_id = req.user.id;
+    const text = (req.body.text_content || "").trim();
+
+    const context = await getAssignmentLesson(lesson_id);
+    if (context.error) {
+      await removeUploadedFiles(files);
+      return res.status(context.status).json({ success: false, message: context.error });
+    }
+    const { lesson, course_id } = context;
+    const settings = lesson.assignment || {};
+
+    // Batch enrolment, a purchase or a subscription, as for the lesson content itself
+    if (!(await getCourseAccess(student_id, course_id)).allowed) {
+      await removeUploadedFiles(files);
+      return res.status(403).json({ success: false, message: "You are not enrolled in this course" });
+    }
+
+    const availability = await getLessonAvailability(req.user, lesson);
+    if (!availability.is_unlocked) {
+      await removeUploadedFiles(files);
+      return res.status(403).json({ success: false, message: availability.message, data: { availability } });
+    }
+
+    const previous = await AssignmentSubmission.findOne({ lesson_id, student_id, is_latest: true });
+    const now = new Date();
+    const refusal = checkCanSubmit(settings, previous, now) || checkSubmissionContent(settings, { text, files });
+    if (refusal) {
+      await removeUploadedFiles(files);
+      return res.status(400).json({ success: false, message: refusal });
+    }
+
+    const dueDate = getSubmissionDueDate(settings, previous);
+    const submission = await AssignmentSubmission.create({
+      lesson_id,
+      course_id,
+      student_id,
+      submission_number: previous ? previous.submission_number + 1 : 1,
+      text_content: text,
+      files: files.map((file) => ({
+        original_name: file.originalname,
+        file_path: file.path,
+        mime_type: file.mimetype,
+        size: file.size,
+      })),
+      submitted_at: now,
+      due_date: dueDate,
+      ...computeLatePenalty(settings, now, dueDate),
+      max_score: settings.max_score ?? 100,
+    });
+
+    if (previous) {
+      previous.is_latest = false;
+      await previous.save();
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: submission.is_late
+        ? `Submitted ${submission.days_late} day(s) late; a ${submission.late_penalty_percent}% penalty applies`
+        : "Assignment submitted successfully",
+      data: submission,
+    });
+  } catch (error) {
+    await removeUploadedFiles(files);
+    console.error("Error submitting assignment:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * The logged-in student's submission history for an assignment, newest first, with the assignment settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMySubmissions = async (req, res) => {
+  try {
+    const { lesson_id } = req.params;
+
+    const context = await getAssignmentLesson(lesson_id);
+    if (context.error) {
+      return res.status(context.status).json({ success: false, message: context.error });
+    }
+
+    const submissions = await AssignmentSubmission.find({ lesson_id, student_id: req.user.id }).sort({ submission_number: -1 });
+    const latest = submissions[0] || null;
+    const settings = context.lesson.assignment || {};
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        assignment: settings,
+        due_date: getSubmissionDueDate(settings, latest),
+        can_submit: !checkCanSubmit(settings, latest),
+        submissions,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching assignment submissions:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Latest submission of each student for an assignment (?batch_id=&status=), for instructors and tenants
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAssignmentSubmissions = async (req, res) => {
+  try {
+    const { lesson_id } = req.params;
+    const { batch_id, status } = req.query;
+
+    if (status && !SUBMISSION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${SUBMISSION_STATUSES.join(", ")}`,
+      });
+    }
+
+    const context = await getAssignmentLesson(lesson_id);
+    if (context.error) {
+      return res.status(context.status).json({ success: false, message: context.error });
+    }
+
+    const scope = await resolveReviewScope(req.user, { course_id: context.course_id, batch_id });
+    if (scope.error) {
+      return res.status(scope.status).json({ success: false, message: scope.error });
+    }
+
+    const filter = { lesson_id, is_latest: true };
+    if (scope.studentLoginIds) filter.student_id = { $in: scope.studentLoginIds };
+    if (status) filter.status = status;
+
+    const submissions = await AssignmentSubmission.find(filter).sort({ submitted_at: 1 }).select("-comments");
+    const profiles = await getStudentProfiles(submissions.map((submission) => submission.student_id));
+
+    return res.status(200).json({
+      success: true,
+      data: submissions.map((submission) => ({
+        ...submission.toObject(),
+        student: profiles.get(submission.student_id.toString()) || { _id: submission.student_id },
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching assignment submissions:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Full submission history of one student (Login id) for an assignment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getStudentSubmissionHistory = async (req, res) => {
+  try {
+    const { lesson_id, student_id } = req.params;
+
+    const context = await getAssignmentLesson(lesson_id);
+    if (context.error) {
+      return res.status(context.status).json({ success: false, message: context.error });
+    }
+
+    const denied = await checkReviewAccess(req.user, context.course_id, student_id);
+    if (denied) {
+      return res.status(denied.status).json({ success: false, message: denied.error });
+    }
+
+    const submissions = await AssignmentSubmission.find({ lesson_id, student_id }).sort({ submission_number: -1 });
+    const profiles = await getStudentProfiles([student_id]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        student: profiles.get(student_id.toString()) || { _id: student_id },
+        submissions,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching submission history:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get one submission, for its student or a reviewer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSubmissionById = async (req, res) => {
+  try {
+    const { submission, status, error } = await loadSubmissionForUser(req.user, req.params.submission_id);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: submission,
+    });
+  } catch (error) {
+    console.error("Error fetching submission:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download a file of a submission, for its student or a reviewer. Files are private and only served here.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const downloadSubmissionFile = async (req, res) => {
+  try {
+    const { submission, status, error } = await loadSubmissionForUser(req.user, req.params.submission_id);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    const index = /^\d+$/.test(req.params.index) ? Number(req.params.index) : -1;
+    const file = submission.files[index];
+    if (!file || !fs.existsSync(file.file_path)) {
+      return res.status(404).json({ success: false, message: "File not found" });
+    }
+
+    return res.download(file.file_path, file.original_name);
+  } catch (error) {
+    console.error("Error downloading submission file:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Grade the latest submission with the lesson rubric (rubric_scores: [{ criterion_id, points, comment }])
+ * or a single score when the assignment has no rubric; the late penalty is applied to the final score
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const gradeSubmission = async (req, res) => {
+  try {
+    const { submission, status, error } = await loadSubmissionForUser(req.user, req.params.submission_id);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+    if (!submission.is_latest) {
+      return res.status(400).json({
+        success: false,
+        message: "Only the latest submission can be graded",
+      });
+    }
+
+    const context = await getAssignmentLesson(submission.lesson_id);
+    if (context.error) {
+      return res.status(context.status).json({ success: false, message: context.error });
+    }
+    const settings = { ...(context.lesson.assignment?.toObject() || {}), max_score: submission.max_score };
+
+    const scored = scoreSubmission(settings, req.body);
+    if (scored.error) {
+      return res.status(400).json({ success: false, message: scored.error });
+    }
+
+    submission.rubric_scores = scored.rubric_scores;
+    submission.raw_score = scored.raw_score;
+    submission.final_score = applyLatePenalty(scored.raw_score, submission.late_penalty_percent);
+    if (scored.rubric_scores.length > 0) {
+      submission.max_score = scored.rubric_scores.reduce((sum, item) => sum + item.max_points, 0);
+    }
+    if (req.body.feedback !== undefined) submission.feedback = String(req.body.feedback);
+    submission.status = "graded";
+    submission.graded_by = req.user.id;
+    submission.graded_at = new Date();
+    await submission.save();
+
+    await safelyUpdateProgress("assignment grading", () => completeAssignmentLesson(submission));
+    await issueCertificateIfEligible(submission.student_id, submission.course_id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Submission graded successfully",
+      data: submission,
+    });
+  } catch (error) {
+    console.error("Error grading submission:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Ask the student to resubmit, with a note and optionally a new due_date for the resubmission
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const requestResubmission = async (req, res) => {
+  try {
+    const { note = "", due_date } = req.body;
+
+    const { submission, status, error } = await loadSubmissionForUser(req.user, req.params.submission_id);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+    if (!submission.is_latest) {
+      return res.status(400).json({
+        success: false,
+        message: "A resubmission can only be requested on the latest submission",
+      });
+    }
+
+    const dueDate = due_date ? new Date(due_date) : null;
+    if (dueDate && (Number.isNaN(dueDate.getTime()) || dueDate <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: "due_date must be a valid date in the future",
+      });
+    }
+
+    submission.status = "resubmission_requested";
+    submission.resubmission = {
+      requested_by: req.user.id,
+      requested_at: new Date(),
+      note: String(note),
+      due_date: dueDate,
+    };
+    await submission.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Resubmission requested",
+      data: submission,
+    });
+  } catch (error) {
+    console.error("Error requesting resubmission:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add a comment to a submission, from its student or a reviewer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const addSubmissionComment = async (req, res) => {
+  try {
+    const message = (req.body.message || "").trim();
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        message: "message is required",
+      });
+    }
+
+    const { submission, status, error } = await loadSubmissionForUser(req.user, req.params.submission_id);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    submission.comments.push({ author_id: req.user.id, author_role: req.user.role, message });
+    await submission.save();
+
+    return res.status(201).json({
+      success: true,
+      message: "Comment added",
+      data: submission.comments[submission.comments.length - 1],
+    });
+  } catch (error) {
+    console.error("Error adding submission comment:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,108 @@
+import { getCatalogCourse, getCatalogTenant, getPreviewLesson, listCatalogCourses } from "../../services/catalogService.js";
+
+// Resolve the tenant of the catalogue from the subdomain in the URL
+const resolveTenant = async (req, res) => {
+  const tenant = await getCatalogTenant(req.params.subdomain);
+  if (!tenant) {
+    res.status(404).json({
+      success: false,
+      message: "Catalogue not found",
+    });
+  }
+  return tenant;
+};
+
+/**
+ * Public list of a tenant's active courses.
+ * Query: search, category, subcategory, level, language, featured, page, limit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCatalogCourses = async (req, res) => {
+  try {
+    const tenant = await resolveTenant(req, res);
+    if (!tenant) return;
+
+    const { courses, pagination } = await listCatalogCourses(tenant, req.query);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        tenant: { name: tenant.name, subdomain: tenant.subdomain },
+        courses,
+        pagination,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching catalogue:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Public course page: details, modules and lesson titles, with the preview lessons marked
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCatalogCourseDetails = async (req, res) => {
+  try {
+    const tenant = await resolveTenant(req, res);
+    if (!tenant) return;
+
+    const course = await getCatalogCourse(tenant, req.params.course_id);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: course,
+    });
+  } catch (error) {
+    console.error("Error fetching catalogue course:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Content of a preview lesson, playable without logging in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCatalogPreviewLesson = async (req, res) => {
+  try {
+    const tenant = await resolveTenant(req, res);
+    if (!tenant) return;
+
+    const { lesson, status, error } = await getPreviewLesson(tenant, req.params.lesson_id);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: lesson,
+    });
+  } catch (error) {
+    console.error("Error fetching preview lesson:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
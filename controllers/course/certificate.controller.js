@@ -0,0 +1,489 @@
+import mongoose from "mongoose";
+import Certificate from "../../models/Certificate.js";
+import CertificateTemplate from "../../models/CertificateTemplate.js";
+import Course from "../../models/Course.js";
+import { resolveReviewScope } from "../../services/courseAccessService.js";
+import {
+  TEMPLATE_PLACEHOLDERS,
+  ensureCertificateFile,
+  evaluateCertificateEligibility,
+  getCertificateTemplate,
+  issueCertificate,
+  issueDueCertificates,
+  removeCertificateFile,
+  verifyCertificate,
+} from "../../services/certificateService.js";
+
+const TEMPLATE_FIELDS = [
+  "title",
+  "body_text",
+  "footer_text",
+  "signatory_name",
+  "signatory_title",
+  "primary_color",
+  "text_color",
+  "orientation",
+  "min_progress_percentage",
+  "require_all_quizzes_passed",
+  "min_attendance_percentage",
+];
+
+const pickTemplateFields = (body) => {
+  const data = {};
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Fields shown to the student for their eligibility, without the template internals
+const describeEligibility = (eligibility) => ({
+  eligible: eligibility.eligible,
+  reason: eligibility.reason,
+  criteria: eligibility.criteria,
+  progress_percentage: eligibility.progress_percentage,
+  quizzes: eligibility.quizzes,
+  attendance: eligibility.attendance,
+  batch_id: eligibility.batch?._id || null,
+});
+
+/**
+ * Public check of a certificate by its serial; no login needed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const verifyCertificateBySerial = async (req, res) => {
+  try {
+    const result = await verifyCertificate(req.params.serial);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "No certificate with this serial exists",
+        data: { valid: false },
+      });
+    }
+
+    const messages = {
+      issued: "Certificate is valid",
+      revoked: "Certificate has been revoked",
+      tampered: "Certificate record failed verification",
+    };
+
+    return res.status(200).json({
+      success: true,
+      message: messages[result.status],
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error verifying certificate:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Certificates issued to the logged-in student
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMyCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ student_id: req.user.id })
+      .select("-verification_hash -file_path")
+      .sort({ issued_at: -1 });
+
+    return res.status(200).json({
+      success: true,
+      data: certificates,
+    });
+  } catch (error) {
+    console.error("Error fetching certificates:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * How far the logged-in student is from a course's certificate, criterion by criterion
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMyCertificateEligibility = async (req, res) => {
+  try {
+    const course = mongoose.Types.ObjectId.isValid(req.params.course_id) && (await Course.findById(req.params.course_id));
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    const certificate = await Certificate.findOne({ course_id: course._id, student_id: req.user.id, status: "issued" })
+      .select("-verification_hash -file_path");
+    const eligibility = await evaluateCertificateEligibility(req.user.id, course);
+
+    return res.status(200).json({
+      success: true,
+      data: { certificate, ...describeEligibility(eligibility) },
+    });
+  } catch (error) {
+    console.error("Error checking certificate eligibility:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Issue the logged-in student's certificate for a course if they meet its completion criteria
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const claimCertificate = async (req, res) => {
+  try {
+    const course = mongoose.Types.ObjectId.isValid(req.params.course_id) && (await Course.findById(req.params.course_id));
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    const { certificate, created, eligibility, error } = await issueCertificate(req.user.id, course);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+        data: eligibility ? describeEligibility(eligibility) : null,
+      });
+    }
+
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? "Certificate issued successfully" : "Certificate already issued",
+      data: certificate,
+    });
+  } catch (error) {
+    console.error("Error issuing certificate:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Certificates issued for a course; instructors only see the students of the batches they teach
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCourseCertificates = async (req, res) => {
+  try {
+    const scope = await resolveReviewScope(req.user, { course_id: req.params.course_id });
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.error,
+      });
+    }
+
+    const filter = { course_id: scope.course_id };
+    if (scope.studentLoginIds) filter.student_id = { $in: scope.studentLoginIds };
+    if (req.query.status) filter.status = req.query.status;
+
+    const certificates = await Certificate.find(filter).select("-file_path").sort({ issued_at: -1 });
+
+    return res.status(200).json({
+      success: true,
+      data: certificates,
+    });
+  } catch (error) {
+    console.error("Error fetching course certificates:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Issue certificates to every student of a course who meets the criteria but has none yet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const issueCourseCertificates = async (req, res) => {
+  try {
+    const course = await Course.findOne({ _id: req.params.course_id, tenant_id: req.user.tenant_id }).select("certificate_available");
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+    if (!course.certificate_available) {
+      return res.status(400).json({
+        success: false,
+        message: "This course does not offer a certificate",
+      });
+    }
+
+    const totals = await issueDueCertificates({ courseId: course._id });
+
+    return res.status(200).json({
+      success: true,
+      message: `${totals.issued} certificate(s) issued`,
+      data: totals,
+    });
+  } catch (error) {
+    console.error("Error issuing course certificates:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download a certificate PDF: its student, or tenant staff who may review the course
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const downloadCertificate = async (req, res) => {
+  try {
+    const certificate = mongoose.Types.ObjectId.isValid(req.params.certificate_id)
+      && (await Certificate.findById(req.params.certificate_id));
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: "Certificate not found",
+      });
+    }
+
+    if (req.user.role === "student") {
+      if (certificate.student_id.toString() !== req.user.id.toString()) {
+        return res.status(404).json({
+          success: false,
+          message: "Certificate not found",
+        });
+      }
+    } else {
+      const scope = await resolveReviewScope(req.user, { course_id: certificate.course_id });
+      const inScope = !scope.error
+        && (!scope.studentLoginIds || scope.studentLoginIds.some((id) => id.toString() === certificate.student_id.toString()));
+      if (!inScope) {
+        return res.status(404).json({
+          success: false,
+          message: "Certificate not found",
+        });
+      }
+    }
+
+    if (certificate.status === "revoked") {
+      return res.status(410).json({
+        success: false,
+        message: "This certificate has been revoked",
+      });
+    }
+
+    const filePath = await ensureCertificateFile(certificate);
+    return res.download(filePath, `${certificate.serial}.pdf`);
+  } catch (error) {
+    console.error("Error downloading certificate:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Revoke a certificate of the tenant; verification reports it as revoked from then on. Body: reason
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revokeCertificate = async (req, res) => {
+  try {
+    const certificate = mongoose.Types.ObjectId.isValid(req.params.certificate_id)
+      && (await Certificate.findOne({ _id: req.params.certificate_id, tenant_id: req.user.tenant_id }));
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: "Certificate not found",
+      });
+    }
+    if (certificate.status === "revoked") {
+      return res.status(400).json({
+        success: false,
+        message: "Certificate is already revoked",
+      });
+    }
+
+    certificate.status = "revoked";
+    certificate.revoked_at = new Date();
+    certificate.revoked_by = req.user.id;
+    certificate.revoke_reason = req.body.reason ? String(req.body.reason) : "";
+    // The PDF must not outlive the certificate
+    await removeCertificateFile(certificate);
+    await certificate.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Certificate revoked successfully",
+      data: certificate,
+    });
+  } catch (error) {
+    console.error("Error revoking certificate:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Certificate templates of the tenant: the tenant default and any course templates
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCertificateTemplates = async (req, res) => {
+  try {
+    const templates = await CertificateTemplate.find({ tenant_id: req.user.tenant_id })
+      .populate("course_id", "course_title")
+      .sort({ course_id: 1, created_at: -1 });
+
+    return res.status(200).json({
+      success: true,
+      data: { templates, placeholders: TEMPLATE_PLACEHOLDERS },
+    });
+  } catch (error) {
+    console.error("Error fetching certificate templates:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * The template that applies to a course (?course_id=) or the tenant default
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getEffectiveCertificateTemplate = async (req, res) => {
+  try {
+    const template = await getCertificateTemplate(req.user.tenant_id, req.query.course_id || null);
+
+    return res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    console.error("Error fetching effective certificate template:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create or replace the tenant default template, or a course template when course_id is given.
+ * Multipart: the template fields and an optional "logo" image.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const upsertCertificateTemplate = async (req, res) => {
+  try {
+    const tenant_id = req.user.tenant_id;
+    const course_id = req.body.course_id || null;
+
+    if (course_id) {
+      const course = mongoose.Types.ObjectId.isValid(course_id) && (await Course.findOne({ _id: course_id, tenant_id }));
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          message: "Course not found",
+        });
+      }
+    }
+
+    const data = pickTemplateFields(req.body);
+    if (req.file) data.logo_path = req.file.path;
+    else if (req.body.remove_logo === "true" || req.body.remove_logo === true) data.logo_path = "";
+
+    const template = await CertificateTemplate.findOneAndUpdate(
+      { tenant_id, course_id },
+      {
+        ...data,
+        tenant_id,
+        course_id,
+        created_by: req.user.id,
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Certificate template saved successfully",
+      data: template,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error("Error saving certificate template:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a template; its courses fall back to the tenant default, and the tenant to the system default
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteCertificateTemplate = async (req, res) => {
+  try {
+    const template = mongoose.Types.ObjectId.isValid(req.params.template_id)
+      && (await CertificateTemplate.findOneAndDelete({ _id: req.params.template_id, tenant_id: req.user.tenant_id }));
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Certificate template not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Certificate template deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting certificate template:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
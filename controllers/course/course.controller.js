@@ -11,6 +11,7 @@ import path from "path";
 import fs from "fs";
 import Module from "../../models/Module.js";
 import Lesson from "../../models/Lesson.model.js";
+import { trashCourse } from "../../services/trashService.js";
 
 // Create a new course
 export const createCourse = async (req, res) => {
@@ -122,7 +123,7 @@ export const createCourse = async (req, res) => {
 // Get single course by ID
 export const getCourseById = async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id)
+    const course = await Course.findOne({ _id: req.params.id, is_deleted: { $ne: true } })
       .populate("instructors", "fname lname email _id")
       .populate("category", "category")
       .populate("subcategory", "subcategory_name")
@@ -160,16 +161,27 @@ export const getCourseById = async (req, res) => {
 export const updateCourse = async (req, res) => {
   try {
     // Find and update course
-    const course = await Course.findById(req.params.id);
+    const course = await Course.findOne({ _id: req.params.id, is_deleted: { $ne: true } });
     if (!course) {
       return res.status(404).json({
         success: false,
         message: "Course not found",
       });
     }
-    // Prepare update data
+    // Prepare update data; trash state and the version chain batches are pinned to are managed by their own endpoints
+    const {
+      is_deleted,
+      deleted_at,
+      deleted_by,
+      trashed_with,
+      version,
+      version_of,
+      is_latest_version,
+      cloned_from,
+      ...body
+    } = req.body;
     const updateData = {
-      ...req.body,
+      ...body,
       updatedBy: req.user._id,
       updatedAt: Date.now(),
     };
@@ -199,10 +211,14 @@ export const updateCourse = async (req, res) => {
   }
 };
 
-// Delete course
+/**
+ * Move a course with its modules and lessons to the trash; refused while it has active batches
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
 export const deleteCourse = async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id);
+    const course = await Course.findOne({ _id: req.params.id, tenant_id: req.user.tenant_id, is_deleted: { $ne: true } });
 
     if (!course) {
       return res.status(404).json({
@@ -211,22 +227,18 @@ export const deleteCourse = async (req, res) => {
       });
     }
 
-    // Check if course has enrolled students
-    if (
-      Array.isArray(course.enrolledStudents) &&
-      course.enrolledStudents.length > 0
-    ) {
-      return res.status(400).json({
+    const { modules, lessons, error } = await trashCourse(course, req.user.id);
+    if (error) {
+      return res.status(409).json({
         success: false,
-        message: "Cannot delete course with enrolled students",
+        message: error,
       });
     }
 
-    await Course.deleteOne({ _id: course._id });
-
     res.status(200).json({
       success: true,
-      message: "Course deleted successfully",
+      message: "Course moved to trash",
+      data: { course_id: course._id, modules, lessons },
     });
   } catch (error) {
     return res.status(500).json({
@@ -669,11 +681,15 @@ export const getAllCourses = async (req, res) => {
       { $set: { is_active: false } }
     );
 
+    // Superseded versions are listed only on request (?include_versions=true); trashed courses are in the trash
+    const filter = { tenant_id, is_deleted: { $ne: true } };
+    if (req.query.include_versions !== "true") filter.is_latest_version = { $ne: false };
+
     // Get total count for pagination
-    const totalCourses = await Course.countDocuments({ tenant_id });
+    const totalCourses = await Course.countDocuments(filter);
     const totalPages = Math.ceil(totalCourses / limitNum);
 
-    const courses = await Course.find({ tenant_id })
+    const courses = await Course.find(filter)
       .limit(limitNum)
       .skip(skip)
       .populate("category")
@@ -728,7 +744,7 @@ export const searchCourses = async (req, res) => {
     const { tenant_id } = req.user;
     let courses = [];
     if (searchValue === "") {
-      courses = await Course.find({ tenant_id })
+      courses = await Course.find({ tenant_id, is_deleted: { $ne: true } })
         .populate("category", "category")
         .populate("subcategory", "subcategory_name")
         .populate("language", "language")
@@ -743,6 +759,7 @@ export const searchCourses = async (req, res) => {
     if (searchValue) {
       courses = await Course.find({
         tenant_id,
+        is_deleted: { $ne: true },
         $or: [
           { course_title: { $regex: searchValue, $options: "i" } },
           { description: { $regex: searchValue, $options: "i" } },
@@ -792,10 +809,12 @@ export const searchCourses = async (req, res) => {
 export const getCourseNamesWithId = async (req, res) => {
   const { tenant_id } = req.user;
   try {
-    const courses = await Course.find({ tenant_id });
+    // New batches go on the latest version of a course
+    const courses = await Course.find({ tenant_id, is_latest_version: { $ne: false }, is_deleted: { $ne: true } });
     const courseNames = courses.map((course) => ({
       id: course._id,
       course_title: course.course_title,
+      version: course.version,
     }));
     return res.status(200).json({
       success: true,
@@ -813,7 +832,7 @@ export const getCourseNamesWithId = async (req, res) => {
 
 export const getCourseCount = async (req, res) => {
   try {
-    const courses = await Course.find({});
+    const courses = await Course.find({ is_deleted: { $ne: true } });
     return res.status(200).json({
       success: true,
       data: courses.length,
@@ -831,7 +850,7 @@ export const getCoursesByCategory = async (req, res) => {
   try {
     const { categoryId } = req.params;
     const { tenant_id } = req.user;
-    const courses = await Course.find({ category: categoryId, tenant_id })
+    const courses = await Course.find({ category: categoryId, tenant_id, is_deleted: { $ne: true } })
       .populate("category")
       .populate("subcategory", "subcategory_name")
       .populate("language")
@@ -858,7 +877,7 @@ export const getCoursesByLevel = async (req, res) => {
     console.log("getCoursesByLevel called with levelId:", levelId);
     console.log("tenant_id:", tenant_id);
 
-    const courses = await Course.find({ level: levelId, tenant_id })
+    const courses = await Course.find({ level: levelId, tenant_id, is_deleted: { $ne: true } })
       .populate("category")
       .populate("subcategory", "subcategory_name")
       .populate("language")
@@ -898,6 +917,7 @@ export const getCoursesByCategoryAndLevel = async (req, res) => {
       category: categoryId,
       level: levelId,
       tenant_id,
+      is_deleted: { $ne: true },
     })
       .populate("category")
       .populate("subcategory", "subcategory_name")
@@ -991,12 +1011,12 @@ export async function getCourseDataById(req, res) {
     }
 
     // 2. Fetch modules for the course
-    const modules = await Module.find({ course_id: id });
+    const modules = await Module.find({ course_id: id, is_deleted: { $ne: true } });
 
     // 3. For each module, fetch lessons and populate lesson_type_id
     const modulesWithLessons = await Promise.all(
       modules.map(async (module) => {
-        const lessons = await Lesson.find({ module_id: module._id }).populate(
+        const lessons = await Lesson.find({ module_id: module._id, is_deleted: { $ne: true } }).populate(
           "lesson_type_id"
         );
         return {
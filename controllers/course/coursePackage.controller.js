@@ -0,0 +1,94 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import Course from "../../models/Course.js";
+import { exportCoursePackage, importCoursePackage } from "../../services/coursePackageService.js";
+
+const SUPER_ADMIN_ROLES = ["superadmin", "super_admin"];
+
+const isSuperAdmin = (user) => SUPER_ADMIN_ROLES.includes(user.role?.toLowerCase());
+
+// File name for a download: the course title with anything unsafe dropped
+const toFileName = (title) => (title || "course").replace(/[^\w\- ]+/g, "").trim().replace(/\s+/g, "-") || "course";
+
+/**
+ * Download a course as a zip package: manifest.json with its content and the uploaded files it uses
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const exportCourse = async (req, res) => {
+  try {
+    const filter = { _id: req.params.id };
+    if (!isSuperAdmin(req.user)) filter.tenant_id = req.user.tenant_id;
+    const course = mongoose.Types.ObjectId.isValid(req.params.id) && (await Course.findOne(filter));
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    const { zip } = await exportCoursePackage(course);
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${toFileName(course.course_title)}.zip"`);
+    zip
+      .generateNodeStream({ type: "nodebuffer", streamFiles: true })
+      .on("error", (error) => {
+        console.error("Error streaming course package:", error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error("Error exporting course:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a course in the tenant from an exported package (multipart "package", a .zip).
+ * Body: course_title (default the package's title, or "<title> (Copy)" when it is taken)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const importCourse = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "A course package (.zip) is required",
+      });
+    }
+
+    const { course, counts, error } = await importCoursePackage(req.file.path, {
+      tenantId: req.user.tenant_id,
+      courseTitle: req.body.course_title?.trim() || null,
+      createdBy: req.user.id,
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: "Course imported successfully",
+      data: { course, imported: counts },
+    });
+  } catch (error) {
+    console.error("Error importing course:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  } finally {
+    // The uploaded zip is only needed until it is unpacked
+    if (req.file) fs.unlink(req.file.path, () => {});
+  }
+};
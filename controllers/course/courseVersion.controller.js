@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+import Course from "../../models/Course.js";
+import Tenant from "../../models/tenant.model.js";
+import { cloneCourse, createCourseVersion, getCopyTitle, listCourseVersions } from "../../services/courseCloneService.js";
+
+const SUPER_ADMIN_ROLES = ["superadmin", "super_admin"];
+
+const isSuperAdmin = (user) => SUPER_ADMIN_ROLES.includes(user.role?.toLowerCase());
+
+// The course behind :id if the user may manage it: tenants their own courses, super-admins any course
+const findManagedCourse = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  const filter = { _id: req.params.id };
+  if (!isSuperAdmin(req.user)) filter.tenant_id = req.user.tenant_id;
+  return Course.findOne(filter);
+};
+
+/**
+ * Deep-copy a course with its modules, lessons and their files, quizzes, questions and options.
+ * Body: course_title (default "<title> (Copy)"), target_tenant_id (super-admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const cloneCourseById = async (req, res) => {
+  try {
+    const source = await findManagedCourse(req);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    let tenantId = source.tenant_id;
+    const { target_tenant_id } = req.body;
+    if (target_tenant_id && target_tenant_id.toString() !== source.tenant_id.toString()) {
+      if (!isSuperAdmin(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: "Only a super-admin can copy a course into another tenant",
+        });
+      }
+      const tenant = mongoose.Types.ObjectId.isValid(target_tenant_id) && (await Tenant.findById(target_tenant_id).select("_id"));
+      if (!tenant) {
+        return res.status(404).json({
+          success: false,
+          message: "Target tenant not found",
+        });
+      }
+      tenantId = tenant._id;
+    }
+
+    const courseTitle = req.body.course_title?.trim();
+    if (courseTitle && (await Course.exists({ tenant_id: tenantId, course_title: courseTitle }))) {
+      return res.status(409).json({
+        success: false,
+        message: "Course title already exists. Please use a different title for this tenant.",
+      });
+    }
+
+    const { course, counts } = await cloneCourse(source, {
+      tenantId,
+      courseTitle: courseTitle || (await getCopyTitle(tenantId, source.course_title)),
+      createdBy: req.user.id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Course copied successfully",
+      data: { course, copied: counts },
+    });
+  } catch (error) {
+    console.error("Error cloning course:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Every version of a course and how many batches run on each
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCourseVersions = async (req, res) => {
+  try {
+    const course = await findManagedCourse(req);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    const versions = await listCourseVersions(course);
+
+    return res.status(200).json({
+      success: true,
+      data: versions,
+    });
+  } catch (error) {
+    console.error("Error fetching course versions:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Start a new version of a course from this version's content, to edit for the next run.
+ * Running batches stay on their version; new batches use the latest. Body: version_notes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createVersion = async (req, res) => {
+  try {
+    const course = await findManagedCourse(req);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    const { course: version, counts } = await createCourseVersion(course, {
+      notes: req.body.version_notes ? String(req.body.version_notes) : "",
+      createdBy: req.user.id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Version ${version.version} created successfully`,
+      data: { course: version, copied: counts },
+    });
+  } catch (error) {
+    console.error("Error creating course version:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
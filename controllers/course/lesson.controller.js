@@ -1,6 +1,25 @@
+import mongoose from "mongoose";
+import Course from "../../models/Course.js";
 import Lesson_Type from "../../models/Lesson_Type.model.js";
 import Lesson from "../../models/Lesson.model.js";
+import Module from "../../models/Module.js";
 import { uploadToYouTube } from "../../services/youtube.service.js";
+import { parseAssignmentSettings } from "../../services/assignmentService.js";
+import {
+  getCourseAvailability,
+  getLessonAvailability,
+  hideLockedContent,
+  parseReleaseRule,
+} from "../../services/contentReleaseService.js";
+import {
+  getCompletionRule,
+  parseCompletionSettings,
+  refreshModuleCourseProgress,
+  safelyUpdateProgress,
+} from "../../services/lessonProgressService.js";
+import { getScormLaunchUrl } from "../../services/scormService.js";
+import { trashLesson } from "../../services/trashService.js";
+import { claimUpload, findAttachableUpload, releaseUpload } from "../../services/uploadService.js";
 import path from "path";
 import moment from "moment";
 
@@ -10,6 +29,7 @@ export const createLesson = async (req, res) => {
   console.log("req.file:", req.file);
 
   const { module_id } = req.params;
+  let claimedUpload = null;
 
   try {
     let {
@@ -24,6 +44,7 @@ export const createLesson = async (req, res) => {
       display_order,
       lesson_description,
       upload_to_youtube,
+      upload_id,
     } = req.body;
     console.log(lesson_type, "lesson_type");
     console.log("&&&&&&&&&&&&&&&&&&&&&&&&&&&&&&&&&&&&&");
@@ -49,6 +70,12 @@ export const createLesson = async (req, res) => {
     }
 
     const allowedTypes = ["video", "pdf", "quiz", "live", "assignment", "text", "link", "ppt"];
+    if (lessonType.lesson_type === "scorm") {
+      return res.status(400).json({
+        success: false,
+        message: "SCORM lessons are created by importing a package at /api/scorm/modules/:module_id/lessons",
+      });
+    }
     if (!allowedTypes.includes(lessonType.lesson_type)) {
       return res.status(400).json({
         success: false,
@@ -56,7 +83,28 @@ export const createLesson = async (req, res) => {
       });
     }
 
+    // A file finished through /api/upload-sessions stands in for the multipart file
+    let chunkedUpload = null;
+    if (!req.file && upload_id) {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: "Log in to create a lesson from an upload_id",
+        });
+      }
+      const found = await findAttachableUpload(req.user.tenant_id, upload_id, "lesson");
+      if (found.error) {
+        return res.status(found.status).json({
+          success: false,
+          message: found.error,
+        });
+      }
+      chunkedUpload = found.upload;
+      req.file = found.file;
+    }
+
     // Type-based conditional validations
+    let assignment = null;
     switch (lessonType.lesson_type) {
       case "video":
         if (!video_url && !req.file) {
@@ -111,6 +159,40 @@ export const createLesson = async (req, res) => {
           });
         }
         break;
+
+      case "assignment": {
+        // Due date, submission mode, rubric and late policy come with the lesson
+        const { settings, error } = parseAssignmentSettings(req.body);
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error,
+          });
+        }
+        assignment = settings;
+        break;
+      }
+    }
+
+    // How students complete the lesson (defaults to the lesson type's rule)
+    const completion = parseCompletionSettings(req.body, lessonType.lesson_type);
+    if (completion.error) {
+      return res.status(400).json({
+        success: false,
+        message: completion.error,
+      });
+    }
+
+    // Drip release: N days after joining, a fixed date or after a prerequisite
+    const parentModule = await Module.findById(module_id).select("course_id");
+    const { release, error: releaseError } = parentModule
+      ? await parseReleaseRule(req.body, { courseId: parentModule.course_id })
+      : { release: undefined, error: null };
+    if (releaseError) {
+      return res.status(400).json({
+        success: false,
+        message: releaseError,
+      });
     }
 
     // set  display order to the last lesson display order + 1
@@ -123,8 +205,21 @@ export const createLesson = async (req, res) => {
       ? maxOrderLesson.display_order + 1
       : 1;
 
+    // Claim the upload last so a rejected request leaves it free for another try
+    const lessonId = new mongoose.Types.ObjectId();
+    if (chunkedUpload) {
+      if (!(await claimUpload(chunkedUpload, { kind: "lesson", id: lessonId }))) {
+        return res.status(409).json({
+          success: false,
+          message: "The upload is already in use",
+        });
+      }
+      claimedUpload = chunkedUpload;
+    }
+
     // Build the lesson payload
     const lessonPayload = {
+      _id: lessonId,
       module_id,
       lesson_title,
       lesson_type_id: lessonType._id,
@@ -137,6 +232,9 @@ export const createLesson = async (req, res) => {
       is_downloadable,
       is_preview,
       display_order: nextDisplayOrder,
+      assignment,
+      ...completion.settings,
+      ...(release !== undefined && { release }),
     };
 
     // Handle YouTube upload for video lessons
@@ -160,12 +258,16 @@ export const createLesson = async (req, res) => {
     const newLesson = await Lesson.create(lessonPayload);
     console.log("Lesson created:", newLesson);
 
+    // A new lesson lowers everyone's share of the course completed
+    await safelyUpdateProgress("lesson creation", () => refreshModuleCourseProgress(module_id));
+
     return res.status(201).json({
       success: true,
       message: "Lesson successfully created",
       data: newLesson,
     });
   } catch (error) {
+    if (claimedUpload) await releaseUpload(claimedUpload);
     console.error("Lesson creation failed:", error);
 
     return res.status(500).json({
@@ -181,7 +283,7 @@ export const getLessons = async (req, res) => {
   try {
     const { module_id } = req.params;
     console.log("module_id", module_id);
-    const filter = {};
+    const filter = { is_deleted: { $ne: true } };
     if (module_id) {
       filter.module_id = module_id;
     }
@@ -211,6 +313,7 @@ export const getLessons = async (req, res) => {
     const unorderedLessons = await Lesson.find({
       display_order: 0,
       module_id: module_id,
+      is_deleted: { $ne: true },
     });
 
     // 2. Update each lesson with a sequential display_order
@@ -221,6 +324,30 @@ export const getLessons = async (req, res) => {
     // organize lessons into single keyvalue pairs
 
     console.log(lessons, "lessons==========================================");
+
+    // Students and visitors see every lesson with when (or how) it unlocks, but not the content of locked ones
+    const module = lessons.length > 0 ? await Module.findById(module_id).select("course_id") : null;
+    const availability = module ? await getCourseAvailability(req.user, module.course_id) : null;
+    if (lessons.length > 0 && !availability?.staff) {
+      const data = lessons.map((lesson) => {
+        const lessonAvailability = availability?.lessons.get(lesson._id.toString()) || {
+          is_unlocked: false,
+          unlock_at: null,
+          reason: "locked",
+          message: "This lesson is not available",
+          prerequisite: null,
+        };
+        return {
+          ...(lessonAvailability.is_unlocked ? lesson.toJSON() : hideLockedContent(lesson)),
+          availability: lessonAvailability,
+        };
+      });
+      return res.status(200).json({
+        success: true,
+        data,
+      });
+    }
+
     // Return empty array instead of 404 when no lessons found
     return res.status(200).json({
       success: true,
@@ -286,7 +413,11 @@ export const editLesson = async (req, res) => {
     } = req.body;
 
     // First check if lesson exists
-    const existingLesson = await Lesson.findById(id);
+    const existingLesson = await Lesson.findOne({ _id: id, is_deleted: { $ne: true } }).populate({
+      path: "lesson_type_id",
+      model: "Lesson_Type",
+      select: "lesson_type",
+    });
     if (!existingLesson) {
       return res.status(404).json({
         success: false,
@@ -294,6 +425,38 @@ export const editLesson = async (req, res) => {
       });
     }
 
+    // Assignment settings sent with the edit are merged over the current ones
+    let assignment;
+    if (existingLesson.lesson_type_id?.lesson_type === "assignment") {
+      const { settings, error } = parseAssignmentSettings(req.body, existingLesson.assignment?.toObject() || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      assignment = settings;
+    }
+
+    const completion = parseCompletionSettings(req.body, existingLesson.lesson_type_id?.lesson_type);
+    if (completion.error) {
+      return res.status(400).json({
+        success: false,
+        message: completion.error,
+      });
+    }
+
+    const parentModule = await Module.findById(existingLesson.module_id).select("course_id");
+    const { release, error: releaseError } = parentModule
+      ? await parseReleaseRule(req.body, { courseId: parentModule.course_id, selfLessonId: existingLesson._id })
+      : { release: undefined, error: null };
+    if (releaseError) {
+      return res.status(400).json({
+        success: false,
+        message: releaseError,
+      });
+    }
+
     const lesson = await Lesson.findByIdAndUpdate(
       id,
       {
@@ -307,6 +470,9 @@ export const editLesson = async (req, res) => {
         is_preview,
         display_order,
         lesson_description,
+        assignment,
+        ...completion.settings,
+        ...(release !== undefined && { release }),
       },
       { new: true }
     );
@@ -328,7 +494,7 @@ export const editLesson = async (req, res) => {
 export const fetchLessonsNamesAssociatedWithModule = async (req, res) => {
   try {
     const { module_id } = req.params;
-    const lessons = await Lesson.find({ module_id });
+    const lessons = await Lesson.find({ module_id, is_deleted: { $ne: true } });
     // pass id along
     const lessonsNames = lessons.map((lesson) => {
       return {
@@ -353,12 +519,27 @@ export const fetchLessonsNamesAssociatedWithModule = async (req, res) => {
 export const getLessonContent = async (req, res) => {
   try {
     const { lesson_id } = req.params;
-    const lesson = await Lesson.findById(lesson_id).populate({
+    const lesson = await Lesson.findOne({ _id: lesson_id, is_deleted: { $ne: true } }).populate({
       path: "lesson_type_id",
       model: "Lesson_Type",
       select: "lesson_type",
     });
     // console.log(lesson, "lesson details");
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: "Lesson not found",
+      });
+    }
+
+    const availability = await getLessonAvailability(req.user, lesson);
+    if (!availability.is_unlocked) {
+      return res.status(403).json({
+        success: false,
+        message: availability.message,
+        data: { lesson_id: lesson._id, lesson_title: lesson.lesson_title, availability },
+      });
+    }
 
     const organizedLesson = {
       lesson_type: lesson.lesson_type_id.lesson_type,
@@ -371,6 +552,15 @@ export const getLessonContent = async (req, res) => {
       lesson_type_id: lesson.lesson_type_id,
       lesson_id: lesson._id,
       video_url: lesson.video_url,
+      assignment: lesson.assignment,
+      completion: getCompletionRule(lesson, lesson.lesson_type_id.lesson_type),
+      scorm: lesson.scorm
+        ? {
+            version: lesson.scorm.version,
+            launch_url: getScormLaunchUrl(lesson),
+            mastery_score: lesson.scorm.mastery_score,
+          }
+        : null,
     };
 
     return res.status(200).json({
@@ -386,25 +576,32 @@ export const getLessonContent = async (req, res) => {
   }
 };
 
+/**
+ * Move a lesson to the trash; it can be restored until the trash is purged
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
 export const deleteLesson = async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if lesson exists
-    const lesson = await Lesson.findById(id);
-    if (!lesson) {
+    const lesson = await Lesson.findOne({ _id: id, is_deleted: { $ne: true } });
+    const module = lesson && (await Module.findById(lesson.module_id).select("course_id"));
+    const course = module && (await Course.exists({ _id: module.course_id, tenant_id: req.user.tenant_id }));
+    if (!course) {
       return res.status(404).json({
         success: false,
         message: "Lesson not found",
       });
     }
 
-    // Delete the lesson
-    await Lesson.findByIdAndDelete(id);
+    await trashLesson(lesson, req.user.id);
+    await safelyUpdateProgress("lesson deletion", () => refreshModuleCourseProgress(lesson.module_id));
 
     return res.status(200).json({
       success: true,
-      message: "Lesson deleted successfully",
+      message: "Lesson moved to trash",
     });
   } catch (error) {
     console.error("Delete lesson error:", error);
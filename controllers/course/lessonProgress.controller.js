@@ -0,0 +1,234 @@
+import Batch from "../../models/Batch_table.js";
+import BatchStudent from "../../models/Batch_Students.js";
+import Lesson from "../../models/Lesson.model.js";
+import Login from "../../models/login.model.js";
+import Module from "../../models/Module.js";
+import User from "../../models/user.model.js";
+import { issueCertificateIfEligible } from "../../services/certificateService.js";
+import { getCourseAvailability, getLessonAvailability } from "../../services/contentReleaseService.js";
+import { isEnrolledInCourse, resolveReviewScope } from "../../services/courseAccessService.js";
+import {
+  getCourseProgressOutline,
+  recordLessonActivity,
+  refreshBatchStudentsProgress,
+} from "../../services/lessonProgressService.js";
+
+/**
+ * Record the logged-in student opening or watching a lesson; send it when the lesson opens and
+ * periodically while it plays. Body: position_seconds, duration_seconds, seconds_spent (since the last call)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateLessonProgress = async (req, res) => {
+  try {
+    const { lesson_id } = req.params;
+
+    const lesson = await Lesson.findOne({ _id: lesson_id, is_deleted: { $ne: true } }).populate({
+      path: "lesson_type_id",
+      model: "Lesson_Type",
+      select: "lesson_type",
+    });
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: "Lesson not found",
+      });
+    }
+
+    const module = await Module.findById(lesson.module_id).select("course_id");
+    if (!module || !(await isEnrolledInCourse(req.user.id, module.course_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not enrolled in this course",
+      });
+    }
+
+    const availability = await getLessonAvailability(req.user, lesson);
+    if (!availability.is_unlocked) {
+      return res.status(403).json({
+        success: false,
+        message: availability.message,
+        data: { availability },
+      });
+    }
+
+    const { progress, completed_now, error } = await recordLessonActivity(
+      req.user.id,
+      lesson,
+      lesson.lesson_type_id?.lesson_type,
+      req.body
+    );
+    if (error) {
+      return res.status(404).json({
+        success: false,
+        message: error,
+      });
+    }
+    if (completed_now) await issueCertificateIfEligible(req.user.id, module.course_id);
+
+    return res.status(200).json({
+      success: true,
+      message: completed_now ? "Lesson completed" : "Progress saved",
+      data: progress,
+    });
+  } catch (error) {
+    console.error("Error saving lesson progress:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * The logged-in student's progress through a course, lesson by lesson, with when each locked item unlocks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getMyCourseProgress = async (req, res) => {
+  try {
+    const { course_id } = req.params;
+
+    if (!(await isEnrolledInCourse(req.user.id, course_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not enrolled in this course",
+      });
+    }
+
+    const outline = await getCourseProgressOutline(req.user.id, course_id);
+    const availability = await getCourseAvailability(req.user, course_id);
+
+    // When each locked module and lesson opens
+    const data = {
+      ...outline,
+      drip_content_enabled: availability.drip_content_enabled,
+      modules: outline.modules.map((module) => ({
+        ...module,
+        availability: availability.modules.get(module.module_id.toString()),
+        lessons: module.lessons.map((lesson) => ({
+          ...lesson,
+          availability: availability.lessons.get(lesson.lesson_id.toString()),
+        })),
+      })),
+    };
+
+    return res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Error fetching course progress:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Course progress of every student in a batch, recomputed from their lesson progress
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getBatchProgress = async (req, res) => {
+  try {
+    const { batch_id } = req.params;
+
+    const scope = await resolveReviewScope(req.user, { batch_id });
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.error,
+      });
+    }
+
+    const batch = await Batch.findById(batch_id).select("batch_name course_id");
+    const progressByStudent = await refreshBatchStudentsProgress(batch);
+
+    const enrollments = await BatchStudent.find({ batch_id }).select("student_id status joined_at");
+    const logins = await Login.find({ _id: { $in: enrollments.map((enrollment) => enrollment.student_id) } }).select("email user_id");
+    const users = await User.find({ _id: { $in: logins.map((login) => login.user_id).filter(Boolean) } }).select("fname lname");
+    const loginsById = new Map(logins.map((login) => [login._id.toString(), login]));
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+    const students = enrollments
+      .map((enrollment) => {
+        const login = loginsById.get(enrollment.student_id.toString());
+        const user = login?.user_id ? usersById.get(login.user_id.toString()) : null;
+        return {
+          student_id: enrollment.student_id,
+          name: user ? `${user.fname} ${user.lname || ""}`.trim() : "",
+          email: login?.email || "",
+          status: enrollment.status,
+          joined_at: enrollment.joined_at,
+          progress: progressByStudent.get(enrollment.student_id.toString()) || 0,
+        };
+      })
+      .sort((a, b) => b.progress - a.progress);
+
+    const average = students.length > 0
+      ? Math.round((students.reduce((sum, student) => sum + student.progress, 0) / students.length) * 100) / 100
+      : 0;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        batch_id: batch._id,
+        batch_name: batch.batch_name,
+        course_id: batch.course_id,
+        average_progress: average,
+        completed_students: students.filter((student) => student.progress >= 100).length,
+        students,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching batch progress:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Lesson-by-lesson progress of one student (Login id) in a batch's course
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getBatchStudentProgress = async (req, res) => {
+  try {
+    const { batch_id, student_id } = req.params;
+
+    const scope = await resolveReviewScope(req.user, { batch_id });
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.error,
+      });
+    }
+    if (!scope.studentLoginIds.some((id) => id.toString() === student_id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Student is not enrolled in this batch",
+      });
+    }
+
+    const data = await getCourseProgressOutline(student_id, scope.course_id);
+
+    return res.status(200).json({
+      success: true,
+      data: { student_id, ...data },
+    });
+  } catch (error) {
+    console.error("Error fetching student progress:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
@@ -3,18 +3,27 @@ import Lesson from "../../models/Lesson.model.js";
 
 import Quiz from "../../models/QuizTable.js";
 import Course from "../../models/Course.js";
+import { parseReleaseRule } from "../../services/contentReleaseService.js";
+import { refreshCourseProgress, safelyUpdateProgress } from "../../services/lessonProgressService.js";
+import { trashModule } from "../../services/trashService.js";
 
 export const addModuleToCourse = async (req, res) => {
   console.log("addModuleToCourse =================================");
   console.log(req.body, "req.body");
   try {
-    const { course_id, module_title, module_description, display_order } =
+    const { course_id, module_title, module_description, display_order, is_locked } =
       req.body;
+    const { release, error } = await parseReleaseRule(req.body, { courseId: course_id });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
     const module = await Module.create({
       course_id,
       module_title,
       module_description,
       display_order,
+      is_locked,
+      ...(release !== undefined && { release }),
     });
     res.status(201).json({ success: true, data: module });
   } catch (error) {
@@ -158,7 +167,7 @@ export const getModules = async (req, res) => {
   // get the modules with the display order
   try {
     console.log("getModules =================================");
-    const modules = await Module.find()
+    const modules = await Module.find({ is_deleted: { $ne: true } })
       .populate({
         path: "course_id",
         model: "Course",
@@ -190,9 +199,10 @@ export const getModules = async (req, res) => {
 
 export const getModulesAssociatedWithTheCourse = async (req, res) => {
   try {
-    const modules = await Module.find({ course_id: req.params.course_id });
+    const modules = await Module.find({ course_id: req.params.course_id, is_deleted: { $ne: true } });
     const lessons = await Lesson.find({
       module_id: { $in: modules.map((module) => module._id) },
+      is_deleted: { $ne: true },
     }).populate('lesson_type_id', 'lesson_type');
     
     const data = {
@@ -238,7 +248,7 @@ export const getCurrentCourseModules = async (req, res) => {
     const { id } = req.params;
 
     // Use $in operator to find modules where course_id array contains the specified course_id
-    const modules = await Module.find({ course_id: { $in: [id] } }).sort({
+    const modules = await Module.find({ course_id: { $in: [id] }, is_deleted: { $ne: true } }).sort({
       display_order: 1,
     }); // Sort by display order
 
@@ -268,3 +278,94 @@ export const updateDisplayOrder = async (req, res) => {
     res.status(400).json({ success: false, error: error.message });
   }
 };
+
+/**
+ * Lock/unlock a module and set when it is drip-released to students.
+ * Body: is_locked, release_mode (immediate | after_days | on_date | after_prerequisite), release_days_after_enrollment,
+ * release_date, prerequisite_lesson_id or prerequisite_quiz_id
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateModuleAccess = async (req, res) => {
+  try {
+    const { module_id } = req.params;
+    const { is_locked } = req.body;
+
+    const module = await Module.findOne({ _id: module_id, is_deleted: { $ne: true } });
+    if (!module) {
+      return res.status(404).json({
+        success: false,
+        message: "Module not found",
+      });
+    }
+
+    const course = await Course.findOne({ _id: module.course_id, tenant_id: req.user.tenant_id }).select("_id");
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found",
+      });
+    }
+
+    const { release, error } = await parseReleaseRule(req.body, { courseId: module.course_id });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (is_locked !== undefined) module.is_locked = is_locked === true || is_locked === "true";
+    if (release !== undefined) module.release = release;
+    await module.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Module access updated successfully",
+      data: module,
+    });
+  } catch (error) {
+    console.error("Error updating module access:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Move a module and its lessons to the trash; restoring the module brings its lessons back
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteModule = async (req, res) => {
+  try {
+    const { module_id } = req.params;
+
+    const module = await Module.findOne({ _id: module_id, is_deleted: { $ne: true } });
+    const course = module && (await Course.exists({ _id: module.course_id, tenant_id: req.user.tenant_id }));
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Module not found",
+      });
+    }
+
+    const { lessons } = await trashModule(module, req.user.id);
+    await safelyUpdateProgress("module deletion", () => refreshCourseProgress(module.course_id));
+
+    return res.status(200).json({
+      success: true,
+      message: "Module moved to trash",
+      data: { module_id: module._id, lessons },
+    });
+  } catch (error) {
+    console.error("Error deleting module:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
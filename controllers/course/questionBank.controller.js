@@ -0,0 +1,291 @@
+import mongoose from "mongoose";
+import BankQuestion from "../../models/BankQuestion.js";
+import { validateQuestionDefinition } from "../../services/quizGradingService.js";
+
+const DIFFICULTIES = ["easy", "medium", "hard"];
+const QUESTION_FIELDS = [
+  "question_text",
+  "question_type",
+  "score",
+  "options",
+  "numeric_answer",
+  "tolerance",
+  "tags",
+  "topic",
+  "difficulty",
+  "explanation",
+  "is_active",
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const normalizeTags = (tags) =>
+  [...new Set((Array.isArray(tags) ? tags : String(tags).split(",")).map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+
+// Check a question and its options; returns an error message or null
+const validateQuestion = (data) => {
+  if (!data.question_text || !String(data.question_text).trim()) return "question_text is required";
+  if (data.difficulty !== undefined && !DIFFICULTIES.includes(data.difficulty)) {
+    return `difficulty must be one of: ${DIFFICULTIES.join(", ")}`;
+  }
+  if (data.score !== undefined && !(Number(data.score) >= 1)) return "score must be at least 1";
+  return validateQuestionDefinition(data, data.options || []);
+};
+
+const pickQuestionFields = (body, question_type) => {
+  const data = {};
+  QUESTION_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  const type = data.question_type || question_type;
+
+  if (data.tags !== undefined) data.tags = normalizeTags(data.tags);
+  if (data.numeric_answer !== undefined) data.numeric_answer = data.numeric_answer === "" || data.numeric_answer === null ? NaN : Number(data.numeric_answer);
+  if (data.tolerance !== undefined) data.tolerance = Number(data.tolerance);
+  if (data.options !== undefined && Array.isArray(data.options)) {
+    data.options = data.options.map((option, index) => ({
+      option_text: option?.option_text,
+      is_correct: type === "fill_blank" ? option?.is_correct !== false : !!option?.is_correct,
+      match_text: type === "matching" ? option?.match_text ?? null : null,
+      order: type === "ordering" ? (option?.order === undefined ? index + 1 : Number(option.order)) : null,
+    }));
+  }
+  return data;
+};
+
+/**
+ * Add a question to the tenant's question bank
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createBankQuestion = async (req, res) => {
+  try {
+    const tenant_id = req.user.tenant_id;
+    const data = pickQuestionFields(req.body);
+
+    const validationError = validateQuestion(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const question = await BankQuestion.create({ ...data, tenant_id, created_by: req.user.id });
+
+    return res.status(201).json({
+      success: true,
+      message: "Question added to the bank",
+      data: question,
+    });
+  } catch (error) {
+    console.error("Error creating bank question:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * List bank questions, filtered by ?tags=a,b&topic=&difficulty=&question_type=&search=&include_inactive=true
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getBankQuestions = async (req, res) => {
+  try {
+    const tenant_id = req.user.tenant_id;
+    const { tags, topic, difficulty, question_type, search, include_inactive } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = { tenant_id };
+    if (include_inactive !== "true") filter.is_active = true;
+    if (tags) filter.tags = { $in: normalizeTags(tags) };
+    if (topic) filter.topic = topic;
+    if (difficulty) filter.difficulty = difficulty;
+    if (question_type) filter.question_type = question_type;
+    if (search) filter.question_text = { $regex: escapeRegex(search), $options: "i" };
+
+    const [questions, total] = await Promise.all([
+      BankQuestion.find(filter)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BankQuestion.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: questions,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching bank questions:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Tags and topics in use, with active question counts, for building random quiz rules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getBankFacets = async (req, res) => {
+  try {
+    const tenant_id = new mongoose.Types.ObjectId(req.user.tenant_id.toString());
+    const match = { tenant_id, is_active: true };
+
+    const [tags, topics] = await Promise.all([
+      BankQuestion.aggregate([
+        { $match: match },
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ]),
+      BankQuestion.aggregate([
+        { $match: { ...match, topic: { $ne: "" } } },
+        { $group: { _id: "$topic", count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ]),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        tags: tags.map(({ _id, count }) => ({ tag: _id, count })),
+        topics: topics.map(({ _id, count }) => ({ topic: _id, count })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching bank facets:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get one bank question
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getBankQuestionById = async (req, res) => {
+  try {
+    const question = await BankQuestion.findOne({ _id: req.params.question_id, tenant_id: req.user.tenant_id });
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: question,
+    });
+  } catch (error) {
+    console.error("Error fetching bank question:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a bank question; attempts already started keep the version they were served
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateBankQuestion = async (req, res) => {
+  try {
+    const question = await BankQuestion.findOne({ _id: req.params.question_id, tenant_id: req.user.tenant_id });
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    const updates = pickQuestionFields(req.body, question.question_type);
+    const merged = {
+      question_text: question.question_text,
+      question_type: question.question_type,
+      numeric_answer: question.numeric_answer ?? undefined,
+      tolerance: question.tolerance,
+      options: question.options.map(({ option_text, is_correct, match_text, order }) => ({ option_text, is_correct, match_text, order })),
+      ...updates,
+    };
+
+    const validationError = validateQuestion(merged);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    Object.assign(question, updates);
+    await question.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Question updated successfully",
+      data: question,
+    });
+  } catch (error) {
+    console.error("Error updating bank question:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a question from the bank; it is deactivated so past attempts and results still resolve
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteBankQuestion = async (req, res) => {
+  try {
+    const question = await BankQuestion.findOneAndUpdate(
+      { _id: req.params.question_id, tenant_id: req.user.tenant_id },
+      { is_active: false },
+      { new: true }
+    );
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Question removed from the bank",
+    });
+  } catch (error) {
+    console.error("Error deleting bank question:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
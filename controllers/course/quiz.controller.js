@@ -1,7 +1,87 @@
 import QuizOptions from "../../models/QuizOptions.js";
 import QuizQuestion from "../../models/QuizQuestion.js";
+import Module from "../../models/Module.js";
 import Quiz from "../../models/QuizTable.js";
 import QuizResult from "../../models/QuizResult.js";
+import QuizAttempt from "../../models/QuizAttempt.js";
+import Login from "../../models/login.model.js";
+import {
+  checkRuleAvailability,
+  finalizeAttempt,
+  getFixedQuestions,
+  getQuizTenantId,
+  getRemainingSeconds,
+  isAttemptExpired,
+  mergeAnswers,
+  startOrResumeAttempt,
+  toStudentQuestions,
+} from "../../services/quizAttemptService.js";
+import { getQuestionType, validateQuestionDefinition } from "../../services/quizGradingService.js";
+import { isCourseStaff } from "../../services/contentReleaseService.js";
+
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// Blank values stay blank instead of becoming 0
+const toNumber = (value) => (value === undefined || value === null || value === "" ? NaN : Number(value));
+
+// Option rows as stored; ordering items without an explicit order keep the order they were sent in
+const normalizeOptions = (options, question_type) =>
+  options.map((opt, index) => ({
+    option_text: opt?.option_text,
+    is_correct: question_type === "fill_blank" ? opt?.is_correct !== false : !!opt?.is_correct,
+    match_text: question_type === "matching" ? opt?.match_text ?? null : null,
+    order: question_type === "ordering" ? (opt?.order === undefined ? index + 1 : Number(opt.order)) : null,
+  }));
+
+// Clean up "N random questions from these tags" rules; returns { rules, error }
+const normalizeRandomRules = (rules) => {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return { rules: null, error: "random_rules must contain at least one rule" };
+  }
+
+  const normalized = [];
+  for (const rule of rules) {
+    const count = parseInt(rule?.count, 10);
+    const tags = Array.isArray(rule?.tags)
+      ? [...new Set(rule.tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))]
+      : [];
+    const difficulty = rule?.difficulty || "";
+
+    if (!count || count < 1) return { rules: null, error: "Each rule needs a count of at least 1" };
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+      return { rules: null, error: `difficulty must be one of: ${DIFFICULTIES.join(", ")}` };
+    }
+    normalized.push({ tags, topic: (rule.topic || "").trim(), difficulty, count });
+  }
+  return { rules: normalized, error: null };
+};
+
+// Validate the question selection settings of a quiz; returns { selection, error }
+const buildQuizSelection = async (body, quiz) => {
+  const selection = {};
+  if (body.shuffle_questions !== undefined) selection.shuffle_questions = !!body.shuffle_questions;
+  if (body.shuffle_options !== undefined) selection.shuffle_options = !!body.shuffle_options;
+
+  const mode = body.selection_mode || quiz.selection_mode || "fixed";
+  if (!["fixed", "random"].includes(mode)) {
+    return { selection: null, error: "selection_mode must be fixed or random" };
+  }
+  selection.selection_mode = mode;
+
+  if (mode === "random") {
+    const { rules, error } = normalizeRandomRules(body.random_rules ?? quiz.random_rules);
+    if (error) return { selection: null, error };
+
+    const tenantId = await getQuizTenantId(quiz);
+    if (!tenantId) return { selection: null, error: "Course not found" };
+
+    const shortage = await checkRuleAvailability(tenantId, rules);
+    if (shortage) return { selection: null, error: shortage };
+    selection.random_rules = rules;
+  }
+
+  return { selection, error: null };
+};
 
 export const createQuiz = async (req, res) => {
   try {
@@ -41,6 +121,11 @@ export const createQuiz = async (req, res) => {
         .json({ success: false, message: "Quiz already exists" });
     }
 
+    const { selection, error } = await buildQuizSelection(req.body, { course_id });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
     const quiz = new Quiz({
       course_id,
       module_id,
@@ -49,6 +134,7 @@ export const createQuiz = async (req, res) => {
       pass_percentage,
       time_limit_minutes,
       attempts_allowed,
+      ...selection,
     });
 
     await quiz.save();
@@ -77,7 +163,7 @@ export const getQuizzes = async (req, res) => {
 
 export const addQuizQuestion = async (req, res) => {
   try {
-    const { quiz_id, question_text, question_type, score } = req.body;
+    const { quiz_id, question_text, question_type, score, numeric_answer, tolerance } = req.body;
 
     if (!quiz_id || !question_text || !question_type || !score) {
       return res
@@ -85,6 +171,18 @@ export const addQuizQuestion = async (req, res) => {
         .json({ success: false, message: "All fields are required" });
     }
 
+    const definition = { question_type };
+    if (question_type === "numeric") {
+      definition.numeric_answer = toNumber(numeric_answer);
+      definition.tolerance = tolerance === undefined ? 0 : toNumber(tolerance);
+    }
+    // Options are checked when they are added; questions without options are checked here
+    const type = getQuestionType(question_type);
+    const definitionError = !type || !type.takesOptions ? validateQuestionDefinition(definition, []) : null;
+    if (definitionError) {
+      return res.status(400).json({ success: false, message: definitionError });
+    }
+
     const existingQuestion = await QuizQuestion.findOne({
       quiz_id,
       question_text,
@@ -101,6 +199,10 @@ export const addQuizQuestion = async (req, res) => {
       question_text,
       question_type,
       score,
+      ...(question_type === "numeric" && {
+        numeric_answer: definition.numeric_answer,
+        tolerance: definition.tolerance,
+      }),
     });
 
     await question.save();
@@ -112,15 +214,21 @@ export const addQuizQuestion = async (req, res) => {
 
 export const addQuizOptions = async (req, res) => {
   try {
-    const { question_id, options } = req.body; // options: [{ option_text, is_correct }, ...]
+    // options: [{ option_text, is_correct, match_text (matching), order (ordering) }, ...]
+    const { question_id, options } = req.body;
 
-    if (!question_id || !Array.isArray(options) || options.length !== 4) {
+    if (!question_id || !Array.isArray(options) || options.length === 0) {
       return res.status(400).json({
         success: false,
-        message: "question_id and 4 options are required",
+        message: "question_id and options are required",
       });
     }
 
+    const question = await QuizQuestion.findById(question_id);
+    if (!question) {
+      return res.status(404).json({ success: false, message: "Question not found" });
+    }
+
     const existingOptions = await QuizOptions.find({ question_id });
     if (existingOptions.length > 0) {
       return res.status(400).json({
@@ -129,19 +237,16 @@ export const addQuizOptions = async (req, res) => {
       });
     }
 
-    const correctCount = options.filter((opt) => opt.is_correct).length;
-    if (correctCount !== 1) {
+    const normalizedOptions = normalizeOptions(options, question.question_type);
+    const optionsError = validateQuestionDefinition(question, normalizedOptions);
+    if (optionsError) {
       return res.status(400).json({
         success: false,
-        message: "Exactly one correct option must be provided",
+        message: optionsError,
       });
     }
 
-    const formattedOptions = options.map((opt) => ({
-      question_id,
-      option_text: opt.option_text,
-      is_correct: opt.is_correct,
-    }));
+    const formattedOptions = normalizedOptions.map((opt) => ({ question_id, ...opt }));
 
     const createdOptions = await QuizOptions.insertMany(formattedOptions);
 
@@ -154,7 +259,17 @@ export const addQuizOptions = async (req, res) => {
 export const getQuizDetails = async (req, res) => {
   try {
     const { quiz_id } = req.params;
-    console.log(quiz_id);
+
+    const quiz = await Quiz.findById(quiz_id);
+    if (!quiz) {
+      return res.status(404).json({ success: false, message: "Quiz not found" });
+    }
+
+    // Only staff of the quiz's tenant see the answer key; students get the questions as an attempt serves them
+    const tenantId = await getQuizTenantId(quiz);
+    if (!isCourseStaff(req.user, { tenant_id: tenantId })) {
+      return res.status(200).json({ success: true, data: toStudentQuestions(await getFixedQuestions(quiz_id)) });
+    }
 
     const questions = await QuizQuestion.find({ quiz_id });
 
@@ -183,138 +298,217 @@ export const getQuizDetails = async (req, res) => {
   }
 };
 
-export const submitQuiz = async (req, res) => {
+/**
+ * Change how a quiz picks its questions: its own ("fixed") or N random bank questions per rule ("random")
+ */
+export const updateQuizSelection = async (req, res) => {
   try {
-    const { quiz_id, student_id, course_id, module_id, answers, time_taken_minutes, started_at } = req.body;
+    const { quiz_id } = req.params;
 
-    if (!quiz_id || !student_id || !course_id || !module_id || !answers || !Array.isArray(answers)) {
-      return res.status(400).json({ success: false, message: "All fields are required" });
+    // Only the tenant that owns the quiz's course may change it
+    const quiz = await Quiz.findById(quiz_id);
+    const tenantId = quiz && (await getQuizTenantId(quiz));
+    if (!tenantId || tenantId.toString() !== String(req.user.tenant_id)) {
+      return res.status(404).json({ success: false, message: "Quiz not found" });
     }
 
-    // Get quiz details
+    const { selection, error } = await buildQuizSelection(req.body, quiz);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    Object.assign(quiz, selection);
+    await quiz.save();
+
+    return res.status(200).json({ success: true, data: quiz });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Attempts belong to the student's profile (User) behind the logged-in Login
+const getCallerStudentId = async (req) => {
+  const login = await Login.findById(req.user.id).select("user_id");
+  return login?.user_id || null;
+};
+
+// The attempt if it belongs to the caller; otherwise sends the error and returns null
+const findCallerAttempt = async (res, { attempt_id, quiz_id, student_id }) => {
+  const attempt = await QuizAttempt.findOne({ _id: attempt_id, quiz_id });
+  if (!attempt) {
+    res.status(404).json({ success: false, message: "Quiz attempt not found" });
+    return null;
+  }
+  if (attempt.student_id.toString() !== student_id.toString()) {
+    res.status(403).json({ success: false, message: "This attempt belongs to another student" });
+    return null;
+  }
+  return attempt;
+};
+
+// What the student sees of an open attempt
+const toAttemptView = (quiz, attempt) => ({
+  attempt_id: attempt._id,
+  quiz_id: quiz._id,
+  title: quiz.title,
+  attempt_number: attempt.attempt_number,
+  time_limit_minutes: quiz.time_limit_minutes,
+  started_at: attempt.started_at,
+  deadline_at: attempt.deadline_at,
+  remaining_seconds: getRemainingSeconds(attempt),
+  questions: toStudentQuestions(attempt.questions),
+  saved_answers: attempt.answers,
+});
+
+/**
+ * Start (or resume) an attempt of the logged-in student; the server records the start time and deadline and the served question set
+ */
+export const startQuizAttempt = async (req, res) => {
+  try {
+    const { quiz_id } = req.params;
+
+    const student_id = await getCallerStudentId(req);
+    if (!student_id) {
+      return res.status(404).json({ success: false, message: "Student profile not found" });
+    }
+
+    // Quizzes of a trashed module or course can't be started
     const quiz = await Quiz.findById(quiz_id);
-    if (!quiz) {
+    const module = quiz && (await Module.findOne({ _id: quiz.module_id, is_deleted: { $ne: true } }).select("_id"));
+    if (!module) {
       return res.status(404).json({ success: false, message: "Quiz not found" });
     }
 
-    // Check attempt limit
-    const previousAttempts = await QuizResult.find({ quiz_id, student_id }).sort({ attempt_number: -1 });
-    const attemptNumber = previousAttempts.length + 1;
-
-    if (attemptNumber > quiz.attempts_allowed) {
+    const { attempt, resumed, expired, error } = await startOrResumeAttempt(quiz, student_id);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: `Maximum attempts (${quiz.attempts_allowed}) exceeded`
+        message: error,
+        ...(expired && { expired_result: expired }),
       });
     }
 
-    // Get all questions for this quiz
-    const questions = await QuizQuestion.find({ quiz_id });
+    return res.status(resumed ? 200 : 201).json({
+      success: true,
+      data: {
+        ...toAttemptView(quiz, attempt),
+        resumed,
+        ...(expired && { expired_result: expired }),
+      },
+    });
+  } catch (error) {
+    console.error("Error starting quiz attempt:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
 
-    let totalScore = 0;
-    let maxScore = 0;
-    const validatedAnswers = [];
+/**
+ * Autosave answers of an open attempt; answers sent after the deadline are refused and the attempt is auto-submitted
+ */
+export const saveQuizAttemptAnswers = async (req, res) => {
+  try {
+    const { quiz_id, attempt_id } = req.params;
+    const { answers } = req.body;
 
-    // Validate each answer
-    for (const question of questions) {
-      maxScore += question.score;
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({ success: false, message: "answers are required" });
+    }
 
-      const studentAnswer = answers.find(a => a.question_id === question._id.toString());
+    const student_id = await getCallerStudentId(req);
+    if (!student_id) {
+      return res.status(404).json({ success: false, message: "Student profile not found" });
+    }
 
-      if (!studentAnswer) {
-        validatedAnswers.push({
-          question_id: question._id,
-          is_correct: false,
-          points_earned: 0,
-        });
-        continue;
-      }
+    const attempt = await findCallerAttempt(res, { attempt_id, quiz_id, student_id });
+    if (!attempt) return;
+    if (attempt.status === "submitted") {
+      return res.status(400).json({ success: false, message: "This attempt has already been submitted" });
+    }
 
-      let isCorrect = false;
-      let pointsEarned = 0;
+    if (isAttemptExpired(attempt)) {
+      const { result } = await finalizeAttempt(attempt, { auto: true });
+      return res.status(400).json({
+        success: false,
+        message: "Time is up: the attempt was submitted with the answers saved before the deadline",
+        data: result,
+      });
+    }
 
-      if (question.question_type === "mcq") {
-        const correctOption = await QuizOptions.findOne({
-          question_id: question._id,
-          is_correct: true
-        });
+    // Only update while still open, so a concurrent submission isn't overwritten
+    const lastSavedAt = new Date();
+    const saved = await QuizAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: "in_progress" },
+      { answers: mergeAnswers(attempt, answers), last_saved_at: lastSavedAt },
+      { new: true }
+    );
+    if (!saved) {
+      return res.status(400).json({ success: false, message: "This attempt has already been submitted" });
+    }
 
-        if (correctOption && studentAnswer.selected_option_id === correctOption._id.toString()) {
-          isCorrect = true;
-          pointsEarned = question.score;
-          totalScore += question.score;
-        }
+    return res.status(200).json({
+      success: true,
+      data: {
+        attempt_id: saved._id,
+        saved_answers: saved.answers.length,
+        last_saved_at: lastSavedAt,
+        remaining_seconds: getRemainingSeconds(saved),
+      },
+    });
+  } catch (error) {
+    console.error("Error saving quiz answers:", error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+};
 
-        validatedAnswers.push({
-          question_id: question._id,
-          selected_option_id: studentAnswer.selected_option_id,
-          is_correct: isCorrect,
-          points_earned: pointsEarned,
-        });
-      } else if (question.question_type === "true_false") {
-        const correctOption = await QuizOptions.findOne({
-          question_id: question._id,
-          is_correct: true
-        });
-
-        if (correctOption && studentAnswer.selected_option_id === correctOption._id.toString()) {
-          isCorrect = true;
-          pointsEarned = question.score;
-          totalScore += question.score;
-        }
+/**
+ * Submit an attempt. Timing comes from the attempt, never the client; after the deadline only autosaved answers are graded
+ */
+export const submitQuiz = async (req, res) => {
+  try {
+    const { quiz_id, answers, attempt_id } = req.body;
 
-        validatedAnswers.push({
-          question_id: question._id,
-          selected_option_id: studentAnswer.selected_option_id,
-          is_correct: isCorrect,
-          points_earned: pointsEarned,
-        });
-      } else if (question.question_type === "fill_blank") {
-        const correctOption = await QuizOptions.findOne({
-          question_id: question._id,
-          is_correct: true
-        });
-
-        if (correctOption && studentAnswer.text_answer?.trim().toLowerCase() === correctOption.option_text.trim().toLowerCase()) {
-          isCorrect = true;
-          pointsEarned = question.score;
-          totalScore += question.score;
-        }
+    if (!quiz_id || !attempt_id || !Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        message: "quiz_id, attempt_id and answers are required"
+      });
+    }
 
-        validatedAnswers.push({
-          question_id: question._id,
-          text_answer: studentAnswer.text_answer,
-          is_correct: isCorrect,
-          points_earned: pointsEarned,
-        });
-      }
+    const student_id = await getCallerStudentId(req);
+    if (!student_id) {
+      return res.status(404).json({ success: false, message: "Student profile not found" });
     }
 
-    const percentage = maxScore > 0 ? (totalScore / maxScore) * 100 : 0;
-    const passed = percentage >= quiz.pass_percentage;
+    // Get quiz details
+    const quiz = await Quiz.findById(quiz_id);
+    if (!quiz) {
+      return res.status(404).json({ success: false, message: "Quiz not found" });
+    }
 
-    const quizResult = new QuizResult({
-      quiz_id,
-      student_id,
-      course_id,
-      module_id,
-      answers: validatedAnswers,
-      total_score: totalScore,
-      max_score: maxScore,
-      percentage: Math.round(percentage * 100) / 100,
-      passed,
-      attempt_number: attemptNumber,
-      time_taken_minutes: time_taken_minutes || 0,
-      started_at: started_at || new Date(),
-      completed_at: new Date(),
-    });
+    const attempt = await findCallerAttempt(res, { attempt_id, quiz_id, student_id });
+    if (!attempt) return;
+    if (attempt.status === "submitted") {
+      return res.status(400).json({ success: false, message: "This attempt has already been submitted" });
+    }
 
-    await quizResult.save();
+    const expired = isAttemptExpired(attempt);
+    const { result: quizResult } = await finalizeAttempt(attempt, { quiz, answers, auto: expired });
+    if (!quizResult) {
+      return res.status(400).json({ success: false, message: "This attempt has already been submitted" });
+    }
+
+    let message = quizResult.passed ? "Congratulations! You passed the quiz!" : "You did not pass. Please try again.";
+    if (quizResult.grading_status === "pending_review") {
+      message = "Your answers were submitted. Some answers are awaiting instructor review; you will be notified once they are graded.";
+    }
+    if (expired) {
+      message = `Time is up: only answers saved before the deadline were graded. ${message}`;
+    }
 
     return res.status(201).json({
       success: true,
       data: quizResult,
-      message: passed ? "Congratulations! You passed the quiz!" : "You did not pass. Please try again."
+      message
     });
   } catch (error) {
     console.error("Error submitting quiz:", error);
@@ -357,6 +551,45 @@ export const getQuizResultDetails = async (req, res) => {
       return res.status(404).json({ success: false, message: "Result not found" });
     }
 
+    // Results of an attempt are shown against the questions that attempt was served
+    const attempt = result.attempt_id ? await QuizAttempt.findById(result.attempt_id) : null;
+    if (attempt) {
+      const served = new Map(attempt.questions.map((question) => [question.question_id.toString(), question]));
+      const detailedAnswers = result.answers.map((answer) => {
+        const question = served.get(answer.question_id.toString());
+        return {
+          ...answer.toObject(),
+          question: question
+            ? {
+                _id: question.question_id,
+                question_text: question.question_text,
+                question_type: question.question_type,
+                score: question.score,
+                numeric_answer: question.numeric_answer,
+                tolerance: question.tolerance,
+              }
+            : null,
+          options: question
+            ? question.options.map((option) => ({
+                _id: option.option_id,
+                option_text: option.option_text,
+                is_correct: option.is_correct,
+                match_text: option.match_text,
+                order: option.order,
+              }))
+            : [],
+        };
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...result.toObject(),
+          detailed_answers: detailedAnswers,
+        }
+      });
+    }
+
     // Get questions with options for detailed view
     const questionsWithDetails = await Promise.all(
       result.answers.map(async (answer) => {
@@ -0,0 +1,49 @@
+import Quiz from "../../models/QuizTable.js";
+import { getUserIdsForLogins, resolveReviewScope } from "../../services/courseAccessService.js";
+import { getQuizAnalytics } from "../../services/quizAnalyticsService.js";
+
+/**
+ * Item analysis of a quiz: per-question correct rate, discrimination index and option/distractor counts,
+ * time taken and attempts-to-pass. Query: batch_id (limit to one batch), first_attempt_only=true
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getQuizAnalyticsReport = async (req, res) => {
+  try {
+    const { quiz_id } = req.params;
+    const { batch_id, first_attempt_only } = req.query;
+
+    const quiz = await Quiz.findById(quiz_id);
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz not found",
+      });
+    }
+
+    const scope = await resolveReviewScope(req.user, { course_id: quiz.course_id, batch_id });
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.error,
+      });
+    }
+
+    const data = await getQuizAnalytics(quiz, {
+      studentIds: scope.studentLoginIds ? await getUserIdsForLogins(scope.studentLoginIds) : null,
+      firstAttemptOnly: first_attempt_only === "true",
+    });
+
+    return res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Error building quiz analytics:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
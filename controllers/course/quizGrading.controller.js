@@ -0,0 +1,189 @@
+import QuizAttempt from "../../models/QuizAttempt.js";
+import QuizResult from "../../models/QuizResult.js";
+import User from "../../models/user.model.js";
+import { getUserIdsForLogins, resolveReviewScope } from "../../services/courseAccessService.js";
+import { gradeQuizResult } from "../../services/quizReviewService.js";
+
+const GRADING_STATUSES = ["pending_review", "graded"];
+
+// Course and students (User ids, null for everyone) the grader may review
+const resolveGradingScope = async (user, query) => {
+  const scope = await resolveReviewScope(user, query);
+  if (scope.error) return scope;
+  return {
+    course_id: scope.course_id,
+    studentIds: scope.studentLoginIds ? await getUserIdsForLogins(scope.studentLoginIds) : null,
+  };
+};
+
+/**
+ * Grading queue of a course or batch: results with essay/short answers to score, oldest first
+ * Query: course_id or batch_id, status (pending_review | graded), quiz_id, page, limit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getGradingQueue = async (req, res) => {
+  try {
+    const { course_id, batch_id, quiz_id, status = "pending_review" } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    if (!course_id && !batch_id) {
+      return res.status(400).json({
+        success: false,
+        message: "course_id or batch_id is required",
+      });
+    }
+    if (!GRADING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${GRADING_STATUSES.join(", ")}`,
+      });
+    }
+
+    const scope = await resolveGradingScope(req.user, { course_id, batch_id });
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.error,
+      });
+    }
+
+    const filter = { course_id: scope.course_id, grading_status: status };
+    if (scope.studentIds) filter.student_id = { $in: scope.studentIds };
+    if (quiz_id) filter.quiz_id = quiz_id;
+
+    const [results, total] = await Promise.all([
+      QuizResult.find(filter)
+        .sort({ completed_at: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("quiz_id", "title pass_percentage"),
+      QuizResult.countDocuments(filter),
+    ]);
+
+    const [students, attempts] = await Promise.all([
+      User.find({ _id: { $in: results.map((result) => result.student_id) } }).select("fname lname email"),
+      QuizAttempt.find({ _id: { $in: results.map((result) => result.attempt_id).filter(Boolean) } }).select("questions"),
+    ]);
+    const studentsById = new Map(students.map((student) => [student._id.toString(), student]));
+    const attemptsById = new Map(attempts.map((attempt) => [attempt._id.toString(), attempt]));
+
+    const data = results.map((result) => {
+      const student = studentsById.get(result.student_id.toString());
+      const attempt = result.attempt_id ? attemptsById.get(result.attempt_id.toString()) : null;
+      const served = new Map((attempt ? attempt.questions : []).map((question) => [question.question_id.toString(), question]));
+
+      return {
+        result_id: result._id,
+        quiz: result.quiz_id,
+        student: student
+          ? { _id: student._id, name: `${student.fname} ${student.lname}`, email: student.email }
+          : { _id: result.student_id },
+        attempt_number: result.attempt_number,
+        completed_at: result.completed_at,
+        grading_status: result.grading_status,
+        total_score: result.total_score,
+        max_score: result.max_score,
+        answers_to_review: result.answers
+          .filter((answer) => answer.review_status !== "none")
+          .map((answer) => {
+            const question = served.get(answer.question_id.toString());
+            return {
+              question_id: answer.question_id,
+              question_text: question?.question_text,
+              question_type: question?.question_type,
+              max_points: question?.score,
+              text_answer: answer.text_answer,
+              review_status: answer.review_status,
+              points_earned: answer.points_earned,
+              feedback: answer.feedback,
+            };
+          }),
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      data,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching grading queue:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Enter scores and feedback for a result's answers; totals and `passed` are recomputed when nothing is left to grade
+ * Body: grades: [{ question_id, points_earned, feedback }]
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const gradeQuizAnswers = async (req, res) => {
+  try {
+    const { result_id } = req.params;
+    const { grades } = req.body;
+
+    if (!Array.isArray(grades) || grades.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "grades must be a non-empty list",
+      });
+    }
+
+    const existing = await QuizResult.findById(result_id).select("course_id student_id");
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz result not found",
+      });
+    }
+
+    const scope = await resolveGradingScope(req.user, { course_id: existing.course_id });
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.error,
+      });
+    }
+    if (scope.studentIds && !scope.studentIds.some((id) => id.toString() === existing.student_id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not teach this student",
+      });
+    }
+
+    const { result, completed, error } = await gradeQuizResult(result_id, grades, { gradedBy: req.user.id });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: result.grading_status === "pending_review" ? "Grades saved; some answers still need review" : "Grades saved",
+      grading_complete: completed,
+      student_notified: completed && !!result.student_notified_at,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error grading quiz answers:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
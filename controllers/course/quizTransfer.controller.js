@@ -0,0 +1,164 @@
+import Quiz from "../../models/QuizTable.js";
+import { resolveReviewScope } from "../../services/courseAccessService.js";
+import {
+  EXPORT_FORMATS,
+  detectImportFormat,
+  exportQuiz,
+  importQuizQuestions,
+  parseQuizFile,
+} from "../../services/quizTransferService.js";
+
+/**
+ * Bulk import questions from a GIFT or CSV file (multipart field "file", or the text in body.content).
+ * Appends to body.quiz_id, or creates a new quiz from the createQuiz fields. The whole file is validated
+ * first and nothing is written unless every question is valid; dry_run=true only reports what would be imported.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const importQuiz = async (req, res) => {
+  try {
+    const { quiz_id, format, dry_run } = req.body;
+    const content = req.file ? req.file.buffer.toString("utf8") : req.body.content;
+
+    if (!content || !String(content).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Upload a GIFT or CSV file, or send its text as content",
+      });
+    }
+
+    const importFormat = detectImportFormat(format, req.file?.originalname);
+    if (!importFormat) {
+      return res.status(400).json({
+        success: false,
+        message: "format must be gift or csv",
+      });
+    }
+
+    let quiz = null;
+    let quizData = null;
+    if (quiz_id) {
+      quiz = await Quiz.findById(quiz_id);
+      if (!quiz) {
+        return res.status(404).json({
+          success: false,
+          message: "Quiz not found",
+        });
+      }
+    } else {
+      const { course_id, module_id, title, description, pass_percentage, time_limit_minutes, attempts_allowed } = req.body;
+      if (!course_id || !module_id || !title || !description || !time_limit_minutes) {
+        return res.status(400).json({
+          success: false,
+          message: "quiz_id, or course_id, module_id, title, description and time_limit_minutes are required",
+        });
+      }
+      if (await Quiz.findOne({ course_id, module_id, title })) {
+        return res.status(400).json({
+          success: false,
+          message: "Quiz already exists",
+        });
+      }
+      quizData = {
+        course_id,
+        module_id,
+        title,
+        description,
+        time_limit_minutes,
+        ...(pass_percentage !== undefined && { pass_percentage }),
+        ...(attempts_allowed !== undefined && { attempts_allowed }),
+      };
+    }
+
+    const scope = await resolveReviewScope(req.user, { course_id: quiz ? quiz.course_id : quizData.course_id });
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.error,
+      });
+    }
+
+    const { questions, errors } = parseQuizFile(importFormat, content);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The file has ${errors.length} problem(s); nothing was imported`,
+        errors,
+      });
+    }
+
+    if (dry_run === true || dry_run === "true") {
+      return res.status(200).json({
+        success: true,
+        message: `${questions.length} question(s) ready to import`,
+        data: { questions },
+      });
+    }
+
+    const result = await importQuizQuestions({ quiz, quizData, questions });
+
+    return res.status(201).json({
+      success: true,
+      message: `${result.questions_created} question(s) imported`,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error importing quiz:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download a quiz's questions as GIFT, CSV or IMS QTI 1.2. Query: format (default gift)
+ * The X-Skipped-Questions header counts questions the format cannot express.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const exportQuizFile = async (req, res) => {
+  try {
+    const { quiz_id } = req.params;
+    const format = (req.query.format || "gift").toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const quiz = await Quiz.findById(quiz_id);
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: "Quiz not found",
+      });
+    }
+
+    const scope = await resolveReviewScope(req.user, { course_id: quiz.course_id });
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.error,
+      });
+    }
+
+    const { content, contentType, extension, skipped } = await exportQuiz(quiz, format);
+    const filename = `${quiz.title.replace(/[^a-z0-9-_]+/gi, "_") || "quiz"}.${extension}`;
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("X-Skipped-Questions", String(skipped.length));
+    return res.status(200).send(content);
+  } catch (error) {
+    console.error("Error exporting quiz:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,300 @@
+import fs from "fs";
+import Course from "../../models/Course.js";
+import Lesson from "../../models/Lesson.model.js";
+import Lesson_Type from "../../models/Lesson_Type.model.js";
+import Module from "../../models/Module.js";
+import { issueCertificateIfEligible } from "../../services/certificateService.js";
+import { getLessonAvailability, parseReleaseRule } from "../../services/contentReleaseService.js";
+import { getCourseAccess } from "../../services/courseAccessService.js";
+import {
+  parseCompletionSettings,
+  refreshModuleCourseProgress,
+  safelyUpdateProgress,
+} from "../../services/lessonProgressService.js";
+import {
+  getScormLaunchUrl,
+  getScormRuntime,
+  removeScormPackage,
+  resolveScormFile,
+  saveScormRuntime,
+  unpackScormPackage,
+} from "../../services/scormService.js";
+
+// A SCORM lesson with its type, or null
+const findScormLesson = async (lessonId) => {
+  const lesson = await Lesson.findOne({ _id: lessonId, is_deleted: { $ne: true } }).populate({
+    path: "lesson_type_id",
+    model: "Lesson_Type",
+    select: "lesson_type",
+  });
+  return lesson?.lesson_type_id?.lesson_type === "scorm" && lesson.scorm ? lesson : null;
+};
+
+// How long a package's assets are served on one availability check
+const CONTENT_ACCESS_TTL_MS = 60 * 1000;
+const MAX_CACHED_CONTENT_ACCESS = 10000;
+
+// Availability by user and lesson; a launch pulls in many assets and the full check loads the whole course
+const contentAccess = new Map();
+
+// The user's availability of a SCORM lesson, checked in full at most once per CONTENT_ACCESS_TTL_MS
+const getContentAvailability = async (user, lesson) => {
+  const key = `${user?.id || "guest"}:${lesson._id}`;
+  const now = Date.now();
+  const cached = contentAccess.get(key);
+  if (cached && cached.expires_at > now) return cached.availability;
+
+  const availability = await getLessonAvailability(user, lesson);
+  if (contentAccess.size >= MAX_CACHED_CONTENT_ACCESS) {
+    contentAccess.forEach((entry, entryKey) => {
+      if (entry.expires_at <= now) contentAccess.delete(entryKey);
+    });
+    if (contentAccess.size >= MAX_CACHED_CONTENT_ACCESS) contentAccess.clear();
+  }
+  contentAccess.set(key, { availability, expires_at: now + CONTENT_ACCESS_TTL_MS });
+  return availability;
+};
+
+/**
+ * Import a SCORM 1.2 package (multipart "package", a .zip) as a new lesson at the end of a module.
+ * Body: lesson_title (default the package's title), lesson_description, lesson_duration, is_preview,
+ * completion_rule ("scorm_completed" or "view") and the release rule fields
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const importScormLesson = async (req, res) => {
+  let scorm = null;
+  try {
+    const { module_id } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "A SCORM package (.zip) is required",
+      });
+    }
+
+    const module = await Module.findOne({ _id: module_id, is_deleted: { $ne: true } }).select("course_id");
+    const course = module && (await Course.exists({ _id: module.course_id, tenant_id: req.user.tenant_id }));
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Module not found",
+      });
+    }
+
+    const completion = parseCompletionSettings(req.body, "scorm");
+    if (completion.error) {
+      return res.status(400).json({
+        success: false,
+        message: completion.error,
+      });
+    }
+
+    const { release, error: releaseError } = await parseReleaseRule(req.body, { courseId: module.course_id });
+    if (releaseError) {
+      return res.status(400).json({
+        success: false,
+        message: releaseError,
+      });
+    }
+
+    const unpacked = await unpackScormPackage(req.file.path);
+    if (unpacked.error) {
+      return res.status(400).json({
+        success: false,
+        message: unpacked.error,
+      });
+    }
+    scorm = unpacked.scorm;
+
+    const lessonType = await Lesson_Type.findOneAndUpdate(
+      { lesson_type: "scorm" },
+      { $setOnInsert: { lesson_type: "scorm" } },
+      { upsert: true, new: true }
+    );
+
+    const maxOrderLesson = await Lesson.findOne({ module_id }).sort({ display_order: -1 });
+    const lesson = await Lesson.create({
+      module_id,
+      lesson_title: req.body.lesson_title?.trim() || scorm.title || "SCORM lesson",
+      lesson_type_id: lessonType._id,
+      description: req.body.lesson_description,
+      lesson_duration: req.body.lesson_duration,
+      is_preview: req.body.is_preview,
+      display_order: maxOrderLesson?.display_order ? maxOrderLesson.display_order + 1 : 1,
+      scorm,
+      ...completion.settings,
+      ...(release !== undefined && { release }),
+    });
+
+    await safelyUpdateProgress("lesson creation", () => refreshModuleCourseProgress(module_id));
+
+    return res.status(201).json({
+      success: true,
+      message: "SCORM package imported successfully",
+      data: { ...lesson.toJSON(), launch_url: getScormLaunchUrl(lesson) },
+    });
+  } catch (error) {
+    if (scorm) removeScormPackage(scorm.package_dir);
+    console.error("Error importing SCORM package:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  } finally {
+    // The uploaded zip is only needed until it is unpacked
+    if (req.file) fs.unlink(req.file.path, () => {});
+  }
+};
+
+/**
+ * Serve a file of a SCORM lesson's package; the launch URL and everything it links to relatively.
+ * Locked lessons are refused like their content is elsewhere; availability is rechecked at most once a minute.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const serveScormContent = async (req, res) => {
+  try {
+    const lesson = await findScormLesson(req.params.lesson_id);
+    if (!lesson) {
+      return res.status(404).json({
+        success: false,
+        message: "Lesson not found",
+      });
+    }
+
+    const availability = await getContentAvailability(req.user, lesson);
+    if (!availability.is_unlocked) {
+      return res.status(403).json({
+        success: false,
+        message: availability.message,
+      });
+    }
+
+    const segments = [].concat(req.params.file_path || []);
+    const file = resolveScormFile(lesson, segments.join("/"));
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found",
+      });
+    }
+
+    return res.sendFile(file);
+  } catch (error) {
+    console.error("Error serving SCORM content:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// The SCORM lesson behind :lesson_id and its course if the logged-in student may run it; otherwise sends the error
+const findRunnableLesson = async (req, res) => {
+  const lesson = await findScormLesson(req.params.lesson_id);
+  if (!lesson) {
+    res.status(404).json({
+      success: false,
+      message: "Lesson not found",
+    });
+    return null;
+  }
+
+  const module = await Module.findById(lesson.module_id).select("course_id");
+  if (!module || !(await getCourseAccess(req.user.id, module.course_id)).allowed) {
+    res.status(403).json({
+      success: false,
+      message: "You are not enrolled in this course",
+    });
+    return null;
+  }
+
+  const availability = await getLessonAvailability(req.user, lesson);
+  if (!availability.is_unlocked) {
+    res.status(403).json({
+      success: false,
+      message: availability.message,
+      data: { availability },
+    });
+    return null;
+  }
+
+  return { lesson, courseId: module.course_id };
+};
+
+/**
+ * The SCORM 1.2 run-time data (cmi.*) the player hands the package on LMSInitialize
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getScormRuntimeData = async (req, res) => {
+  try {
+    const runnable = await findRunnableLesson(req, res);
+    if (!runnable) return;
+
+    const { registration, cmi } = await getScormRuntime(req.user.id, runnable.lesson);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        launch_url: getScormLaunchUrl(runnable.lesson),
+        cmi,
+        completed_at: registration?.completed_at || null,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching SCORM run-time data:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Save what the package committed; send on LMSCommit and with finish=true on LMSFinish.
+ * Body: cmi ({ "cmi.core.lesson_status": ..., "cmi.core.score.raw": ..., ... }), finish
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const saveScormRuntimeData = async (req, res) => {
+  try {
+    const runnable = await findRunnableLesson(req, res);
+    if (!runnable) return;
+
+    const { registration, completed_now, error } = await saveScormRuntime(
+      req.user.id,
+      runnable.lesson,
+      runnable.courseId,
+      {
+        cmi: req.body.cmi && typeof req.body.cmi === "object" ? req.body.cmi : {},
+        finish: req.body.finish === true || req.body.finish === "true",
+      }
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    if (completed_now) await issueCertificateIfEligible(req.user.id, runnable.courseId);
+
+    return res.status(200).json({
+      success: true,
+      message: completed_now ? "Lesson completed" : "Progress saved",
+      data: registration,
+    });
+  } catch (error) {
+    console.error("Error saving SCORM run-time data:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,99 @@
+import { listTrash, purgeTrashItem, restoreTrashItem, TRASH_TYPES } from "../../services/trashService.js";
+import { refreshCourseProgress, safelyUpdateProgress } from "../../services/lessonProgressService.js";
+
+/**
+ * Deleted courses, modules and lessons of the tenant, newest first, with when each is purged
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getTrash = async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !TRASH_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${TRASH_TYPES.join(", ")}`,
+      });
+    }
+
+    const items = await listTrash(req.user.tenant_id);
+
+    return res.status(200).json({
+      success: true,
+      data: type ? items.filter((item) => item.type === type) : items,
+    });
+  } catch (error) {
+    console.error("Error fetching trash:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Restore a deleted course, module or lesson with what was deleted along with it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const restoreFromTrash = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    const { item, course, status, error } = await restoreTrashItem(req.user.tenant_id, type, id);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Restored lessons count towards progress again
+    await safelyUpdateProgress(`${type} restore`, () => refreshCourseProgress(course._id));
+
+    return res.status(200).json({
+      success: true,
+      message: `The ${type} was restored`,
+      data: { type, id: item._id },
+    });
+  } catch (error) {
+    console.error("Error restoring from trash:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Permanently delete a trashed item now instead of waiting for the scheduled purge
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const purgeFromTrash = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    const { status, error } = await purgeTrashItem(req.user.tenant_id, type, id);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `The ${type} was permanently deleted`,
+    });
+  } catch (error) {
+    console.error("Error purging from trash:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
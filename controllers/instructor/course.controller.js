@@ -22,6 +22,7 @@ export const getInstructorCourses = async (req, res) => {
     // Get courses directly assigned to instructor
     const courseAssignedToInstructor = await Course.find({
       instructors: { $in: [id] },
+      is_deleted: { $ne: true },
     })
       .populate("category", "category")
       .populate("subcategory", "subcategory_name")
@@ -42,7 +43,8 @@ export const getInstructorCourses = async (req, res) => {
     // Get courses from batches (excluding already fetched direct assignments)
     const batchCourses = await Course.find({
       _id: { $in: batchCourseIds },
-      instructors: { $nin: [id] } // Exclude courses already in direct assignments
+      instructors: { $nin: [id] }, // Exclude courses already in direct assignments
+      is_deleted: { $ne: true },
     })
       .populate("category", "category")
       .populate("subcategory", "subcategory_name")
@@ -151,7 +153,7 @@ export const getInstructorAndDetailsById = async (req, res) => {
 
     const userDetails = await Promise.all([
       User.findOne({ _id: user_id }),
-      Course.find({ instructors: user_id }),
+      Course.find({ instructors: user_id, is_deleted: { $ne: true } }),
       InstructorPricing.findOne({ instructor_id: LoginDetails._id }),
     ]);
 
@@ -174,6 +176,7 @@ export const getInstructorAndDetailsById = async (req, res) => {
         // Module count
         const moduleCount = await Module.countDocuments({
           course_id: course._id,
+          is_deleted: { $ne: true },
         });
         // Student count (from CoursePurchase)
         const studentCount = await CoursePurchase.countDocuments({
@@ -284,6 +284,7 @@ export const getInstructorStats = async (req, res) => {
       Course.countDocuments({
         instructors: userId,
         is_archived: false,
+        is_deleted: { $ne: true },
       }),
 
       // Count active courses directly assigned to this instructor
@@ -291,6 +292,7 @@ export const getInstructorStats = async (req, res) => {
         instructors: userId,
         is_active: true,
         is_archived: false,
+        is_deleted: { $ne: true },
       }),
 
       // Count courses from batches (excluding direct assignments)
@@ -298,6 +300,7 @@ export const getInstructorStats = async (req, res) => {
         _id: { $in: batchCourseIds },
         instructors: { $nin: [userId] },
         is_archived: false,
+        is_deleted: { $ne: true },
       }),
 
       // Count active courses from batches
@@ -306,6 +309,7 @@ export const getInstructorStats = async (req, res) => {
         instructors: { $nin: [userId] },
         is_active: true,
         is_archived: false,
+        is_deleted: { $ne: true },
       }),
 
       // Count total students across all instructor's courses (both direct and batch)
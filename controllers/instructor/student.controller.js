@@ -26,6 +26,7 @@ export const getStudentsByTenant = async (req, res) => {
 
     const assignedCourses = await Course.find({
       instructors: { $in: [users.user_id._id] },
+      is_deleted: { $ne: true },
     });
     // console.log('assignedcur',assignedCourses);
 
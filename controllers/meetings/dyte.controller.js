@@ -1,5 +1,7 @@
 import axios from 'axios';
-import moment from 'moment';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
 import Batch from '../../models/Batch_table.js';
 import Login from '../../models/login.model.js';
 import { uploadToYouTube } from '../../services/youtube.service.js';
@@ -9,6 +11,15 @@ import fs from 'fs';
 import https from 'https';
 import Attendance from '../../models/Attendance.js';
 import LiveSession from '../../models/Live_Session.model.js';
+import {
+  recordParticipantJoined,
+  recordParticipantLeft,
+  closeOpenMeetingSessions,
+  getScheduledClassStart
+} from '../../services/attendanceCaptureService.js';
+import { getBatchTimezone, getBatchDateBounds, getDayRange, getTimeOnDay } from '../../utils/timezone.js';
+import { getOccurrenceIdForDay } from '../../services/classOccurrenceService.js';
+import { claimUpload, deleteAttachedUploads, findAttachableUpload, releaseUpload } from '../../services/uploadService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,8 +39,9 @@ const getAuthHeaders = () => ({
 });
 
 // Helper Validation Function
-const validateClassTime = (batch) => {
-  const today = moment();
+const validateClassTime = (batch, timezone) => {
+  // Every check runs on the batch's own clock
+  const today = moment.tz(timezone);
 
   // 0. Check Flexible Schedule
   if (batch.is_strict_schedule === false) {
@@ -45,10 +57,11 @@ const validateClassTime = (batch) => {
   }
 
   // 2. Check Date Range
-  if (batch.start_date && today.isBefore(moment(batch.start_date).startOf('day'))) {
+  const bounds = getBatchDateBounds(batch, timezone);
+  if (bounds.start && today.isBefore(bounds.start)) {
     return { valid: false, message: "Batch has not started yet (Date)" };
   }
-  if (batch.end_date && today.isAfter(moment(batch.end_date).endOf('day'))) {
+  if (bounds.end && today.isAfter(bounds.end)) {
     return { valid: false, message: "Batch is already completed (Date)" };
   }
 
@@ -74,10 +87,9 @@ const validateClassTime = (batch) => {
     }
 
     // Start Time Check
-    // Example: "10:00 AM" -> parsed as today at 10:00 AM
-    const formatStart = startStr.toUpperCase().includes('M') ? 'h:mm A' : 'H:mm';
-    const startTime = moment(startStr, formatStart);
-    startTime.set({ year: today.year(), month: today.month(), date: today.date() });
+    // Example: "10:00 AM" -> today at 10:00 AM in the batch timezone
+    const startTime = getTimeOnDay(startStr, today, timezone);
+    if (!startTime) return { valid: true };
 
     // Buffer: Allow joining 15 mins before
     // If today is 09:44 and start is 10:00, allowedStart is 09:45. 09:44 < 09:45 (isBefore) -> Too early.
@@ -90,10 +102,9 @@ const validateClassTime = (batch) => {
     }
 
     // End Time Check
-    if (endStr) {
-      const formatEnd = endStr.toUpperCase().includes('M') ? 'h:mm A' : 'H:mm';
-      const endTime = moment(endStr, formatEnd);
-      endTime.set({ year: today.year(), month: today.month(), date: today.date() });
+    const endTime = endStr ? getTimeOnDay(endStr, today, timezone) : null;
+    if (endTime) {
+      if (!endTime.isAfter(startTime)) endTime.add(1, 'day'); // Class runs past midnight
 
       if (today.isAfter(endTime)) {
         return { valid: false, message: "Batch class time is over for today." };
@@ -183,7 +194,8 @@ export const startBatchClass = async (req, res) => {
     const batch = await Batch.findById(batchId);
     if (!batch) return res.status(404).json({ success: false, message: "Batch not found" });
 
-    const validation = validateClassTime(batch);
+    const timezone = await getBatchTimezone(batch);
+    const validation = validateClassTime(batch, timezone);
     if (!validation.valid) {
       return res.status(400).json({ success: false, message: validation.message });
     }
@@ -255,15 +267,16 @@ export const joinBatchClass = async (req, res) => {
       return res.status(400).json({ success: false, message: `Batch not found (ID: ${batchId})` });
     }
 
-    const validation = validateClassTime(batch);
+    const timezone = await getBatchTimezone(batch);
+    const validation = validateClassTime(batch, timezone);
     if (!validation.valid) {
       return res.status(400).json({ success: false, message: validation.message });
     }
 
     // Check if the meeting has been hosted/started TODAY
     // Logic: last_class_start_time must be "today"
-    const today = moment();
-    const lastStart = batch.last_class_start_time ? moment(batch.last_class_start_time) : null;
+    const today = moment.tz(timezone);
+    const lastStart = batch.last_class_start_time ? moment.tz(batch.last_class_start_time, timezone) : null;
 
     const isStartedToday = lastStart && lastStart.isSame(today, 'day');
 
@@ -304,33 +317,14 @@ export const joinBatchClass = async (req, res) => {
         if (loginUser && loginUser.user_id) {
           const studentProfileId = loginUser.user_id;
 
-          const today = moment();
-
-          // Parse Class Start Time
-          let startTimeStr = batch.batch_time;
-          if (startTimeStr && startTimeStr.includes("-")) {
-            startTimeStr = startTimeStr.split("-")[0].trim();
-          }
-
-          const format = startTimeStr && startTimeStr.includes('M') ? 'h:mm A' : 'H:mm';
-          const classStartTime = startTimeStr ? moment(startTimeStr, format) : moment();
-          classStartTime.set({
-            year: today.year(),
-            month: today.month(),
-            date: today.date()
-          });
-
-          const todayStart = new Date();
-          todayStart.setHours(0, 0, 0, 0);
+          // Class start and day boundaries follow the batch timezone
+          const classStartTime = getScheduledClassStart(batch, new Date(), timezone);
 
           const query = {
             student_id: studentProfileId,
             course_id: batch.course_id,
             batch_id: batch._id,
-            date: {
-              $gte: todayStart,
-              $lt: new Date(todayStart.getTime() + 24 * 60 * 60 * 1000)
-            }
+            date: getDayRange(new Date(), timezone)
           };
 
           let attendance = await Attendance.findOne(query);
@@ -340,9 +334,10 @@ export const joinBatchClass = async (req, res) => {
               student_id: studentProfileId,
               course_id: batch.course_id,
               batch_id: batch._id,
+              occurrence_id: await getOccurrenceIdForDay(batch._id, new Date(), timezone),
               date: new Date(),
               marked_by: studentProfileId, // Self-marked
-              class_start_time: classStartTime.toDate(),
+              class_start_time: classStartTime,
               status: 'present',
               sessions: []
             });
@@ -472,17 +467,35 @@ export const getBatchRecordings = async (req, res) => {
   }
 };
 
+// Accepts the recording as multipart "recording", or upload_id of a finished chunked upload
 export const uploadManualRecording = async (req, res) => {
+  let claimedUpload = null;
   try {
     const { batchId } = req.params;
-    const { title } = req.body;
-    const file = req.file;
+    const { title, upload_id } = req.body;
+    let file = req.file;
+    let chunkedUpload = null;
+
+    if (!file && upload_id) {
+      const found = await findAttachableUpload(req.user?.tenant_id, upload_id, 'recording');
+      if (found.error) return res.status(found.status).json({ success: false, message: found.error });
+      chunkedUpload = found.upload;
+      file = found.file;
+    }
 
     if (!file) return res.status(400).json({ success: false, message: "No file uploaded" });
 
     const batch = await Batch.findById(batchId);
     if (!batch) return res.status(404).json({ success: false, message: "Batch not found" });
 
+    const recordingId = new mongoose.Types.ObjectId();
+    if (chunkedUpload) {
+      if (!(await claimUpload(chunkedUpload, { kind: 'recording', id: recordingId }))) {
+        return res.status(409).json({ success: false, message: "The upload is already in use" });
+      }
+      claimedUpload = chunkedUpload;
+    }
+
     let youtubeUrl = null;
     let youtubeError = null;
 
@@ -507,8 +520,10 @@ export const uploadManualRecording = async (req, res) => {
     }
 
     batch.manual_recordings.push({
+      _id: recordingId,
       title: title || `Manual Recording - ${moment().format('MMM Do, YYYY')}`,
-      file_path: file.path,
+      // Chunked uploads land in the recordings folder, whose files are stored by name like synced recordings
+      file_path: chunkedUpload ? path.basename(file.path) : file.path,
       youtube_url: youtubeUrl,
       status_note: youtubeError,
       uploaded_at: new Date()
@@ -532,18 +547,95 @@ export const uploadManualRecording = async (req, res) => {
     });
 
   } catch (error) {
+    if (claimedUpload) await releaseUpload(claimedUpload);
     console.error("Upload Recording Error:", error);
     res.status(500).json({ success: false, message: "Failed to upload recording" });
   }
 };
 
+// Remove a recording from a batch with its local file; a chunked upload behind it frees its quota
+export const deleteManualRecording = async (req, res) => {
+  try {
+    const { batchId, recordingId } = req.params;
+
+    const batch = await Batch.findOne({ _id: batchId, tenant_id: req.user.tenant_id });
+    const recording = batch?.manual_recordings.id(recordingId);
+    if (!recording) return res.status(404).json({ success: false, message: "Recording not found" });
+
+    recording.deleteOne();
+    await batch.save();
+
+    const removedUploads = await deleteAttachedUploads('recording', [recording._id]);
+    if (removedUploads === 0 && recording.file_path) {
+      // Synced and chunked recordings are stored by file name in the recordings folder
+      const recordingsDir = process.env.RECORDINGS_PATH || path.join(__dirname, '../../uploads/recordings');
+      const localPath = path.basename(recording.file_path) === recording.file_path
+        ? path.join(recordingsDir, recording.file_path)
+        : recording.file_path;
+      fs.unlink(localPath, (error) => {
+        if (error && error.code !== 'ENOENT') console.error("Could not remove recording file:", error);
+      });
+    }
+
+    res.json({ success: true, message: "Recording deleted" });
+  } catch (error) {
+    console.error("Delete Recording Error:", error);
+    res.status(500).json({ success: false, message: "Failed to delete recording" });
+  }
+};
+
+// Dyte signs each webhook body with the org's webhook key (RSA-SHA256, base64 in the dyte-signature header).
+// DYTE_WEBHOOK_PUBLIC_KEY is the org's webhook public key (PEM; "\n" escapes are allowed in .env)
+const verifyDyteSignature = (rawBody, signature) => {
+  const publicKey = process.env.DYTE_WEBHOOK_PUBLIC_KEY;
+  if (!publicKey || !signature || !Buffer.isBuffer(rawBody)) return false;
+  try {
+    return crypto
+      .createVerify('RSA-SHA256')
+      .update(rawBody)
+      .verify(publicKey.replace(/\\n/g, '\n'), signature, 'base64');
+  } catch (error) {
+    return false;
+  }
+};
+
 export const handleDyteWebhook = async (req, res) => {
   try {
+    // Anyone can reach this endpoint; only events Dyte signed may touch attendance, sessions or recordings
+    if (!verifyDyteSignature(req.body, req.get('dyte-signature'))) {
+      console.warn("Dyte webhook rejected: invalid or missing signature");
+      return res.status(401).json({ success: false, message: "Invalid webhook signature" });
+    }
+
     const payload = JSON.parse(req.body.toString());
     const { event, data } = payload;
 
     console.log("📩 Dyte Webhook Event:", event);
 
+    // 🧑‍🎓 ATTENDANCE: Participant joined / left the batch meeting
+    if (event === 'meeting.participantJoined' || event === 'meeting.participantLeft') {
+      const meeting = data?.meeting || payload.meeting || {};
+      const participant = data?.participant || payload.participant || {};
+
+      const attendanceEvent = {
+        meetingId: meeting.id || data?.meeting_id,
+        // We register participants with client_specific_id = Login id
+        loginId: participant.clientSpecificId || participant.client_specific_id
+          || participant.customParticipantId || participant.custom_participant_id,
+        peerId: participant.peerId || participant.peer_id || participant.id,
+        joinedAt: participant.joinedAt || participant.joined_at,
+        leftAt: participant.leftAt || participant.left_at
+      };
+
+      const result = event === 'meeting.participantJoined'
+        ? await recordParticipantJoined(attendanceEvent)
+        : await recordParticipantLeft(attendanceEvent);
+
+      if (!result.success) {
+        console.log(`[Attendance] ${event} ignored: ${result.error}`);
+      }
+    }
+
     // 💰 FINANCE: Track Meeting Hours (Source of Truth)
     if (event === 'meeting.ended') {
       console.log(`[Dyte Webhook] Meeting Ended: ${data.id}`);
@@ -594,6 +686,12 @@ export const handleDyteWebhook = async (req, res) => {
 
         await LiveSession.findOneAndUpdate(filter, updateDoc, options);
         console.log(`[Finance] Logged ${durationMinutes} mins for Batch ${batch.batch_name}, Instructor: ${updateDoc.instructor_id}`);
+
+        // 🧑‍🎓 ATTENDANCE: Students who never sent a leave event are closed out at meeting end
+        const closeResult = await closeOpenMeetingSessions({ meetingId, startedAt: data.live_started_at, endedAt });
+        if (closeResult.success) {
+          console.log(`[Attendance] Closed ${closeResult.closed} open attendance record(s) for Batch ${batch.batch_name}`);
+        }
       } else {
         console.warn(`[Finance] Meeting ${meetingId} ended but no Batch found.`);
       }
@@ -4,6 +4,16 @@ import Login from "../../models/login.model.js";
 import InstructorPricing from "../../models/instructor_pricing.js";
 import InstructorPayment from "../../models/instructor_payment.js";
 import axios from 'axios';
+import moment from "moment-timezone";
+import {
+  getBatchTimezone,
+  getTenantTimezone,
+  getViewerTimezone,
+  isValidTimezone,
+  normalizeTimezone,
+  parseInTimezone,
+} from "../../utils/timezone.js";
+import { linkLiveSessionSafely } from "../../services/classOccurrenceService.js";
 
 // Dyte API Configuration
 const DYTE_API_BASE_URL = 'https://api.dyte.io/v2';
@@ -44,7 +54,7 @@ const generateInstructorPayroll = async (
 
     // Get session date (use scheduled start time or now)
     const sessionDate = completedSession.scheduled_start_time
-      ? new Date(completedSession.scheduled_start_time)
+      ? getSessionStartTime(completedSession)
       : new Date();
 
     const startOfMonth = new Date(
@@ -109,12 +119,37 @@ const generateInstructorPayroll = async (
 };
 
 
+// Meetings store ISO instants; older rows may hold a local time without offset, read in the meeting's timezone
+const getSessionStartTime = (dbMeeting) =>
+  parseInTimezone(dbMeeting.scheduled_start_time, normalizeTimezone(dbMeeting.timezone)).toDate();
+
+// Start time and date label of a meeting in the viewer's timezone
+const getViewerSessionTimes = (dbMeeting, viewerTimezone) => {
+  const start = moment.tz(getSessionStartTime(dbMeeting), viewerTimezone);
+  return {
+    start_time: start.format(),
+    date: start.format("MMM D, YYYY"),
+    timezone: viewerTimezone,
+  };
+};
+
+// Timezone a new or rescheduled meeting is expressed in: explicit, then batch, then tenant
+const resolveMeetingTimezone = async (timezone, batchId, tenantId) => {
+  if (isValidTimezone(timezone)) return timezone;
+  if (batchId) {
+    const batch = await Batch.findById(batchId).select("timezone tenant_id");
+    if (batch) return getBatchTimezone(batch);
+  }
+  return getTenantTimezone(tenantId);
+};
 
 export const getMeetings = async (req, res) => {
   const tenantId = req.user.tenant_id;
   console.log("tenantId:", tenantId);
 
   try {
+    const viewerTimezone = getViewerTimezone(req, await getTenantTimezone(tenantId));
+
     // 🗄 Fetch from DB
     const dbMeetings = await LiveSession.find({ tenant_id: tenantId }).populate(
       {
@@ -316,7 +351,7 @@ export const getMeetings = async (req, res) => {
           // In our new createMeeting we will store ISO in scheduled_start_time to be consistent.
 
           // Fallback if stored as simple string or ISO
-          const startTime = new Date(dbMeeting.scheduled_start_time);
+          const startTime = getSessionStartTime(dbMeeting);
 
           // Assume 60 mins if no duration
           const duration = parseInt(dbMeeting.duration) || 60;
@@ -366,12 +401,7 @@ export const getMeetings = async (req, res) => {
           live_session_Id: dbMeeting._id,
           topic: dbMeeting.topic,
           agenda: dbMeeting.agenda,
-          start_time: dbMeeting.scheduled_start_time,
-          date: new Date(dbMeeting.scheduled_start_time).toLocaleDateString("en-US", {
-            year: "numeric",
-            month: "short",
-            day: "numeric",
-          }),
+          ...getViewerSessionTimes(dbMeeting, viewerTimezone),
           duration: dbMeeting.duration || 60,
           scheduled_start_time: dbMeeting.scheduled_start_time,
           scheduled_end_time: dbMeeting.scheduled_end_time,
@@ -456,7 +486,7 @@ export const getInstructorPayments = async (req, res) => {
     const dailyWork = sessions.map(session => {
       const durationHours = (parseInt(session.meeting_duration_completed) || 0) / 60;
       const amount = durationHours * hourlyRate;
-      const date = session.scheduled_start_time ? new Date(session.scheduled_start_time) : session.created_at;
+      const date = session.scheduled_start_time ? getSessionStartTime(session) : session.created_at;
 
       return {
         date: date,
@@ -488,7 +518,7 @@ export const getInstructorPayments = async (req, res) => {
     // Let's use sessions for real-time "earned so far"
     const now = new Date();
     const currentMonthSessions = sessions.filter(s => {
-      const d = s.scheduled_start_time ? new Date(s.scheduled_start_time) : new Date(s.created_at);
+      const d = s.scheduled_start_time ? getSessionStartTime(s) : new Date(s.created_at);
       return d.getMonth() === now.getMonth() && d.getFullYear() === now.getFullYear();
     });
     const currentMonthEarnings = currentMonthSessions.reduce((acc, curr) => {
@@ -559,7 +589,7 @@ export const createMeeting = async (req, res) => {
   try {
     console.log("Creating new Dyte meeting with data:", req.body);
     const tenantId = req.user.tenant_id;
-    const { topic, start_time, duration, agenda, batch_id } = req.body;
+    const { topic, start_time, duration, agenda, batch_id, timezone, occurrence_id } = req.body;
 
     // 1. Create Dyte Meeting via API
     const dyteResponse = await axios.post(
@@ -584,8 +614,9 @@ export const createMeeting = async (req, res) => {
     const dyteMeeting = dyteResponse.data.data;
     const dyteMeetingId = dyteMeeting.id;
 
-    // Calculate end time
-    const startTimeDate = new Date(start_time);
+    // Calculate start/end; a start_time without an offset is read in the meeting timezone
+    const meetingTimezone = await resolveMeetingTimezone(timezone, batch_id, tenantId);
+    const startTimeDate = parseInTimezone(start_time, meetingTimezone).toDate();
     const endTimeDate = new Date(startTimeDate.getTime() + (parseInt(duration) || 60) * 60000);
 
     const newMeeting = new LiveSession({
@@ -594,8 +625,9 @@ export const createMeeting = async (req, res) => {
       dyte_meeting_id: dyteMeetingId,
       topic,
       agenda,
-      scheduled_start_time: start_time,
+      scheduled_start_time: startTimeDate.toISOString(),
       scheduled_end_time: endTimeDate.toISOString(),
+      timezone: meetingTimezone,
       duration,
       host_url: `https://app.dyte.io/meeting/${dyteMeetingId}`,
       join_url: `https://app.dyte.io/meeting/${dyteMeetingId}`,
@@ -604,10 +636,14 @@ export const createMeeting = async (req, res) => {
 
     await newMeeting.save();
 
+    // Attach the meeting to the batch class it is for (given, or the one on its day)
+    const occurrence = batch_id ? await linkLiveSessionSafely(newMeeting, occurrence_id || null) : null;
+
     res.json({
       success: true,
       message: "Dyte meeting created successfully",
       live_session_Id: newMeeting._id,
+      occurrence_id: occurrence ? occurrence._id : null,
       meeting: newMeeting,
     });
   } catch (error) {
@@ -623,7 +659,7 @@ export const createMeeting = async (req, res) => {
 export const updateMeeting = async (req, res) => {
   try {
     const { meetingId } = req.params;
-    const { topic, agenda, start_time, duration, status } = req.body;
+    const { topic, agenda, start_time, duration, status, timezone } = req.body;
 
     const meeting = await LiveSession.findOne({ dyte_meeting_id: meetingId });
     if (!meeting) {
@@ -645,17 +681,22 @@ export const updateMeeting = async (req, res) => {
       console.error("Dyte API update error:", apiErr.response?.data || apiErr.message);
     }
 
-    const startTimeDate = new Date(start_time);
+    const meetingTimezone = isValidTimezone(timezone)
+      ? timezone
+      : meeting.timezone || await resolveMeetingTimezone(null, meeting.batch_id, meeting.tenant_id);
+    const startTimeDate = parseInTimezone(start_time, meetingTimezone).toDate();
     const endTimeDate = new Date(startTimeDate.getTime() + (parseInt(duration) || 60) * 60000);
 
     meeting.topic = topic;
     meeting.agenda = agenda;
-    meeting.scheduled_start_time = start_time;
+    meeting.scheduled_start_time = startTimeDate.toISOString();
     meeting.scheduled_end_time = endTimeDate.toISOString();
+    meeting.timezone = meetingTimezone;
     if (status) meeting.status = status;
     meeting.updated_at = new Date();
 
     await meeting.save();
+    if (meeting.batch_id) await linkLiveSessionSafely(meeting);
 
     res.json({
       success: true,
@@ -721,6 +762,7 @@ export const assignBatchToLiveSession = async (req, res) => {
 
     liveSession.batch_id = batch_id;
     await liveSession.save();
+    await linkLiveSessionSafely(liveSession);
 
     res.json({
       message: "Batch assigned successfully",
@@ -801,6 +843,7 @@ export const getInstructorLiveSessions = async (req, res) => {
   try {
     const instructorId = req.user.id;
     const tenantId = req.user.tenant_id;
+    const viewerTimezone = getViewerTimezone(req, await getTenantTimezone(tenantId));
 
     console.log("Debug - Instructor ID:", instructorId);
     console.log("Debug - Tenant ID:", tenantId);
@@ -836,7 +879,7 @@ export const getInstructorLiveSessions = async (req, res) => {
 
         // ✅ Handle status update based on time
         if (dbMeeting.scheduled_start_time) {
-          const startTime = new Date(dbMeeting.scheduled_start_time);
+          const startTime = getSessionStartTime(dbMeeting);
           const duration = parseInt(dbMeeting.duration) || 60;
           const endTime = new Date(startTime.getTime() + duration * 60000);
 
@@ -884,12 +927,7 @@ export const getInstructorLiveSessions = async (req, res) => {
           live_session_Id: dbMeeting._id,
           topic: dbMeeting.topic,
           agenda: dbMeeting.agenda,
-          start_time: dbMeeting.scheduled_start_time,
-          date: new Date(dbMeeting.scheduled_start_time).toLocaleDateString("en-US", {
-            year: "numeric",
-            month: "short",
-            day: "numeric",
-          }),
+          ...getViewerSessionTimes(dbMeeting, viewerTimezone),
           duration: dbMeeting.duration,
           scheduled_start_time: dbMeeting.scheduled_start_time,
           scheduled_end_time: dbMeeting.scheduled_end_time,
@@ -950,7 +988,7 @@ export const updateMeetingStatus = async (req, res) => {
 
     // Calculate status based on current time
     if (dbMeeting.scheduled_start_time) {
-      const startTime = new Date(dbMeeting.scheduled_start_time);
+      const startTime = getSessionStartTime(dbMeeting);
       const duration = parseInt(dbMeeting.duration) || 60;
       const endTime = new Date(startTime.getTime() + duration * 60000);
 
@@ -1024,7 +1062,7 @@ export const updateAllMeetingStatuses = async (req, res) => {
         let updatedStatus = dbMeeting.status;
 
         if (dbMeeting.scheduled_start_time) {
-          const startTime = new Date(dbMeeting.scheduled_start_time);
+          const startTime = getSessionStartTime(dbMeeting);
           const duration = parseInt(dbMeeting.duration) || 60;
           const endTime = new Date(startTime.getTime() + duration * 60000);
 
@@ -1086,6 +1124,7 @@ export const getStudentLiveSessions = async (req, res) => {
   try {
     const loginId = req.user.id || req.user._id;
     const tenantId = req.user.tenant_id;
+    const viewerTimezone = getViewerTimezone(req, await getTenantTimezone(tenantId));
 
     // Get the user_id from the login record
     const loginRecord = await Login.findById(loginId).select('user_id');
@@ -1148,7 +1187,7 @@ export const getStudentLiveSessions = async (req, res) => {
 
         // Calculate status based on current time
         if (dbMeeting.scheduled_start_time) {
-          const startTime = new Date(dbMeeting.scheduled_start_time);
+          const startTime = getSessionStartTime(dbMeeting);
           const duration = parseInt(dbMeeting.duration) || 60;
           const endTime = new Date(startTime.getTime() + duration * 60000);
 
@@ -1179,12 +1218,7 @@ export const getStudentLiveSessions = async (req, res) => {
           live_session_Id: dbMeeting._id,
           topic: dbMeeting.topic,
           agenda: dbMeeting.agenda,
-          start_time: dbMeeting.scheduled_start_time,
-          date: new Date(dbMeeting.scheduled_start_time).toLocaleDateString("en-US", {
-            year: "numeric",
-            month: "short",
-            day: "numeric",
-          }),
+          ...getViewerSessionTimes(dbMeeting, viewerTimezone),
           duration: dbMeeting.duration,
           scheduled_start_time: dbMeeting.scheduled_start_time,
           scheduled_end_time: dbMeeting.scheduled_end_time,
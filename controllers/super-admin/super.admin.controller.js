@@ -69,7 +69,7 @@ export const getTenantsWithCourseCountandUserCount = async (req, res) => {
         const user = login?.user_id || null;
 
         const [courseCount, userCount] = await Promise.all([
-          Course.countDocuments({ tenant_id: tenant._id }),
+          Course.countDocuments({ tenant_id: tenant._id, is_deleted: { $ne: true } }),
           Login.countDocuments({ tenant_id: tenant._id }),
         ]);
 
@@ -9,6 +9,7 @@ import Subcategory from "../../models/Subcategory.js";
 import Course from "../../models/Course.js";
 import Module from "../../models/Module.js";
 import Lesson from "../../models/Lesson.model.js";
+import { isValidTimezone } from "../../utils/timezone.js";
 
 // Create new tenant
 
@@ -33,9 +34,16 @@ export const createTenant = async (req, res) => {
   console.log("Working...");
 
   try {
-    const { fname, lname, email, phone_number, subdomain, name } = req.body;
+    const { fname, lname, email, phone_number, subdomain, name, timezone } = req.body;
     console.log("Payload:", req.body);
 
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid timezone. Use an IANA name such as Asia/Kolkata",
+      });
+    }
+
     // Validation
     if (!fname || !lname || !email || !phone_number || !subdomain || !name) {
       return res.status(400).json({
@@ -80,6 +88,7 @@ export const createTenant = async (req, res) => {
         name: name,
         subdomain,
         is_active: true,
+        ...(timezone && { timezone }),
       }
     );
 
@@ -262,12 +271,36 @@ export const updateTenant = async (req, res) => {
       is_active,
       email,
       phone_number,
+      timezone,
+      upload_quota_mb,
     } = req.body;
 
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid timezone. Use an IANA name such as Asia/Kolkata",
+      });
+    }
+
+    // An empty quota goes back to the platform default
+    const quotaCleared = upload_quota_mb === null || upload_quota_mb === "";
+    if (upload_quota_mb !== undefined && !quotaCleared && !(Number(upload_quota_mb) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "upload_quota_mb must be a non-negative number",
+      });
+    }
+
     console.log("Updating tenant with ID:", id);
     const tenant = await Tenant.findByIdAndUpdate(
       id,
-      { name, subdomain, is_active },
+      {
+        name,
+        subdomain,
+        is_active,
+        ...(timezone && { timezone }),
+        ...(upload_quota_mb !== undefined && { upload_quota_mb: quotaCleared ? null : Number(upload_quota_mb) }),
+      },
       { new: true }
     );
     if (!tenant) {
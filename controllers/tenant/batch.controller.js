@@ -6,6 +6,7 @@ import Role from "../../models/role.model.js";
 import BatchStudent from "../../models/Batch_Students.js";
 import axios from 'axios';
 import { findBatchConflict } from "../../utils/batchConflict.js";
+import { getBatchTimezone } from "../../utils/timezone.js";
 import CoursePurchase from "../../models/Course_Purchase.js";
 
 // Dyte API Configuration
@@ -36,6 +37,26 @@ export const createBatch = async (req, res) => {
       });
     }
 
+    // The batch is pinned to this version of the course; older versions only keep their running batches
+    const course = await Course.findOne({ _id: course_id, tenant_id, is_deleted: { $ne: true } }).select("version version_of is_latest_version");
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: "Course not found.",
+      });
+    }
+    if (course.is_latest_version === false) {
+      const latest = await Course.findOne({
+        version_of: course.version_of || course._id,
+        is_latest_version: { $ne: false },
+      }).select("_id version");
+      return res.status(400).json({
+        success: false,
+        message: "This course has a newer version. Create the batch on the latest version.",
+        data: { latest_course_id: latest?._id || null, latest_version: latest?.version || null },
+      });
+    }
+
     // 1. Create Dyte Meeting for this Batch
     // MOVED: Meeting creation is now deferred until the first "Start Class" action.
     // This prevents students from joining an empty meeting before the instructor is ready.
@@ -71,6 +92,7 @@ export const createBatch = async (req, res) => {
     const batch = new Batch({
       tenant_id,
       course_id,
+      course_version: course.version || 1,
       batch_name,
       instructor_id,
       start_date,
@@ -390,7 +412,7 @@ export const enrollStudents = async (req, res) => {
               .map(e => e.batch_id)
               .filter(b => b && b._id.toString() !== batch_id); // Filter out current batch if somehow present and nulls
 
-            const conflict = findBatchConflict(batch, existingBatches);
+            const conflict = findBatchConflict(batch, existingBatches, { timezone: await getBatchTimezone(batch) });
 
             if (conflict) {
               console.log(`Schedule conflict for student ${enrollmentDoc.student_id}: Overlaps with batch ${conflict.batch_name}`);
@@ -0,0 +1,224 @@
+import moment from "moment";
+import mongoose from "mongoose";
+import Batch from "../../models/Batch_table.js";
+import Holiday from "../../models/Holiday.js";
+import { findTenantHolidays } from "../../services/holidayService.js";
+import { syncAllBatchOccurrences } from "../../services/classOccurrenceService.js";
+import {
+  extendSubscriptionsForHoliday,
+  revertHolidayBillingExtensions,
+} from "../../services/subscriptionService.js";
+
+const DAY_FORMAT = "YYYY-MM-DD";
+const HOLIDAY_FIELDS = ["name", "description", "start_date", "end_date", "batch_ids", "extend_billing"];
+
+const isDay = (value) => moment(value, DAY_FORMAT, true).isValid();
+
+// Check dates and that every scoped batch belongs to the tenant; returns an error message or null
+const validateHoliday = async (data, tenant_id) => {
+  if (!data.name || !data.name.trim()) return "name is required";
+  if (!isDay(data.start_date) || !isDay(data.end_date)) {
+    return "start_date and end_date are required in YYYY-MM-DD format";
+  }
+  if (data.end_date < data.start_date) return "end_date must be on or after start_date";
+
+  const batchIds = data.batch_ids || [];
+  if (!Array.isArray(batchIds) || batchIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return "batch_ids must be a list of batch IDs";
+  }
+  if (batchIds.length > 0) {
+    const count = await Batch.countDocuments({ _id: { $in: batchIds }, tenant_id });
+    if (count !== new Set(batchIds.map(String)).size) return "One or more batches were not found";
+  }
+  return null;
+};
+
+// Re-mark class occurrences and re-apply billing after a holiday changed
+const applyHolidayChanges = async (holiday, tenant_id) => {
+  const schedule = await syncAllBatchOccurrences({ tenantId: tenant_id });
+  const billing = holiday ? await extendSubscriptionsForHoliday(holiday) : null;
+  return { schedule, billing };
+};
+
+/**
+ * List the tenant's holidays, optionally within ?from=&to= (YYYY-MM-DD) and for one ?batch_id=
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getHolidays = async (req, res) => {
+  try {
+    const tenant_id = req.user.tenant_id;
+    const { from, to, batch_id } = req.query;
+
+    if ((from && !isDay(from)) || (to && !isDay(to))) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be in YYYY-MM-DD format",
+      });
+    }
+
+    let holidays = await findTenantHolidays(tenant_id, { fromDay: from, toDay: to });
+    if (batch_id) {
+      holidays = holidays.filter(
+        (holiday) => holiday.batch_ids.length === 0 || holiday.batch_ids.some((id) => id.toString() === batch_id)
+      );
+    }
+
+    // Billing details are only for the tenant
+    const data = req.user.role === "tenant"
+      ? holidays
+      : holidays.map(({ _id, name, description, start_date, end_date, batch_ids }) => ({
+          _id,
+          name,
+          description,
+          start_date,
+          end_date,
+          batch_ids,
+        }));
+
+    return res.status(200).json({
+      success: true,
+      message: "Holidays retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    console.error("Error fetching holidays:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create a holiday; classes on those days become holidays and billing is extended if requested
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createHoliday = async (req, res) => {
+  try {
+    const tenant_id = req.user.tenant_id;
+    const data = {};
+    HOLIDAY_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const validationError = await validateHoliday(data, tenant_id);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const holiday = await Holiday.create({ ...data, tenant_id, created_by: req.user.id });
+    const result = await applyHolidayChanges(holiday, tenant_id);
+
+    return res.status(201).json({
+      success: true,
+      message: "Holiday created successfully",
+      data: holiday,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Error creating holiday:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a holiday; earlier billing extensions are undone and worked out again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateHoliday = async (req, res) => {
+  try {
+    const tenant_id = req.user.tenant_id;
+    const { holiday_id } = req.params;
+
+    const holiday = await Holiday.findOne({ _id: holiday_id, tenant_id });
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday not found",
+      });
+    }
+
+    const data = {};
+    HOLIDAY_FIELDS.forEach((field) => {
+      data[field] = req.body[field] !== undefined ? req.body[field] : holiday[field];
+    });
+
+    const validationError = await validateHoliday(data, tenant_id);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    await revertHolidayBillingExtensions(holiday);
+    Object.assign(holiday, data);
+    await holiday.save();
+
+    const result = await applyHolidayChanges(holiday, tenant_id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Holiday updated successfully",
+      data: holiday,
+      ...result,
+    });
+  } catch (error) {
+    console.error("Error updating holiday:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a holiday, undoing its billing extensions and putting its classes back on the schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteHoliday = async (req, res) => {
+  try {
+    const tenant_id = req.user.tenant_id;
+    const { holiday_id } = req.params;
+
+    const holiday = await Holiday.findOne({ _id: holiday_id, tenant_id });
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday not found",
+      });
+    }
+
+    const reverted = await revertHolidayBillingExtensions(holiday);
+    await holiday.deleteOne();
+
+    const { schedule } = await applyHolidayChanges(null, tenant_id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Holiday deleted successfully",
+      schedule,
+      billing: { reverted },
+    });
+  } catch (error) {
+    console.error("Error deleting holiday:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
@@ -8,6 +8,7 @@ import BatchStudent from "../../models/Batch_Students.js";
 import Batch from "../../models/Batch_table.js";
 import LiveSession from "../../models/Live_Session.model.js";
 import { findBatchConflict } from "../../utils/batchConflict.js";
+import { getBatchTimezone } from "../../utils/timezone.js";
 import QuizResult from "../../models/QuizResult.js";
 
 export async function getStudents(req, res) {
@@ -307,7 +308,7 @@ export async function updateStudentEnrollments(req, res) {
           // (e.g. adding Batch A and Batch B where A and B conflict)
           const pendingBatches = newBatchEnrollments.map(e => batchesToAddDocs.find(b => b._id.toString() === e.batch_id.toString()));
 
-          const conflict = findBatchConflict(batch, [...existingBatches, ...pendingBatches]);
+          const conflict = findBatchConflict(batch, [...existingBatches, ...pendingBatches], { timezone: await getBatchTimezone(batch) });
 
           if (!conflict) {
             newBatchEnrollments.push({
@@ -622,7 +623,7 @@ export async function EnrollStudentsInCourse(req, res) {
 
           const existingBatches = studentActiveEnrollments.map(e => e.batch_id).filter(b => b && b._id.toString() !== batch_id);
 
-          const conflict = findBatchConflict(targetBatch, existingBatches);
+          const conflict = findBatchConflict(targetBatch, existingBatches, { timezone: await getBatchTimezone(targetBatch) });
 
           if (!conflict) {
             batchDocs.push({
@@ -723,7 +724,8 @@ export const getTenantStats = async (req, res) => {
       Course.countDocuments({
         tenant_id: tenant_id,
         is_active: true,
-        is_archived: false
+        is_archived: false,
+        is_deleted: { $ne: true }
       }),
 
       // Count live sessions for this tenant
@@ -0,0 +1,203 @@
+import {
+  appendChunk,
+  cancelUpload,
+  createUpload,
+  findUpload,
+  getMaxChunkBytes,
+  getUploadQuota,
+} from "../services/uploadService.js";
+
+// What a client needs to resume or use an upload
+const toUploadStatus = (upload) => ({
+  upload_id: upload._id,
+  purpose: upload.purpose,
+  file_name: upload.file_name,
+  mime_type: upload.mime_type,
+  size: upload.size,
+  offset: upload.offset,
+  status: upload.status,
+  checksum: upload.checksum,
+  completed_at: upload.completed_at,
+  expires_at: upload.expires_at,
+});
+
+/**
+ * Start a chunked upload of a lesson file or batch recording.
+ * Body: file_name, mime_type, size (bytes), purpose ("lesson" or "recording"), checksum (hex SHA-256 of the file, optional)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const startUpload = async (req, res) => {
+  try {
+    const { file_name, mime_type, size, purpose, checksum } = req.body;
+
+    const { upload, status, error } = await createUpload({
+      tenantId: req.user.tenant_id,
+      userId: req.user.id,
+      purpose,
+      fileName: file_name,
+      mimeType: mime_type,
+      size,
+      checksum,
+    });
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    res.set("Upload-Offset", "0");
+    return res.status(201).json({
+      success: true,
+      message: "Upload started",
+      data: { ...toUploadStatus(upload), max_chunk_size: getMaxChunkBytes() },
+    });
+  } catch (error) {
+    console.error("Error starting upload:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * How far an upload got; clients resume by sending the next chunk at `offset`
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getUploadStatus = async (req, res) => {
+  try {
+    const upload = await findUpload(req.user.tenant_id, req.params.upload_id);
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: "Upload not found",
+      });
+    }
+
+    res.set("Upload-Offset", String(upload.offset));
+    res.set("Upload-Length", String(upload.size));
+    return res.status(200).json({
+      success: true,
+      data: toUploadStatus(upload),
+    });
+  } catch (error) {
+    console.error("Error fetching upload:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Append a chunk. The raw body is the chunk; headers: Upload-Offset (bytes already received) and
+ * Upload-Checksum ("sha256 <base64 digest>" of the chunk, optional)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const uploadChunk = async (req, res) => {
+  try {
+    const upload = await findUpload(req.user.tenant_id, req.params.upload_id);
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: "Upload not found",
+      });
+    }
+
+    const offsetHeader = req.get("Upload-Offset");
+    const result = await appendChunk(upload, {
+      offset: /^\d+$/.test(offsetHeader || "") ? Number(offsetHeader) : NaN,
+      chunk: Buffer.isBuffer(req.body) ? req.body : null,
+      chunkChecksum: req.get("Upload-Checksum"),
+    });
+
+    res.set("Upload-Offset", String(result.upload.offset));
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        data: toUploadStatus(result.upload),
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: result.upload.status === "completed" ? "Upload completed" : "Chunk received",
+      data: toUploadStatus(result.upload),
+    });
+  } catch (error) {
+    console.error("Error receiving upload chunk:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel an upload that no lesson or recording uses and free its quota
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteUpload = async (req, res) => {
+  try {
+    const upload = await findUpload(req.user.tenant_id, req.params.upload_id);
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: "Upload not found",
+      });
+    }
+
+    const result = await cancelUpload(upload);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Upload cancelled",
+      data: toUploadStatus(result.upload),
+    });
+  } catch (error) {
+    console.error("Error cancelling upload:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * The tenant's upload quota and usage in bytes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getQuota = async (req, res) => {
+  try {
+    const quota = await getUploadQuota(req.user.tenant_id);
+
+    return res.status(200).json({
+      success: true,
+      data: quota,
+    });
+  } catch (error) {
+    console.error("Error fetching upload quota:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
@@ -223,7 +223,8 @@ export const getStudentCourse = async (req, res) => {
       _id: course_id,
       tenant_id: tenant_id,
       is_active: true,
-      is_archived: false
+      is_archived: false,
+      is_deleted: { $ne: true }
     })
       .populate('category', 'category_name')
       .populate('subcategory', 'subcategory_name')
@@ -240,14 +241,15 @@ export const getStudentCourse = async (req, res) => {
     }
 
     // Fetch modules and lessons
-    const modules = await Module.find({ course_id })
+    const modules = await Module.find({ course_id, is_deleted: { $ne: true } })
       .sort({ display_order: 1 })
       .lean();
 
     const modulesWithLessons = await Promise.all(
       modules.map(async (module) => {
-        const lessons = await Lesson.find({ module_id: module._id })
+        const lessons = await Lesson.find({ module_id: module._id, is_deleted: { $ne: true } })
           .populate("lesson_type_id")
+          .select("-scorm.package_dir")
           .sort({ display_order: 1 })
           .lean();
         return { ...module, lessons };
@@ -74,3 +74,29 @@ export const authCheckMiddleware = async (req, res, next) => {
     });
   }
 };
+
+// Like authCheckMiddleware, but lets requests without a valid token through as anonymous (req.user unset),
+// for endpoints whose response depends on who is asking
+export const optionalAuthCheckMiddleware = async (req, res, next) => {
+  try {
+    let token = req.cookies?.token;
+
+    if (!token && req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
+      token = req.headers.authorization.split(" ")[1];
+    }
+    if (!token) return next();
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await Login.findById(decoded.id).select("is_active");
+    if (user && user.is_active !== false && String(user.is_active) !== "false") {
+      req.user = {
+        id: decoded.id,
+        role: decoded.role,
+        tenant_id: decoded.tenant_id,
+      };
+    }
+    next();
+  } catch (error) {
+    next();
+  }
+};
@@ -0,0 +1,185 @@
+import mongoose from "mongoose";
+
+const submissionFileSchema = new mongoose.Schema(
+  {
+    original_name: {
+      type: String,
+      required: true,
+    },
+    file_path: {
+      type: String,
+      required: true,
+    },
+    mime_type: {
+      type: String,
+    },
+    size: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+const rubricScoreSchema = new mongoose.Schema(
+  {
+    criterion_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    criterion: {
+      type: String,
+      required: true,
+    },
+    points: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    max_points: {
+      type: Number,
+      required: true,
+    },
+    comment: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const submissionCommentSchema = new mongoose.Schema({
+  author_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Login",
+    required: true,
+  },
+  author_role: {
+    type: String,
+    required: true,
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One submission of an assignment lesson; every resubmission is a new document so the history is kept
+const assignmentSubmissionSchema = new mongoose.Schema(
+  {
+    lesson_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lesson",
+      required: true,
+    },
+    course_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    student_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Login",
+      required: true,
+    },
+    submission_number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Only the newest submission of a student is latest; older ones are history
+    is_latest: {
+      type: Boolean,
+      default: true,
+    },
+    text_content: {
+      type: String,
+      default: "",
+    },
+    files: [submissionFileSchema],
+    submitted_at: {
+      type: Date,
+      default: Date.now,
+    },
+    // Due date this submission was measured against (the resubmission deadline when one was requested)
+    due_date: {
+      type: Date,
+      default: null,
+    },
+    is_late: {
+      type: Boolean,
+      default: false,
+    },
+    days_late: {
+      type: Number,
+      default: 0,
+    },
+    late_penalty_percent: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["submitted", "graded", "resubmission_requested"],
+      default: "submitted",
+    },
+    rubric_scores: [rubricScoreSchema],
+    // Score before the late penalty, and after it
+    raw_score: {
+      type: Number,
+      default: null,
+    },
+    final_score: {
+      type: Number,
+      default: null,
+    },
+    max_score: {
+      type: Number,
+      required: true,
+    },
+    feedback: {
+      type: String,
+      default: "",
+    },
+    graded_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Login",
+      default: null,
+    },
+    graded_at: {
+      type: Date,
+      default: null,
+    },
+    resubmission: {
+      requested_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Login",
+      },
+      requested_at: Date,
+      note: {
+        type: String,
+        default: "",
+      },
+      due_date: {
+        type: Date,
+        default: null,
+      },
+    },
+    comments: [submissionCommentSchema],
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+assignmentSubmissionSchema.index({ lesson_id: 1, student_id: 1, submission_number: 1 }, { unique: true });
+assignmentSubmissionSchema.index({ lesson_id: 1, is_latest: 1, status: 1 });
+assignmentSubmissionSchema.index({ course_id: 1, student_id: 1 });
+
+const AssignmentSubmission = mongoose.model("AssignmentSubmission", assignmentSubmissionSchema);
+
+export default AssignmentSubmission;
@@ -11,6 +11,57 @@ const sessionSchema = new mongoose.Schema({
   duration_seconds: {
     type: Number,
     default: 0
+  },
+  source: {
+    type: String,
+    enum: ['api', 'dyte_webhook'],
+    default: 'api' // How the join was recorded
+  },
+  peer_id: {
+    type: String // Dyte peer id, used to match join/leave webhook events
+  },
+  auto_closed: {
+    type: Boolean,
+    default: false // True if closed by meeting.ended instead of a leave event
+  }
+});
+
+// Audit entry for every manual status change; entries can be appended but never edited
+const statusHistorySchema = new mongoose.Schema({
+  previous_status: {
+    type: String,
+    immutable: true
+  },
+  new_status: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Login',
+    required: true,
+    immutable: true
+  },
+  changed_by_role: {
+    type: String,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    default: '',
+    immutable: true
+  },
+  correction_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceCorrection',
+    default: null,
+    immutable: true
+  },
+  changed_at: {
+    type: Date,
+    default: Date.now,
+    immutable: true
   }
 });
 
@@ -37,7 +88,7 @@ const attendanceSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['present', 'absent', 'late'],
+    enum: ['present', 'absent', 'late', 'excused'],
     default: 'absent' // Initially absent until sessions are recorded
   },
   marked_by: {
@@ -64,13 +115,37 @@ const attendanceSchema = new mongoose.Schema({
   is_manual_override: {
     type: Boolean,
     default: false // True if admin manually changed status
-  }
+  },
+  occurrence_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassOccurrence', // Calendar class this record belongs to
+    default: null
+  },
+  policy_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendancePolicy', // Policy the current status was evaluated against
+    default: null
+  },
+  status_history: [statusHistorySchema]
 }, {
   timestamps: true
 });
 
+// Keep the status history append-only
+attendanceSchema.post('init', function () {
+  this.$locals.historyLength = this.status_history.length;
+});
+
+attendanceSchema.pre('save', function (next) {
+  if (this.$locals.historyLength !== undefined && this.status_history.length < this.$locals.historyLength) {
+    return next(new Error('Attendance status history cannot be removed'));
+  }
+  next();
+});
+
 // Index for efficient queries
 attendanceSchema.index({ student_id: 1, course_id: 1, date: 1 }, { unique: true });
 attendanceSchema.index({ batch_id: 1, date: 1 });
+attendanceSchema.index({ occurrence_id: 1 });
 
 export default mongoose.model('Attendance', attendanceSchema);
\ No newline at end of file
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+const attendanceCorrectionSchema = new mongoose.Schema({
+  attendance_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    required: true
+  },
+  batch_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: true
+  },
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  student_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Student profile, same as Attendance.student_id
+    required: true
+  },
+  requested_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Login',
+    required: true
+  },
+  current_status: {
+    type: String, // Status of the record when the dispute was raised
+    required: true
+  },
+  requested_status: {
+    type: String,
+    enum: ['present', 'absent', 'late', 'excused'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'overridden'],
+    default: 'pending'
+  },
+  final_status: {
+    type: String,
+    enum: ['present', 'absent', 'late', 'excused']
+  },
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Login'
+  },
+  review_note: {
+    type: String,
+    default: ''
+  },
+  reviewed_at: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+attendanceCorrectionSchema.index({ tenant_id: 1, status: 1 });
+attendanceCorrectionSchema.index({ batch_id: 1, status: 1 });
+attendanceCorrectionSchema.index({ attendance_id: 1 });
+
+export default mongoose.model('AttendanceCorrection', attendanceCorrectionSchema);
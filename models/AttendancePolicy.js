@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+const attendancePolicySchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  batch_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    default: null // null = tenant-wide default policy
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: 'Default attendance policy'
+  },
+  // Minimum share of the class length a student must attend to be counted
+  min_presence_percentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  // Absolute minimum minutes in class (applied together with the percentage)
+  min_present_minutes: {
+    type: Number,
+    min: 0,
+    default: 10
+  },
+  // Joining later than this after class start marks the student as late
+  late_grace_minutes: {
+    type: Number,
+    min: 0,
+    default: 5
+  },
+  // Leaving earlier than this before class end counts as an early leave
+  early_leave_grace_minutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Early leaves allowed per class before the student is marked absent (null = no cap)
+  max_early_leaves: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Used when the class end time cannot be derived from the batch schedule
+  default_class_duration_minutes: {
+    type: Number,
+    min: 1,
+    default: 60
+  },
+  // How excused records count in summaries
+  excused_handling: {
+    type: String,
+    enum: ['exclude', 'attended'],
+    default: 'exclude'
+  },
+  // Students below this attendance rate over the rolling window are flagged as at risk
+  at_risk_threshold_percentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 75
+  },
+  at_risk_window_days: {
+    type: Number,
+    min: 1,
+    default: 30
+  },
+  // Classes held in the window before a student can be flagged
+  at_risk_min_classes: {
+    type: Number,
+    min: 1,
+    default: 3
+  },
+  at_risk_alerts_enabled: {
+    type: Boolean,
+    default: true
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Login'
+  }
+}, {
+  timestamps: true
+});
+
+// One policy per tenant default and per batch
+attendancePolicySchema.index({ tenant_id: 1, batch_id: 1 }, { unique: true });
+
+export default mongoose.model('AttendancePolicy', attendancePolicySchema);
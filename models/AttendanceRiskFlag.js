@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// Latest at-risk evaluation of a student in a batch (one document per enrollment)
+const attendanceRiskFlagSchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  batch_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: true
+  },
+  student_login_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Login', // Same as Batch_Students.student_id
+    required: true
+  },
+  student_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Same as Attendance.student_id
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['at_risk', 'resolved'],
+    default: 'at_risk'
+  },
+  attendance_percentage: {
+    type: Number,
+    default: 0
+  },
+  threshold_percentage: {
+    type: Number,
+    required: true
+  },
+  classes_held: {
+    type: Number,
+    default: 0
+  },
+  classes_attended: {
+    type: Number,
+    default: 0
+  },
+  classes_excused: {
+    type: Number,
+    default: 0
+  },
+  window_start: {
+    type: Date,
+    required: true
+  },
+  window_end: {
+    type: Date,
+    required: true
+  },
+  flagged_at: {
+    type: Date,
+    default: Date.now
+  },
+  resolved_at: {
+    type: Date,
+    default: null
+  },
+  notified_at: {
+    type: Date,
+    default: null
+  },
+  last_evaluated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+attendanceRiskFlagSchema.index({ batch_id: 1, student_login_id: 1 }, { unique: true });
+attendanceRiskFlagSchema.index({ tenant_id: 1, status: 1 });
+
+export default mongoose.model('AttendanceRiskFlag', attendanceRiskFlagSchema);
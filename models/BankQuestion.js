@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+
+const bankOptionSchema = new mongoose.Schema({
+  option_text: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  is_correct: {
+    type: Boolean,
+    required: true,
+    default: false,
+  },
+  match_text: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  order: {
+    type: Number,
+    default: null,
+  },
+});
+
+// Reusable question owned by a tenant; quizzes draw from it by tag, topic and difficulty
+const bankQuestionSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    question_text: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    question_type: {
+      type: String,
+      enum: ["mcq", "true_false", "multi_select", "fill_blank", "matching", "ordering", "numeric", "short_answer", "essay"],
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+      default: 1,
+      min: 1,
+    },
+    options: [bankOptionSchema],
+    numeric_answer: {
+      type: Number,
+      default: null,
+    },
+    tolerance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    tags: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    topic: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    difficulty: {
+      type: String,
+      enum: ["easy", "medium", "hard"],
+      default: "medium",
+    },
+    explanation: {
+      type: String,
+      default: "",
+    },
+    is_active: {
+      type: Boolean,
+      default: true,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Login",
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+bankQuestionSchema.index({ tenant_id: 1, tags: 1 });
+bankQuestionSchema.index({ tenant_id: 1, topic: 1, difficulty: 1 });
+
+const BankQuestion = mongoose.model("BankQuestion", bankQuestionSchema);
+
+export default BankQuestion;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import moment from "moment-timezone";
 
 const BatchSchema = new mongoose.Schema(
   {
@@ -12,6 +13,11 @@ const BatchSchema = new mongoose.Schema(
       ref: "Course",
       required: true,
     },
+    // Version of the course content the batch runs on (course_id is that version's course document)
+    course_version: {
+      type: Number,
+      default: 1,
+    },
     batch_name: {
       type: String,
       required: true,
@@ -60,6 +66,15 @@ const BatchSchema = new mongoose.Schema(
     batch_time: {
       type: String,
     },
+    // IANA timezone batch_time and recurring_days are expressed in (null = tenant timezone)
+    timezone: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (value) => !value || !!moment.tz.zone(value),
+        message: (props) => `${props.value} is not a valid IANA timezone`,
+      },
+    },
     is_strict_schedule: {
       type: Boolean,
       default: true,
@@ -68,6 +83,13 @@ const BatchSchema = new mongoose.Schema(
       type: [String],
       enum: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"],
     },
+    // Days without class (holidays/exceptions); the class calendar marks them instead of scheduling
+    schedule_exceptions: [
+      {
+        date: { type: String, required: true }, // YYYY-MM-DD in the batch timezone
+        reason: { type: String, default: "" },
+      },
+    ],
     meeting_link: {
       type: String,
     },
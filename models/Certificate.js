@@ -0,0 +1,112 @@
+import mongoose from "mongoose";
+
+// A completion certificate issued to a student for a course; names are copied so the certificate
+// stays as issued when the course or profile is renamed
+const certificateSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    course_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    batch_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Batch",
+      default: null,
+    },
+    student_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Login", // Same as Batch_Students.student_id
+      required: true,
+    },
+    template_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CertificateTemplate",
+      default: null,
+    },
+    serial: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // HMAC of the serial and the certified details; a mismatch means the record was altered
+    verification_hash: {
+      type: String,
+      required: true,
+    },
+    student_name: {
+      type: String,
+      required: true,
+    },
+    course_title: {
+      type: String,
+      required: true,
+    },
+    tenant_name: {
+      type: String,
+      default: "",
+    },
+    batch_name: {
+      type: String,
+      default: "",
+    },
+    issued_at: {
+      type: Date,
+      required: true,
+    },
+    // What the student had achieved when the certificate was issued
+    progress_percentage: {
+      type: Number,
+      default: 0,
+    },
+    quizzes_passed: {
+      type: Number,
+      default: 0,
+    },
+    quizzes_total: {
+      type: Number,
+      default: 0,
+    },
+    attendance_percentage: {
+      type: Number,
+      default: null,
+    },
+    file_path: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["issued", "revoked"],
+      default: "issued",
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+    revoked_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Login",
+      default: null,
+    },
+    revoke_reason: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+certificateSchema.index({ course_id: 1, student_id: 1 });
+certificateSchema.index({ tenant_id: 1, issued_at: -1 });
+
+const Certificate = mongoose.model("Certificate", certificateSchema);
+
+export default Certificate;
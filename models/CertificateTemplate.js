@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+// How a tenant's certificates look and when they are issued; course_id null is the tenant default
+const certificateTemplateSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    course_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      default: null,
+    },
+    title: {
+      type: String,
+      trim: true,
+      default: "Certificate of Completion",
+    },
+    // Placeholders: {{student_name}}, {{course_title}}, {{tenant_name}}, {{issued_on}}, {{batch_name}}
+    body_text: {
+      type: String,
+      default: "This is to certify that {{student_name}} has successfully completed the course {{course_title}} on {{issued_on}}.",
+    },
+    footer_text: {
+      type: String,
+      default: "",
+    },
+    signatory_name: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    signatory_title: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // Path of an uploaded logo image, drawn at the top of the certificate
+    logo_path: {
+      type: String,
+      default: "",
+    },
+    primary_color: {
+      type: String,
+      match: HEX_COLOR,
+      default: "#1F3A93",
+    },
+    text_color: {
+      type: String,
+      match: HEX_COLOR,
+      default: "#333333",
+    },
+    orientation: {
+      type: String,
+      enum: ["landscape", "portrait"],
+      default: "landscape",
+    },
+    // Completion criteria
+    min_progress_percentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 100,
+    },
+    require_all_quizzes_passed: {
+      type: Boolean,
+      default: true,
+    },
+    // 0 = attendance is not required
+    min_attendance_percentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Login",
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+certificateTemplateSchema.index({ tenant_id: 1, course_id: 1 }, { unique: true });
+
+const CertificateTemplate = mongoose.model("CertificateTemplate", certificateTemplateSchema);
+
+export default CertificateTemplate;
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// One concrete class of a batch, expanded from its recurring_days/batch_time schedule
+const classOccurrenceSchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  batch_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: true
+  },
+  course_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  occurrence_date: {
+    type: String, // Calendar day (YYYY-MM-DD) in the batch timezone the recurrence produced
+    required: true
+  },
+  start_time: {
+    type: Date,
+    required: true
+  },
+  end_time: {
+    type: Date,
+    required: true
+  },
+  timezone: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'rescheduled', 'cancelled', 'holiday'],
+    default: 'scheduled'
+  },
+  // Slot produced by the recurrence, kept when the class is moved
+  original_start_time: {
+    type: Date,
+    default: null
+  },
+  original_end_time: {
+    type: Date,
+    default: null
+  },
+  // Manually changed occurrences are left alone when the batch schedule is regenerated
+  is_exception: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Login',
+    default: null
+  },
+  changed_at: {
+    type: Date,
+    default: null
+  },
+  live_session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LiveSession',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+classOccurrenceSchema.index({ batch_id: 1, occurrence_date: 1 }, { unique: true });
+classOccurrenceSchema.index({ batch_id: 1, start_time: 1 });
+classOccurrenceSchema.index({ tenant_id: 1, start_time: 1 });
+classOccurrenceSchema.index({ live_session_id: 1 });
+
+export default mongoose.model('ClassOccurrence', classOccurrenceSchema);
@@ -86,6 +86,51 @@ const courseSchema = new mongoose.Schema(
       default:
         "https://images.unsplash.com/photo-1499750310107-5fef28a66643?q=80&w=2070&auto=format&fit=crop&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D",
     },
+    // Every version of a course is its own course document; version_of is the first version's id
+    // (null on the first version itself). Batches stay on the version they were created for.
+    version: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    version_of: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      default: null,
+    },
+    is_latest_version: {
+      type: Boolean,
+      default: true,
+    },
+    version_notes: {
+      type: String,
+      default: "",
+    },
+    // Course this one was copied from, by a clone or a new version
+    cloned_from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      default: null,
+    },
+    // Soft delete: trashed items are hidden, can be restored and are purged after the retention period
+    is_deleted: {
+      type: Boolean,
+      default: false,
+    },
+    deleted_at: {
+      type: Date,
+      default: null,
+    },
+    deleted_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Login",
+      default: null,
+    },
+    // The course or module whose deletion trashed this item with it; null when the item itself was deleted
+    trashed_with: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -98,6 +143,8 @@ courseSchema.index({ category: 1 });
 courseSchema.index({ subcategory: 1 });
 courseSchema.index({ language: 1 });
 courseSchema.index({ level: 1 });
+courseSchema.index({ version_of: 1, version: 1 });
+courseSchema.index({ is_deleted: 1, deleted_at: 1 });
 
 const Course = mongoose.model("Course", courseSchema);
 
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import moment from 'moment';
+
+const isDay = (value) => moment(value, 'YYYY-MM-DD', true).isValid();
+
+// Subscription pushed back because of this holiday, kept so the extension can be undone
+const billingExtensionSchema = new mongoose.Schema({
+  subscription_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BatchSubscription',
+    required: true
+  },
+  batch_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    required: true
+  },
+  classes_lost: {
+    type: Number,
+    default: 0
+  },
+  days_extended: {
+    type: Number,
+    required: true
+  },
+  applied_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Tenant closure (festival, vacation week...); days are calendar days in each batch's own timezone
+const holidaySchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  start_date: {
+    type: String, // YYYY-MM-DD
+    required: true,
+    validate: { validator: isDay, message: 'start_date must be YYYY-MM-DD' }
+  },
+  end_date: {
+    type: String, // YYYY-MM-DD, inclusive
+    required: true,
+    validate: { validator: isDay, message: 'end_date must be YYYY-MM-DD' }
+  },
+  // Batches the holiday applies to; empty means every batch of the tenant
+  batch_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch'
+  }],
+  // Push next_billing_date of affected subscriptions back by the length of the holiday
+  extend_billing: {
+    type: Boolean,
+    default: false
+  },
+  billing_extensions: [billingExtensionSchema],
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Login'
+  }
+}, {
+  timestamps: true
+});
+
+holidaySchema.pre('validate', function (next) {
+  if (this.start_date && this.end_date && this.end_date < this.start_date) {
+    return next(new Error('end_date must be on or after start_date'));
+  }
+  next();
+});
+
+holidaySchema.index({ tenant_id: 1, start_date: 1, end_date: 1 });
+
+export default mongoose.model('Holiday', holidaySchema);
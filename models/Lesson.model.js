@@ -1,4 +1,109 @@
 import mongoose from "mongoose";
+import { releaseRuleSchema } from "./Module.js";
+
+// Rubric criterion of an assignment; the assignment's max score is the sum of max_points
+const rubricCriterionSchema = new mongoose.Schema({
+  criterion: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: "",
+  },
+  max_points: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
+// Settings of an `assignment` lesson
+const assignmentSettingsSchema = new mongoose.Schema(
+  {
+    due_date: {
+      type: Date,
+      default: null,
+    },
+    // What a submission may contain
+    submission_mode: {
+      type: String,
+      enum: ["file", "text", "file_or_text"],
+      default: "file_or_text",
+    },
+    max_files: {
+      type: Number,
+      default: 5,
+      min: 1,
+      max: 10,
+    },
+    max_score: {
+      type: Number,
+      default: 100,
+      min: 0,
+    },
+    rubric: [rubricCriterionSchema],
+    // Late policy: allow_late=false refuses submissions after the due date; otherwise each started day late
+    // costs late_penalty_percent_per_day of the score, capped at max_late_penalty_percent
+    allow_late: {
+      type: Boolean,
+      default: true,
+    },
+    late_penalty_percent_per_day: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    max_late_penalty_percent: {
+      type: Number,
+      default: 100,
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false }
+);
+
+// An imported SCORM 1.2 package of a `scorm` lesson, extracted under storage/scorm
+const scormPackageSchema = new mongoose.Schema(
+  {
+    version: {
+      type: String,
+      default: "1.2",
+    },
+    // Directory the package was extracted to
+    package_dir: {
+      type: String,
+      required: true,
+    },
+    // Launch file of the SCO, relative to package_dir
+    launch_path: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      default: "",
+    },
+    // adlcp:masteryscore from the manifest; a score at or above it passes the SCO
+    mastery_score: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    _id: false,
+    // Where the package sits on disk is never sent to clients
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.package_dir;
+        return ret;
+      },
+    },
+  }
+);
 
 const lessonSchema = new mongoose.Schema(
   {
@@ -55,6 +160,50 @@ const lessonSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    assignment: {
+      type: assignmentSettingsSchema,
+      default: null,
+    },
+    scorm: {
+      type: scormPackageSchema,
+      default: null,
+    },
+    // How a student completes the lesson; null uses the lesson type's default (video: watch_percent,
+    // quiz: quiz_passed, assignment: assignment_graded, scorm: scorm_completed, anything else: view)
+    completion_rule: {
+      type: String,
+      enum: [null, "view", "watch_percent", "quiz_passed", "assignment_graded", "scorm_completed"],
+      default: null,
+    },
+    min_watch_percent: {
+      type: Number,
+      default: 90,
+      min: 1,
+      max: 100,
+    },
+    release: {
+      type: releaseRuleSchema,
+      default: null,
+    },
+    // Deleted lessons wait in the trash like modules and courses
+    is_deleted: {
+      type: Boolean,
+      default: false,
+    },
+    deleted_at: {
+      type: Date,
+      default: null,
+    },
+    deleted_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Login",
+      default: null,
+    },
+    // The course or module whose deletion trashed this lesson with it
+    trashed_with: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
   },
   {
     timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+// One student's progress through one lesson
+const lessonProgressSchema = new mongoose.Schema(
+  {
+    lesson_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lesson",
+      required: true,
+    },
+    module_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Module",
+      required: true,
+    },
+    course_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    student_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Login",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["in_progress", "completed"],
+      default: "in_progress",
+    },
+    started_at: {
+      type: Date,
+      default: Date.now,
+    },
+    last_viewed_at: {
+      type: Date,
+      default: Date.now,
+    },
+    completed_at: {
+      type: Date,
+      default: null,
+    },
+    // What completed the lesson: viewing it, watching enough of the video, passing its quiz or a graded assignment
+    completed_by: {
+      type: String,
+      enum: [null, "view", "watch_percent", "quiz_passed", "assignment_graded", "scorm_completed"],
+      default: null,
+    },
+    // Video lessons: where playback was last and the furthest share of the video reached
+    video_position_seconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    video_duration_seconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    watched_percent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    time_spent_seconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+lessonProgressSchema.index({ lesson_id: 1, student_id: 1 }, { unique: true });
+lessonProgressSchema.index({ course_id: 1, student_id: 1 });
+
+const LessonProgress = mongoose.model("LessonProgress", lessonProgressSchema);
+
+export default LessonProgress;
@@ -28,6 +28,11 @@ const liveSessionSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // IANA timezone the meeting was scheduled in; start/end are stored as ISO instants
+    timezone: {
+        type: String,
+        default: null
+    },
     host_url: {
         type: String,
         required: true
@@ -1,6 +1,39 @@
 import mongoose from "mongoose";
 import { type } from "os";
 
+// When a drip-released module or lesson opens for a student. Only applies when the course has drip_content_enabled.
+export const releaseRuleSchema = new mongoose.Schema(
+  {
+    // "after_days": N days after the student joined the batch; "on_date": a fixed date;
+    // "after_prerequisite": once the prerequisite lesson is completed or quiz passed
+    mode: {
+      type: String,
+      enum: ["immediate", "after_days", "on_date", "after_prerequisite"],
+      default: "immediate",
+    },
+    days_after_enrollment: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    release_date: {
+      type: Date,
+      default: null,
+    },
+    prerequisite_lesson_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lesson",
+      default: null,
+    },
+    prerequisite_quiz_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Quiz",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 const moduleSchema = new mongoose.Schema(
   {
     course_id: {
@@ -27,10 +60,29 @@ const moduleSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Deleted modules wait in the tenant's trash until restored or purged
     is_deleted: {
       type: Boolean,
       default: false,
     },
+    deleted_at: {
+      type: Date,
+      default: null,
+    },
+    deleted_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Login",
+      default: null,
+    },
+    // The course whose deletion trashed this module with it
+    trashed_with: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    release: {
+      type: releaseRuleSchema,
+      default: null,
+    },
   },
   {
     timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
@@ -38,6 +90,7 @@ const moduleSchema = new mongoose.Schema(
 );
 
 moduleSchema.index({ course_id: 1, module_title: 1 }, { unique: true });
+moduleSchema.index({ is_deleted: 1, deleted_at: 1 });
 
 const Module = mongoose.model("Module", moduleSchema);
 
@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+
+// Option exactly as served, in the order the student saw it
+const servedOptionSchema = new mongoose.Schema(
+  {
+    option_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    option_text: {
+      type: String,
+      required: true,
+    },
+    is_correct: {
+      type: Boolean,
+      default: false,
+    },
+    match_text: {
+      type: String,
+      default: null,
+    },
+    order: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Snapshot of a served question, so later edits to the quiz or bank don't change grading
+const servedQuestionSchema = new mongoose.Schema(
+  {
+    question_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["quiz", "bank"],
+      required: true,
+    },
+    question_text: {
+      type: String,
+      required: true,
+    },
+    question_type: {
+      type: String,
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+    },
+    options: [servedOptionSchema],
+    numeric_answer: {
+      type: Number,
+      default: null,
+    },
+    tolerance: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// One sitting of a quiz by a student, holding the question set that was served to it
+const quizAttemptSchema = new mongoose.Schema(
+  {
+    quiz_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Quiz",
+      required: true,
+    },
+    student_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    questions: [servedQuestionSchema],
+    // Answers autosaved while the attempt is open, one per question_id, as sent by the client
+    answers: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    attempt_number: {
+      type: Number,
+      default: 1,
+    },
+    status: {
+      type: String,
+      enum: ["in_progress", "submitted"],
+      default: "in_progress",
+    },
+    started_at: {
+      type: Date,
+      default: Date.now,
+    },
+    // Server start time plus the quiz time limit
+    deadline_at: {
+      type: Date,
+      default: null,
+    },
+    last_saved_at: {
+      type: Date,
+      default: null,
+    },
+    submitted_at: {
+      type: Date,
+      default: null,
+    },
+    // Submitted by the server because the time ran out
+    auto_submitted: {
+      type: Boolean,
+      default: false,
+    },
+    result_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "QuizResult",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+quizAttemptSchema.index({ quiz_id: 1, student_id: 1, status: 1 });
+// A student has at most one open attempt per quiz
+quizAttemptSchema.index(
+  { quiz_id: 1, student_id: 1 },
+  { unique: true, partialFilterExpression: { status: "in_progress" } }
+);
+quizAttemptSchema.index({ status: 1, deadline_at: 1 });
+
+const QuizAttempt = mongoose.model("QuizAttempt", quizAttemptSchema);
+
+export default QuizAttempt;
@@ -17,6 +17,17 @@ const quizOptionsSchema = new mongoose.Schema(
       required: true,
       default: false,
     },
+    // Matching questions: the item this option pairs with
+    match_text: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Ordering questions: the option's position in the correct sequence
+    order: {
+      type: Number,
+      default: null,
+    },
   },
   {
     timestamps: {
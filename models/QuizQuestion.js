@@ -14,7 +14,7 @@ const quizQuestionSchema = new mongoose.Schema(
     },
     question_type: {
       type: String,
-      enum: ["mcq", "true_false", "fill_blank"],
+      enum: ["mcq", "true_false", "multi_select", "fill_blank", "matching", "ordering", "numeric", "short_answer", "essay"],
       required: true,
     },
     score: {
@@ -23,6 +23,16 @@ const quizQuestionSchema = new mongoose.Schema(
       default: 1,
       min: 1,
     },
+    // Numeric questions: the expected answer and the allowed difference either way
+    numeric_answer: {
+      type: Number,
+      default: null,
+    },
+    tolerance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
   },
   {
     timestamps: {
@@ -22,11 +22,17 @@ const quizResultSchema = new mongoose.Schema(
             ref: "Module",
             required: true,
         },
+        // Attempt whose served question set was graded (absent for results graded before attempts existed)
+        attempt_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "QuizAttempt",
+            default: null,
+        },
         answers: [
             {
                 question_id: {
                     type: mongoose.Schema.Types.ObjectId,
-                    ref: "QuizQuestion",
+                    ref: "QuizQuestion", // A BankQuestion id when the attempt drew from the question bank
                     required: true,
                 },
                 selected_option_id: {
@@ -36,6 +42,46 @@ const quizResultSchema = new mongoose.Schema(
                 text_answer: {
                     type: String,
                 },
+                // multi_select picks
+                selected_option_ids: [
+                    {
+                        type: mongoose.Schema.Types.ObjectId,
+                    },
+                ],
+                // matching pairs as answered
+                matches: [
+                    {
+                        _id: false,
+                        option_id: mongoose.Schema.Types.ObjectId,
+                        match_text: String,
+                    },
+                ],
+                // ordering: option ids in the order given
+                ordered_option_ids: [
+                    {
+                        type: mongoose.Schema.Types.ObjectId,
+                    },
+                ],
+                numeric_answer: {
+                    type: Number,
+                },
+                // Essay and short answers wait for an instructor; review_status stays "none" for auto-graded answers
+                review_status: {
+                    type: String,
+                    enum: ["none", "pending", "graded"],
+                    default: "none",
+                },
+                feedback: {
+                    type: String,
+                    default: "",
+                },
+                graded_by: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "Login",
+                },
+                graded_at: {
+                    type: Date,
+                },
                 is_correct: {
                     type: Boolean,
                     required: true,
@@ -82,6 +128,25 @@ const quizResultSchema = new mongoose.Schema(
             type: Date,
             required: true,
         },
+        // Graded from autosaved answers after the time limit ran out
+        auto_submitted: {
+            type: Boolean,
+            default: false,
+        },
+        // "pending_review" until every essay/short answer is scored; totals and `passed` are final only once "graded"
+        grading_status: {
+            type: String,
+            enum: ["auto", "pending_review", "graded"],
+            default: "auto",
+        },
+        graded_at: {
+            type: Date,
+            default: null,
+        },
+        student_notified_at: {
+            type: Date,
+            default: null,
+        },
     },
     {
         timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
@@ -91,6 +156,7 @@ const quizResultSchema = new mongoose.Schema(
 // Create indexes for better query performance
 quizResultSchema.index({ quiz_id: 1, student_id: 1 });
 quizResultSchema.index({ student_id: 1, course_id: 1 });
+quizResultSchema.index({ course_id: 1, grading_status: 1 });
 
 const QuizResult = mongoose.model("QuizResult", quizResultSchema);
 
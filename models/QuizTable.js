@@ -40,6 +40,29 @@ const quizSchema = new mongoose.Schema(
       default: 1,
       min: 1,
     },
+    // "fixed" serves the quiz's own questions; "random" draws from the tenant question bank
+    selection_mode: {
+      type: String,
+      enum: ["fixed", "random"],
+      default: "fixed",
+    },
+    // Each rule draws `count` random bank questions matching any of its tags (and topic/difficulty if set)
+    random_rules: [
+      {
+        tags: [{ type: String, trim: true, lowercase: true }],
+        topic: { type: String, trim: true, default: "" },
+        difficulty: { type: String, enum: ["", "easy", "medium", "hard"], default: "" },
+        count: { type: Number, required: true, min: 1 },
+      },
+    ],
+    shuffle_questions: {
+      type: Boolean,
+      default: false,
+    },
+    shuffle_options: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+// SCORM 1.2 run-time data of one student in one `scorm` lesson, as last committed by the package
+const scormRegistrationSchema = new mongoose.Schema(
+  {
+    lesson_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lesson",
+      required: true,
+    },
+    course_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+    },
+    student_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Login",
+      required: true,
+    },
+    // cmi.core.lesson_status
+    lesson_status: {
+      type: String,
+      enum: ["not attempted", "browsed", "incomplete", "completed", "passed", "failed"],
+      default: "not attempted",
+    },
+    score_raw: {
+      type: Number,
+      default: null,
+    },
+    score_min: {
+      type: Number,
+      default: null,
+    },
+    score_max: {
+      type: Number,
+      default: null,
+    },
+    lesson_location: {
+      type: String,
+      default: "",
+    },
+    suspend_data: {
+      type: String,
+      default: "",
+    },
+    // cmi.core.exit of the last session; "suspend" resumes the next launch
+    exit: {
+      type: String,
+      default: "",
+    },
+    total_time_seconds: {
+      type: Number,
+      default: 0,
+    },
+    sessions: {
+      type: Number,
+      default: 0,
+    },
+    first_launched_at: {
+      type: Date,
+      default: null,
+    },
+    last_committed_at: {
+      type: Date,
+      default: null,
+    },
+    completed_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+scormRegistrationSchema.index({ lesson_id: 1, student_id: 1 }, { unique: true });
+
+const ScormRegistration = mongoose.model("ScormRegistration", scormRegistrationSchema);
+
+export default ScormRegistration;
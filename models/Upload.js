@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+// A file sent in chunks so large lesson videos and recordings survive dropped connections.
+// Chunks are appended to a part file at `offset`; once `size` bytes have arrived the file is
+// checked against `checksum` and moved into uploads/lessons (recordings into the recordings
+// folder), and lessons and recordings reference it by id.
+const uploadSchema = new mongoose.Schema(
+  {
+    tenant_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tenant",
+      required: true,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Login",
+      required: true,
+    },
+    // What the file is for: a lesson file or a batch's manual recording
+    purpose: {
+      type: String,
+      enum: ["lesson", "recording"],
+      required: true,
+    },
+    file_name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mime_type: {
+      type: String,
+      required: true,
+    },
+    // Total bytes announced when the upload was started; counts towards the tenant's quota
+    size: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Bytes received so far; the next chunk must start here
+    offset: {
+      type: Number,
+      default: 0,
+    },
+    // Hex SHA-256 of the whole file, checked before the upload completes
+    checksum: {
+      type: String,
+      default: null,
+    },
+    // Set while a chunk is being written so two requests cannot append at once
+    writing_since: {
+      type: Date,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["uploading", "completed", "attached", "failed", "cancelled", "expired", "deleted"],
+      default: "uploading",
+    },
+    part_path: {
+      type: String,
+      default: null,
+    },
+    // Where the finished file lives, like a multer upload's path
+    file_path: {
+      type: String,
+      default: null,
+    },
+    completed_at: {
+      type: Date,
+      default: null,
+    },
+    // The lesson or batch recording that uses the file
+    attached_to: {
+      kind: { type: String, enum: ["lesson", "recording"] },
+      id: { type: mongoose.Schema.Types.ObjectId },
+    },
+    // Unfinished uploads, and finished ones nothing uses, are removed after this
+    expires_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+uploadSchema.index({ tenant_id: 1, status: 1 });
+uploadSchema.index({ status: 1, expires_at: 1 });
+uploadSchema.index({ file_path: 1 });
+
+const Upload = mongoose.model("Upload", uploadSchema);
+export default Upload;
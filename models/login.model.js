@@ -57,6 +57,8 @@ const loginSchema = new mongoose.Schema(
     },
     password_reset_token: String,
     password_reset_expires: Date,
+    // Secret part of the user's calendar (.ics) feed URL; rotating it revokes old links
+    calendar_feed_token: String,
   },
   {
     timestamps: true,
@@ -65,6 +67,7 @@ const loginSchema = new mongoose.Schema(
 
 // Compound index to ensure unique email per tenant
 loginSchema.index({ email: 1, tenant_id: 1 }, { unique: true });
+loginSchema.index({ calendar_feed_token: 1 }, { unique: true, sparse: true });
 
 // Pre-save middleware to hash password
 loginSchema.pre("save", async function (next) {
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import moment from "moment-timezone";
 
 const tenantSchema = new mongoose.Schema(
   {
@@ -23,6 +24,26 @@ const tenantSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Default IANA timezone for the tenant's batches and reports
+    timezone: {
+      type: String,
+      default: process.env.DEFAULT_TIMEZONE || "Asia/Kolkata",
+      validate: {
+        validator: (value) => !!moment.tz.zone(value),
+        message: (props) => `${props.value} is not a valid IANA timezone`,
+      },
+    },
+    // Storage for chunked uploads in MB; null uses TENANT_UPLOAD_QUOTA_MB
+    upload_quota_mb: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // Bytes reserved by the tenant's unfinished and kept chunked uploads, counted against the quota
+    upload_used_bytes: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true, // This will add createdAt and updatedAt fields
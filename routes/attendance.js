@@ -6,11 +6,35 @@ import {
   getMonthlyAttendance,
   getAttendanceByCourseAndBatch,
   generateDailyAttendancePDF,
-  generateMonthlyAttendancePDF
+  generateMonthlyAttendancePDF,
+  exportDailyAttendance,
+  exportMonthlyAttendance,
+  exportAttendanceByCourseAndBatch
 } from '../controllers/attendanceController.js';
+import {
+  getAttendancePolicies,
+  getEffectiveAttendancePolicy,
+  upsertAttendancePolicy,
+  updateAttendancePolicy,
+  deleteAttendancePolicy,
+  recomputeAttendance
+} from '../controllers/attendancePolicyController.js';
+import {
+  raiseCorrectionRequest,
+  getCorrectionRequests,
+  reviewCorrectionRequest,
+  overrideCorrectionRequest,
+  correctAttendanceRecord,
+  getAttendanceHistory
+} from '../controllers/attendanceCorrectionController.js';
+import {
+  getAtRiskStudents,
+  runAtRiskEvaluation
+} from '../controllers/attendanceRiskController.js';
 
 // Middleware for authentication (using tenant middleware)
 import { tenantMiddleware as authenticateToken } from '../middleware/tenant.middleware.js';
+import { authorizeRoles } from '../middleware/authorizeRoles.js';
 
 const router = express.Router();
 
@@ -27,4 +51,29 @@ router.get('/course-batch-summary', authenticateToken, getAttendanceByCourseAndB
 router.get('/daily-pdf', authenticateToken, generateDailyAttendancePDF);
 router.get('/monthly-pdf', authenticateToken, generateMonthlyAttendancePDF);
 
+// Routes for spreadsheet exports (?format=csv|xlsx)
+router.get('/daily-export', authenticateToken, exportDailyAttendance);
+router.get('/monthly-export', authenticateToken, exportMonthlyAttendance);
+router.get('/course-batch-export', authenticateToken, exportAttendanceByCourseAndBatch);
+
+// Routes for attendance policies (tenant admin)
+router.get('/policies', authenticateToken, authorizeRoles('tenant'), getAttendancePolicies);
+router.get('/policies/effective', authenticateToken, authorizeRoles('tenant', 'instructor'), getEffectiveAttendancePolicy);
+router.post('/policies', authenticateToken, authorizeRoles('tenant'), upsertAttendancePolicy);
+router.put('/policies/:policy_id', authenticateToken, authorizeRoles('tenant'), updateAttendancePolicy);
+router.delete('/policies/:policy_id', authenticateToken, authorizeRoles('tenant'), deleteAttendancePolicy);
+router.post('/recompute', authenticateToken, authorizeRoles('tenant'), recomputeAttendance);
+
+// Routes for attendance corrections and audit trail
+router.post('/corrections', authenticateToken, authorizeRoles('student'), raiseCorrectionRequest);
+router.get('/corrections', authenticateToken, authorizeRoles('student', 'instructor', 'tenant'), getCorrectionRequests);
+router.put('/corrections/:correction_id/review', authenticateToken, authorizeRoles('instructor', 'tenant'), reviewCorrectionRequest);
+router.put('/corrections/:correction_id/override', authenticateToken, authorizeRoles('tenant'), overrideCorrectionRequest);
+router.put('/records/:attendance_id/correct', authenticateToken, authorizeRoles('instructor', 'tenant'), correctAttendanceRecord);
+router.get('/records/:attendance_id/history', authenticateToken, authorizeRoles('student', 'instructor', 'tenant'), getAttendanceHistory);
+
+// Routes for at-risk students (low attendance over the policy window)
+router.get('/at-risk', authenticateToken, authorizeRoles('instructor', 'tenant'), getAtRiskStudents);
+router.post('/at-risk/evaluate', authenticateToken, authorizeRoles('tenant'), runAtRiskEvaluation);
+
 export default router;
\ No newline at end of file
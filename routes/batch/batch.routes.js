@@ -1,5 +1,7 @@
 import express from "express";
 import * as BatchController from "../../controllers/batch/batch.control.js";
+import * as ClassOccurrenceController from "../../controllers/batch/classOccurrence.controller.js";
+import * as CalendarFeedController from "../../controllers/batch/calendarFeed.controller.js";
 import { authCheckMiddleware } from "../../middleware/authCheckMiddleware.js";
 import { authorizeRoles } from "../../middleware/authorizeRoles.js";
 
@@ -133,4 +135,102 @@ router.get(
   BatchController.getBatchStudentsForInstructor
 );
 
+// Class calendar of the logged-in instructor / student (?from=&to= as YYYY-MM-DD)
+router.get(
+  "/calendar/instructor",
+  authCheckMiddleware,
+  authorizeRoles("instructor"),
+  ClassOccurrenceController.getInstructorCalendar
+);
+
+router.get(
+  "/calendar/student",
+  authCheckMiddleware,
+  authorizeRoles("student"),
+  ClassOccurrenceController.getStudentCalendar
+);
+
+// Personal iCalendar feed: URL management for the logged-in user, and the public token-protected feed
+router.get(
+  "/calendar/feed",
+  authCheckMiddleware,
+  authorizeRoles("instructor", "student"),
+  CalendarFeedController.getCalendarFeed
+);
+
+router.post(
+  "/calendar/feed/rotate",
+  authCheckMiddleware,
+  authorizeRoles("instructor", "student"),
+  CalendarFeedController.rotateCalendarFeed
+);
+
+router.get("/calendar/ics/:token", CalendarFeedController.getCalendarFeedIcs);
+
+// Class occurrences of a batch
+router.get(
+  "/:batch_id/occurrences",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  ClassOccurrenceController.getBatchOccurrences
+);
+
+router.post(
+  "/:batch_id/occurrences/regenerate",
+  authCheckMiddleware,
+  authorizeRoles("tenant"),
+  ClassOccurrenceController.regenerateBatchOccurrences
+);
+
+// Holiday/exception days of a batch
+router.post(
+  "/:batch_id/schedule-exceptions",
+  authCheckMiddleware,
+  authorizeRoles("tenant"),
+  ClassOccurrenceController.addScheduleExceptions
+);
+
+router.delete(
+  "/:batch_id/schedule-exceptions/:date",
+  authCheckMiddleware,
+  authorizeRoles("tenant"),
+  ClassOccurrenceController.removeScheduleException
+);
+
+// Single occurrence: details, reschedule, cancel, restore and live session link
+router.get(
+  "/occurrences/:occurrence_id",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  ClassOccurrenceController.getOccurrenceById
+);
+
+router.patch(
+  "/occurrences/:occurrence_id/reschedule",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  ClassOccurrenceController.rescheduleOccurrence
+);
+
+router.patch(
+  "/occurrences/:occurrence_id/cancel",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  ClassOccurrenceController.cancelOccurrence
+);
+
+router.patch(
+  "/occurrences/:occurrence_id/restore",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  ClassOccurrenceController.restoreOccurrence
+);
+
+router.patch(
+  "/occurrences/:occurrence_id/live-session",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  ClassOccurrenceController.linkOccurrenceLiveSession
+);
+
 export default router;
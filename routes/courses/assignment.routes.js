@@ -0,0 +1,92 @@
+import express from "express";
+import {
+  submitAssignment,
+  getMySubmissions,
+  getAssignmentSubmissions,
+  getStudentSubmissionHistory,
+  getSubmissionById,
+  gradeSubmission,
+  requestResubmission,
+  addSubmissionComment,
+  downloadSubmissionFile,
+} from "../../controllers/course/assignment.controller.js";
+import { uploadSubmission } from "../../config/multer/multer.config.js";
+import { authCheckMiddleware } from "../../middleware/authCheckMiddleware.js";
+import { authorizeRoles } from "../../middleware/authorizeRoles.js";
+
+const router = express.Router();
+
+// Get a submission (its student or a reviewer)
+router.get(
+  "/submissions/:submission_id",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor", "student"),
+  getSubmissionById
+);
+
+// Download one of a submission's files (its student or a reviewer)
+router.get(
+  "/submissions/:submission_id/files/:index",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor", "student"),
+  downloadSubmissionFile
+);
+
+// Grade a submission with the rubric
+router.put(
+  "/submissions/:submission_id/grade",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  gradeSubmission
+);
+
+// Ask the student to resubmit
+router.post(
+  "/submissions/:submission_id/request-resubmission",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  requestResubmission
+);
+
+// Comment on a submission
+router.post(
+  "/submissions/:submission_id/comments",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor", "student"),
+  addSubmissionComment
+);
+
+// Submit files ("files") and/or text_content for an assignment lesson
+router.post(
+  "/:lesson_id/submissions",
+  authCheckMiddleware,
+  authorizeRoles("student"),
+  uploadSubmission.array("files", 10),
+  submitAssignment
+);
+
+// The logged-in student's submission history
+router.get(
+  "/:lesson_id/submissions/me",
+  authCheckMiddleware,
+  authorizeRoles("student"),
+  getMySubmissions
+);
+
+// Latest submission of each student (?batch_id=&status=)
+router.get(
+  "/:lesson_id/submissions",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  getAssignmentSubmissions
+);
+
+// Submission history of one student
+router.get(
+  "/:lesson_id/students/:student_id/submissions",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  getStudentSubmissionHistory
+);
+
+export default router;
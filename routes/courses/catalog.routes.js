@@ -0,0 +1,20 @@
+import express from "express";
+import {
+  getCatalogCourses,
+  getCatalogCourseDetails,
+  getCatalogPreviewLesson,
+} from "../../controllers/course/catalog.controller.js";
+
+// Public, no login: a tenant's course catalogue by subdomain
+const router = express.Router();
+
+// Active, non-archived courses (?search=&category=&level=&language=&featured=&page=&limit=)
+router.get("/:subdomain/courses", getCatalogCourses);
+
+// Course details with modules and lesson titles
+router.get("/:subdomain/courses/:course_id", getCatalogCourseDetails);
+
+// Content of a lesson marked is_preview
+router.get("/:subdomain/lessons/:lesson_id/preview", getCatalogPreviewLesson);
+
+export default router;
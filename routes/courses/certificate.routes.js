@@ -0,0 +1,71 @@
+import express from "express";
+import {
+  verifyCertificateBySerial,
+  getMyCertificates,
+  getMyCertificateEligibility,
+  claimCertificate,
+  getCourseCertificates,
+  issueCourseCertificates,
+  downloadCertificate,
+  revokeCertificate,
+  getCertificateTemplates,
+  getEffectiveCertificateTemplate,
+  upsertCertificateTemplate,
+  deleteCertificateTemplate,
+} from "../../controllers/course/certificate.controller.js";
+import { uploadCourseImage } from "../../config/multer/multer.config.js";
+import { authCheckMiddleware } from "../../middleware/authCheckMiddleware.js";
+import { authorizeRoles } from "../../middleware/authorizeRoles.js";
+
+const router = express.Router();
+
+// Public, no login: confirm a certificate is authentic
+router.get("/verify/:serial", verifyCertificateBySerial);
+
+// The logged-in student's certificates
+router.get("/me", authCheckMiddleware, authorizeRoles("student"), getMyCertificates);
+
+// Templates and completion criteria
+router.get("/templates", authCheckMiddleware, authorizeRoles("tenant"), getCertificateTemplates);
+router.get(
+  "/templates/effective",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  getEffectiveCertificateTemplate
+);
+router.post(
+  "/templates",
+  authCheckMiddleware,
+  authorizeRoles("tenant"),
+  uploadCourseImage.single("logo"),
+  upsertCertificateTemplate
+);
+router.delete("/templates/:template_id", authCheckMiddleware, authorizeRoles("tenant"), deleteCertificateTemplate);
+
+// The logged-in student's standing against a course's criteria, and claiming the certificate
+router.get(
+  "/courses/:course_id/eligibility",
+  authCheckMiddleware,
+  authorizeRoles("student"),
+  getMyCertificateEligibility
+);
+router.post("/courses/:course_id/claim", authCheckMiddleware, authorizeRoles("student"), claimCertificate);
+
+// Certificates issued for a course, and issuing every due one now
+router.get(
+  "/courses/:course_id",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  getCourseCertificates
+);
+router.post("/courses/:course_id/issue", authCheckMiddleware, authorizeRoles("tenant"), issueCourseCertificates);
+
+router.get(
+  "/:certificate_id/download",
+  authCheckMiddleware,
+  authorizeRoles("student", "tenant", "instructor"),
+  downloadCertificate
+);
+router.put("/:certificate_id/revoke", authCheckMiddleware, authorizeRoles("tenant"), revokeCertificate);
+
+export default router;
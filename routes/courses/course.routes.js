@@ -1,6 +1,12 @@
 import express from "express";
 import * as CourseController from "../../controllers/course/course.controller.js";
-import { uploadCourseImage } from "../../config/multer/multer.config.js";
+import {
+  cloneCourseById,
+  getCourseVersions,
+  createVersion,
+} from "../../controllers/course/courseVersion.controller.js";
+import { exportCourse, importCourse } from "../../controllers/course/coursePackage.controller.js";
+import { uploadCourseImage, uploadPackage } from "../../config/multer/multer.config.js";
 import { authCheckMiddleware } from "../../middleware/authCheckMiddleware.js";
 import { authorizeRoles } from "../../middleware/authorizeRoles.js";
 
@@ -21,6 +27,15 @@ router
     CourseController.getAllCourses
   );
 
+// Create a course from an exported package (.zip)
+router.post(
+  "/import",
+  authCheckMiddleware,
+  authorizeRoles("tenant"),
+  uploadPackage.single("package"),
+  importCourse
+);
+
 router
   .route("/count")
   .get(
@@ -46,6 +61,36 @@ router
     CourseController.getCourseById
   );
 
+// Deep-copy a course (super-admins may copy into another tenant)
+router.post(
+  "/:id/clone",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "superadmin"),
+  cloneCourseById
+);
+
+// Download a course with its files as a package for another environment
+router.get(
+  "/:id/export",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "superadmin"),
+  exportCourse
+);
+
+// Versions of a course; running batches stay on the version they were created for
+router
+  .route("/:id/versions")
+  .get(
+    authCheckMiddleware,
+    authorizeRoles("tenant", "superadmin"),
+    getCourseVersions
+  )
+  .post(
+    authCheckMiddleware,
+    authorizeRoles("tenant", "superadmin"),
+    createVersion
+  );
+
 router.delete(
   "/:courseId/image",
   authCheckMiddleware,
@@ -1,13 +1,17 @@
 import express from "express";
 import * as LessonController from "../../controllers/course/lesson.controller.js"; // matches named exports
 import { upload } from "../../config/multer/multer.config.js";
+import { authCheckMiddleware, optionalAuthCheckMiddleware } from "../../middleware/authCheckMiddleware.js";
+import { authorizeRoles } from "../../middleware/authorizeRoles.js";
 
 const router = express.Router();
 
+// A logged-in caller may send upload_id (a finished chunked upload) instead of the file
 router
   .route("/:module_id")
-  .post(upload.single("file"), LessonController.createLesson);
-router.route("/:module_id").get(LessonController.getLessons);
+  .post(optionalAuthCheckMiddleware, upload.single("file"), LessonController.createLesson);
+// Module locks and drip release apply to students and anonymous callers; staff see everything
+router.route("/:module_id").get(optionalAuthCheckMiddleware, LessonController.getLessons);
 router
   .route("/get-lessons-name/:module_id")
   .get(LessonController.fetchLessonsNamesAssociatedWithModule);
@@ -16,11 +20,16 @@ router
   .route("/editlesson/:id")
   .put(upload.single("file"), LessonController.editLesson);
 
+// Deleted lessons go to the tenant's trash
 router
   .route("/:id")
-  .delete(LessonController.deleteLesson);
+  .delete(
+    authCheckMiddleware,
+    authorizeRoles("tenant", "instructor"),
+    LessonController.deleteLesson
+  );
 
 router
   .route("/get-lesson-content/:lesson_id")
-  .get(LessonController.getLessonContent);
+  .get(optionalAuthCheckMiddleware, LessonController.getLessonContent);
 export default router;
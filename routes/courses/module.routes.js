@@ -25,4 +25,21 @@ router.put(
   "/update/display-order/:module_id",
   ModuleController.updateDisplayOrder
 );
+
+// Lock/unlock a module and set its drip release rule
+router.put(
+  "/:module_id/access",
+  authCheckMiddleware,
+  authorizeRoles("instructor", "tenant"),
+  ModuleController.updateModuleAccess
+);
+
+// Deleted modules go to the tenant's trash with their lessons
+router.delete(
+  "/:module_id",
+  authCheckMiddleware,
+  authorizeRoles("instructor", "tenant"),
+  ModuleController.deleteModule
+);
+
 export default router;
@@ -0,0 +1,45 @@
+import express from "express";
+import {
+  updateLessonProgress,
+  getMyCourseProgress,
+  getBatchProgress,
+  getBatchStudentProgress,
+} from "../../controllers/course/lessonProgress.controller.js";
+import { authCheckMiddleware } from "../../middleware/authCheckMiddleware.js";
+import { authorizeRoles } from "../../middleware/authorizeRoles.js";
+
+const router = express.Router();
+
+// Record the logged-in student viewing/watching a lesson (completes it when its rule is met)
+router.put(
+  "/lessons/:lesson_id",
+  authCheckMiddleware,
+  authorizeRoles("student"),
+  updateLessonProgress
+);
+
+// The logged-in student's progress through a course and when locked items unlock
+router.get(
+  "/courses/:course_id/me",
+  authCheckMiddleware,
+  authorizeRoles("student"),
+  getMyCourseProgress
+);
+
+// Course progress of every student in a batch
+router.get(
+  "/batches/:batch_id",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  getBatchProgress
+);
+
+// Lesson-by-lesson progress of one student in a batch
+router.get(
+  "/batches/:batch_id/students/:student_id",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  getBatchStudentProgress
+);
+
+export default router;
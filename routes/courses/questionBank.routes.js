@@ -0,0 +1,63 @@
+import express from "express";
+import {
+  createBankQuestion,
+  getBankQuestions,
+  getBankFacets,
+  getBankQuestionById,
+  updateBankQuestion,
+  deleteBankQuestion,
+} from "../../controllers/course/questionBank.controller.js";
+import { authCheckMiddleware } from "../../middleware/authCheckMiddleware.js";
+import { authorizeRoles } from "../../middleware/authorizeRoles.js";
+
+const router = express.Router();
+
+// List and search bank questions
+router.get(
+  "/",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  getBankQuestions
+);
+
+// Tags and topics with question counts
+router.get(
+  "/facets",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  getBankFacets
+);
+
+// Add a question
+router.post(
+  "/",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  createBankQuestion
+);
+
+// Get a question
+router.get(
+  "/:question_id",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  getBankQuestionById
+);
+
+// Update a question
+router.put(
+  "/:question_id",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  updateBankQuestion
+);
+
+// Remove a question
+router.delete(
+  "/:question_id",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  deleteBankQuestion
+);
+
+export default router;
@@ -2,6 +2,12 @@
 
 import express from "express";
 import * as QuizController from "../../controllers/course/quiz.controller.js";
+import * as QuizGradingController from "../../controllers/course/quizGrading.controller.js";
+import * as QuizAnalyticsController from "../../controllers/course/quizAnalytics.controller.js";
+import * as QuizTransferController from "../../controllers/course/quizTransfer.controller.js";
+import { uploadQuizFile } from "../../config/multer/multer.config.js";
+import { authCheckMiddleware } from "../../middleware/authCheckMiddleware.js";
+import { authorizeRoles } from "../../middleware/authorizeRoles.js";
 
 const router = express.Router();
 
@@ -30,17 +36,96 @@ router.route("/question").post(QuizController.addQuizQuestion);
  */
 router.route("/options").post(QuizController.addQuizOptions);
 
+/**
+ * @route   POST /api/quiz/import
+ * @desc    Bulk import questions from a GIFT or CSV file into a quiz, or into a new one (dry_run=true to validate only)
+ * @access  Tenant, instructor
+ */
+router
+  .route("/import")
+  .post(
+    authCheckMiddleware,
+    authorizeRoles("tenant", "instructor"),
+    uploadQuizFile.single("file"),
+    QuizTransferController.importQuiz
+  );
+
+/**
+ * @route   GET /api/quiz/grading-queue?course_id=|batch_id=&status=&quiz_id=
+ * @desc    Results with essay/short answers awaiting (or done with) instructor review
+ * @access  Tenant, instructor
+ */
+router
+  .route("/grading-queue")
+  .get(authCheckMiddleware, authorizeRoles("tenant", "instructor"), QuizGradingController.getGradingQueue);
+
+/**
+ * @route   PUT /api/quiz/result/:result_id/grade
+ * @desc    Score essay/short answers and leave feedback; totals are recomputed once all are graded
+ * @access  Tenant, instructor
+ */
+router
+  .route("/result/:result_id/grade")
+  .put(authCheckMiddleware, authorizeRoles("tenant", "instructor"), QuizGradingController.gradeQuizAnswers);
+
 /**
  * @route   GET /api/quiz/:quiz_id
- * @desc    Get quiz details including questions and options
+ * @desc    Get quiz details including questions and options; the answer key is only included for the quiz's tenant staff
+ * @access  Authenticated
+ */
+router.route("/:quiz_id").get(authCheckMiddleware, QuizController.getQuizDetails);
+
+/**
+ * @route   PUT /api/quiz/:quiz_id/selection
+ * @desc    Set fixed or random (question bank) selection and shuffling
+ * @access  Tenant, instructor
+ */
+router
+  .route("/:quiz_id/selection")
+  .put(authCheckMiddleware, authorizeRoles("tenant", "instructor"), QuizController.updateQuizSelection);
+
+/**
+ * @route   GET /api/quiz/:quiz_id/analytics?batch_id=&first_attempt_only=
+ * @desc    Question difficulty, discrimination, distractors, timing and attempts-to-pass
+ * @access  Tenant, instructor
+ */
+router
+  .route("/:quiz_id/analytics")
+  .get(authCheckMiddleware, authorizeRoles("tenant", "instructor"), QuizAnalyticsController.getQuizAnalyticsReport);
+
+/**
+ * @route   GET /api/quiz/:quiz_id/export?format=gift|csv|qti
+ * @desc    Download the quiz's questions as GIFT, CSV or IMS QTI 1.2
+ * @access  Tenant, instructor
+ */
+router
+  .route("/:quiz_id/export")
+  .get(authCheckMiddleware, authorizeRoles("tenant", "instructor"), QuizTransferController.exportQuizFile);
+
+/**
+ * @route   POST /api/quiz/:quiz_id/attempts
+ * @desc    Start or resume the logged-in student's attempt and get the questions served to it
+ * @access  Student
+ */
+router
+  .route("/:quiz_id/attempts")
+  .post(authCheckMiddleware, authorizeRoles("student"), QuizController.startQuizAttempt);
+
+/**
+ * @route   PUT /api/quiz/:quiz_id/attempts/:attempt_id/answers
+ * @desc    Autosave answers of an open attempt
+ * @access  Student (own attempts only)
  */
-router.route("/:quiz_id").get(QuizController.getQuizDetails);
+router
+  .route("/:quiz_id/attempts/:attempt_id/answers")
+  .put(authCheckMiddleware, authorizeRoles("student"), QuizController.saveQuizAttemptAnswers);
 
 /**
  * @route   POST /api/quiz/submit
- * @desc    Submit quiz answers for validation and grading
+ * @desc    Submit an attempt's answers for grading (body: quiz_id, attempt_id, answers)
+ * @access  Student (own attempts only)
  */
-router.route("/submit").post(QuizController.submitQuiz);
+router.route("/submit").post(authCheckMiddleware, authorizeRoles("student"), QuizController.submitQuiz);
 
 /**
  * @route   GET /api/quiz/results?student_id=&quiz_id=&course_id=
@@ -0,0 +1,44 @@
+import express from "express";
+import {
+  importScormLesson,
+  serveScormContent,
+  getScormRuntimeData,
+  saveScormRuntimeData,
+} from "../../controllers/course/scorm.controller.js";
+import { uploadPackage } from "../../config/multer/multer.config.js";
+import { authCheckMiddleware, optionalAuthCheckMiddleware } from "../../middleware/authCheckMiddleware.js";
+import { authorizeRoles } from "../../middleware/authorizeRoles.js";
+
+const router = express.Router();
+
+// Import a SCORM 1.2 package (.zip) as a new lesson of a module
+router.post(
+  "/modules/:module_id/lessons",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  uploadPackage.single("package"),
+  importScormLesson
+);
+
+// Files of a lesson's package; module locks and drip release apply like other lesson content
+router.get(
+  "/lessons/:lesson_id/content/*file_path",
+  optionalAuthCheckMiddleware,
+  serveScormContent
+);
+
+// SCORM 1.2 run-time data of the logged-in student (LMSInitialize / LMSCommit / LMSFinish)
+router
+  .route("/lessons/:lesson_id/runtime")
+  .get(
+    authCheckMiddleware,
+    authorizeRoles("student"),
+    getScormRuntimeData
+  )
+  .put(
+    authCheckMiddleware,
+    authorizeRoles("student"),
+    saveScormRuntimeData
+  );
+
+export default router;
@@ -0,0 +1,36 @@
+import express from "express";
+import {
+  getTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+} from "../../controllers/course/trash.controller.js";
+import { authCheckMiddleware } from "../../middleware/authCheckMiddleware.js";
+import { authorizeRoles } from "../../middleware/authorizeRoles.js";
+
+const router = express.Router();
+
+// Deleted courses, modules and lessons of the tenant (?type=course|module|lesson)
+router.get(
+  "/",
+  authCheckMiddleware,
+  authorizeRoles("tenant"),
+  getTrash
+);
+
+// Restore a deleted item (:type is course, module or lesson)
+router.post(
+  "/:type/:id/restore",
+  authCheckMiddleware,
+  authorizeRoles("tenant"),
+  restoreFromTrash
+);
+
+// Permanently delete a trashed item now
+router.delete(
+  "/:type/:id",
+  authCheckMiddleware,
+  authorizeRoles("tenant"),
+  purgeFromTrash
+);
+
+export default router;
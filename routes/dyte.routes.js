@@ -1,5 +1,5 @@
 import express from 'express';
-import { startBatchClass, joinBatchClass, getBatchRecordings, uploadManualRecording, handleDyteWebhook, syncBatchRecordings } from '../controllers/meetings/dyte.controller.js';
+import { startBatchClass, joinBatchClass, getBatchRecordings, uploadManualRecording, deleteManualRecording, handleDyteWebhook, syncBatchRecordings } from '../controllers/meetings/dyte.controller.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
 import { upload } from '../config/multer/multer.config.js';
 
@@ -10,6 +10,7 @@ router.post('/join-meeting', authMiddleware, joinBatchClass);
 router.get('/join-meeting', authMiddleware, joinBatchClass); // Fallback for GET requests
 router.get('/recordings/:batchId', authMiddleware, getBatchRecordings);
 router.post('/upload-recording/:batchId', authMiddleware, upload.single('recording'), uploadManualRecording);
+router.delete('/recordings/:batchId/:recordingId', authMiddleware, deleteManualRecording);
 router.post('/sync-recordings/:batchId', authMiddleware, syncBatchRecordings);
 router.post('/webhook', express.raw({ type: 'application/json' }), handleDyteWebhook);
 
@@ -8,6 +8,14 @@ import courseRoutes from "./courses/course.routes.js";
 import moduleRoutes from "./courses/module.routes.js";
 import lessonRoutes from "./courses/lesson.routes.js";
 import quizRoutes from "./courses/quiz.routes.js";
+import questionBankRoutes from "./courses/questionBank.routes.js";
+import assignmentRoutes from "./courses/assignment.routes.js";
+import progressRoutes from "./courses/progress.routes.js";
+import catalogRoutes from "./courses/catalog.routes.js";
+import certificateRoutes from "./courses/certificate.routes.js";
+import scormRoutes from "./courses/scorm.routes.js";
+import trashRoutes from "./courses/trash.routes.js";
+import uploadRoutes from "./upload.routes.js";
 import { isSuperAdmin } from "../middleware/isSuperAdmin.js";
 import instructorRoutes from "./instrucrtors/instructor.routes.js";
 import categoryRoutes from "./courses/category.routes.js";
@@ -22,6 +30,7 @@ import batchRoutes from "./batch/batch.routes.js";
 import batchStudentRoutes from "./batch/batchstudent.routes.js";
 import batchSubscriptionRoutes from "./batch/batchSubscription.routes.js";
 import payrollRoutes from "./tenant/payroll.routes.js";
+import holidayRoutes from "./tenant/holiday.routes.js";
 import attendanceRoutes from "./attendance.js";
 import financeRoutes from "./finance.routes.js";
 
@@ -56,6 +65,23 @@ router.use("/lessons", lessonRoutes);
 
 router.use("/quizzes", quizRoutes);
 
+router.use("/question-bank", questionBankRoutes);
+
+router.use("/assignments", assignmentRoutes);
+
+router.use("/progress", progressRoutes);
+
+router.use("/catalog", catalogRoutes);
+
+router.use("/certificates", certificateRoutes);
+
+router.use("/scorm", scormRoutes);
+
+router.use("/trash", trashRoutes);
+
+// Chunked, resumable uploads of large lesson files and recordings
+router.use("/upload-sessions", uploadRoutes);
+
 router.use("/instructors", instructorRoutes);
 
 router.use("/levels", levelRoutes);
@@ -72,6 +98,8 @@ router.use("/batch-subscription", batchSubscriptionRoutes);
 
 router.use("/payroll", payrollRoutes);
 
+router.use("/holidays", holidayRoutes);
+
 router.use("/attendance", attendanceRoutes);
 
 router.use("/finance", financeRoutes);
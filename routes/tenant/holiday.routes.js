@@ -0,0 +1,45 @@
+import express from "express";
+import {
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+} from "../../controllers/tenant/holiday.controller.js";
+import { authCheckMiddleware } from "../../middleware/authCheckMiddleware.js";
+import { authorizeRoles } from "../../middleware/authorizeRoles.js";
+
+const router = express.Router();
+
+// List the tenant holiday calendar
+router.get(
+  "/",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor", "student"),
+  getHolidays
+);
+
+// Create a holiday
+router.post(
+  "/",
+  authCheckMiddleware,
+  authorizeRoles("tenant"),
+  createHoliday
+);
+
+// Update a holiday
+router.put(
+  "/:holiday_id",
+  authCheckMiddleware,
+  authorizeRoles("tenant"),
+  updateHoliday
+);
+
+// Delete a holiday
+router.delete(
+  "/:holiday_id",
+  authCheckMiddleware,
+  authorizeRoles("tenant"),
+  deleteHoliday
+);
+
+export default router;
@@ -0,0 +1,62 @@
+import express from "express";
+import {
+  startUpload,
+  getUploadStatus,
+  uploadChunk,
+  deleteUpload,
+  getQuota,
+} from "../controllers/upload.controller.js";
+import { getMaxChunkBytes } from "../services/uploadService.js";
+import { authCheckMiddleware } from "../middleware/authCheckMiddleware.js";
+import { authorizeRoles } from "../middleware/authorizeRoles.js";
+
+const router = express.Router();
+
+// Chunks arrive as raw bytes
+const chunkBody = express.raw({
+  type: ["application/offset+octet-stream", "application/octet-stream"],
+  limit: getMaxChunkBytes(),
+});
+
+// The tenant's upload quota and how much of it is used
+router.get(
+  "/quota",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  getQuota
+);
+
+// Start a chunked upload; lessons and recordings take the finished upload's id
+router.post(
+  "/",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  startUpload
+);
+
+// Offset to resume from
+router.get(
+  "/:upload_id",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  getUploadStatus
+);
+
+// Append the next chunk at Upload-Offset
+router.patch(
+  "/:upload_id",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  chunkBody,
+  uploadChunk
+);
+
+// Cancel an unused upload
+router.delete(
+  "/:upload_id",
+  authCheckMiddleware,
+  authorizeRoles("tenant", "instructor"),
+  deleteUpload
+);
+
+export default router;
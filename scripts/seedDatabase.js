@@ -42,6 +42,7 @@ const seedLessonTypes = async () => {
       { lesson_type: "playground" },
       { lesson_type: "link" },
       { lesson_type: "ppt" },
+      { lesson_type: "scorm" },
     ];
 
     for (const type of lessonTypes) {
@@ -9,6 +9,12 @@ import cookieParser from "cookie-parser";
 import indexRoutes from "./routes/index.routes.js";
 import morgan from "morgan";
 import dyteRoutes from "./routes/dyte.routes.js"
+import { startAttendanceRiskScheduler } from "./services/attendanceRiskService.js";
+import { startClassOccurrenceScheduler } from "./services/classOccurrenceService.js";
+import { startQuizAttemptScheduler } from "./services/quizAttemptService.js";
+import { startCertificateScheduler } from "./services/certificateService.js";
+import { startTrashPurgeScheduler } from "./services/trashService.js";
+import { startUploadCleanupScheduler } from "./services/uploadService.js";
 // ES Module fix for __dirname
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -40,6 +46,8 @@ app.use(
   })
 );
 app.use(morgan("dev"));
+// Dyte webhooks are signed over the raw body, so it must reach the handler unparsed
+app.use("/api/dyte/webhook", express.raw({ type: "application/json" }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
@@ -79,4 +87,10 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  startAttendanceRiskScheduler();
+  startClassOccurrenceScheduler();
+  startQuizAttemptScheduler();
+  startCertificateScheduler();
+  startTrashPurgeScheduler();
+  startUploadCleanupScheduler();
 });
\ No newline at end of file
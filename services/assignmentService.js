@@ -0,0 +1,195 @@
+import fs from 'fs/promises';
+import mongoose from 'mongoose';
+import Lesson from '../models/Lesson.model.js';
+import Module from '../models/Module.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SUBMISSION_MODES = ['file', 'text', 'file_or_text'];
+
+// Multipart bodies send everything as strings
+const toBoolean = (value) => value === true || value === 'true' || value === 'on' || value === '1';
+
+const parseRubric = (rubric) => {
+    let items = rubric;
+    if (typeof items === 'string') {
+        try {
+            items = items.trim() ? JSON.parse(items) : [];
+        } catch {
+            return { rubric: null, error: 'rubric must be a JSON list of { criterion, description, max_points }' };
+        }
+    }
+    if (!Array.isArray(items)) return { rubric: null, error: 'rubric must be a list' };
+
+    const parsed = [];
+    for (const item of items) {
+        const maxPoints = Number(item?.max_points);
+        if (!item?.criterion || !String(item.criterion).trim()) return { rubric: null, error: 'Each rubric criterion needs a name' };
+        if (!Number.isFinite(maxPoints) || maxPoints < 0) return { rubric: null, error: 'Each rubric criterion needs max_points of zero or more' };
+        parsed.push({
+            ...(item._id && mongoose.Types.ObjectId.isValid(item._id) && { _id: item._id }),
+            criterion: String(item.criterion).trim(),
+            description: item.description || '',
+            max_points: maxPoints
+        });
+    }
+    return { rubric: parsed, error: null };
+};
+
+/**
+ * Assignment settings from a lesson create/edit body, merged over the current settings.
+ * With a rubric, max_score is the sum of its criteria.
+ * @returns {Object} - { settings, error }
+ */
+export const parseAssignmentSettings = (body, current = {}) => {
+    const settings = {
+        due_date: current.due_date ?? null,
+        submission_mode: current.submission_mode || 'file_or_text',
+        max_files: current.max_files ?? 5,
+        max_score: current.max_score ?? 100,
+        rubric: (current.rubric || []).map(item => (item.toObject ? item.toObject() : item)),
+        allow_late: current.allow_late ?? true,
+        late_penalty_percent_per_day: current.late_penalty_percent_per_day ?? 0,
+        max_late_penalty_percent: current.max_late_penalty_percent ?? 100
+    };
+
+    if (body.due_date !== undefined) {
+        const due = body.due_date ? new Date(body.due_date) : null;
+        if (due && Number.isNaN(due.getTime())) return { settings: null, error: 'due_date must be a valid date' };
+        settings.due_date = due;
+    }
+    if (body.submission_mode !== undefined) {
+        if (!SUBMISSION_MODES.includes(body.submission_mode)) {
+            return { settings: null, error: `submission_mode must be one of: ${SUBMISSION_MODES.join(', ')}` };
+        }
+        settings.submission_mode = body.submission_mode;
+    }
+    if (body.allow_late !== undefined) settings.allow_late = toBoolean(body.allow_late);
+
+    const numbers = [
+        ['max_files', 1, 10],
+        ['max_score', 0, Infinity],
+        ['late_penalty_percent_per_day', 0, 100],
+        ['max_late_penalty_percent', 0, 100]
+    ];
+    for (const [field, min, max] of numbers) {
+        if (body[field] === undefined || body[field] === '') continue;
+        const value = Number(body[field]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            return { settings: null, error: `${field} must be between ${min} and ${max === Infinity ? 'any positive number' : max}` };
+        }
+        settings[field] = value;
+    }
+
+    if (body.rubric !== undefined) {
+        const { rubric, error } = parseRubric(body.rubric);
+        if (error) return { settings: null, error };
+        settings.rubric = rubric;
+    }
+    if (settings.rubric.length > 0) {
+        settings.max_score = settings.rubric.reduce((sum, item) => sum + item.max_points, 0);
+    }
+
+    return { settings, error: null };
+};
+
+/**
+ * An assignment lesson with its course.
+ * @returns {Promise<Object>} - { lesson, course_id, status, error }
+ */
+export const getAssignmentLesson = async (lessonId) => {
+    if (!mongoose.Types.ObjectId.isValid(lessonId)) return { status: 404, error: 'Lesson not found' };
+
+    const lesson = await Lesson.findOne({ _id: lessonId, is_deleted: { $ne: true } }).populate({ path: 'lesson_type_id', model: 'Lesson_Type', select: 'lesson_type' });
+    if (!lesson) return { status: 404, error: 'Lesson not found' };
+    if (lesson.lesson_type_id?.lesson_type !== 'assignment') return { status: 400, error: 'This lesson is not an assignment' };
+
+    const module = await Module.findOne({ _id: lesson.module_id, is_deleted: { $ne: true } }).select('course_id');
+    if (!module) return { status: 404, error: 'Module not found' };
+
+    return { lesson, course_id: module.course_id };
+};
+
+// The deadline a new submission is measured against: a requested resubmission may carry its own
+export const getSubmissionDueDate = (settings, previous) => {
+    if (previous && previous.status === 'resubmission_requested' && previous.resubmission?.due_date) {
+        return previous.resubmission.due_date;
+    }
+    return settings?.due_date || null;
+};
+
+/**
+ * Lateness of a submission against its due date; every started day late costs the per-day penalty, up to the cap.
+ * @returns {Object} - { is_late, days_late, late_penalty_percent }
+ */
+export const computeLatePenalty = (settings, submittedAt, dueDate) => {
+    if (!dueDate || submittedAt <= dueDate) return { is_late: false, days_late: 0, late_penalty_percent: 0 };
+
+    const daysLate = Math.ceil((submittedAt - dueDate) / DAY_MS);
+    const penalty = Math.min(daysLate * (settings?.late_penalty_percent_per_day || 0), settings?.max_late_penalty_percent ?? 100);
+    return { is_late: true, days_late: daysLate, late_penalty_percent: penalty };
+};
+
+// Whether the student may hand in another submission; returns an error message or null
+export const checkCanSubmit = (settings, previous, now = new Date()) => {
+    if (previous && previous.status === 'graded') {
+        return 'This assignment has been graded; a new submission needs a resubmission request from your instructor';
+    }
+    const dueDate = getSubmissionDueDate(settings, previous);
+    if (dueDate && now > dueDate && settings && !settings.allow_late) {
+        return 'The due date has passed and late submissions are not accepted';
+    }
+    return null;
+};
+
+// Whether the submitted content fits the assignment's submission mode; returns an error message or null
+export const checkSubmissionContent = (settings, { text, files }) => {
+    const mode = settings?.submission_mode || 'file_or_text';
+    if (mode === 'file' && files.length === 0) return 'Upload at least one file';
+    if (mode === 'text' && !text) return 'text_content is required';
+    if (mode === 'text' && files.length > 0) return 'This assignment accepts text only';
+    if (mode === 'file_or_text' && !text && files.length === 0) return 'Upload a file or enter text_content';
+    if (files.length > (settings?.max_files || 5)) return `At most ${settings?.max_files || 5} files can be uploaded`;
+    return null;
+};
+
+/**
+ * Score a submission with the lesson's rubric ([{ criterion_id, points, comment }]) or, without one, a single score.
+ * @returns {Object} - { rubric_scores, raw_score, error }
+ */
+export const scoreSubmission = (settings, { rubric_scores: given, score }) => {
+    const rubric = settings?.rubric || [];
+
+    if (rubric.length === 0) {
+        const value = Number(score);
+        if (!Number.isFinite(value) || value < 0 || value > settings.max_score) {
+            return { error: `score must be between 0 and ${settings.max_score}` };
+        }
+        return { rubric_scores: [], raw_score: value, error: null };
+    }
+
+    const byCriterion = new Map((Array.isArray(given) ? given : []).filter(item => item && item.criterion_id).map(item => [item.criterion_id.toString(), item]));
+    const rubricScores = [];
+    for (const criterion of rubric) {
+        const item = byCriterion.get(criterion._id.toString());
+        const points = Number(item?.points);
+        if (!item || !Number.isFinite(points) || points < 0 || points > criterion.max_points) {
+            return { error: `"${criterion.criterion}" needs a score between 0 and ${criterion.max_points}` };
+        }
+        rubricScores.push({
+            criterion_id: criterion._id,
+            criterion: criterion.criterion,
+            points,
+            max_points: criterion.max_points,
+            comment: item.comment || ''
+        });
+    }
+    return { rubric_scores: rubricScores, raw_score: rubricScores.reduce((sum, item) => sum + item.points, 0), error: null };
+};
+
+export const applyLatePenalty = (rawScore, penaltyPercent) =>
+    Math.round(rawScore * (1 - (penaltyPercent || 0) / 100) * 100) / 100;
+
+// Remove uploaded files of a refused submission
+export const removeUploadedFiles = async (files = []) => {
+    await Promise.all(files.map(file => fs.unlink(file.path).catch(() => null)));
+};
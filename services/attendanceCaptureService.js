@@ -0,0 +1,200 @@
+import mongoose from 'mongoose';
+import moment from 'moment-timezone';
+import Attendance from '../models/Attendance.js';
+import Batch from '../models/Batch_table.js';
+import BatchStudent from '../models/Batch_Students.js';
+import Login from '../models/login.model.js';
+import { getActivePolicy, getClassEndTime, applyAttendancePolicy } from './attendancePolicyService.js';
+import { getOccurrenceIdForDay } from './classOccurrenceService.js';
+import { DEFAULT_TIMEZONE, getBatchTimezone, getDayRange, getTimeOnDay } from '../utils/timezone.js';
+
+// Scheduled class start on the given day, parsed from batch_time ("10:00 AM - 11:00 AM") in the batch timezone
+export const getScheduledClassStart = (batch, onDate = new Date(), timezone = DEFAULT_TIMEZONE) => {
+    const day = moment.tz(onDate, timezone);
+
+    let startStr = batch.batch_time;
+    if (startStr && startStr.includes('-')) {
+        startStr = startStr.split('-')[0].trim();
+    }
+
+    if (startStr) {
+        const start = getTimeOnDay(startStr, onDate, timezone);
+        if (start) return start.toDate();
+    }
+
+    // Flexible batches: fall back to when the instructor started today's class
+    if (batch.last_class_start_time && moment.tz(batch.last_class_start_time, timezone).isSame(day, 'day')) {
+        return batch.last_class_start_time;
+    }
+    return day.toDate();
+};
+
+const closeSession = (session, leaveTime) => {
+    const leave = leaveTime < session.join_time ? session.join_time : leaveTime;
+    session.leave_time = leave;
+    session.duration_seconds = Math.floor((leave.getTime() - session.join_time.getTime()) / 1000);
+};
+
+// Dyte participants are added with client_specific_id = Login id; map that to the student's profile
+const resolveEnrolledStudent = async (batch, loginId) => {
+    if (!loginId || !mongoose.Types.ObjectId.isValid(loginId)) return null;
+
+    const enrollment = await BatchStudent.findOne({ batch_id: batch._id, student_id: loginId });
+    if (!enrollment) return null;
+
+    const login = await Login.findById(loginId);
+    return login?.user_id || null;
+};
+
+const reevaluate = async (attendance, batch) => {
+    const policy = await getActivePolicy(batch.tenant_id, batch._id);
+    if (!attendance.class_end_time) {
+        attendance.class_end_time = getClassEndTime(attendance.class_start_time, batch, policy);
+    }
+    applyAttendancePolicy(attendance, policy);
+};
+
+// Open an attendance session for a participant that joined the batch meeting
+export const recordParticipantJoined = async ({ meetingId, loginId, peerId, joinedAt }) => {
+    try {
+        const batch = await Batch.findOne({ dyte_meeting_id: meetingId });
+        if (!batch) return { success: false, error: 'No batch linked to this meeting' };
+
+        const studentId = await resolveEnrolledStudent(batch, loginId);
+        if (!studentId) return { success: false, error: 'Participant is not an enrolled student' };
+
+        const joinTime = joinedAt ? new Date(joinedAt) : new Date();
+        const timezone = await getBatchTimezone(batch);
+
+        let attendance = await Attendance.findOne({
+            student_id: studentId,
+            course_id: batch.course_id,
+            batch_id: batch._id,
+            date: getDayRange(joinTime, timezone)
+        });
+
+        if (!attendance) {
+            const policy = await getActivePolicy(batch.tenant_id, batch._id);
+            const classStartTime = getScheduledClassStart(batch, joinTime, timezone);
+
+            attendance = new Attendance({
+                student_id: studentId,
+                course_id: batch.course_id,
+                batch_id: batch._id,
+                occurrence_id: await getOccurrenceIdForDay(batch._id, joinTime, timezone),
+                date: joinTime,
+                marked_by: studentId, // Self-marked through the meeting
+                class_start_time: classStartTime,
+                class_end_time: getClassEndTime(classStartTime, batch, policy),
+                sessions: []
+            });
+        }
+
+        // Webhook retries: this peer is already tracked
+        if (peerId && attendance.sessions.some(session => session.peer_id === peerId)) {
+            return { success: true, attendance, duplicate: true };
+        }
+
+        // A session opened through the join API for the same visit is claimed instead of duplicated
+        const unclaimed = attendance.sessions.find(session => !session.leave_time && !session.peer_id);
+        if (unclaimed) {
+            unclaimed.peer_id = peerId;
+            unclaimed.source = 'dyte_webhook';
+            unclaimed.join_time = joinTime;
+        } else {
+            attendance.sessions.push({
+                join_time: joinTime,
+                leave_time: null,
+                duration_seconds: 0,
+                source: 'dyte_webhook',
+                peer_id: peerId
+            });
+        }
+
+        await attendance.save();
+        return { success: true, attendance };
+    } catch (error) {
+        console.error('Error recording participant join:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+// Close the session of a participant that left the batch meeting
+export const recordParticipantLeft = async ({ meetingId, loginId, peerId, leftAt }) => {
+    try {
+        const batch = await Batch.findOne({ dyte_meeting_id: meetingId });
+        if (!batch) return { success: false, error: 'No batch linked to this meeting' };
+
+        const leaveTime = leftAt ? new Date(leftAt) : new Date();
+
+        let attendance = peerId
+            ? await Attendance.findOne({ batch_id: batch._id, 'sessions.peer_id': peerId })
+            : null;
+
+        if (!attendance) {
+            const studentId = await resolveEnrolledStudent(batch, loginId);
+            if (!studentId) return { success: false, error: 'Participant is not an enrolled student' };
+
+            attendance = await Attendance.findOne({
+                student_id: studentId,
+                course_id: batch.course_id,
+                batch_id: batch._id,
+                date: getDayRange(leaveTime, await getBatchTimezone(batch))
+            });
+        }
+
+        if (!attendance) return { success: false, error: 'No attendance record for participant' };
+
+        const session = attendance.sessions.find(s => peerId && s.peer_id === peerId && !s.leave_time)
+            || attendance.sessions.find(s => !s.leave_time);
+
+        if (!session) return { success: true, attendance, duplicate: true };
+
+        closeSession(session, leaveTime);
+        await reevaluate(attendance, batch);
+        await attendance.save();
+
+        return { success: true, attendance };
+    } catch (error) {
+        console.error('Error recording participant leave:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+// Close the sessions still open when the meeting ends and re-evaluate those records. Only sessions of this
+// meeting are closed: those joined since it went live (`startedAt`), on its day in the batch timezone, so
+// sessions left open on earlier days are not stretched to this meeting's end
+export const closeOpenMeetingSessions = async ({ meetingId, startedAt = null, endedAt }) => {
+    try {
+        const batch = await Batch.findOne({ dyte_meeting_id: meetingId });
+        if (!batch) return { success: false, error: 'No batch linked to this meeting' };
+
+        const endTime = endedAt ? new Date(endedAt) : new Date();
+        const startTime = startedAt && !isNaN(new Date(startedAt)) ? new Date(startedAt) : null;
+        const openSession = startTime ? { leave_time: null, join_time: { $gte: startTime } } : { leave_time: null };
+        const isOpen = (session) => !session.leave_time && (!startTime || session.join_time >= startTime);
+
+        const openRecords = await Attendance.find({
+            batch_id: batch._id,
+            date: getDayRange(startTime || endTime, await getBatchTimezone(batch)),
+            sessions: { $elemMatch: openSession }
+        });
+
+        for (const attendance of openRecords) {
+            attendance.sessions
+                .filter(isOpen)
+                .forEach(session => {
+                    closeSession(session, endTime);
+                    session.auto_closed = true;
+                });
+
+            await reevaluate(attendance, batch);
+            await attendance.save();
+        }
+
+        return { success: true, closed: openRecords.length };
+    } catch (error) {
+        console.error('Error closing open attendance sessions:', error);
+        return { success: false, error: error.message };
+    }
+};
@@ -0,0 +1,202 @@
+import ExcelJS from 'exceljs';
+import moment from 'moment-timezone';
+import Attendance from '../models/Attendance.js';
+import { summarizeStatusCounts, DEFAULT_ATTENDANCE_POLICY } from './attendancePolicyService.js';
+import { getAttendanceHolidayMatcher } from './holidayService.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+import { escapeCsvField } from '../utils/csv.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const SESSION_COLUMNS = [
+    { header: 'Date', key: 'date', width: 12 },
+    { header: 'Student Name', key: 'student_name', width: 25 },
+    { header: 'Email', key: 'email', width: 30 },
+    { header: 'User Code', key: 'user_code', width: 14 },
+    { header: 'Course', key: 'course', width: 25 },
+    { header: 'Batch', key: 'batch', width: 20 },
+    { header: 'Status', key: 'status', width: 10 },
+    { header: 'Holiday', key: 'holiday', width: 20 },
+    { header: 'Session #', key: 'session_number', width: 10 },
+    { header: 'Join Time', key: 'join_time', width: 20 },
+    { header: 'Leave Time', key: 'leave_time', width: 20 },
+    { header: 'Session Duration (min)', key: 'session_minutes', width: 12 },
+    { header: 'Total Duration (min)', key: 'total_minutes', width: 12 },
+    { header: 'Remarks', key: 'remarks', width: 30 }
+];
+
+const SUMMARY_COLUMNS = [
+    { header: 'Student Name', key: 'student_name', width: 25 },
+    { header: 'Email', key: 'email', width: 30 },
+    { header: 'User Code', key: 'user_code', width: 14 },
+    { header: 'Total Classes', key: 'total', width: 12 },
+    { header: 'Attended', key: 'attended', width: 10 },
+    { header: 'Present', key: 'present', width: 10 },
+    { header: 'Late', key: 'late', width: 10 },
+    { header: 'Absent', key: 'absent', width: 10 },
+    { header: 'Excused', key: 'excused', width: 10 },
+    { header: 'Holiday', key: 'holiday', width: 10 },
+    { header: 'Attendance %', key: 'attendance_percentage', width: 12 },
+    { header: 'Total Duration (min)', key: 'total_minutes', width: 12 }
+];
+
+const formatDateTime = (value, timezone) => (value ? moment.tz(value, timezone).format('YYYY-MM-DD HH:mm:ss') : '');
+const toMinutes = (seconds) => Math.round((seconds || 0) / 60 * 100) / 100;
+
+const toCsvLine = (columns, row) => columns.map(col => escapeCsvField(row[col.key])).join(',') + '\r\n';
+
+// Respect backpressure so large months are not buffered in memory. A client that disconnects never
+// drains, so closing or failing settles the wait too.
+const writeChunk = (stream, chunk) => new Promise(resolve => {
+    if (stream.destroyed || stream.write(chunk)) return resolve();
+    const settle = () => {
+        stream.off('drain', settle).off('close', settle).off('error', settle);
+        resolve();
+    };
+    stream.on('drain', settle).on('close', settle).on('error', settle);
+});
+
+// Flatten one attendance record into one row per join/leave session, with times in `timezone`.
+// `holiday` is the name of the holiday the record fell on, if any.
+export const buildSessionRows = (record, timezone = DEFAULT_TIMEZONE, holiday = null) => {
+    const student = record.student_id || {};
+    const base = {
+        date: moment.tz(record.date, timezone).format('YYYY-MM-DD'),
+        student_name: [student.fname, student.lname].filter(Boolean).join(' '),
+        email: student.email || '',
+        user_code: student.user_code || '',
+        course: record.course_id?.course_title || '',
+        batch: record.batch_id?.batch_name || '',
+        status: record.status,
+        holiday: holiday || '',
+        total_minutes: toMinutes(record.total_duration_seconds),
+        remarks: record.remarks || ''
+    };
+
+    if (!record.sessions || record.sessions.length === 0) {
+        return [{ ...base, session_number: '', join_time: '', leave_time: '', session_minutes: '' }];
+    }
+
+    return record.sessions.map((session, index) => ({
+        ...base,
+        session_number: index + 1,
+        join_time: formatDateTime(session.join_time, timezone),
+        leave_time: formatDateTime(session.leave_time, timezone),
+        session_minutes: toMinutes(session.duration_seconds)
+    }));
+};
+
+// Absences on a holiday are counted apart and left out of the rate, like summarizeAttendance does
+const addToStudentSummary = (summaries, record, holiday) => {
+    if (!record.student_id) return;
+    const key = record.student_id._id.toString();
+
+    if (!summaries.has(key)) {
+        summaries.set(key, {
+            student_name: [record.student_id.fname, record.student_id.lname].filter(Boolean).join(' '),
+            email: record.student_id.email || '',
+            user_code: record.student_id.user_code || '',
+            counts: { present: 0, late: 0, absent: 0, excused: 0 },
+            holiday: 0,
+            total_seconds: 0
+        });
+    }
+
+    const entry = summaries.get(key);
+    if (record.status === 'absent' && holiday) entry.holiday++;
+    else if (entry.counts[record.status] !== undefined) entry.counts[record.status]++;
+    entry.total_seconds += record.total_duration_seconds || 0;
+};
+
+// One holiday matcher for the whole export, covering its batches from the first to the last record
+const buildExportHolidayMatcher = async (tenantId, query) => {
+    const batchIds = await Attendance.find(query).distinct('batch_id');
+    if (batchIds.length === 0) return () => null;
+
+    const first = await Attendance.findOne(query).sort({ date: 1 }).select('date');
+    const last = await Attendance.findOne(query).sort({ date: -1 }).select('date');
+    const bounds = batchIds.flatMap(batchId => [
+        { batch_id: batchId, date: first.date },
+        { batch_id: batchId, date: last.date }
+    ]);
+    return getAttendanceHolidayMatcher(tenantId, bounds);
+};
+
+// One row per session; stops early once the client has gone
+const streamCsv = async (res, cursor, filename, isHoliday, timezone) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+
+    await writeChunk(res, '\uFEFF' + SESSION_COLUMNS.map(col => escapeCsvField(col.header)).join(',') + '\r\n');
+    for await (const record of cursor) {
+        if (res.destroyed) return;
+        for (const row of buildSessionRows(record, timezone, isHoliday(record))) {
+            await writeChunk(res, toCsvLine(SESSION_COLUMNS, row));
+        }
+    }
+    res.end();
+};
+
+// Sessions sheet plus a per-student Summary sheet; stops early once the client has gone
+const streamXlsx = async (res, cursor, filename, isHoliday, policy, timezone) => {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sessionSheet = workbook.addWorksheet('Sessions');
+    sessionSheet.columns = SESSION_COLUMNS;
+
+    const summaries = new Map();
+    for await (const record of cursor) {
+        if (res.destroyed) return;
+        const holiday = isHoliday(record);
+        addToStudentSummary(summaries, record, holiday);
+        for (const row of buildSessionRows(record, timezone, holiday)) {
+            sessionSheet.addRow(row).commit();
+        }
+    }
+    sessionSheet.commit();
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = SUMMARY_COLUMNS;
+    for (const entry of summaries.values()) {
+        summarySheet.addRow({
+            student_name: entry.student_name,
+            email: entry.email,
+            user_code: entry.user_code,
+            ...summarizeStatusCounts(entry.counts, policy),
+            holiday: entry.holiday,
+            total_minutes: toMinutes(entry.total_seconds)
+        }).commit();
+    }
+    summarySheet.commit();
+
+    await workbook.commit();
+};
+
+/**
+ * Stream attendance records matching `query` to the response as CSV or XLSX.
+ * Records are read through a cursor, so the export never holds the whole range in memory.
+ * XLSX exports get a second "Summary" sheet with per-student totals under `policy`; absences on holidays
+ * of the tenant's batches are shown but not counted. Dates and times are written in `timezone`.
+ */
+export const streamAttendanceExport = async ({ res, format, query, filename, tenantId = null, policy = DEFAULT_ATTENDANCE_POLICY, timezone = DEFAULT_TIMEZONE }) => {
+    const isHoliday = await buildExportHolidayMatcher(tenantId, query);
+    const cursor = Attendance.find(query)
+        .populate('student_id', 'fname lname email user_code')
+        .populate('course_id', 'course_title')
+        .populate('batch_id', 'batch_name')
+        .sort({ date: 1, student_id: 1 })
+        .cursor();
+
+    try {
+        if (format === 'csv') {
+            await streamCsv(res, cursor, filename, isHoliday, timezone);
+        } else {
+            await streamXlsx(res, cursor, filename, isHoliday, policy, timezone);
+        }
+    } finally {
+        // Stops reading from Mongo when the client went away mid-export
+        await cursor.close();
+    }
+};
@@ -0,0 +1,155 @@
+import moment from 'moment';
+import AttendancePolicy from '../models/AttendancePolicy.js';
+
+// Fallback used when a tenant has not configured any policy (matches the original hard-coded rules)
+export const DEFAULT_ATTENDANCE_POLICY = Object.freeze({
+    _id: null,
+    name: 'System default',
+    min_presence_percentage: 0,
+    min_present_minutes: 10,
+    late_grace_minutes: 5,
+    early_leave_grace_minutes: 0,
+    max_early_leaves: null,
+    default_class_duration_minutes: 60,
+    excused_handling: 'exclude',
+    at_risk_threshold_percentage: 75,
+    at_risk_window_days: 30,
+    at_risk_min_classes: 3,
+    at_risk_alerts_enabled: true,
+    is_active: true
+});
+
+// Resolve the policy for a batch: batch policy, then tenant default, then system default
+export const getActivePolicy = async (tenantId, batchId = null) => {
+    if (!tenantId) return DEFAULT_ATTENDANCE_POLICY;
+
+    if (batchId) {
+        const batchPolicy = await AttendancePolicy.findOne({
+            tenant_id: tenantId,
+            batch_id: batchId,
+            is_active: true
+        }).lean();
+        if (batchPolicy) return batchPolicy;
+    }
+
+    const tenantPolicy = await AttendancePolicy.findOne({
+        tenant_id: tenantId,
+        batch_id: null,
+        is_active: true
+    }).lean();
+
+    return tenantPolicy || DEFAULT_ATTENDANCE_POLICY;
+};
+
+// Class length in minutes from a "10:00 AM - 11:00 AM" style batch_time, or null
+export const getBatchClassDurationMinutes = (batchTime) => {
+    if (!batchTime || !batchTime.includes('-')) return null;
+
+    const [startStr, endStr] = batchTime.split('-').map(part => part.trim());
+    if (!startStr || !endStr) return null;
+
+    const parse = (str) => moment(str, str.toUpperCase().includes('M') ? 'h:mm A' : 'H:mm');
+    const start = parse(startStr);
+    const end = parse(endStr);
+    if (!start.isValid() || !end.isValid()) return null;
+
+    let minutes = end.diff(start, 'minutes');
+    if (minutes <= 0) minutes += 24 * 60; // Class runs past midnight
+    return minutes;
+};
+
+// Class end time for an attendance record, derived from the batch schedule or the policy default
+export const getClassEndTime = (classStartTime, batch, policy = DEFAULT_ATTENDANCE_POLICY) => {
+    const duration = getBatchClassDurationMinutes(batch?.batch_time) || policy.default_class_duration_minutes;
+    return new Date(new Date(classStartTime).getTime() + duration * 60 * 1000);
+};
+
+// Work out present/late/absent for a record; manual overrides and excused records are left alone
+export const evaluateAttendanceStatus = (attendance, policy = DEFAULT_ATTENDANCE_POLICY) => {
+    if (attendance.is_manual_override || attendance.status === 'excused') {
+        return attendance.status;
+    }
+
+    const sessions = attendance.sessions || [];
+    if (sessions.length === 0) return 'absent';
+
+    const classStart = new Date(attendance.class_start_time).getTime();
+    const classEnd = attendance.class_end_time
+        ? new Date(attendance.class_end_time).getTime()
+        : classStart + policy.default_class_duration_minutes * 60 * 1000;
+    const classLengthSeconds = Math.max(0, (classEnd - classStart) / 1000);
+
+    const totalDurationSeconds = sessions.reduce((total, session) => total + (session.duration_seconds || 0), 0);
+
+    // Stayed long enough?
+    const requiredSeconds = Math.max(
+        (policy.min_present_minutes || 0) * 60,
+        classLengthSeconds * (policy.min_presence_percentage || 0) / 100
+    );
+    if (totalDurationSeconds < requiredSeconds) return 'absent';
+
+    // Too many early leaves?
+    if (policy.max_early_leaves !== null && policy.max_early_leaves !== undefined) {
+        const earlyLeaveCutoff = classEnd - (policy.early_leave_grace_minutes || 0) * 60 * 1000;
+        const earlyLeaves = sessions.filter(session =>
+            session.leave_time && new Date(session.leave_time).getTime() < earlyLeaveCutoff
+        ).length;
+        if (earlyLeaves > policy.max_early_leaves) return 'absent';
+    }
+
+    // Joined late?
+    const firstJoin = Math.min(...sessions.map(session => new Date(session.join_time).getTime()));
+    if (firstJoin - classStart > (policy.late_grace_minutes || 0) * 60 * 1000) return 'late';
+
+    return 'present';
+};
+
+// Recalculate totals and status of an attendance document in place
+export const applyAttendancePolicy = (attendance, policy = DEFAULT_ATTENDANCE_POLICY) => {
+    attendance.total_duration_seconds = (attendance.sessions || []).reduce(
+        (total, session) => total + (session.duration_seconds || 0), 0
+    );
+    attendance.status = evaluateAttendanceStatus(attendance, policy);
+    if (!attendance.is_manual_override && attendance.status !== 'excused') {
+        attendance.policy_id = policy._id || null;
+    }
+    return attendance;
+};
+
+// Attendance rate from status counts under a policy
+export const summarizeStatusCounts = ({ present = 0, late = 0, absent = 0, excused = 0 }, policy = DEFAULT_ATTENDANCE_POLICY) => {
+    const total = present + late + absent + excused;
+    const excusedAttended = policy.excused_handling === 'attended';
+    const attended = present + late + (excusedAttended ? excused : 0);
+    const countable = total - (excusedAttended ? 0 : excused);
+
+    return {
+        total,
+        attended,
+        present,
+        late,
+        absent,
+        excused,
+        attendance_percentage: countable > 0
+            ? parseFloat((attended / countable * 100).toFixed(2))
+            : 0
+    };
+};
+
+// Count statuses, manually corrected records and the attendance rate for a set of records under a policy.
+// Absences on a holiday (per `isHoliday`) are not held against the student and are counted separately.
+export const summarizeAttendance = (records, policy = DEFAULT_ATTENDANCE_POLICY, { isHoliday = null } = {}) => {
+    const waived = isHoliday ? records.filter(r => r.status === 'absent' && isHoliday(r)) : [];
+    const counted = waived.length > 0 ? records.filter(r => !waived.includes(r)) : records;
+
+    return {
+        ...summarizeStatusCounts({
+            present: counted.filter(r => r.status === 'present').length,
+            late: counted.filter(r => r.status === 'late').length,
+            absent: counted.filter(r => r.status === 'absent').length,
+            excused: counted.filter(r => r.status === 'excused').length
+        }, policy),
+        corrected: records.filter(r => r.status_history && r.status_history.length > 0).length,
+        holiday: waived.length
+    };
+};
@@ -0,0 +1,224 @@
+import moment from 'moment-timezone';
+import Attendance from '../models/Attendance.js';
+import AttendanceRiskFlag from '../models/AttendanceRiskFlag.js';
+import Batch from '../models/Batch_table.js';
+import BatchStudent from '../models/Batch_Students.js';
+import Login from '../models/login.model.js';
+import User from '../models/user.model.js';
+import { escapeHtml } from '../utils/html.js';
+import sendMail from '../utils/senMail.js';
+import { getActivePolicy, summarizeStatusCounts } from './attendancePolicyService.js';
+import { getBatchHolidayDays } from './holidayService.js';
+import { DEFAULT_TIMEZONE, getBatchTimezone } from '../utils/timezone.js';
+
+const DAY_FORMAT = 'YYYY-MM-DD';
+
+// Rolling window ending at `now`, sized by the policy; whole days in the batch timezone
+export const getRiskWindow = (policy, now = new Date(), timezone = DEFAULT_TIMEZONE) => ({
+    start: moment.tz(now, timezone).subtract(policy.at_risk_window_days, 'days').startOf('day').toDate(),
+    end: now
+});
+
+const getInstructorEmails = async (batch) => {
+    const ids = [batch.instructor_id, ...(batch.instructor_ids || [])].filter(Boolean);
+    if (ids.length === 0) return [];
+
+    const logins = await Login.find({ _id: { $in: ids } }).select('email');
+    return [...new Set(logins.map(login => login.email).filter(Boolean))];
+};
+
+// Email the student and the batch instructors about a new at-risk flag
+const sendRiskAlert = async ({ batch, flag, studentEmail, studentName, instructorEmails, timezone }) => {
+    const rate = `${flag.attendance_percentage}%`;
+    const windowText = `${moment.tz(flag.window_start, timezone).format('DD MMM YYYY')} - ${moment.tz(flag.window_end, timezone).format('DD MMM YYYY')}`;
+    // Names are typed in by users, so they are escaped before going into the HTML bodies
+    const student = escapeHtml(studentName);
+    const batchName = escapeHtml(batch.batch_name);
+
+    if (studentEmail) {
+        await sendMail({
+            to: studentEmail,
+            subject: `Low attendance in ${batch.batch_name}`,
+            html: `<p>Hi ${student},</p>
+<p>Your attendance in <strong>${batchName}</strong> is <strong>${rate}</strong> for ${windowText}, below the required ${flag.threshold_percentage}%.</p>
+<p>You attended ${flag.classes_attended} of ${flag.classes_held} classes. Please reach out to your instructor if you need help catching up.</p>`
+        });
+    }
+
+    if (instructorEmails.length > 0) {
+        await sendMail({
+            to: instructorEmails.join(','),
+            subject: `At-risk student in ${batch.batch_name}: ${studentName}`,
+            html: `<p>${student}${studentEmail ? ` (${escapeHtml(studentEmail)})` : ''} has an attendance rate of <strong>${rate}</strong> in <strong>${batchName}</strong> for ${windowText}.</p>
+<p>Attended ${flag.classes_attended} of ${flag.classes_held} classes (threshold ${flag.threshold_percentage}%).</p>`
+        });
+    }
+};
+
+/**
+ * Flag or clear at-risk students of one batch.
+ * Classes held are the days with any attendance in the batch inside the window, minus holidays; days before
+ * a student joined are not counted against them, and days without a record count as absent.
+ */
+export const evaluateBatchAttendanceRisk = async (batch, { now = new Date(), notify = true } = {}) => {
+    const policy = await getActivePolicy(batch.tenant_id, batch._id);
+    const timezone = await getBatchTimezone(batch);
+    const window = getRiskWindow(policy, now, timezone);
+    const toDay = (date) => moment.tz(date, timezone).format(DAY_FORMAT);
+    const result = { batch_id: batch._id, evaluated: 0, flagged: 0, resolved: 0, notified: 0 };
+
+    const records = await Attendance.find({
+        batch_id: batch._id,
+        date: { $gte: window.start, $lte: window.end }
+    }).select('student_id date status').lean();
+
+    const holidayDays = await getBatchHolidayDays(batch, { fromDay: toDay(window.start), toDay: toDay(window.end) });
+    const classDays = [...new Set(records.map(record => toDay(record.date)))].filter(day => !holidayDays.has(day));
+    if (classDays.length === 0) return result;
+
+    const recordsByStudent = new Map();
+    records.forEach(record => {
+        const key = record.student_id.toString();
+        if (!recordsByStudent.has(key)) recordsByStudent.set(key, []);
+        recordsByStudent.get(key).push(record);
+    });
+
+    const enrollments = await BatchStudent.find({ batch_id: batch._id, status: 'active' })
+        .populate('student_id', 'email user_id');
+
+    let instructorEmails = null;
+
+    for (const enrollment of enrollments) {
+        const login = enrollment.student_id;
+        if (!login?.user_id) continue;
+
+        const joinedDay = toDay(enrollment.joined_at);
+        const heldDays = new Set(classDays.filter(day => day >= joinedDay));
+        if (heldDays.size < policy.at_risk_min_classes) continue;
+
+        const counts = { present: 0, late: 0, absent: 0, excused: 0 };
+        (recordsByStudent.get(login.user_id.toString()) || [])
+            .filter(record => heldDays.has(toDay(record.date)))
+            .forEach(record => {
+                if (counts[record.status] !== undefined) counts[record.status]++;
+            });
+        counts.absent = heldDays.size - counts.present - counts.late - counts.excused;
+
+        const summary = summarizeStatusCounts(counts, policy);
+        const isAtRisk = summary.attendance_percentage < policy.at_risk_threshold_percentage;
+        result.evaluated++;
+
+        const existing = await AttendanceRiskFlag.findOne({ batch_id: batch._id, student_login_id: login._id });
+        const wasAtRisk = existing?.status === 'at_risk';
+
+        if (!isAtRisk) {
+            if (wasAtRisk) {
+                existing.status = 'resolved';
+                existing.resolved_at = now;
+                existing.attendance_percentage = summary.attendance_percentage;
+                existing.last_evaluated_at = now;
+                await existing.save();
+                result.resolved++;
+            }
+            continue;
+        }
+
+        const flag = existing || new AttendanceRiskFlag({
+            tenant_id: batch.tenant_id,
+            batch_id: batch._id,
+            student_login_id: login._id,
+            student_id: login.user_id
+        });
+
+        if (!wasAtRisk) {
+            flag.status = 'at_risk';
+            flag.flagged_at = now;
+            flag.resolved_at = null;
+            flag.notified_at = null;
+            result.flagged++;
+        }
+
+        flag.attendance_percentage = summary.attendance_percentage;
+        flag.threshold_percentage = policy.at_risk_threshold_percentage;
+        flag.classes_held = heldDays.size;
+        flag.classes_attended = summary.attended;
+        flag.classes_excused = summary.excused;
+        flag.window_start = window.start;
+        flag.window_end = window.end;
+        flag.last_evaluated_at = now;
+
+        // Alert once per flag; a failed email is retried on the next run
+        if (notify && policy.at_risk_alerts_enabled && !flag.notified_at) {
+            try {
+                if (instructorEmails === null) instructorEmails = await getInstructorEmails(batch);
+                const profile = await User.findById(login.user_id).select('fname lname email');
+                await sendRiskAlert({
+                    batch,
+                    flag,
+                    studentEmail: login.email || profile?.email,
+                    studentName: profile ? `${profile.fname} ${profile.lname}` : login.email,
+                    instructorEmails,
+                    timezone
+                });
+                flag.notified_at = now;
+                result.notified++;
+            } catch (error) {
+                console.error('Error sending at-risk alert:', error);
+            }
+        }
+
+        await flag.save();
+    }
+
+    return result;
+};
+
+// Evaluate every active batch, optionally limited to one tenant
+export const evaluateAttendanceRisk = async ({ tenantId = null, batchId = null, now = new Date(), notify = true } = {}) => {
+    const filter = { status: 'active' };
+    if (tenantId) filter.tenant_id = tenantId;
+    if (batchId) filter._id = batchId;
+
+    const totals = { batches: 0, evaluated: 0, flagged: 0, resolved: 0, notified: 0, failed: 0 };
+    const cursor = Batch.find(filter).cursor();
+
+    for await (const batch of cursor) {
+        try {
+            const result = await evaluateBatchAttendanceRisk(batch, { now, notify });
+            totals.batches++;
+            totals.evaluated += result.evaluated;
+            totals.flagged += result.flagged;
+            totals.resolved += result.resolved;
+            totals.notified += result.notified;
+        } catch (error) {
+            totals.failed++;
+            console.error(`Error evaluating attendance risk for batch ${batch._id}:`, error);
+        }
+    }
+
+    return totals;
+};
+
+// Run the evaluator at startup and then periodically (ATTENDANCE_RISK_INTERVAL_HOURS, default 24)
+export const startAttendanceRiskScheduler = () => {
+    const intervalHours = parseFloat(process.env.ATTENDANCE_RISK_INTERVAL_HOURS) || 24;
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const totals = await evaluateAttendanceRisk();
+            console.log('Attendance risk evaluation finished:', totals);
+        } catch (error) {
+            console.error('Attendance risk evaluation failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+    timer.unref();
+    return timer;
+};
@@ -0,0 +1,158 @@
+import moment from 'moment-timezone';
+import Batch from '../models/Batch_table.js';
+import BatchStudent from '../models/Batch_Students.js';
+import ClassOccurrence from '../models/ClassOccurrence.js';
+import LiveSession from '../models/Live_Session.model.js';
+import { buildCalendar } from '../utils/ics.js';
+import { normalizeTimezone, parseInTimezone } from '../utils/timezone.js';
+
+const UID_DOMAIN = 'class-calendar';
+const CANCELLED_STATUSES = ['cancelled', 'holiday'];
+
+// Days of past classes kept in the feed so calendars don't drop them the moment they end
+const getPastDays = () => parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 7;
+
+// Meetings store ISO instants; older rows may hold a local time without offset
+const toInstant = (value, timezone) => {
+    const parsed = parseInTimezone(value, normalizeTimezone(timezone));
+    return parsed.isValid() ? parsed.toDate() : null;
+};
+
+// Latest of the update times behind an event
+const getLastChange = (...dates) => new Date(Math.max(0, ...dates.filter(Boolean).map(date => new Date(date).getTime())));
+
+// SEQUENCE must grow whenever an event changes; the last update in seconds does that
+const toSequence = (lastChange) => Math.floor(lastChange.getTime() / 1000);
+
+const isActiveSession = (session) => session && ['scheduled', 'ongoing'].includes(session.status);
+
+// Batches on the user's schedule: enrolled ones for students, taught ones for instructors
+export const getFeedBatchIds = async (login, role) => {
+    if (role === 'student') {
+        const enrollments = await BatchStudent.find({ student_id: login._id, status: 'active' }).select('batch_id');
+        return enrollments.map(enrollment => enrollment.batch_id);
+    }
+
+    const batches = await Batch.find({
+        tenant_id: login.tenant_id,
+        $or: [{ instructor_id: login._id }, { instructor_ids: login._id }]
+    }).select('_id');
+    return batches.map(batch => batch._id);
+};
+
+const buildOccurrenceEvent = (occurrence) => {
+    const batch = occurrence.batch_id;
+    const session = isActiveSession(occurrence.live_session_id) ? occurrence.live_session_id : null;
+    const courseTitle = batch.course_id?.course_title;
+    const title = courseTitle ? `${courseTitle} - ${batch.batch_name}` : batch.batch_name;
+    const isCancelled = CANCELLED_STATUSES.includes(occurrence.status);
+
+    // A linked meeting carries the real slot, so moving the meeting moves the class
+    const start = (session && toInstant(session.scheduled_start_time, session.timezone)) || occurrence.start_time;
+    const end = (session && toInstant(session.scheduled_end_time, session.timezone)) || occurrence.end_time;
+    const joinUrl = isCancelled ? null : (session?.join_url || batch.meeting_link || null);
+
+    const description = [`Batch: ${batch.batch_name}`];
+    if (session?.topic) description.push(`Topic: ${session.topic}`);
+    if (joinUrl) description.push(`Join: ${joinUrl}`);
+    if (occurrence.status === 'rescheduled' && occurrence.original_start_time) {
+        description.push(`Rescheduled from ${moment.tz(occurrence.original_start_time, occurrence.timezone).format('DD MMM YYYY hh:mm A z')}`);
+    }
+    if (occurrence.reason) description.push(`Note: ${occurrence.reason}`);
+
+    const lastChange = getLastChange(occurrence.updatedAt, session?.updated_at);
+    return {
+        uid: `occurrence-${occurrence._id}@${UID_DOMAIN}`,
+        start,
+        end,
+        summary: isCancelled ? `${occurrence.status === 'holiday' ? 'Holiday' : 'Cancelled'}: ${title}` : title,
+        description: description.join('\n'),
+        location: joinUrl,
+        url: joinUrl,
+        status: isCancelled ? 'CANCELLED' : 'CONFIRMED',
+        sequence: toSequence(lastChange),
+        updated_at: lastChange
+    };
+};
+
+const buildSessionEvent = (session) => {
+    const start = toInstant(session.scheduled_start_time, session.timezone);
+    const end = toInstant(session.scheduled_end_time, session.timezone);
+    if (!start || !end) return null;
+
+    const isCancelled = session.status === 'cancelled';
+    const description = [];
+    if (session.agenda) description.push(session.agenda);
+    if (session.batch_id?.batch_name) description.push(`Batch: ${session.batch_id.batch_name}`);
+    if (!isCancelled) description.push(`Join: ${session.join_url}`);
+
+    return {
+        uid: `live-session-${session._id}@${UID_DOMAIN}`,
+        start,
+        end,
+        summary: isCancelled ? `Cancelled: ${session.topic}` : session.topic,
+        description: description.join('\n'),
+        location: isCancelled ? null : session.join_url,
+        url: isCancelled ? null : session.join_url,
+        status: isCancelled ? 'CANCELLED' : 'CONFIRMED',
+        sequence: toSequence(getLastChange(session.updated_at)),
+        updated_at: session.updated_at
+    };
+};
+
+/**
+ * Calendar events of a user: batch classes (with their linked meetings) plus meetings not tied to a class.
+ * Built on every request, so batch and meeting changes show up on the next calendar refresh.
+ */
+export const getFeedEvents = async (login, role, { now = new Date() } = {}) => {
+    const from = moment(now).subtract(getPastDays(), 'days').toDate();
+    const batchIds = await getFeedBatchIds(login, role);
+
+    const occurrences = await ClassOccurrence.find({
+        batch_id: { $in: batchIds },
+        end_time: { $gte: from }
+    })
+        .populate({
+            path: 'batch_id',
+            select: 'batch_name course_id meeting_link',
+            populate: { path: 'course_id', select: 'course_title' }
+        })
+        .populate('live_session_id', 'topic join_url status scheduled_start_time scheduled_end_time timezone updated_at')
+        .sort({ start_time: 1 });
+
+    const events = occurrences
+        .filter(occurrence => occurrence.batch_id)
+        .map(buildOccurrenceEvent);
+
+    const linkedSessionIds = new Set(
+        occurrences
+            .filter(occurrence => occurrence.live_session_id)
+            .map(occurrence => occurrence.live_session_id._id.toString())
+    );
+
+    const sessionFilter = role === 'instructor'
+        ? { $or: [{ batch_id: { $in: batchIds } }, { instructor_id: login._id }] }
+        : { batch_id: { $in: batchIds } };
+    const sessions = await LiveSession.find({
+        ...sessionFilter,
+        status: { $in: ['scheduled', 'ongoing', 'cancelled'] }
+    }).populate('batch_id', 'batch_name');
+
+    sessions
+        .filter(session => !linkedSessionIds.has(session._id.toString()))
+        .map(buildSessionEvent)
+        .filter(event => event && event.end >= from)
+        .forEach(event => events.push(event));
+
+    return events.sort((a, b) => a.start - b.start);
+};
+
+// Complete .ics document for a user
+export const buildUserCalendar = async (login, role, options) => {
+    const events = await getFeedEvents(login, role, options);
+    return buildCalendar({
+        name: role === 'instructor' ? 'Teaching schedule' : 'Class schedule',
+        description: 'Upcoming classes and live sessions',
+        events
+    });
+};
@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import Course from '../models/Course.js';
+import Lesson from '../models/Lesson.model.js';
+import Module from '../models/Module.js';
+import Tenant from '../models/tenant.model.js';
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// Course fields safe to show visitors
+const PUBLIC_COURSE_FIELDS = 'course_title short_description description image category subcategory level language instructors is_featured certificate_available start_date end_date createdAt';
+
+const COURSE_POPULATE = [
+    { path: 'category', select: 'category' },
+    { path: 'subcategory', select: 'subcategory_name' },
+    { path: 'level', select: 'course_level' },
+    { path: 'language', select: 'language' },
+    { path: 'instructors', model: 'User', select: 'fname lname profile_image' }
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The active tenant behind a subdomain, or null
+export const getCatalogTenant = async (subdomain) => {
+    if (!subdomain) return null;
+    return Tenant.findOne({ subdomain: String(subdomain).toLowerCase(), is_active: true }).select('name subdomain timezone');
+};
+
+// Only the latest version of active, non-archived courses of the tenant is in its catalogue; never trashed ones
+const catalogFilter = (tenant) => ({ tenant_id: tenant._id, is_active: true, is_archived: { $ne: true }, is_latest_version: { $ne: false }, is_deleted: { $ne: true } });
+
+// Lesson and preview lesson counts per course
+const countLessons = async (courseIds) => {
+    const modules = await Module.find({ course_id: { $in: courseIds }, is_deleted: { $ne: true } }).select('course_id');
+    const courseByModule = new Map(modules.map(module => [module._id.toString(), module.course_id.toString()]));
+    const lessons = await Lesson.find({ module_id: { $in: modules.map(module => module._id) }, is_deleted: { $ne: true } }).select('module_id is_preview');
+
+    const counts = new Map();
+    lessons.forEach(lesson => {
+        const courseId = courseByModule.get(lesson.module_id.toString());
+        const count = counts.get(courseId) || { total_lessons: 0, preview_lessons: 0 };
+        count.total_lessons++;
+        if (lesson.is_preview) count.preview_lessons++;
+        counts.set(courseId, count);
+    });
+    return counts;
+};
+
+/**
+ * A page of a tenant's catalogue. Query: search, category, subcategory, level, language, featured, page, limit
+ * @returns {Promise<Object>} - { courses, pagination }
+ */
+export const listCatalogCourses = async (tenant, query = {}) => {
+    const filter = catalogFilter(tenant);
+    ['category', 'subcategory', 'level', 'language'].forEach(field => {
+        if (query[field] && mongoose.Types.ObjectId.isValid(query[field])) filter[field] = query[field];
+    });
+    if (query.featured === 'true') filter.is_featured = true;
+    if (query.search) {
+        const pattern = new RegExp(escapeRegex(String(query.search).trim()), 'i');
+        filter.$or = [{ course_title: pattern }, { short_description: pattern }];
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+    const [courses, total] = await Promise.all([
+        Course.find(filter)
+            .select(PUBLIC_COURSE_FIELDS)
+            .populate(COURSE_POPULATE)
+            .sort({ is_featured: -1, createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Course.countDocuments(filter)
+    ]);
+    const counts = await countLessons(courses.map(course => course._id));
+
+    return {
+        courses: courses.map(course => ({
+            ...course.toObject(),
+            ...(counts.get(course._id.toString()) || { total_lessons: 0, preview_lessons: 0 })
+        })),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+};
+
+/**
+ * A catalogue course with its outline: modules and lesson titles, without any lesson content.
+ * @returns {Promise<Object|null>} - The course, or null when it is not in the tenant's catalogue.
+ */
+export const getCatalogCourse = async (tenant, courseId) => {
+    if (!mongoose.Types.ObjectId.isValid(courseId)) return null;
+
+    const course = await Course.findOne({ _id: courseId, ...catalogFilter(tenant) })
+        .select(PUBLIC_COURSE_FIELDS)
+        .populate(COURSE_POPULATE);
+    if (!course) return null;
+
+    const modules = await Module.find({ course_id: course._id, is_deleted: { $ne: true } }).sort({ display_order: 1 });
+    const lessons = await Lesson.find({ module_id: { $in: modules.map(module => module._id) }, is_deleted: { $ne: true } })
+        .select('module_id lesson_title lesson_type_id lesson_duration is_preview display_order')
+        .populate({ path: 'lesson_type_id', model: 'Lesson_Type', select: 'lesson_type' })
+        .sort({ display_order: 1 });
+
+    const outline = modules.map(module => ({
+        module_id: module._id,
+        module_title: module.module_title,
+        module_description: module.module_description,
+        lessons: lessons
+            .filter(lesson => lesson.module_id.toString() === module._id.toString())
+            .map(lesson => ({
+                lesson_id: lesson._id,
+                lesson_title: lesson.lesson_title,
+                lesson_type: lesson.lesson_type_id?.lesson_type,
+                lesson_duration: lesson.lesson_duration,
+                is_preview: !!lesson.is_preview
+            }))
+    }));
+
+    return {
+        ...course.toObject(),
+        total_lessons: lessons.length,
+        preview_lessons: lessons.filter(lesson => lesson.is_preview).length,
+        total_duration: lessons.reduce((sum, lesson) => sum + (lesson.lesson_duration || 0), 0),
+        modules: outline
+    };
+};
+
+/**
+ * Playable content of a preview lesson of a catalogue course.
+ * @returns {Promise<Object>} - { lesson, status, error }
+ */
+export const getPreviewLesson = async (tenant, lessonId) => {
+    if (!mongoose.Types.ObjectId.isValid(lessonId)) return { status: 404, error: 'Lesson not found' };
+
+    const lesson = await Lesson.findOne({ _id: lessonId, is_deleted: { $ne: true } }).populate({ path: 'lesson_type_id', model: 'Lesson_Type', select: 'lesson_type' });
+    const module = lesson && await Module.findOne({ _id: lesson.module_id, is_deleted: { $ne: true } }).select('course_id');
+    const course = module && await Course.findOne({ _id: module.course_id, ...catalogFilter(tenant) }).select('_id');
+    if (!course) return { status: 404, error: 'Lesson not found' };
+
+    if (!lesson.is_preview) {
+        return { status: 403, error: 'This lesson is only available to enrolled students; log in and enroll to watch it' };
+    }
+
+    return {
+        lesson: {
+            lesson_id: lesson._id,
+            course_id: course._id,
+            lesson_type: lesson.lesson_type_id?.lesson_type,
+            lesson_title: lesson.lesson_title,
+            lesson_description: lesson.description,
+            lesson_duration: lesson.lesson_duration,
+            video_url: lesson.video_url,
+            file_path: lesson.file_path,
+            is_downloadable: lesson.is_downloadable
+        }
+    };
+};
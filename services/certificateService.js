@@ -0,0 +1,477 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import moment from 'moment-timezone';
+import PDFDocument from 'pdfkit';
+import Attendance from '../models/Attendance.js';
+import Batch from '../models/Batch_table.js';
+import BatchStudent from '../models/Batch_Students.js';
+import Certificate from '../models/Certificate.js';
+import CertificateTemplate from '../models/CertificateTemplate.js';
+import Course from '../models/Course.js';
+import Login from '../models/login.model.js';
+import Module from '../models/Module.js';
+import Quiz from '../models/QuizTable.js';
+import QuizResult from '../models/QuizResult.js';
+import Tenant from '../models/tenant.model.js';
+import User from '../models/user.model.js';
+import { getActivePolicy, summarizeStatusCounts } from './attendancePolicyService.js';
+import { getCourseAccess } from './courseAccessService.js';
+import { getBatchHolidayDays } from './holidayService.js';
+import { getCourseProgress } from './lessonProgressService.js';
+import { getBatchTimezone, getTenantTimezone } from '../utils/timezone.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Outside the public uploads folder: PDFs are only served through the download endpoint, which checks revocation
+const CERTIFICATE_DIR = path.join(__dirname, '..', 'storage', 'certificates');
+const DAY_FORMAT = 'YYYY-MM-DD';
+
+// Used when neither the course nor the tenant has a template
+export const DEFAULT_CERTIFICATE_TEMPLATE = Object.freeze({
+    _id: null,
+    title: 'Certificate of Completion',
+    body_text: 'This is to certify that {{student_name}} has successfully completed the course {{course_title}} on {{issued_on}}.',
+    footer_text: '',
+    signatory_name: '',
+    signatory_title: '',
+    logo_path: '',
+    primary_color: '#1F3A93',
+    text_color: '#333333',
+    orientation: 'landscape',
+    min_progress_percentage: 100,
+    require_all_quizzes_passed: true,
+    min_attendance_percentage: 0
+});
+
+export const TEMPLATE_PLACEHOLDERS = ['student_name', 'course_title', 'tenant_name', 'batch_name', 'issued_on', 'serial'];
+
+// Resolve the template for a course: course template, then tenant default, then system default
+export const getCertificateTemplate = async (tenantId, courseId = null) => {
+    if (!tenantId) return DEFAULT_CERTIFICATE_TEMPLATE;
+
+    if (courseId) {
+        const courseTemplate = await CertificateTemplate.findOne({ tenant_id: tenantId, course_id: courseId }).lean();
+        if (courseTemplate) return courseTemplate;
+    }
+
+    const tenantTemplate = await CertificateTemplate.findOne({ tenant_id: tenantId, course_id: null }).lean();
+    return tenantTemplate || DEFAULT_CERTIFICATE_TEMPLATE;
+};
+
+// Quizzes of the course's current modules and how many of them the student (User id) has passed
+const getQuizSummary = async (userId, courseId) => {
+    const moduleIds = await Module.find({ course_id: courseId, is_deleted: { $ne: true } }).distinct('_id');
+    const quizIds = await Quiz.find({ course_id: courseId, module_id: { $in: moduleIds } }).distinct('_id');
+    const passed = userId && quizIds.length > 0
+        ? await QuizResult.find({ quiz_id: { $in: quizIds }, student_id: userId, passed: true }).distinct('quiz_id')
+        : [];
+
+    return { total: quizIds.length, passed: passed.length };
+};
+
+/**
+ * A student's attendance over a whole batch, counted like the at-risk evaluation: classes held are the days with
+ * any attendance in the batch since they joined, minus holidays, and days without a record count as absent.
+ * @returns {Promise<Object|null>} - { attendance_percentage, classes_held, classes_attended }, or null when no classes were held
+ */
+export const getBatchAttendanceSummary = async (batch, enrollment, userId, now = new Date()) => {
+    const policy = await getActivePolicy(batch.tenant_id, batch._id);
+    const timezone = await getBatchTimezone(batch);
+    const toDay = (date) => moment.tz(date, timezone).format(DAY_FORMAT);
+    const joinedDay = toDay(enrollment.joined_at || batch.start_date || now);
+
+    const records = await Attendance.find({
+        batch_id: batch._id,
+        date: { $gte: moment.tz(joinedDay, DAY_FORMAT, timezone).startOf('day').toDate(), $lte: now }
+    }).select('student_id date status').lean();
+
+    const holidayDays = await getBatchHolidayDays(batch, { fromDay: joinedDay, toDay: toDay(now) });
+    const heldDays = new Set(records.map(record => toDay(record.date)).filter(day => !holidayDays.has(day)));
+    if (heldDays.size === 0) return null;
+
+    const counts = { present: 0, late: 0, absent: 0, excused: 0 };
+    records
+        .filter(record => userId && record.student_id.toString() === userId.toString() && heldDays.has(toDay(record.date)))
+        .forEach(record => {
+            if (counts[record.status] !== undefined) counts[record.status]++;
+        });
+    counts.absent = heldDays.size - counts.present - counts.late - counts.excused;
+
+    const summary = summarizeStatusCounts(counts, policy);
+    return {
+        attendance_percentage: summary.attendance_percentage,
+        classes_held: heldDays.size,
+        classes_attended: summary.attended
+    };
+};
+
+/**
+ * Check a student (Login id) against the completion criteria of a course's certificate template:
+ * lesson progress, passing every quiz and, for students in a batch, the attendance threshold.
+ * @returns {Promise<Object>} - { eligible, reason, criteria, progress_percentage, quizzes, attendance, enrollment, batch, template }
+ */
+export const evaluateCertificateEligibility = async (studentId, course, now = new Date()) => {
+    const template = await getCertificateTemplate(course.tenant_id, course._id);
+    const result = {
+        eligible: false,
+        reason: null,
+        criteria: [],
+        progress_percentage: 0,
+        quizzes: { total: 0, passed: 0 },
+        attendance: null,
+        enrollment: null,
+        batch: null,
+        template
+    };
+
+    if (!course.certificate_available) {
+        result.reason = 'This course does not offer a certificate';
+        return result;
+    }
+
+    // The latest enrolment in the course's batches, if any; completed enrolments still earn a certificate
+    const batchIds = await Batch.find({ course_id: course._id }).distinct('_id');
+    const enrollment = await BatchStudent.findOne({
+        batch_id: { $in: batchIds },
+        student_id: studentId,
+        status: { $in: ['active', 'completed'] }
+    }).sort({ joined_at: -1 });
+    if (!enrollment && !(await getCourseAccess(studentId, course._id, now)).allowed) {
+        result.reason = 'You are not enrolled in this course';
+        return result;
+    }
+    result.enrollment = enrollment;
+    result.batch = enrollment ? await Batch.findById(enrollment.batch_id) : null;
+
+    const login = await Login.findById(studentId).select('user_id');
+    const { progress } = await getCourseProgress(studentId, course._id);
+    result.progress_percentage = progress;
+    result.criteria.push({
+        criterion: 'lessons_completed',
+        required: template.min_progress_percentage,
+        actual: progress,
+        met: progress >= template.min_progress_percentage
+    });
+
+    if (template.require_all_quizzes_passed) {
+        result.quizzes = await getQuizSummary(login?.user_id, course._id);
+        result.criteria.push({
+            criterion: 'quizzes_passed',
+            required: result.quizzes.total,
+            actual: result.quizzes.passed,
+            met: result.quizzes.passed >= result.quizzes.total
+        });
+    }
+
+    // Attendance only applies to batch students, and only once classes were held
+    if (template.min_attendance_percentage > 0 && result.batch) {
+        result.attendance = await getBatchAttendanceSummary(result.batch, enrollment, login?.user_id, now);
+        result.criteria.push({
+            criterion: 'attendance',
+            required: template.min_attendance_percentage,
+            actual: result.attendance ? result.attendance.attendance_percentage : null,
+            met: !result.attendance || result.attendance.attendance_percentage >= template.min_attendance_percentage
+        });
+    }
+
+    result.eligible = result.criteria.every(criterion => criterion.met);
+    if (!result.eligible) result.reason = 'The completion criteria are not met yet';
+    return result;
+};
+
+// Unique, hard to guess serial such as CERT-2025-9F3A1C07B2E4
+const generateSerial = async (now = new Date()) => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const serial = `CERT-${moment(now).format('YYYY')}-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+        if (!(await Certificate.exists({ serial }))) return serial;
+    }
+    throw new Error('Could not generate a unique certificate serial');
+};
+
+const getSigningSecret = () => {
+    const secret = process.env.CERTIFICATE_SECRET || process.env.JWT_SECRET;
+    if (!secret) throw new Error('CERTIFICATE_SECRET is not configured');
+    return secret;
+};
+
+// HMAC over the serial and everything the certificate states
+export const computeVerificationHash = (certificate) => crypto
+    .createHmac('sha256', getSigningSecret())
+    .update([
+        certificate.serial,
+        certificate.tenant_id.toString(),
+        certificate.course_id.toString(),
+        certificate.student_id.toString(),
+        certificate.student_name,
+        certificate.course_title,
+        new Date(certificate.issued_at).toISOString()
+    ].join('|'))
+    .digest('hex');
+
+const hashMatches = (certificate) => {
+    const expected = Buffer.from(computeVerificationHash(certificate), 'hex');
+    const actual = Buffer.from(certificate.verification_hash || '', 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+export const getVerificationUrl = (serial) => {
+    const base = process.env.CERTIFICATE_VERIFY_URL || '/api/certificates/verify';
+    return `${base.replace(/\/$/, '')}/${encodeURIComponent(serial)}`;
+};
+
+const fillPlaceholders = (text, values) => String(text || '')
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+
+/**
+ * Render a certificate to storage/certificates/<serial>.pdf with its template.
+ * @returns {Promise<string>} - Path of the written file.
+ */
+export const renderCertificatePdf = async (certificate, template = DEFAULT_CERTIFICATE_TEMPLATE) => {
+    if (!fs.existsSync(CERTIFICATE_DIR)) {
+        fs.mkdirSync(CERTIFICATE_DIR, { recursive: true });
+    }
+    const filePath = path.join(CERTIFICATE_DIR, `${certificate.serial}.pdf`);
+
+    const timezone = await getTenantTimezone(certificate.tenant_id);
+    const values = {
+        student_name: certificate.student_name,
+        course_title: certificate.course_title,
+        tenant_name: certificate.tenant_name,
+        batch_name: certificate.batch_name,
+        issued_on: moment.tz(certificate.issued_at, timezone).format('MMMM D, YYYY'),
+        serial: certificate.serial
+    };
+
+    const doc = new PDFDocument({ size: 'A4', layout: template.orientation || 'landscape', margin: 30 });
+    const writeStream = fs.createWriteStream(filePath);
+    const written = new Promise((resolve, reject) => {
+        writeStream.on('finish', resolve);
+        writeStream.on('error', reject);
+    });
+    doc.pipe(writeStream);
+
+    const { width, height } = doc.page;
+    const contentWidth = width - 140;
+    const primary = template.primary_color || DEFAULT_CERTIFICATE_TEMPLATE.primary_color;
+    const text = template.text_color || DEFAULT_CERTIFICATE_TEMPLATE.text_color;
+
+    // Border
+    doc.lineWidth(4).strokeColor(primary).rect(20, 20, width - 40, height - 40).stroke();
+    doc.lineWidth(1).rect(30, 30, width - 60, height - 60).stroke();
+
+    let y = 60;
+    if (template.logo_path && fs.existsSync(template.logo_path)) {
+        try {
+            doc.image(template.logo_path, width / 2 - 40, y, { fit: [80, 80], align: 'center' });
+            y += 90;
+        } catch (error) {
+            console.error('Error drawing certificate logo:', error.message);
+        }
+    }
+
+    if (certificate.tenant_name) {
+        doc.fillColor(text).font('Helvetica').fontSize(14).text(certificate.tenant_name, 70, y, { width: contentWidth, align: 'center' });
+        y = doc.y + 15;
+    }
+
+    doc.fillColor(primary).font('Helvetica-Bold').fontSize(32)
+        .text(fillPlaceholders(template.title, values), 70, y, { width: contentWidth, align: 'center' });
+    doc.moveDown(0.5);
+    doc.fillColor(text).font('Helvetica').fontSize(14).text('This certificate is presented to', { width: contentWidth, align: 'center' });
+    doc.moveDown(0.5);
+    doc.fillColor(primary).font('Helvetica-Bold').fontSize(26).text(certificate.student_name, { width: contentWidth, align: 'center' });
+    doc.moveDown(0.8);
+    doc.fillColor(text).font('Helvetica').fontSize(14)
+        .text(fillPlaceholders(template.body_text, values), { width: contentWidth, align: 'center' });
+
+    if (template.footer_text) {
+        doc.moveDown(0.8);
+        doc.fontSize(11).text(fillPlaceholders(template.footer_text, values), { width: contentWidth, align: 'center' });
+    }
+
+    // Signature on the left, verification details on the right
+    const bottom = height - 130;
+    if (template.signatory_name) {
+        doc.lineWidth(1).strokeColor(text).moveTo(70, bottom).lineTo(290, bottom).stroke();
+        doc.fillColor(text).font('Helvetica-Bold').fontSize(12).text(template.signatory_name, 70, bottom + 8, { width: 220, align: 'center' });
+        if (template.signatory_title) {
+            doc.font('Helvetica').fontSize(10).text(template.signatory_title, 70, doc.y + 2, { width: 220, align: 'center' });
+        }
+    }
+
+    doc.fillColor(text).font('Helvetica').fontSize(9);
+    doc.text(`Issued on ${values.issued_on}`, width - 330, bottom, { width: 260, align: 'right' });
+    doc.text(`Serial: ${certificate.serial}`, width - 330, doc.y + 2, { width: 260, align: 'right' });
+    doc.text(`Verify at ${getVerificationUrl(certificate.serial)}`, width - 330, doc.y + 2, { width: 260, align: 'right' });
+    doc.fontSize(7).text(`Hash: ${certificate.verification_hash}`, 70, height - 55, { width: contentWidth, align: 'center' });
+
+    doc.end();
+    await written;
+    return filePath;
+};
+
+/**
+ * Issue a student's (Login id) certificate for a course once they meet its completion criteria.
+ * A student keeps a single valid certificate per course; issuing again returns it.
+ * @returns {Promise<Object>} - { certificate, created, eligibility, error }
+ */
+export const issueCertificate = async (studentId, course, now = new Date()) => {
+    const existing = await Certificate.findOne({ course_id: course._id, student_id: studentId, status: 'issued' });
+    if (existing) return { certificate: existing, created: false, eligibility: null, error: null };
+
+    const eligibility = await evaluateCertificateEligibility(studentId, course, now);
+    if (!eligibility.eligible) return { certificate: null, created: false, eligibility, error: eligibility.reason };
+
+    const login = await Login.findById(studentId).select('email user_id');
+    const user = login?.user_id ? await User.findById(login.user_id).select('fname lname') : null;
+    const tenant = await Tenant.findById(course.tenant_id).select('name');
+
+    const certificate = new Certificate({
+        tenant_id: course.tenant_id,
+        course_id: course._id,
+        batch_id: eligibility.batch?._id || null,
+        student_id: studentId,
+        template_id: eligibility.template._id || null,
+        serial: await generateSerial(now),
+        student_name: user ? `${user.fname} ${user.lname || ''}`.trim() : login?.email || 'Student',
+        course_title: course.course_title,
+        tenant_name: tenant?.name || '',
+        batch_name: eligibility.batch?.batch_name || '',
+        issued_at: now,
+        progress_percentage: eligibility.progress_percentage,
+        quizzes_passed: eligibility.quizzes.passed,
+        quizzes_total: eligibility.quizzes.total,
+        attendance_percentage: eligibility.attendance ? eligibility.attendance.attendance_percentage : null
+    });
+    certificate.verification_hash = computeVerificationHash(certificate);
+    certificate.file_path = await renderCertificatePdf(certificate, eligibility.template);
+    await certificate.save();
+
+    return { certificate, created: true, eligibility, error: null };
+};
+
+const isStoredPrivately = (filePath) => path.dirname(path.resolve(filePath)) === CERTIFICATE_DIR;
+
+// Remove a certificate's PDF, e.g. once it is revoked; it is rendered again if it is ever needed
+export const removeCertificateFile = async (certificate) => {
+    if (!certificate.file_path) return;
+    await fs.promises.rm(certificate.file_path, { force: true });
+    certificate.file_path = '';
+};
+
+// Re-render a certificate whose file is missing, with its course's current template. Files written to the
+// public uploads folder by earlier versions are replaced and removed.
+export const ensureCertificateFile = async (certificate) => {
+    if (certificate.file_path && isStoredPrivately(certificate.file_path) && fs.existsSync(certificate.file_path)) {
+        return certificate.file_path;
+    }
+
+    const previous = certificate.file_path;
+    const template = await getCertificateTemplate(certificate.tenant_id, certificate.course_id);
+    certificate.file_path = await renderCertificatePdf(certificate, template);
+    await certificate.save();
+    if (previous && previous !== certificate.file_path) await fs.promises.rm(previous, { force: true });
+    return certificate.file_path;
+};
+
+/**
+ * Public check of a certificate by serial. The stored hash is recomputed so an edited record fails verification.
+ * @returns {Promise<Object|null>} - { valid, status, ... } or null for an unknown serial
+ */
+export const verifyCertificate = async (serial) => {
+    const certificate = await Certificate.findOne({ serial: String(serial).trim().toUpperCase() });
+    if (!certificate) return null;
+
+    const authentic = hashMatches(certificate);
+    return {
+        valid: authentic && certificate.status === 'issued',
+        status: authentic ? certificate.status : 'tampered',
+        serial: certificate.serial,
+        student_name: certificate.student_name,
+        course_title: certificate.course_title,
+        tenant_name: certificate.tenant_name,
+        issued_at: certificate.issued_at,
+        revoked_at: certificate.revoked_at,
+        verification_hash: certificate.verification_hash
+    };
+};
+
+// Certificate hooks must never fail the request that triggered them
+export const issueCertificateIfEligible = async (studentId, courseId) => {
+    try {
+        const course = await Course.findById(courseId);
+        if (!course?.certificate_available) return null;
+        const { certificate, created } = await issueCertificate(studentId, course);
+        return created ? certificate : null;
+    } catch (error) {
+        console.error('Error issuing certificate:', error);
+        return null;
+    }
+};
+
+// After a passed quiz result (keyed by User id), issue certificates to the logins behind it
+export const issueCertificatesForQuizResult = async (result) => {
+    if (!result?.passed) return;
+    try {
+        const logins = await Login.find({ user_id: result.student_id }).select('_id');
+        for (const login of logins) await issueCertificateIfEligible(login._id, result.course_id);
+    } catch (error) {
+        console.error('Error issuing certificate after quiz result:', error);
+    }
+};
+
+// Issue every certificate that became due, e.g. after attendance was marked or criteria were relaxed
+export const issueDueCertificates = async ({ tenantId = null, courseId = null, now = new Date() } = {}) => {
+    const filter = { certificate_available: true, is_deleted: { $ne: true } };
+    if (tenantId) filter.tenant_id = tenantId;
+    if (courseId) filter._id = courseId;
+
+    const totals = { courses: 0, checked: 0, issued: 0, failed: 0 };
+    const courses = await Course.find(filter);
+
+    for (const course of courses) {
+        totals.courses++;
+        const batchIds = await Batch.find({ course_id: course._id }).distinct('_id');
+        const studentIds = await BatchStudent.find({ batch_id: { $in: batchIds }, status: { $in: ['active', 'completed'] } }).distinct('student_id');
+        const certified = new Set((await Certificate.find({ course_id: course._id, status: 'issued' }).distinct('student_id')).map(id => id.toString()));
+
+        for (const studentId of studentIds.filter(id => !certified.has(id.toString()))) {
+            totals.checked++;
+            try {
+                const { created } = await issueCertificate(studentId, course, now);
+                if (created) totals.issued++;
+            } catch (error) {
+                totals.failed++;
+                console.error(`Error issuing certificate for course ${course._id}:`, error);
+            }
+        }
+    }
+
+    return totals;
+};
+
+// Issue due certificates periodically (CERTIFICATE_INTERVAL_HOURS, default 6)
+export const startCertificateScheduler = () => {
+    const intervalHours = parseFloat(process.env.CERTIFICATE_INTERVAL_HOURS) || 6;
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const totals = await issueDueCertificates();
+            console.log('Certificate issuing finished:', totals);
+        } catch (error) {
+            console.error('Certificate issuing failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+    timer.unref();
+    return timer;
+};
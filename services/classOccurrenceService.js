@@ -0,0 +1,289 @@
+import moment from 'moment-timezone';
+import Attendance from '../models/Attendance.js';
+import Batch from '../models/Batch_table.js';
+import ClassOccurrence from '../models/ClassOccurrence.js';
+import LiveSession from '../models/Live_Session.model.js';
+import { getBatchHolidayDays } from './holidayService.js';
+import {
+    getBatchDateBounds,
+    getBatchTimezone,
+    getDayRange,
+    getTimeOnDay,
+    splitBatchTime
+} from '../utils/timezone.js';
+
+const DAY_FORMAT = 'YYYY-MM-DD';
+const WEEK_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ACTIVE_STATUSES = ['scheduled', 'rescheduled'];
+
+// How far ahead occurrences are materialized (CLASS_OCCURRENCE_HORIZON_DAYS, default 180)
+const getHorizonDays = () => parseInt(process.env.CLASS_OCCURRENCE_HORIZON_DAYS, 10) || 180;
+
+/**
+ * Expand a batch's weekly recurrence into concrete class slots between `from` and `to`.
+ * Classes that end at or before their start run past midnight into the next day.
+ */
+export const expandBatchSchedule = (batch, timezone, { from, to } = {}) => {
+    const times = splitBatchTime(batch.batch_time);
+    const days = (batch.recurring_days || []).filter(day => WEEK_DAYS.includes(day));
+    if (!times || days.length === 0) return [];
+
+    const bounds = getBatchDateBounds(batch, timezone);
+    const rangeStart = moment.max(...[bounds.start, from].filter(Boolean).map(value => moment.tz(value, timezone)));
+    const rangeEnd = moment.min(...[bounds.end, to].filter(Boolean).map(value => moment.tz(value, timezone)));
+
+    const slots = [];
+    const cursor = rangeStart.clone().startOf('day');
+    while (cursor.isSameOrBefore(rangeEnd)) {
+        if (days.includes(WEEK_DAYS[cursor.day()])) {
+            const start = getTimeOnDay(times.start, cursor, timezone);
+            const end = getTimeOnDay(times.end, cursor, timezone);
+            if (start && end) {
+                if (!end.isAfter(start)) end.add(1, 'day');
+                slots.push({
+                    occurrence_date: cursor.format(DAY_FORMAT),
+                    start_time: start.toDate(),
+                    end_time: end.toDate()
+                });
+            }
+        }
+        cursor.add(1, 'day');
+    }
+    return slots;
+};
+
+/**
+ * Bring the stored occurrences of a batch in line with its schedule, from today to the horizon.
+ * Days on the tenant holiday calendar or in the batch's own exceptions become holidays.
+ * Past classes and manually changed (exception) occurrences are never touched; occurrences that
+ * drop out of the schedule are deleted, or cancelled when a meeting or attendance already points at them.
+ */
+export const syncBatchOccurrences = async (batch, { now = new Date() } = {}) => {
+    const timezone = await getBatchTimezone(batch);
+    const from = moment.tz(now, timezone).startOf('day');
+    const to = from.clone().add(getHorizonDays(), 'days').endOf('day');
+    const result = { batch_id: batch._id, created: 0, updated: 0, removed: 0, cancelled: 0 };
+
+    const expected = batch.status === 'active'
+        ? expandBatchSchedule(batch, timezone, { from: from.toDate(), to: to.toDate() })
+        : [];
+    const exceptionDays = await getBatchHolidayDays(batch, {
+        fromDay: from.format(DAY_FORMAT),
+        toDay: to.format(DAY_FORMAT)
+    });
+
+    const existing = await ClassOccurrence.find({
+        batch_id: batch._id,
+        occurrence_date: { $gte: from.format(DAY_FORMAT) }
+    });
+    const existingByDay = new Map(existing.map(occurrence => [occurrence.occurrence_date, occurrence]));
+
+    for (const slot of expected) {
+        const isHoliday = exceptionDays.has(slot.occurrence_date);
+        const status = isHoliday ? 'holiday' : 'scheduled';
+        const reason = isHoliday ? exceptionDays.get(slot.occurrence_date) : '';
+        const occurrence = existingByDay.get(slot.occurrence_date);
+        existingByDay.delete(slot.occurrence_date);
+
+        if (!occurrence) {
+            await ClassOccurrence.create({
+                tenant_id: batch.tenant_id,
+                batch_id: batch._id,
+                course_id: batch.course_id,
+                ...slot,
+                timezone,
+                status,
+                reason
+            });
+            result.created++;
+            continue;
+        }
+
+        if (occurrence.is_exception) continue;
+
+        const changed = occurrence.start_time.getTime() !== slot.start_time.getTime()
+            || occurrence.end_time.getTime() !== slot.end_time.getTime()
+            || occurrence.timezone !== timezone
+            || occurrence.status !== status
+            || occurrence.reason !== reason
+            || occurrence.course_id.toString() !== batch.course_id.toString();
+        if (!changed) continue;
+
+        Object.assign(occurrence, slot, { timezone, status, reason, course_id: batch.course_id });
+        await occurrence.save();
+        await syncLinkedLiveSession(occurrence);
+        result.updated++;
+    }
+
+    // Whatever is left is no longer part of the schedule
+    for (const occurrence of existingByDay.values()) {
+        if (occurrence.is_exception) continue;
+
+        const hasAttendance = await Attendance.exists({ occurrence_id: occurrence._id });
+        if (occurrence.live_session_id || hasAttendance) {
+            if (occurrence.status !== 'cancelled') {
+                occurrence.status = 'cancelled';
+                occurrence.reason = 'Removed from the batch schedule';
+                await occurrence.save();
+                result.cancelled++;
+            }
+        } else {
+            await occurrence.deleteOne();
+            result.removed++;
+        }
+    }
+
+    return result;
+};
+
+// Sync every batch, optionally limited to one tenant
+export const syncAllBatchOccurrences = async ({ tenantId = null, now = new Date() } = {}) => {
+    const filter = {};
+    if (tenantId) filter.tenant_id = tenantId;
+
+    const totals = { batches: 0, created: 0, updated: 0, removed: 0, cancelled: 0, failed: 0 };
+    const cursor = Batch.find(filter).cursor();
+
+    for await (const batch of cursor) {
+        try {
+            const result = await syncBatchOccurrences(batch, { now });
+            totals.batches++;
+            totals.created += result.created;
+            totals.updated += result.updated;
+            totals.removed += result.removed;
+            totals.cancelled += result.cancelled;
+        } catch (error) {
+            totals.failed++;
+            console.error(`Error syncing class occurrences for batch ${batch._id}:`, error);
+        }
+    }
+
+    return totals;
+};
+
+// Sync after a batch change without failing the request that made it
+export const syncBatchOccurrencesSafely = async (batch) => {
+    try {
+        return await syncBatchOccurrences(batch);
+    } catch (error) {
+        console.error(`Error syncing class occurrences for batch ${batch._id}:`, error);
+        return null;
+    }
+};
+
+/**
+ * The class of a batch running on the day containing `date` (in `timezone`).
+ * A class moved to that day wins over one that was originally planned for it.
+ */
+export const findOccurrenceForDay = async (batchId, date, timezone) => {
+    const moved = await ClassOccurrence.findOne({
+        batch_id: batchId,
+        status: { $in: ACTIVE_STATUSES },
+        start_time: getDayRange(date, timezone)
+    }).sort({ start_time: 1 });
+    if (moved) return moved;
+
+    return ClassOccurrence.findOne({
+        batch_id: batchId,
+        occurrence_date: moment.tz(date, timezone).format(DAY_FORMAT)
+    });
+};
+
+// Id of the occurrence an attendance record taken on `date` belongs to, or null
+export const getOccurrenceIdForDay = async (batchId, date, timezone) => {
+    try {
+        const occurrence = await findOccurrenceForDay(batchId, date, timezone);
+        return occurrence ? occurrence._id : null;
+    } catch (error) {
+        console.error('Error resolving class occurrence:', error);
+        return null;
+    }
+};
+
+/**
+ * Point the occurrence on a live session's day (or the given occurrence of its batch) at that session,
+ * dropping any older link to it.
+ * @returns {Promise<Object|null>} - The linked occurrence.
+ */
+export const linkLiveSessionToOccurrence = async (liveSession, occurrenceId = null) => {
+    await ClassOccurrence.updateMany(
+        { live_session_id: liveSession._id, ...(occurrenceId ? { _id: { $ne: occurrenceId } } : {}) },
+        { $set: { live_session_id: null } }
+    );
+
+    let occurrence = null;
+    if (occurrenceId) {
+        occurrence = await ClassOccurrence.findOne({ _id: occurrenceId, batch_id: liveSession.batch_id });
+    } else if (liveSession.batch_id && liveSession.scheduled_start_time) {
+        const batch = await Batch.findById(liveSession.batch_id).select('tenant_id timezone');
+        if (!batch) return null;
+        const timezone = liveSession.timezone || await getBatchTimezone(batch);
+        occurrence = await findOccurrenceForDay(batch._id, new Date(liveSession.scheduled_start_time), timezone);
+    }
+    if (!occurrence) return null;
+
+    occurrence.live_session_id = liveSession._id;
+    await occurrence.save();
+    return occurrence;
+};
+
+// Link a meeting after it was created or moved without failing the request that changed it
+export const linkLiveSessionSafely = async (liveSession, occurrenceId = null) => {
+    try {
+        return await linkLiveSessionToOccurrence(liveSession, occurrenceId);
+    } catch (error) {
+        console.error(`Error linking live session ${liveSession._id} to a class occurrence:`, error);
+        return null;
+    }
+};
+
+// Attendance of an occurrence: records linked to it, plus unlinked ones taken on its day
+export const getOccurrenceAttendanceFilter = (occurrence) => ({
+    batch_id: occurrence.batch_id,
+    $or: [
+        { occurrence_id: occurrence._id },
+        { occurrence_id: null, date: getDayRange(occurrence.start_time, occurrence.timezone) }
+    ]
+});
+
+// Keep a scheduled meeting on the same slot as its occurrence
+export const syncLinkedLiveSession = async (occurrence) => {
+    if (!occurrence.live_session_id) return null;
+
+    const liveSession = await LiveSession.findById(occurrence.live_session_id);
+    if (!liveSession || liveSession.status !== 'scheduled') return liveSession;
+
+    if (occurrence.status === 'cancelled' || occurrence.status === 'holiday') {
+        liveSession.status = 'cancelled';
+    } else {
+        liveSession.scheduled_start_time = occurrence.start_time.toISOString();
+        liveSession.scheduled_end_time = occurrence.end_time.toISOString();
+        liveSession.timezone = occurrence.timezone;
+    }
+    await liveSession.save();
+    return liveSession;
+};
+
+// Re-sync all batches once at startup and then daily so the horizon keeps rolling forward
+export const startClassOccurrenceScheduler = () => {
+    const intervalHours = parseFloat(process.env.CLASS_OCCURRENCE_INTERVAL_HOURS) || 24;
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const totals = await syncAllBatchOccurrences();
+            console.log('Class occurrence sync finished:', totals);
+        } catch (error) {
+            console.error('Class occurrence sync failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+    timer.unref();
+    return timer;
+};
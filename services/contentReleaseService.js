@@ -0,0 +1,243 @@
+import moment from 'moment';
+import mongoose from 'mongoose';
+import Batch from '../models/Batch_table.js';
+import BatchStudent from '../models/Batch_Students.js';
+import Course from '../models/Course.js';
+import Lesson from '../models/Lesson.model.js';
+import LessonProgress from '../models/LessonProgress.js';
+import Login from '../models/login.model.js';
+import Module from '../models/Module.js';
+import Quiz from '../models/QuizTable.js';
+import QuizResult from '../models/QuizResult.js';
+import { getCourseAccess } from './courseAccessService.js';
+
+export const RELEASE_MODES = ['immediate', 'after_days', 'on_date', 'after_prerequisite'];
+
+// Staff of the course's tenant see every module and lesson regardless of access, locks and drip schedules
+const STAFF_ROLES = ['tenant', 'instructor', 'superadmin', 'super_admin'];
+const SUPER_ADMIN_ROLES = ['superadmin', 'super_admin'];
+
+export const isStaff = (user) => !!user && STAFF_ROLES.includes(user.role?.toLowerCase());
+
+export const isCourseStaff = (user, course) => isStaff(user)
+    && (SUPER_ADMIN_ROLES.includes(user.role.toLowerCase()) || user.tenant_id?.toString() === course?.tenant_id?.toString());
+
+const OPEN = { is_unlocked: true, unlock_at: null, reason: null, message: null, prerequisite: null };
+
+/**
+ * Release rule of a module or lesson from a create/edit body: release_mode, release_days_after_enrollment,
+ * release_date, prerequisite_lesson_id or prerequisite_quiz_id. Prerequisites must belong to the same course.
+ * @returns {Promise<Object>} - { release (undefined when not sent, null for immediate), error }
+ */
+export const parseReleaseRule = async (body, { courseId, selfLessonId = null } = {}) => {
+    if (body.release_mode === undefined) return { release: undefined, error: null };
+
+    const mode = body.release_mode || 'immediate';
+    if (!RELEASE_MODES.includes(mode)) {
+        return { release: null, error: `release_mode must be one of: ${RELEASE_MODES.join(', ')}` };
+    }
+    if (mode === 'immediate') return { release: null, error: null };
+
+    const release = { mode, days_after_enrollment: 0, release_date: null, prerequisite_lesson_id: null, prerequisite_quiz_id: null };
+
+    if (mode === 'after_days') {
+        const days = Number(body.release_days_after_enrollment);
+        if (!Number.isInteger(days) || days < 0) return { release: null, error: 'release_days_after_enrollment must be a whole number of days' };
+        release.days_after_enrollment = days;
+    }
+
+    if (mode === 'on_date') {
+        const date = body.release_date ? new Date(body.release_date) : null;
+        if (!date || Number.isNaN(date.getTime())) return { release: null, error: 'release_date must be a valid date' };
+        release.release_date = date;
+    }
+
+    if (mode === 'after_prerequisite') {
+        const { prerequisite_lesson_id: lessonId, prerequisite_quiz_id: quizId } = body;
+        if (!lessonId === !quizId) return { release: null, error: 'Give either prerequisite_lesson_id or prerequisite_quiz_id' };
+
+        const id = lessonId || quizId;
+        if (!mongoose.Types.ObjectId.isValid(id)) return { release: null, error: 'Prerequisite not found' };
+        if (selfLessonId && lessonId && lessonId.toString() === selfLessonId.toString()) {
+            return { release: null, error: 'A lesson cannot be its own prerequisite' };
+        }
+
+        if (lessonId) {
+            const lesson = await Lesson.findOne({ _id: lessonId, is_deleted: { $ne: true } }).select('module_id');
+            const module = lesson && await Module.findOne({ _id: lesson.module_id, is_deleted: { $ne: true } }).select('course_id');
+            if (!module || module.course_id.toString() !== String(courseId)) {
+                return { release: null, error: 'The prerequisite lesson must belong to the same course' };
+            }
+            release.prerequisite_lesson_id = lesson._id;
+        } else {
+            const quiz = await Quiz.findById(quizId).select('course_id');
+            if (!quiz || quiz.course_id.toString() !== String(courseId)) {
+                return { release: null, error: 'The prerequisite quiz must belong to the same course' };
+            }
+            release.prerequisite_quiz_id = quiz._id;
+        }
+    }
+
+    return { release, error: null };
+};
+
+/**
+ * What the release rules of a course depend on for one student (Login id):
+ * when they joined the course's batches, the lessons they completed and the quizzes they passed.
+ */
+const getReleaseContext = async (studentId, courseId) => {
+    const batchIds = await Batch.find({ course_id: courseId }).distinct('_id');
+    const enrollment = await BatchStudent.findOne({
+        batch_id: { $in: batchIds },
+        student_id: studentId,
+        status: { $in: ['active', 'completed'] }
+    }).sort({ joined_at: 1 });
+
+    const completedLessons = await LessonProgress.find({ course_id: courseId, student_id: studentId, status: 'completed' }).distinct('lesson_id');
+
+    // Quiz results are keyed by the User behind the login
+    const login = await Login.findById(studentId).select('user_id');
+    const passedQuizzes = login?.user_id
+        ? await QuizResult.find({ course_id: courseId, student_id: login.user_id, passed: true }).distinct('quiz_id')
+        : [];
+
+    return {
+        joinedAt: enrollment?.joined_at || null,
+        completedLessons: new Set(completedLessons.map(id => id.toString())),
+        passedQuizzes: new Set(passedQuizzes.map(id => id.toString()))
+    };
+};
+
+// Availability of one release rule for the student
+const evaluateRelease = (release, context, titles, now) => {
+    if (!release || release.mode === 'immediate') return OPEN;
+
+    if (release.mode === 'after_days') {
+        if (!context.joinedAt) {
+            return {
+                ...OPEN,
+                is_unlocked: false,
+                reason: 'not_enrolled',
+                message: `Available ${release.days_after_enrollment} day(s) after you join the course`
+            };
+        }
+        const unlockAt = moment(context.joinedAt).add(release.days_after_enrollment, 'days').toDate();
+        return unlockAt <= now
+            ? { ...OPEN, unlock_at: unlockAt }
+            : { ...OPEN, is_unlocked: false, unlock_at: unlockAt, reason: 'scheduled', message: `Available on ${moment(unlockAt).format('MMM D, YYYY h:mm A')}` };
+    }
+
+    if (release.mode === 'on_date') {
+        const unlockAt = release.release_date;
+        return !unlockAt || unlockAt <= now
+            ? { ...OPEN, unlock_at: unlockAt }
+            : { ...OPEN, is_unlocked: false, unlock_at: unlockAt, reason: 'scheduled', message: `Available on ${moment(unlockAt).format('MMM D, YYYY h:mm A')}` };
+    }
+
+    const prerequisite = release.prerequisite_lesson_id
+        ? { type: 'lesson', id: release.prerequisite_lesson_id, title: titles.get(release.prerequisite_lesson_id.toString()) || '' }
+        : { type: 'quiz', id: release.prerequisite_quiz_id, title: titles.get(release.prerequisite_quiz_id?.toString()) || '' };
+    const done = prerequisite.type === 'lesson'
+        ? context.completedLessons.has(prerequisite.id.toString())
+        : context.passedQuizzes.has(prerequisite.id?.toString());
+
+    return done
+        ? { ...OPEN, prerequisite }
+        : {
+            ...OPEN,
+            is_unlocked: false,
+            reason: 'prerequisite',
+            message: prerequisite.type === 'lesson' ? `Complete "${prerequisite.title}" first` : `Pass the quiz "${prerequisite.title}" first`,
+            prerequisite
+        };
+};
+
+/**
+ * Availability of every module and lesson of a course for a user (null when not logged in).
+ * Preview lessons are open to everyone. Everything else needs course access (enrolment, purchase or subscription);
+ * then modules with is_locked are closed whatever their schedule, and release rules apply when the course has
+ * drip_content_enabled. A lesson in a closed module is closed too. Staff of the course get everything unlocked.
+ * @returns {Promise<Object>} - { staff, drip_content_enabled, modules: Map, lessons: Map } of { is_unlocked, unlock_at, reason, message, prerequisite }
+ */
+export const getCourseAvailability = async (user, courseId, now = new Date()) => {
+    const course = await Course.findById(courseId).select('drip_content_enabled tenant_id');
+    const modules = await Module.find({ course_id: courseId, is_deleted: { $ne: true } });
+    const lessons = await Lesson.find({ module_id: { $in: modules.map(module => module._id) }, is_deleted: { $ne: true } });
+
+    const availability = { staff: false, drip_content_enabled: !!course?.drip_content_enabled, modules: new Map(), lessons: new Map() };
+    if (isCourseStaff(user, course)) {
+        availability.staff = true;
+        modules.forEach(module => availability.modules.set(module._id.toString(), OPEN));
+        lessons.forEach(lesson => availability.lessons.set(lesson._id.toString(), OPEN));
+        return availability;
+    }
+
+    const access = user ? await getCourseAccess(user.id, courseId, now) : { allowed: false };
+    if (!access.allowed) {
+        const gated = user
+            ? { ...OPEN, is_unlocked: false, reason: 'not_enrolled', message: 'Enroll in this course to open this lesson' }
+            : { ...OPEN, is_unlocked: false, reason: 'login_required', message: 'Log in and enroll in this course to open this lesson' };
+        modules.forEach(module => availability.modules.set(module._id.toString(), gated));
+        lessons.forEach(lesson => availability.lessons.set(lesson._id.toString(), lesson.is_preview ? OPEN : gated));
+        return availability;
+    }
+
+    const context = await getReleaseContext(user.id, courseId);
+
+    // Titles of prerequisites, for "complete X first" messages
+    const rules = [...modules, ...lessons].map(item => item.release).filter(Boolean);
+    const prerequisiteQuizIds = rules.map(rule => rule.prerequisite_quiz_id).filter(Boolean);
+    const quizzes = prerequisiteQuizIds.length > 0 ? await Quiz.find({ _id: { $in: prerequisiteQuizIds } }).select('title') : [];
+    const titles = new Map([
+        ...lessons.map(lesson => [lesson._id.toString(), lesson.lesson_title]),
+        ...quizzes.map(quiz => [quiz._id.toString(), quiz.title])
+    ]);
+
+    modules.forEach(module => {
+        const moduleAvailability = module.is_locked
+            ? { ...OPEN, is_unlocked: false, reason: 'locked', message: 'This module is locked' }
+            : availability.drip_content_enabled ? evaluateRelease(module.release, context, titles, now) : OPEN;
+        availability.modules.set(module._id.toString(), moduleAvailability);
+    });
+
+    lessons.forEach(lesson => {
+        const moduleAvailability = availability.modules.get(lesson.module_id.toString());
+        if (lesson.is_preview) {
+            availability.lessons.set(lesson._id.toString(), OPEN);
+            return;
+        }
+        if (!moduleAvailability.is_unlocked) {
+            availability.lessons.set(lesson._id.toString(), moduleAvailability);
+            return;
+        }
+        availability.lessons.set(
+            lesson._id.toString(),
+            availability.drip_content_enabled ? evaluateRelease(lesson.release, context, titles, now) : OPEN
+        );
+    });
+
+    return availability;
+};
+
+/**
+ * Availability of one lesson for a user.
+ * @returns {Promise<Object>} - { is_unlocked, unlock_at, reason, message, prerequisite }
+ */
+export const getLessonAvailability = async (user, lesson, now = new Date()) => {
+    const module = await Module.findById(lesson.module_id).select('course_id');
+    if (!module) return { ...OPEN, is_unlocked: false, reason: 'locked', message: 'This lesson is not available' };
+
+    const availability = await getCourseAvailability(user, module.course_id, now);
+    return availability.lessons.get(lesson._id.toString()) || { ...OPEN, is_unlocked: false, reason: 'locked', message: 'This lesson is not available' };
+};
+
+// Lesson fields that carry its content; stripped from lessons a student can't open yet
+export const LOCKED_CONTENT_FIELDS = ['video_url', 'file_path', 'quiz_id', 'live_session_id', 'assignment', 'scorm'];
+
+export const hideLockedContent = (lesson) => {
+    const data = lesson.toObject ? lesson.toObject() : { ...lesson };
+    LOCKED_CONTENT_FIELDS.forEach(field => {
+        if (field in data) data[field] = null;
+    });
+    return data;
+};
@@ -0,0 +1,115 @@
+import Batch from '../models/Batch_table.js';
+import BatchStudent from '../models/Batch_Students.js';
+import BatchSubscription from '../models/Batch_Subscription.js';
+import Course from '../models/Course.js';
+import CoursePurchase from '../models/Course_Purchase.js';
+import CourseSubscription from '../models/Course_Subscription.js';
+import Login from '../models/login.model.js';
+
+export const isBatchInstructor = (batch, loginId) =>
+    [batch.instructor_id, ...(batch.instructor_ids || [])]
+        .filter(Boolean)
+        .some(id => id.toString() === loginId.toString());
+
+// Login ids of the students enrolled in the batches
+export const getBatchStudentLoginIds = async (batchIds) => {
+    const enrolments = await BatchStudent.find({ batch_id: { $in: batchIds } }).select('student_id');
+    return enrolments.map(enrolment => enrolment.student_id);
+};
+
+// User ids behind login ids (quiz results and attendance are keyed by User)
+export const getUserIdsForLogins = async (loginIds) => {
+    const logins = await Login.find({ _id: { $in: loginIds } }).select('user_id');
+    return logins.map(login => login.user_id).filter(Boolean);
+};
+
+/**
+ * Course and students a tenant or instructor may review. Tenants and the course's instructors see every student
+ * of the course, other instructors only the students of the batches they teach.
+ * @returns {Promise<Object>} - { course_id, studentLoginIds (null for everyone), status, error }
+ */
+export const resolveReviewScope = async (user, { course_id, batch_id }) => {
+    if (batch_id) {
+        const batch = await Batch.findById(batch_id);
+        if (!batch || batch.tenant_id.toString() !== user.tenant_id?.toString()) {
+            return { status: 404, error: 'Batch not found' };
+        }
+        if (user.role !== 'tenant' && !isBatchInstructor(batch, user.id)) {
+            return { status: 403, error: 'You do not teach this batch' };
+        }
+        if (course_id && batch.course_id.toString() !== course_id.toString()) {
+            return { status: 400, error: 'The batch does not belong to this course' };
+        }
+        return { course_id: batch.course_id, studentLoginIds: await getBatchStudentLoginIds([batch._id]) };
+    }
+
+    const course = await Course.findOne({ _id: course_id, tenant_id: user.tenant_id }).select('instructors');
+    if (!course) return { status: 404, error: 'Course not found' };
+    if (user.role === 'tenant') return { course_id: course._id, studentLoginIds: null };
+
+    const login = await Login.findById(user.id).select('user_id');
+    if (login?.user_id && course.instructors.some(id => id.toString() === login.user_id.toString())) {
+        return { course_id: course._id, studentLoginIds: null };
+    }
+
+    const batches = await Batch.find({
+        course_id: course._id,
+        $or: [{ instructor_id: user.id }, { instructor_ids: user.id }]
+    }).select('_id');
+    if (batches.length === 0) return { status: 403, error: 'You do not teach this course' };
+
+    return { course_id: course._id, studentLoginIds: await getBatchStudentLoginIds(batches.map(batch => batch._id)) };
+};
+
+// Whether the student (Login id) has an active enrolment in a batch of the course
+export const isEnrolledInCourse = async (loginId, courseId) => {
+    const batchIds = await Batch.find({ course_id: courseId }).distinct('_id');
+    if (batchIds.length === 0) return false;
+    return !!(await BatchStudent.exists({ batch_id: { $in: batchIds }, student_id: loginId, status: 'active' }));
+};
+
+// Ids of every version of the course a course id belongs to
+export const getCourseVersionIds = async (courseId) => {
+    const course = await Course.findById(courseId).select('version_of');
+    if (!course) return [courseId];
+    const rootId = course.version_of || course._id;
+    return Course.find({ $or: [{ _id: rootId }, { version_of: rootId }] }).distinct('_id');
+};
+
+/**
+ * Whether a student (Login id) may open a course's content: an active batch enrolment, a course purchase that
+ * has not run out, or a paid-up course or batch subscription.
+ * @returns {Promise<Object>} - { allowed, via }
+ */
+export const getCourseAccess = async (loginId, courseId, now = new Date()) => {
+    if (await isEnrolledInCourse(loginId, courseId)) return { allowed: true, via: 'enrollment' };
+
+    const login = await Login.findById(loginId).select('user_id');
+    const userId = login?.user_id;
+    if (userId) {
+        // Buying or subscribing to a course covers all of its versions
+        const versionIds = await getCourseVersionIds(courseId);
+        const purchase = await CoursePurchase.exists({
+            user_id: userId,
+            course_id: { $in: versionIds },
+            $or: [{ valid_till: null }, { valid_till: { $gt: now } }]
+        });
+        if (purchase) return { allowed: true, via: 'purchase' };
+
+        const subscription = await CourseSubscription.exists({ user_id: userId, course_id: { $in: versionIds }, status: 'active', next_billing_date: { $gte: now } });
+        if (subscription) return { allowed: true, via: 'subscription' };
+    }
+
+    // Batch subscriptions have been recorded against both the User and the Login id
+    const batchIds = await Batch.find({ course_id: courseId }).distinct('_id');
+    const batchSubscription = batchIds.length > 0 && await BatchSubscription.exists({
+        user_id: { $in: [loginId, userId].filter(Boolean) },
+        batch_id: { $in: batchIds },
+        status: 'active',
+        $or: [{ next_billing_date: null }, { next_billing_date: { $gte: now } }]
+    });
+    if (batchSubscription) return { allowed: true, via: 'batch_subscription' };
+
+    return { allowed: false, via: null };
+};
+
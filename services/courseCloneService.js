@@ -0,0 +1,263 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import Batch from '../models/Batch_table.js';
+import BankQuestion from '../models/BankQuestion.js';
+import CertificateTemplate from '../models/CertificateTemplate.js';
+import Course from '../models/Course.js';
+import Lesson from '../models/Lesson.model.js';
+import Module from '../models/Module.js';
+import QuizOptions from '../models/QuizOptions.js';
+import Quiz from '../models/QuizTable.js';
+import QuizQuestion from '../models/QuizQuestion.js';
+import { buildRuleFilter } from './quizAttemptService.js';
+import { SCORM_DIR } from './scormService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const COURSE_IMAGE_DIR = path.join(__dirname, '..', 'uploads', 'courses');
+
+// Plain copy of a document without its identity and timestamps
+export const copyDocument = (doc, overrides = {}) => {
+    const data = doc.toObject ? doc.toObject({ depopulate: true }) : { ...doc };
+    ['_id', '__v', 'created_at', 'updated_at', 'createdAt', 'updatedAt'].forEach(field => delete data[field]);
+    return { ...data, ...overrides };
+};
+
+// Copy an uploaded file next to the original under a new name, like multer names uploads; '' when it is gone
+const copyUploadedFile = (filePath, copiedFiles) => {
+    if (!filePath || !fs.existsSync(filePath)) return '';
+
+    const ext = path.extname(filePath);
+    const fieldname = path.basename(filePath, ext).split('-')[0] || 'file';
+    const target = path.join(path.dirname(filePath), `${fieldname}-${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`);
+    fs.copyFileSync(filePath, target);
+    copiedFiles.push(target);
+    return target;
+};
+
+// Course images are stored as a file name in uploads/courses, or as an external URL
+const copyCourseImage = (image, copiedFiles) => {
+    if (!image || /^https?:\/\//i.test(image)) return image;
+    const copy = copyUploadedFile(path.join(COURSE_IMAGE_DIR, image), copiedFiles);
+    return copy ? path.basename(copy) : image;
+};
+
+// Copy a SCORM lesson's extracted package, so each course can delete its own
+const copyScormPackage = (scorm, copiedFiles) => {
+    if (!scorm) return null;
+    if (!fs.existsSync(scorm.package_dir)) return scorm;
+
+    const target = path.join(SCORM_DIR, `scorm-${Date.now()}-${Math.round(Math.random() * 1e9)}`);
+    fs.cpSync(scorm.package_dir, target, { recursive: true });
+    copiedFiles.push(target);
+    return { ...scorm, package_dir: target };
+};
+
+const mapIds = (docs) => new Map(docs.map(doc => [doc._id.toString(), new mongoose.Types.ObjectId()]));
+
+export const remap = (ids, id) => (id ? ids.get(id.toString()) || null : null);
+
+// Point a release rule's prerequisite at the copied lesson or quiz
+export const remapRelease = (release, lessonIds, quizIds) => (release
+    ? {
+        ...release,
+        prerequisite_lesson_id: remap(lessonIds, release.prerequisite_lesson_id),
+        prerequisite_quiz_id: remap(quizIds, release.prerequisite_quiz_id)
+    }
+    : null);
+
+// The first version of a course identifies all of its versions
+export const getVersionRootId = (course) => course.version_of || course._id;
+
+const versionFilter = (rootId) => ({ $or: [{ _id: rootId }, { version_of: rootId }] });
+
+// A free "<title> (Copy)" style title in the tenant
+export const getCopyTitle = async (tenantId, title) => {
+    let candidate = `${title} (Copy)`;
+    for (let n = 2; await Course.exists({ tenant_id: tenantId, course_title: candidate }); n++) {
+        candidate = `${title} (Copy ${n})`;
+    }
+    return candidate;
+};
+
+/**
+ * Deep-copy a course: the course, its modules, lessons (with copies of their uploaded files), quizzes with their
+ * questions and options, and its certificate template. Live sessions belong to batches and are not copied.
+ * Copying into another tenant drops the instructors and brings along the bank questions random quizzes draw from.
+ * Options: tenantId (default the source's), courseTitle, version ({ version, version_of, notes }), createdBy
+ * @returns {Promise<Object>} - { course, counts }
+ */
+export const cloneCourse = async (source, { tenantId = source.tenant_id, courseTitle = null, version = null, createdBy = null } = {}) => {
+    const crossTenant = tenantId.toString() !== source.tenant_id.toString();
+
+    const modules = await Module.find({ course_id: source._id, is_deleted: { $ne: true } });
+    const moduleIds = mapIds(modules);
+    const lessons = await Lesson.find({ module_id: { $in: modules.map(module => module._id) }, is_deleted: { $ne: true } });
+    const lessonIds = mapIds(lessons);
+    const quizzes = await Quiz.find({ course_id: source._id, module_id: { $in: modules.map(module => module._id) } });
+    const quizIds = mapIds(quizzes);
+    const questions = await QuizQuestion.find({ quiz_id: { $in: quizzes.map(quiz => quiz._id) } });
+    const questionIds = mapIds(questions);
+    const options = await QuizOptions.find({ question_id: { $in: questions.map(question => question._id) } });
+    const template = await CertificateTemplate.findOne({ tenant_id: source.tenant_id, course_id: source._id });
+
+    // Random quizzes draw from the tenant's bank, so another tenant needs its own copy of the matching questions
+    const bankQuestions = new Map();
+    if (crossTenant) {
+        for (const quiz of quizzes.filter(quiz => quiz.selection_mode === 'random')) {
+            for (const rule of quiz.random_rules) {
+                const matches = await BankQuestion.find(buildRuleFilter(source.tenant_id, rule));
+                matches.forEach(question => bankQuestions.set(question._id.toString(), question));
+            }
+        }
+    }
+
+    const courseId = new mongoose.Types.ObjectId();
+    const copiedFiles = [];
+    const counts = {
+        modules: modules.length,
+        lessons: lessons.length,
+        quizzes: quizzes.length,
+        questions: questions.length,
+        options: options.length,
+        bank_questions: bankQuestions.size,
+        files_copied: 0,
+        files_missing: 0
+    };
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const lessonCopies = lessons.map(lesson => {
+            const filePath = copyUploadedFile(lesson.file_path, copiedFiles);
+            if (lesson.file_path) filePath ? counts.files_copied++ : counts.files_missing++;
+            return copyDocument(lesson, {
+                _id: lessonIds.get(lesson._id.toString()),
+                module_id: moduleIds.get(lesson.module_id.toString()),
+                quiz_id: remap(quizIds, lesson.quiz_id),
+                live_session_id: null,
+                file_path: filePath,
+                scorm: copyScormPackage(lesson.toObject().scorm, copiedFiles),
+                release: remapRelease(lesson.toObject().release, lessonIds, quizIds)
+            });
+        });
+
+        const [course] = await Course.create([copyDocument(source, {
+            _id: courseId,
+            tenant_id: tenantId,
+            course_title: courseTitle || source.course_title,
+            instructors: crossTenant ? [] : source.instructors,
+            students: [],
+            image: copyCourseImage(source.image, copiedFiles),
+            version: version?.version || 1,
+            version_of: version?.version_of || null,
+            is_latest_version: true,
+            version_notes: version?.notes || '',
+            cloned_from: source._id
+        })], { session });
+
+        await Module.insertMany(modules.map(module => copyDocument(module, {
+            _id: moduleIds.get(module._id.toString()),
+            course_id: courseId,
+            release: remapRelease(module.toObject().release, lessonIds, quizIds)
+        })), { session });
+        await Lesson.insertMany(lessonCopies, { session });
+        await Quiz.insertMany(quizzes.map(quiz => copyDocument(quiz, {
+            _id: quizIds.get(quiz._id.toString()),
+            course_id: courseId,
+            module_id: moduleIds.get(quiz.module_id.toString())
+        })), { session });
+        await QuizQuestion.insertMany(questions.map(question => copyDocument(question, {
+            _id: questionIds.get(question._id.toString()),
+            quiz_id: quizIds.get(question.quiz_id.toString())
+        })), { session });
+        await QuizOptions.insertMany(options.map(option => copyDocument(option, {
+            question_id: questionIds.get(option.question_id.toString())
+        })), { session });
+
+        if (bankQuestions.size > 0) {
+            await BankQuestion.insertMany([...bankQuestions.values()].map(question => copyDocument(question, {
+                tenant_id: tenantId,
+                created_by: createdBy
+            })), { session });
+        }
+        if (template) {
+            await CertificateTemplate.create([copyDocument(template, {
+                tenant_id: tenantId,
+                course_id: courseId,
+                created_by: createdBy
+            })], { session });
+        }
+
+        // A new version supersedes every earlier one
+        if (version) {
+            await Course.updateMany(
+                { ...versionFilter(version.version_of), _id: { $ne: courseId } },
+                { is_latest_version: false },
+                { session }
+            );
+        }
+
+        await session.commitTransaction();
+        return { course, counts };
+    } catch (error) {
+        await session.abortTransaction();
+        copiedFiles.forEach(file => fs.rm(file, { recursive: true, force: true }, () => {}));
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Start a new version of a course from any of its versions. The copy becomes the latest version, which new
+ * batches and the catalogue use; running batches keep the version they were created for.
+ * @returns {Promise<Object>} - { course, counts }
+ */
+export const createCourseVersion = async (course, { notes = '', createdBy = null } = {}) => {
+    const rootId = getVersionRootId(course);
+    const latest = await Course.findOne(versionFilter(rootId)).sort({ version: -1 }).select('version');
+
+    return cloneCourse(course, {
+        courseTitle: course.course_title,
+        version: { version: (latest?.version || course.version || 1) + 1, version_of: rootId, notes },
+        createdBy
+    });
+};
+
+/**
+ * Every version of a course with how many batches run on each.
+ * @returns {Promise<Array>}
+ */
+export const listCourseVersions = async (course) => {
+    const versions = await Course.find(versionFilter(getVersionRootId(course)))
+        .select('course_title version version_notes is_latest_version is_active cloned_from createdAt')
+        .sort({ version: 1 });
+    const batchCounts = await Batch.aggregate([
+        { $match: { course_id: { $in: versions.map(version => version._id) } } },
+        {
+            $group: {
+                _id: '$course_id',
+                batches: { $sum: 1 },
+                active_batches: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } }
+            }
+        }
+    ]);
+    const countsByCourse = new Map(batchCounts.map(row => [row._id.toString(), row]));
+
+    return versions.map(version => ({
+        course_id: version._id,
+        course_title: version.course_title,
+        version: version.version,
+        version_notes: version.version_notes,
+        is_latest_version: version.is_latest_version !== false,
+        is_active: version.is_active,
+        cloned_from: version.cloned_from,
+        created_at: version.createdAt,
+        batches: countsByCourse.get(version._id.toString())?.batches || 0,
+        active_batches: countsByCourse.get(version._id.toString())?.active_batches || 0
+    }));
+};
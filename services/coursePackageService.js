@@ -0,0 +1,401 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import JSZip from 'jszip';
+import mongoose from 'mongoose';
+import BankQuestion from '../models/BankQuestion.js';
+import Category from '../models/Category.js';
+import CertificateTemplate from '../models/CertificateTemplate.js';
+import Course from '../models/Course.js';
+import CourseLevel from '../models/CourseLevel.js';
+import Language from '../models/Language.js';
+import Lesson from '../models/Lesson.model.js';
+import Lesson_Type from '../models/Lesson_Type.model.js';
+import Module from '../models/Module.js';
+import QuizOptions from '../models/QuizOptions.js';
+import Quiz from '../models/QuizTable.js';
+import QuizQuestion from '../models/QuizQuestion.js';
+import Subcategory from '../models/Subcategory.js';
+import { copyDocument, getCopyTitle, remap, remapRelease } from './courseCloneService.js';
+import { buildRuleFilter } from './quizAttemptService.js';
+import {
+    createUnpackBudget,
+    getDeclaredSize,
+    readZipEntryText,
+    removeScormPackage,
+    unpackLimitError,
+    unpackScormZip,
+    writeZipEntry
+} from './scormService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LESSON_DIR = path.join(__dirname, '..', 'uploads', 'lessons');
+const COURSE_IMAGE_DIR = path.join(__dirname, '..', 'uploads', 'courses');
+
+export const PACKAGE_FORMAT = 'course-package';
+export const PACKAGE_VERSION = 1;
+
+// Fields that tie a course to its tenant, people or version history rather than its content
+const TENANT_COURSE_FIELDS = ['tenant_id', 'instructors', 'students', 'version', 'version_of', 'is_latest_version', 'version_notes', 'cloned_from'];
+
+// Global lookups a course points at, exported by name so another environment can match them
+const COURSE_LOOKUPS = [
+    { field: 'category', model: Category, name: 'category' },
+    { field: 'subcategory', model: Subcategory, name: 'subcategory_name' },
+    { field: 'language', model: Language, name: 'language' },
+    { field: 'level', model: CourseLevel, name: 'course_level' }
+];
+
+const isExternalUrl = (value) => /^https?:\/\//i.test(value || '');
+
+// Manifest record of a document: its fields without timestamps, its id kept as the `ref` other records use
+const toRecord = (doc, overrides = {}) => copyDocument(doc, { ref: doc._id.toString(), ...overrides });
+
+// Document data from a manifest record, without the manifest-only fields
+const fromRecord = (record, manifestFields, overrides = {}) => {
+    const data = copyDocument(record, overrides);
+    ['ref', ...manifestFields].forEach(field => delete data[field]);
+    return data;
+};
+
+// Add every file of a directory to the zip under `prefix`
+const addFolder = (zip, dir, prefix) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const filePath = path.join(dir, entry.name);
+        if (entry.isDirectory()) addFolder(zip, filePath, `${prefix}${entry.name}/`);
+        else zip.file(`${prefix}${entry.name}`, fs.createReadStream(filePath), { compression: 'STORE' });
+    }
+};
+
+/**
+ * Pack a course for another environment: a zip with manifest.json (course, modules, lessons, quizzes with their
+ * questions and options, the certificate template and the bank questions random quizzes draw from) and the
+ * uploaded lesson files, course image and SCORM packages under files/ and scorm/.
+ * @returns {Promise<Object>} - { zip, manifest }
+ */
+export const exportCoursePackage = async (course) => {
+    const zip = new JSZip();
+    const missingFiles = [];
+
+    // Uploaded files go in the archive; the manifest names where
+    const addFile = (filePath, name) => {
+        if (!filePath) return null;
+        if (!fs.existsSync(filePath)) {
+            missingFiles.push(path.basename(filePath));
+            return null;
+        }
+        zip.file(name, fs.createReadStream(filePath), { compression: 'STORE' });
+        return name;
+    };
+
+    const modules = await Module.find({ course_id: course._id, is_deleted: { $ne: true } }).sort({ display_order: 1 });
+    const moduleIds = modules.map(module => module._id);
+    const lessons = await Lesson.find({ module_id: { $in: moduleIds }, is_deleted: { $ne: true } })
+        .populate({ path: 'lesson_type_id', model: 'Lesson_Type', select: 'lesson_type' })
+        .sort({ display_order: 1 });
+    const quizzes = await Quiz.find({ course_id: course._id, module_id: { $in: moduleIds } });
+    const questions = await QuizQuestion.find({ quiz_id: { $in: quizzes.map(quiz => quiz._id) } });
+    const options = await QuizOptions.find({ question_id: { $in: questions.map(question => question._id) } });
+    const template = await CertificateTemplate.findOne({ tenant_id: course.tenant_id, course_id: course._id });
+
+    const bankQuestions = new Map();
+    for (const quiz of quizzes.filter(quiz => quiz.selection_mode === 'random')) {
+        for (const rule of quiz.random_rules) {
+            const matches = await BankQuestion.find(buildRuleFilter(course.tenant_id, rule));
+            matches.forEach(question => bankQuestions.set(question._id.toString(), question));
+        }
+    }
+
+    const courseRecord = copyDocument(course);
+    TENANT_COURSE_FIELDS.forEach(field => delete courseRecord[field]);
+    for (const lookup of COURSE_LOOKUPS) {
+        const value = course[lookup.field] && (await lookup.model.findById(course[lookup.field]));
+        courseRecord[lookup.field] = value ? { id: value._id.toString(), name: value[lookup.name] } : null;
+    }
+    if (!isExternalUrl(course.image)) {
+        delete courseRecord.image;
+        courseRecord.image_file = course.image
+            ? addFile(path.join(COURSE_IMAGE_DIR, course.image), `files/courses/${course.image}`)
+            : null;
+    }
+
+    const lessonRecords = lessons.map(lesson => {
+        const record = toRecord(lesson, {
+            lesson_type_id: undefined,
+            lesson_type: lesson.lesson_type_id?.lesson_type || null,
+            live_session_id: null,
+            file_path: undefined,
+            file: addFile(lesson.file_path, `files/lessons/${lesson._id}${path.extname(lesson.file_path || '')}`)
+        });
+        if (lesson.scorm) {
+            const packagePrefix = `scorm/${lesson._id}/`;
+            if (fs.existsSync(lesson.scorm.package_dir)) addFolder(zip, lesson.scorm.package_dir, packagePrefix);
+            else missingFiles.push(path.basename(lesson.scorm.package_dir));
+            record.scorm = { ...record.scorm, package_dir: undefined, package: packagePrefix };
+        }
+        return record;
+    });
+
+    let templateRecord = null;
+    if (template) {
+        templateRecord = copyDocument(template, { tenant_id: undefined, course_id: undefined, created_by: undefined, logo_path: undefined });
+        templateRecord.logo_file = addFile(template.logo_path, `files/certificates/logo${path.extname(template.logo_path || '')}`);
+    }
+
+    const manifest = {
+        format: PACKAGE_FORMAT,
+        format_version: PACKAGE_VERSION,
+        exported_at: new Date().toISOString(),
+        course: courseRecord,
+        certificate_template: templateRecord,
+        modules: modules.map(module => toRecord(module)),
+        lessons: lessonRecords,
+        quizzes: quizzes.map(quiz => toRecord(quiz, {
+            questions: questions
+                .filter(question => question.quiz_id.toString() === quiz._id.toString())
+                .map(question => toRecord(question, {
+                    quiz_id: undefined,
+                    options: options
+                        .filter(option => option.question_id.toString() === question._id.toString())
+                        .map(option => copyDocument(option, { question_id: undefined }))
+                }))
+        })),
+        bank_questions: [...bankQuestions.values()].map(question => copyDocument(question, { tenant_id: undefined, created_by: undefined })),
+        missing_files: missingFiles
+    };
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+    return { zip, manifest };
+};
+
+// A lookup of this environment matching an exported { id, name }: the same id if it exists, else the same name
+const resolveLookup = async ({ model, name }, exported, extraFilter = {}) => {
+    if (!exported) return null;
+    if (mongoose.Types.ObjectId.isValid(exported.id)) {
+        const byId = await model.findOne({ _id: exported.id, ...extraFilter }).select('_id');
+        if (byId) return byId._id;
+    }
+    const byName = exported.name ? await model.findOne({ [name]: exported.name, ...extraFilter }).select('_id') : null;
+    return byName?._id || null;
+};
+
+// Check the parts of a manifest the import relies on; returns an error message or null
+const validateManifest = (manifest) => {
+    if (!manifest || manifest.format !== PACKAGE_FORMAT) return 'manifest.json is not a course package manifest';
+    if (manifest.format_version > PACKAGE_VERSION) return `Course package version ${manifest.format_version} is newer than this server supports`;
+    if (!manifest.course?.course_title) return 'The package has no course';
+    for (const key of ['modules', 'lessons', 'quizzes']) {
+        if (!Array.isArray(manifest[key])) return `The package manifest has no ${key} list`;
+    }
+    const moduleRefs = new Set(manifest.modules.map(module => module.ref));
+    if (manifest.lessons.some(lesson => !moduleRefs.has(lesson.module_id))) return 'A lesson in the package belongs to a module that is not in it';
+    if (manifest.quizzes.some(quiz => !moduleRefs.has(quiz.module_id))) return 'A quiz in the package belongs to a module that is not in it';
+    return null;
+};
+
+const mapRefs = (records) => new Map(records.map(record => [record.ref, new mongoose.Types.ObjectId()]));
+
+/**
+ * Create a course in a tenant from a package made by exportCoursePackage. Categories, subcategories, languages and
+ * levels are matched by id, then by name; lesson types by name. Files are extracted first and the records inserted
+ * in one transaction; the extracted files are removed again if anything fails. Packages that unpack to more than
+ * PACKAGE_MAX_UNPACKED_MB are refused.
+ * Options: tenantId, courseTitle (default the package's title, or "<title> (Copy)" when taken), createdBy
+ * @returns {Promise<Object>} - { course, counts, error }
+ */
+export const importCoursePackage = async (filePath, { tenantId, courseTitle = null, createdBy = null }) => {
+    const fail = (error) => ({ course: null, counts: null, error });
+
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(await fs.promises.readFile(filePath));
+    } catch {
+        return fail('The file is not a valid zip archive');
+    }
+
+    const budget = createUnpackBudget();
+    if (getDeclaredSize(Object.values(zip.files).filter(entry => !entry.dir)) > budget.remaining) {
+        return fail(unpackLimitError());
+    }
+
+    let manifest;
+    try {
+        const manifestEntry = zip.file('manifest.json');
+        manifest = JSON.parse(manifestEntry ? await readZipEntryText(manifestEntry) : undefined);
+    } catch {
+        return fail('manifest.json is missing or not valid JSON');
+    }
+    const invalid = validateManifest(manifest);
+    if (invalid) return fail(invalid);
+
+    const exported = manifest.course;
+    const lookups = {};
+    for (const lookup of COURSE_LOOKUPS) {
+        const extraFilter = lookup.field === 'subcategory' ? { category_id: lookups.category } : {};
+        lookups[lookup.field] = await resolveLookup(lookup, exported[lookup.field], extraFilter);
+        if (!lookups[lookup.field]) {
+            const name = exported[lookup.field]?.name;
+            return fail(`No ${lookup.field} ${name ? `"${name}" ` : ''}exists here for the imported course`);
+        }
+    }
+
+    const lessonTypes = new Map((await Lesson_Type.find()).map(type => [type.lesson_type, type._id]));
+    const unknownType = manifest.lessons.find(lesson => !lessonTypes.has(lesson.lesson_type));
+    if (unknownType) return fail(`Lesson type "${unknownType.lesson_type}" does not exist here`);
+
+    let title = courseTitle;
+    if (title && (await Course.exists({ tenant_id: tenantId, course_title: title }))) {
+        return fail('Course title already exists. Please use a different title for this tenant.');
+    }
+    if (!title) {
+        title = (await Course.exists({ tenant_id: tenantId, course_title: exported.course_title }))
+            ? await getCopyTitle(tenantId, exported.course_title)
+            : exported.course_title;
+    }
+
+    const moduleIds = mapRefs(manifest.modules);
+    const lessonIds = mapRefs(manifest.lessons);
+    const quizIds = mapRefs(manifest.quizzes);
+    const courseId = new mongoose.Types.ObjectId();
+    const counts = {
+        modules: manifest.modules.length,
+        lessons: manifest.lessons.length,
+        quizzes: manifest.quizzes.length,
+        questions: 0,
+        options: 0,
+        bank_questions: 0,
+        files: 0,
+        scorm_packages: 0
+    };
+
+    const extractedFiles = [];
+    const scormDirs = [];
+    const cleanUp = () => {
+        extractedFiles.forEach(file => fs.unlink(file, () => {}));
+        scormDirs.forEach(dir => removeScormPackage(dir));
+    };
+
+    // Write a file of the archive into an uploads folder under a multer-style name
+    let overLimit = false;
+    const extractFile = async (name, dir, fieldname) => {
+        const entry = name && !overLimit && zip.file(name);
+        if (!entry) return null;
+        const target = path.join(dir, `${fieldname}-${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(name)}`);
+        fs.mkdirSync(dir, { recursive: true });
+        if (!(await writeZipEntry(entry, target, budget))) {
+            overLimit = true;
+            return null;
+        }
+        extractedFiles.push(target);
+        counts.files++;
+        return target;
+    };
+
+    // Files first, so a broken SCORM package is reported before anything is written to the database
+    const lessonDocs = [];
+    let imageFile = null;
+    let logoFile = null;
+    try {
+        for (const lesson of manifest.lessons) {
+            let scorm = null;
+            if (lesson.scorm?.package) {
+                const unpacked = await unpackScormZip(zip, lesson.scorm.package, budget);
+                if (unpacked.error) {
+                    cleanUp();
+                    return fail(`SCORM package of "${lesson.lesson_title}": ${unpacked.error}`);
+                }
+                scorm = { ...unpacked.scorm, mastery_score: lesson.scorm.mastery_score ?? unpacked.scorm.mastery_score };
+                scormDirs.push(scorm.package_dir);
+                counts.scorm_packages++;
+            }
+            lessonDocs.push(fromRecord(lesson, ['lesson_type', 'file'], {
+                _id: lessonIds.get(lesson.ref),
+                module_id: moduleIds.get(lesson.module_id),
+                lesson_type_id: lessonTypes.get(lesson.lesson_type),
+                quiz_id: remap(quizIds, lesson.quiz_id),
+                live_session_id: null,
+                file_path: (await extractFile(lesson.file, LESSON_DIR, 'file')) || '',
+                scorm,
+                release: remapRelease(lesson.release, lessonIds, quizIds)
+            }));
+        }
+        imageFile = await extractFile(exported.image_file, COURSE_IMAGE_DIR, 'file');
+        logoFile = await extractFile(manifest.certificate_template?.logo_file, COURSE_IMAGE_DIR, 'logo');
+    } catch (error) {
+        cleanUp();
+        throw error;
+    }
+    if (overLimit) {
+        cleanUp();
+        return fail(unpackLimitError());
+    }
+
+    const questionDocs = [];
+    const optionDocs = [];
+    for (const quiz of manifest.quizzes) {
+        for (const question of quiz.questions || []) {
+            const questionId = new mongoose.Types.ObjectId();
+            questionDocs.push(fromRecord(question, ['options'], { _id: questionId, quiz_id: quizIds.get(quiz.ref) }));
+            (question.options || []).forEach(option => optionDocs.push(fromRecord(option, [], { question_id: questionId })));
+        }
+    }
+    counts.questions = questionDocs.length;
+    counts.options = optionDocs.length;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const [course] = await Course.create([fromRecord(exported, ['image_file'], {
+            ...lookups,
+            _id: courseId,
+            tenant_id: tenantId,
+            course_title: title,
+            instructors: [],
+            students: [],
+            ...(imageFile && { image: path.basename(imageFile) })
+        })], { session });
+
+        await Module.insertMany(manifest.modules.map(module => fromRecord(module, [], {
+            _id: moduleIds.get(module.ref),
+            course_id: courseId,
+            release: remapRelease(module.release, lessonIds, quizIds)
+        })), { session });
+        await Lesson.insertMany(lessonDocs, { session });
+        await Quiz.insertMany(manifest.quizzes.map(quiz => fromRecord(quiz, ['questions'], {
+            _id: quizIds.get(quiz.ref),
+            course_id: courseId,
+            module_id: moduleIds.get(quiz.module_id)
+        })), { session });
+        await QuizQuestion.insertMany(questionDocs, { session });
+        await QuizOptions.insertMany(optionDocs, { session });
+
+        // Bank questions the tenant already has (same text and type) are not added twice
+        const bankQuestions = [];
+        for (const question of manifest.bank_questions || []) {
+            const exists = await BankQuestion.exists({ tenant_id: tenantId, question_text: question.question_text, question_type: question.question_type });
+            if (!exists) bankQuestions.push(fromRecord(question, [], { tenant_id: tenantId, created_by: createdBy }));
+        }
+        if (bankQuestions.length > 0) await BankQuestion.insertMany(bankQuestions, { session });
+        counts.bank_questions = bankQuestions.length;
+
+        if (manifest.certificate_template) {
+            await CertificateTemplate.create([fromRecord(manifest.certificate_template, ['logo_file'], {
+                tenant_id: tenantId,
+                course_id: courseId,
+                logo_path: logoFile || '',
+                created_by: createdBy
+            })], { session });
+        }
+
+        await session.commitTransaction();
+        return { course, counts, error: null };
+    } catch (error) {
+        await session.abortTransaction();
+        cleanUp();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
@@ -0,0 +1,92 @@
+import moment from 'moment-timezone';
+import Batch from '../models/Batch_table.js';
+import Holiday from '../models/Holiday.js';
+import { getBatchTimezone } from '../utils/timezone.js';
+
+const DAY_FORMAT = 'YYYY-MM-DD';
+
+// Every calendar day (YYYY-MM-DD) between two days, inclusive
+export const expandDays = (startDay, endDay) => {
+    const days = [];
+    const cursor = moment.utc(startDay, DAY_FORMAT);
+    const end = moment.utc(endDay, DAY_FORMAT);
+    while (cursor.isSameOrBefore(end)) {
+        days.push(cursor.format(DAY_FORMAT));
+        cursor.add(1, 'day');
+    }
+    return days;
+};
+
+// Number of days a holiday lasts
+export const getHolidayLength = (holiday) => expandDays(holiday.start_date, holiday.end_date).length;
+
+const appliesToBatch = (holiday, batchId) =>
+    !holiday.batch_ids || holiday.batch_ids.length === 0
+    || holiday.batch_ids.some(id => id.toString() === batchId.toString());
+
+// Tenant holidays overlapping a day range (YYYY-MM-DD bounds, either may be omitted)
+export const findTenantHolidays = (tenantId, { fromDay = null, toDay = null } = {}) => {
+    const filter = { tenant_id: tenantId };
+    if (fromDay) filter.end_date = { $gte: fromDay };
+    if (toDay) filter.start_date = { $lte: toDay };
+    return Holiday.find(filter).sort({ start_date: 1 });
+};
+
+/**
+ * Days without class for a batch: tenant holidays that cover it plus its own schedule exceptions.
+ * @returns {Promise<Map>} - YYYY-MM-DD => reason/holiday name.
+ */
+export const getBatchHolidayDays = async (batch, { fromDay = null, toDay = null } = {}) => {
+    const days = new Map();
+
+    const holidays = await findTenantHolidays(batch.tenant_id, { fromDay, toDay });
+    holidays
+        .filter(holiday => appliesToBatch(holiday, batch._id))
+        .forEach(holiday => {
+            expandDays(holiday.start_date, holiday.end_date)
+                .filter(day => (!fromDay || day >= fromDay) && (!toDay || day <= toDay))
+                .forEach(day => days.set(day, holiday.name));
+        });
+
+    (batch.schedule_exceptions || []).forEach(exception => {
+        days.set(exception.date, exception.reason || days.get(exception.date) || '');
+    });
+
+    return days;
+};
+
+/**
+ * Build a matcher telling whether an attendance record fell on a holiday of its batch.
+ * Records are read in their batch's timezone; `batch_id` may be populated or a plain id.
+ * @returns {Promise<Function>} - record => holiday name, or null.
+ */
+export const getAttendanceHolidayMatcher = async (tenantId, records) => {
+    const dated = records.filter(record => record.batch_id && record.date);
+    if (dated.length === 0) return () => null;
+
+    const batchIds = [...new Set(dated.map(record => (record.batch_id._id || record.batch_id).toString()))];
+    const batches = await Batch.find({ _id: { $in: batchIds } }).select('tenant_id timezone schedule_exceptions');
+
+    const times = dated.map(record => new Date(record.date).getTime());
+    // One day of slack either side covers every timezone
+    const fromDay = moment.utc(Math.min(...times)).subtract(1, 'day').format(DAY_FORMAT);
+    const toDay = moment.utc(Math.max(...times)).add(1, 'day').format(DAY_FORMAT);
+
+    const calendars = new Map();
+    for (const batch of batches) {
+        if (tenantId && batch.tenant_id.toString() !== tenantId.toString()) continue;
+        calendars.set(batch._id.toString(), {
+            timezone: await getBatchTimezone(batch),
+            days: await getBatchHolidayDays(batch, { fromDay, toDay })
+        });
+    }
+
+    return (record) => {
+        if (!record.batch_id || !record.date) return null;
+        const calendar = calendars.get((record.batch_id._id || record.batch_id).toString());
+        if (!calendar || calendar.days.size === 0) return null;
+
+        const day = moment.tz(record.date, calendar.timezone).format(DAY_FORMAT);
+        return calendar.days.has(day) ? (calendar.days.get(day) || 'Holiday') : null;
+    };
+};
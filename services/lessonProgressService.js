@@ -0,0 +1,294 @@
+import Batch from '../models/Batch_table.js';
+import BatchStudent from '../models/Batch_Students.js';
+import Lesson from '../models/Lesson.model.js';
+import LessonProgress from '../models/LessonProgress.js';
+import Login from '../models/login.model.js';
+import Module from '../models/Module.js';
+
+export const COMPLETION_RULES = ['view', 'watch_percent', 'quiz_passed', 'assignment_graded', 'scorm_completed'];
+
+const DEFAULT_RULES = {
+    video: 'watch_percent',
+    quiz: 'quiz_passed',
+    assignment: 'assignment_graded',
+    scorm: 'scorm_completed'
+};
+
+// Rules each lesson type can be completed by; a rule needs the content it checks
+const RULES_BY_TYPE = {
+    video: ['view', 'watch_percent'],
+    quiz: ['view', 'quiz_passed'],
+    assignment: ['view', 'assignment_graded'],
+    scorm: ['view', 'scorm_completed']
+};
+
+// A single heartbeat never adds more than this, so a tab left open doesn't inflate time spent
+const MAX_HEARTBEAT_SECONDS = 300;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// The rule that completes a lesson, given its lesson type name
+export const getCompletionRule = (lesson, lessonType) => ({
+    rule: lesson.completion_rule || DEFAULT_RULES[lessonType] || 'view',
+    min_watch_percent: lesson.min_watch_percent ?? 90
+});
+
+/**
+ * completion_rule and min_watch_percent from a lesson create/edit body.
+ * @returns {Object} - { settings, error } where settings only holds the fields that were sent
+ */
+export const parseCompletionSettings = (body, lessonType) => {
+    const settings = {};
+
+    if (body.completion_rule !== undefined) {
+        const rule = body.completion_rule || null;
+        const allowed = RULES_BY_TYPE[lessonType] || ['view'];
+        if (rule && !allowed.includes(rule)) {
+            return { settings: null, error: `completion_rule for ${lessonType} lessons must be one of: ${allowed.join(', ')}` };
+        }
+        settings.completion_rule = rule;
+    }
+    if (body.min_watch_percent !== undefined && body.min_watch_percent !== '') {
+        const percent = Number(body.min_watch_percent);
+        if (!Number.isFinite(percent) || percent < 1 || percent > 100) {
+            return { settings: null, error: 'min_watch_percent must be between 1 and 100' };
+        }
+        settings.min_watch_percent = percent;
+    }
+
+    return { settings, error: null };
+};
+
+// Lessons of a course's modules that count towards its progress
+export const getCourseLessonIds = async (courseId) => {
+    const moduleIds = await Module.find({ course_id: courseId, is_deleted: { $ne: true } }).distinct('_id');
+    return Lesson.find({ module_id: { $in: moduleIds }, is_deleted: { $ne: true } }).distinct('_id');
+};
+
+/**
+ * A student's progress through a course: completed lessons over the course's current lessons.
+ * @returns {Promise<Object>} - { total_lessons, completed_lessons, progress, lessons }
+ */
+export const getCourseProgress = async (studentId, courseId) => {
+    const lessonIds = await getCourseLessonIds(courseId);
+    const records = await LessonProgress.find({ student_id: studentId, lesson_id: { $in: lessonIds } });
+    const completed = records.filter(record => record.status === 'completed').length;
+
+    return {
+        total_lessons: lessonIds.length,
+        completed_lessons: completed,
+        progress: lessonIds.length > 0 ? round((completed / lessonIds.length) * 100) : 0,
+        lessons: records
+    };
+};
+
+/**
+ * Recompute a student's (Login id) progress in a course and store it on their enrolments in the course's batches.
+ * @returns {Promise<number>} - The course progress percentage.
+ */
+export const refreshBatchProgress = async (studentId, courseId) => {
+    const { progress } = await getCourseProgress(studentId, courseId);
+    const batchIds = await Batch.find({ course_id: courseId }).distinct('_id');
+    if (batchIds.length > 0) {
+        await BatchStudent.updateMany({ batch_id: { $in: batchIds }, student_id: studentId }, { progress });
+    }
+    return progress;
+};
+
+/**
+ * Recompute the stored progress of every student in a batch, e.g. after lessons were added or removed.
+ * @returns {Promise<Map>} - Course progress by student Login id.
+ */
+export const refreshBatchStudentsProgress = async (batch) => {
+    const lessonIds = await getCourseLessonIds(batch.course_id);
+    const enrollments = await BatchStudent.find({ batch_id: batch._id });
+    const completed = await LessonProgress.aggregate([
+        {
+            $match: {
+                student_id: { $in: enrollments.map(enrollment => enrollment.student_id) },
+                lesson_id: { $in: lessonIds },
+                status: 'completed'
+            }
+        },
+        { $group: { _id: '$student_id', count: { $sum: 1 } } }
+    ]);
+    const completedByStudent = new Map(completed.map(row => [row._id.toString(), row.count]));
+
+    const progressByStudent = new Map();
+    const updates = enrollments.map(enrollment => {
+        const count = completedByStudent.get(enrollment.student_id.toString()) || 0;
+        const progress = lessonIds.length > 0 ? round((count / lessonIds.length) * 100) : 0;
+        progressByStudent.set(enrollment.student_id.toString(), progress);
+        return { updateOne: { filter: { _id: enrollment._id }, update: { progress } } };
+    });
+    if (updates.length > 0) await BatchStudent.bulkWrite(updates);
+
+    return progressByStudent;
+};
+
+// Recompute stored progress in every batch of a course, after its lessons changed
+export const refreshCourseProgress = async (courseId) => {
+    const batches = await Batch.find({ course_id: courseId }).select('course_id');
+    for (const batch of batches) await refreshBatchStudentsProgress(batch);
+};
+
+// Recompute stored progress of the course a module belongs to
+export const refreshModuleCourseProgress = async (moduleId) => {
+    const module = await Module.findById(moduleId).select('course_id');
+    if (module) await refreshCourseProgress(module.course_id);
+};
+
+/**
+ * A student's progress through each lesson of a course, module by module, with each lesson's completion rule.
+ * @returns {Promise<Object>} - { total_lessons, completed_lessons, progress, modules }
+ */
+export const getCourseProgressOutline = async (studentId, courseId) => {
+    const modules = await Module.find({ course_id: courseId, is_deleted: { $ne: true } }).sort({ display_order: 1 });
+    const lessons = await Lesson.find({ module_id: { $in: modules.map(module => module._id) }, is_deleted: { $ne: true } })
+        .populate({ path: 'lesson_type_id', model: 'Lesson_Type', select: 'lesson_type' })
+        .sort({ display_order: 1 });
+    const records = await LessonProgress.find({ student_id: studentId, lesson_id: { $in: lessons.map(lesson => lesson._id) } });
+    const recordsByLesson = new Map(records.map(record => [record.lesson_id.toString(), record]));
+    const completed = records.filter(record => record.status === 'completed').length;
+
+    return {
+        total_lessons: lessons.length,
+        completed_lessons: completed,
+        progress: lessons.length > 0 ? round((completed / lessons.length) * 100) : 0,
+        modules: modules.map(module => ({
+            module_id: module._id,
+            module_title: module.module_title,
+            lessons: lessons
+                .filter(lesson => lesson.module_id.toString() === module._id.toString())
+                .map(lesson => {
+                    const record = recordsByLesson.get(lesson._id.toString());
+                    return {
+                        lesson_id: lesson._id,
+                        lesson_title: lesson.lesson_title,
+                        lesson_type: lesson.lesson_type_id?.lesson_type,
+                        completion: getCompletionRule(lesson, lesson.lesson_type_id?.lesson_type),
+                        status: record?.status || 'not_started',
+                        started_at: record?.started_at || null,
+                        completed_at: record?.completed_at || null,
+                        completed_by: record?.completed_by || null,
+                        video_position_seconds: record?.video_position_seconds || 0,
+                        watched_percent: record?.watched_percent || 0,
+                        time_spent_seconds: record?.time_spent_seconds || 0,
+                        last_viewed_at: record?.last_viewed_at || null
+                    };
+                })
+        }))
+    };
+};
+
+// Course and module of a lesson, for progress records
+const getLessonPlacement = async (lesson) => {
+    const module = await Module.findById(lesson.module_id).select('course_id');
+    return module ? { module_id: module._id, course_id: module.course_id } : null;
+};
+
+// Mark a lesson completed for a student (Login id); completion is kept once reached
+const completeLesson = async (studentId, lesson, completedBy, now = new Date()) => {
+    const existing = await LessonProgress.findOne({ lesson_id: lesson._id, student_id: studentId, status: 'completed' });
+    if (existing) return existing;
+
+    const placement = await getLessonPlacement(lesson);
+    if (!placement) return null;
+
+    const progress = await LessonProgress.findOneAndUpdate(
+        { lesson_id: lesson._id, student_id: studentId },
+        {
+            $setOnInsert: { ...placement, started_at: now, last_viewed_at: now },
+            $set: { status: 'completed', completed_at: now, completed_by: completedBy }
+        },
+        { upsert: true, new: true }
+    );
+    await refreshBatchProgress(studentId, placement.course_id);
+    return progress;
+};
+
+/**
+ * Record a student opening or watching a lesson. Activity: { position_seconds, duration_seconds, seconds_spent }.
+ * The lesson is completed when its rule is met: any activity for "view", enough of the video for "watch_percent";
+ * quiz, assignment and SCORM rules are completed by passing the quiz, having the assignment graded or the
+ * package reporting itself completed.
+ * @returns {Promise<Object>} - { progress, completed_now, error }
+ */
+export const recordLessonActivity = async (studentId, lesson, lessonType, activity = {}, now = new Date()) => {
+    const placement = await getLessonPlacement(lesson);
+    if (!placement) return { progress: null, completed_now: false, error: 'Module not found' };
+
+    const progress = await LessonProgress.findOne({ lesson_id: lesson._id, student_id: studentId })
+        || new LessonProgress({ lesson_id: lesson._id, student_id: studentId, ...placement, started_at: now });
+
+    const position = Number(activity.position_seconds);
+    const duration = Number(activity.duration_seconds) || progress.video_duration_seconds || lesson.lesson_duration * 60 || 0;
+    const spent = Number(activity.seconds_spent);
+
+    if (Number.isFinite(position) && position >= 0) {
+        progress.video_position_seconds = position;
+        if (duration > 0) {
+            progress.video_duration_seconds = duration;
+            progress.watched_percent = Math.max(progress.watched_percent, round(Math.min(position / duration, 1) * 100));
+        }
+    }
+    if (Number.isFinite(spent) && spent > 0) {
+        progress.time_spent_seconds += Math.min(spent, MAX_HEARTBEAT_SECONDS);
+    }
+    progress.last_viewed_at = now;
+
+    const { rule, min_watch_percent } = getCompletionRule(lesson, lessonType);
+    const ruleMet = rule === 'view' || (rule === 'watch_percent' && progress.watched_percent >= min_watch_percent);
+    const completedNow = progress.status !== 'completed' && ruleMet;
+    if (completedNow) {
+        progress.status = 'completed';
+        progress.completed_at = now;
+        progress.completed_by = rule;
+    }
+    await progress.save();
+
+    if (completedNow) await refreshBatchProgress(studentId, placement.course_id);
+    return { progress, completed_now: completedNow, error: null };
+};
+
+// Lessons of the given filter completed by the given rule (explicitly or by their type's default)
+const findLessonsWithRule = async (filter, rule) => {
+    const lessons = await Lesson.find(filter).populate({ path: 'lesson_type_id', model: 'Lesson_Type', select: 'lesson_type' });
+    return lessons.filter(lesson => getCompletionRule(lesson, lesson.lesson_type_id?.lesson_type).rule === rule);
+};
+
+/**
+ * Complete the quiz lessons of a passed quiz result. Quiz results carry the student's User id.
+ */
+export const completeQuizLessons = async (result) => {
+    if (!result?.passed) return;
+
+    const lessons = await findLessonsWithRule({ quiz_id: result.quiz_id }, 'quiz_passed');
+    if (lessons.length === 0) return;
+
+    const logins = await Login.find({ user_id: result.student_id }).select('_id');
+    for (const login of logins) {
+        for (const lesson of lessons) await completeLesson(login._id, lesson, 'quiz_passed');
+    }
+};
+
+// Complete an assignment lesson once its submission is graded
+export const completeAssignmentLesson = async (submission) => {
+    const lessons = await findLessonsWithRule({ _id: submission.lesson_id }, 'assignment_graded');
+    for (const lesson of lessons) await completeLesson(submission.student_id, lesson, 'assignment_graded');
+};
+
+// Complete a SCORM lesson once its package reports completed or passed
+export const completeScormLesson = async (studentId, lesson) => {
+    const lessons = await findLessonsWithRule({ _id: lesson._id }, 'scorm_completed');
+    for (const match of lessons) await completeLesson(studentId, match, 'scorm_completed');
+};
+
+// Progress hooks must never fail the request that triggered them
+export const safelyUpdateProgress = async (label, update) => {
+    try {
+        await update();
+    } catch (error) {
+        console.error(`Error updating lesson progress after ${label}:`, error);
+    }
+};
@@ -0,0 +1,221 @@
+import QuizAttempt from '../models/QuizAttempt.js';
+import QuizOptions from '../models/QuizOptions.js';
+import QuizQuestion from '../models/QuizQuestion.js';
+import QuizResult from '../models/QuizResult.js';
+
+// Share of results in each of the top and bottom groups for the discrimination index (Kelley's 27%)
+const GROUP_SHARE = 0.27;
+const MIN_GROUP_SIZE = 2;
+const TOP_WRONG_ANSWERS = 5;
+
+const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Question text, type, score and options of every question served by the quiz, from its own questions and attempt snapshots
+const loadQuestionCatalog = async (quizId, attemptIds) => {
+    const catalog = new Map();
+
+    const questions = await QuizQuestion.find({ quiz_id: quizId });
+    const options = await QuizOptions.find({ question_id: { $in: questions.map(question => question._id) } });
+    questions.forEach(question => {
+        catalog.set(question._id.toString(), {
+            question_id: question._id,
+            question_text: question.question_text,
+            question_type: question.question_type,
+            score: question.score,
+            options: options
+                .filter(option => option.question_id.toString() === question._id.toString())
+                .map(option => ({ option_id: option._id, option_text: option.option_text, is_correct: option.is_correct }))
+        });
+    });
+
+    // Bank questions only exist in the attempts that drew them
+    const attempts = await QuizAttempt.find({ _id: { $in: attemptIds } }).select('questions');
+    attempts.forEach(attempt => attempt.questions.forEach(question => {
+        const key = question.question_id.toString();
+        if (catalog.has(key)) return;
+        catalog.set(key, {
+            question_id: question.question_id,
+            question_text: question.question_text,
+            question_type: question.question_type,
+            score: question.score,
+            options: question.options.map(option => ({ option_id: option.option_id, option_text: option.option_text, is_correct: option.is_correct }))
+        });
+    }));
+
+    return catalog;
+};
+
+// Upper and lower scoring groups of results, or null when there are too few results to compare
+export const splitScoreGroups = (results) => {
+    const size = Math.floor(results.length * GROUP_SHARE);
+    if (size < MIN_GROUP_SIZE) return null;
+
+    const sorted = [...results].sort((a, b) => b.percentage - a.percentage);
+    return {
+        upper: new Set(sorted.slice(0, size).map(result => result._id.toString())),
+        lower: new Set(sorted.slice(-size).map(result => result._id.toString()))
+    };
+};
+
+/**
+ * Item statistics of one question over the results that were served it.
+ * Correct rate is the average share of the question's points earned, so partial credit counts proportionally.
+ */
+export const analyzeQuestion = (question, entries, groups) => {
+    const credit = ({ answer }) => (question.score > 0 ? Math.min(answer.points_earned / question.score, 1) : 0);
+    const stats = {
+        question_id: question.question_id,
+        question_text: question.question_text,
+        question_type: question.question_type,
+        score: question.score,
+        times_answered: entries.length,
+        correct_count: entries.filter(({ answer }) => answer.is_correct).length,
+        correct_rate: entries.length > 0 ? round(average(entries.map(credit)) * 100) : null,
+        average_points: round(average(entries.map(({ answer }) => answer.points_earned || 0))),
+        discrimination_index: null,
+        options: [],
+        common_wrong_answers: []
+    };
+
+    if (groups) {
+        const upper = entries.filter(({ result }) => groups.upper.has(result._id.toString()));
+        const lower = entries.filter(({ result }) => groups.lower.has(result._id.toString()));
+        if (upper.length > 0 && lower.length > 0) {
+            stats.discrimination_index = round(average(upper.map(credit)) - average(lower.map(credit)));
+        }
+    }
+
+    // How often each option was picked; wrong options picked often are the distractors worth reviewing
+    if (question.options.length > 0 && ['mcq', 'true_false', 'multi_select'].includes(question.question_type)) {
+        const counts = new Map(question.options.map(option => [option.option_id.toString(), 0]));
+        entries.forEach(({ answer }) => {
+            const picked = answer.selected_option_ids?.length > 0 ? answer.selected_option_ids : [answer.selected_option_id];
+            picked.filter(Boolean).forEach(id => {
+                if (counts.has(id.toString())) counts.set(id.toString(), counts.get(id.toString()) + 1);
+            });
+        });
+        stats.options = question.options.map(option => {
+            const count = counts.get(option.option_id.toString());
+            return {
+                option_id: option.option_id,
+                option_text: option.option_text,
+                is_correct: option.is_correct,
+                times_chosen: count,
+                chosen_rate: entries.length > 0 ? round((count / entries.length) * 100) : null
+            };
+        });
+    }
+
+    // Typed answers: the most frequent wrong ones
+    if (['fill_blank', 'numeric'].includes(question.question_type)) {
+        const wrong = new Map();
+        entries.filter(({ answer }) => !answer.is_correct).forEach(({ answer }) => {
+            const value = question.question_type === 'numeric' ? answer.numeric_answer : answer.text_answer?.trim().toLowerCase();
+            if (value === undefined || value === null || value === '') return;
+            wrong.set(String(value), (wrong.get(String(value)) || 0) + 1);
+        });
+        stats.common_wrong_answers = [...wrong]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_WRONG_ANSWERS)
+            .map(([answer, count]) => ({ answer, count }));
+    }
+
+    return stats;
+};
+
+// For each student, the attempt on which they first passed
+export const getAttemptsToPass = (results) => {
+    const byStudent = new Map();
+    results.forEach(result => {
+        const key = result.student_id.toString();
+        if (!byStudent.has(key)) byStudent.set(key, []);
+        byStudent.get(key).push(result);
+    });
+
+    const distribution = {};
+    let neverPassed = 0;
+    byStudent.forEach(studentResults => {
+        const firstPass = studentResults
+            .filter(result => result.passed)
+            .sort((a, b) => a.attempt_number - b.attempt_number)[0];
+        if (!firstPass) {
+            neverPassed++;
+            return;
+        }
+        distribution[firstPass.attempt_number] = (distribution[firstPass.attempt_number] || 0) + 1;
+    });
+
+    const passedStudents = byStudent.size - neverPassed;
+    return {
+        students: byStudent.size,
+        passed_students: passedStudents,
+        never_passed: neverPassed,
+        distribution: Object.entries(distribution)
+            .map(([attempt, students]) => ({ attempt_number: Number(attempt), students }))
+            .sort((a, b) => a.attempt_number - b.attempt_number),
+        average_attempts_to_pass: passedStudents > 0
+            ? round(Object.entries(distribution).reduce((sum, [attempt, students]) => sum + attempt * students, 0) / passedStudents)
+            : null
+    };
+};
+
+/**
+ * Analytics of a quiz over its results, optionally limited to some students (User ids).
+ * Results still waiting for manual review are left out, since their scores are not final.
+ */
+export const getQuizAnalytics = async (quiz, { studentIds = null, firstAttemptOnly = false } = {}) => {
+    const filter = { quiz_id: quiz._id, grading_status: { $ne: 'pending_review' } };
+    if (studentIds) filter.student_id = { $in: studentIds };
+    if (firstAttemptOnly) filter.attempt_number = 1;
+
+    const results = await QuizResult.find(filter).select('-answers.feedback');
+    const pendingReview = await QuizResult.countDocuments({ ...filter, grading_status: 'pending_review' });
+    const catalog = await loadQuestionCatalog(quiz._id, results.map(result => result.attempt_id).filter(Boolean));
+    const groups = splitScoreGroups(results);
+
+    const entriesByQuestion = new Map();
+    results.forEach(result => result.answers.forEach(answer => {
+        const key = answer.question_id.toString();
+        if (!entriesByQuestion.has(key)) entriesByQuestion.set(key, []);
+        entriesByQuestion.get(key).push({ result, answer });
+    }));
+
+    const questions = [...entriesByQuestion]
+        .filter(([key]) => catalog.has(key))
+        .map(([key, entries]) => analyzeQuestion(catalog.get(key), entries, groups))
+        .sort((a, b) => (a.correct_rate ?? 101) - (b.correct_rate ?? 101));
+
+    const times = results.map(result => result.time_taken_minutes).filter(time => typeof time === 'number');
+    const passedTimes = results.filter(result => result.passed).map(result => result.time_taken_minutes);
+    const failedTimes = results.filter(result => !result.passed).map(result => result.time_taken_minutes);
+
+    return {
+        quiz_id: quiz._id,
+        title: quiz.title,
+        pass_percentage: quiz.pass_percentage,
+        results_analyzed: results.length,
+        results_pending_review: pendingReview,
+        average_percentage: round(average(results.map(result => result.percentage))),
+        pass_rate: results.length > 0 ? round((results.filter(result => result.passed).length / results.length) * 100) : null,
+        time: {
+            limit_minutes: quiz.time_limit_minutes,
+            average_minutes: round(average(times)),
+            median_minutes: round(median(times)),
+            average_minutes_passed: round(average(passedTimes)),
+            average_minutes_failed: round(average(failedTimes)),
+            auto_submitted: results.filter(result => result.auto_submitted).length
+        },
+        attempts_to_pass: getAttemptsToPass(results),
+        discrimination_groups: groups ? { group_size: groups.upper.size, share: GROUP_SHARE } : null,
+        questions
+    };
+};
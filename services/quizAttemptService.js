@@ -0,0 +1,344 @@
+import mongoose from 'mongoose';
+import BankQuestion from '../models/BankQuestion.js';
+import Course from '../models/Course.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import QuizOptions from '../models/QuizOptions.js';
+import Quiz from '../models/QuizTable.js';
+import QuizQuestion from '../models/QuizQuestion.js';
+import QuizResult from '../models/QuizResult.js';
+import { issueCertificatesForQuizResult } from './certificateService.js';
+import { completeQuizLessons, safelyUpdateProgress } from './lessonProgressService.js';
+import { getAnswerFields, getQuestionType, gradeQuestionSet } from './quizGradingService.js';
+
+// Allowance for network latency on submissions and autosaves right at the deadline
+const SUBMIT_GRACE_SECONDS = parseInt(process.env.QUIZ_SUBMIT_GRACE_SECONDS, 10) || 30;
+
+// Fisher-Yates shuffle into a new array
+export const shuffle = (items) => {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+};
+
+// Tenant owning a quiz, through its course
+export const getQuizTenantId = async (quiz) => {
+    const course = await Course.findById(quiz.course_id).select('tenant_id');
+    return course ? course.tenant_id : null;
+};
+
+// Bank filter for one random rule
+export const buildRuleFilter = (tenantId, rule) => {
+    const filter = { tenant_id: new mongoose.Types.ObjectId(tenantId.toString()), is_active: true };
+    if (rule.tags && rule.tags.length > 0) filter.tags = { $in: rule.tags };
+    if (rule.topic) filter.topic = rule.topic;
+    if (rule.difficulty) filter.difficulty = rule.difficulty;
+    return filter;
+};
+
+/**
+ * Check that the bank can satisfy every rule of a random quiz.
+ * @returns {Promise<string|null>} - A message describing the first rule that can't be met, or null.
+ */
+export const checkRuleAvailability = async (tenantId, rules) => {
+    for (const rule of rules) {
+        const available = await BankQuestion.countDocuments(buildRuleFilter(tenantId, rule));
+        if (available < rule.count) {
+            const tags = rule.tags && rule.tags.length > 0 ? rule.tags.join(', ') : 'any tag';
+            return `Only ${available} bank question(s) match ${tags}${rule.topic ? ` / ${rule.topic}` : ''}${rule.difficulty ? ` / ${rule.difficulty}` : ''}, ${rule.count} requested`;
+        }
+    }
+    return null;
+};
+
+// Option fields kept in the served snapshot
+const toServedOption = (option) => ({
+    option_id: option._id,
+    option_text: option.option_text,
+    is_correct: option.is_correct,
+    match_text: option.match_text ?? null,
+    order: option.order ?? null
+});
+
+// The quiz's own questions, in the served snapshot shape
+export const getFixedQuestions = async (quizId) => {
+    const questions = await QuizQuestion.find({ quiz_id: quizId }).sort({ created_at: 1 });
+    const options = await QuizOptions.find({ question_id: { $in: questions.map(question => question._id) } });
+
+    return questions.map(question => ({
+        question_id: question._id,
+        source: 'quiz',
+        question_text: question.question_text,
+        question_type: question.question_type,
+        score: question.score,
+        numeric_answer: question.numeric_answer ?? null,
+        tolerance: question.tolerance || 0,
+        options: options
+            .filter(option => option.question_id.toString() === question._id.toString())
+            .map(toServedOption)
+    }));
+};
+
+// Random bank questions for each rule; a question is never drawn twice in one attempt
+const drawBankQuestions = async (quiz, tenantId) => {
+    const picked = [];
+    const pickedIds = [];
+
+    for (const rule of quiz.random_rules) {
+        const drawn = await BankQuestion.aggregate([
+            { $match: { ...buildRuleFilter(tenantId, rule), _id: { $nin: pickedIds } } },
+            { $sample: { size: rule.count } }
+        ]);
+        if (drawn.length < rule.count) return { questions: null, error: 'Not enough questions in the question bank for this quiz' };
+
+        drawn.forEach(question => {
+            pickedIds.push(question._id);
+            picked.push({
+                question_id: question._id,
+                source: 'bank',
+                question_text: question.question_text,
+                question_type: question.question_type,
+                score: question.score,
+                numeric_answer: question.numeric_answer ?? null,
+                tolerance: question.tolerance || 0,
+                options: (question.options || []).map(toServedOption)
+            });
+        });
+    }
+
+    return { questions: picked, error: null };
+};
+
+/**
+ * Question set for a new attempt, with the quiz's shuffling applied.
+ * @returns {Promise<Object>} - { questions, error }
+ */
+export const buildAttemptQuestions = async (quiz) => {
+    let questions;
+    if (quiz.selection_mode === 'random') {
+        const tenantId = await getQuizTenantId(quiz);
+        if (!tenantId) return { questions: null, error: 'Quiz course not found' };
+
+        const drawn = await drawBankQuestions(quiz, tenantId);
+        if (drawn.error) return drawn;
+        questions = drawn.questions;
+    } else {
+        questions = await getFixedQuestions(quiz._id);
+    }
+
+    if (questions.length === 0) return { questions: null, error: 'This quiz has no questions' };
+
+    if (quiz.shuffle_questions) questions = shuffle(questions);
+    // Ordering items are always shuffled, or their authored order would give the answer away
+    questions = questions.map(question =>
+        quiz.shuffle_options || question.question_type === 'ordering' ? { ...question, options: shuffle(question.options) } : question
+    );
+
+    return { questions, error: null };
+};
+
+// Served questions without the answer key, for the student; matching questions list the answers to pair alphabetically
+export const toStudentQuestions = (questions) => questions.map(question => {
+    const definition = getQuestionType(question.question_type);
+    const view = {
+        question_id: question.question_id,
+        question_text: question.question_text,
+        question_type: question.question_type,
+        score: question.score,
+        options: definition && definition.showOptions
+            ? question.options.map(option => ({ option_id: option.option_id, option_text: option.option_text }))
+            : []
+    };
+    if (question.question_type === 'matching') {
+        view.match_choices = [...new Set(question.options.map(option => option.match_text))].sort((a, b) => a.localeCompare(b));
+    }
+    return view;
+});
+
+// Attempts a student has used on a quiz: started attempts plus results graded before attempts existed
+export const countStartedAttempts = async (quizId, studentId) => {
+    const [attempts, legacyResults] = await Promise.all([
+        QuizAttempt.countDocuments({ quiz_id: quizId, student_id: studentId }),
+        QuizResult.countDocuments({ quiz_id: quizId, student_id: studentId, attempt_id: null })
+    ]);
+    return attempts + legacyResults;
+};
+
+// Past the deadline and its grace period
+export const isAttemptExpired = (attempt, now = new Date()) =>
+    !!attempt.deadline_at && now.getTime() > attempt.deadline_at.getTime() + SUBMIT_GRACE_SECONDS * 1000;
+
+export const getRemainingSeconds = (attempt, now = new Date()) =>
+    attempt.deadline_at ? Math.max(0, Math.floor((attempt.deadline_at.getTime() - now.getTime()) / 1000)) : null;
+
+/**
+ * Merge answers into the attempt's saved answers, keeping only questions that were served to it.
+ * @returns {Array} - The full answer sheet after the merge.
+ */
+export const mergeAnswers = (attempt, answers = []) => {
+    const servedIds = new Set(attempt.questions.map(question => question.question_id.toString()));
+    const sheet = new Map((attempt.answers || []).map(answer => [answer.question_id.toString(), answer]));
+
+    answers.forEach(answer => {
+        if (!answer || !answer.question_id || !servedIds.has(answer.question_id.toString())) return;
+        const saved = { question_id: answer.question_id.toString() };
+        getAnswerFields().forEach(field => {
+            if (answer[field] !== undefined) saved[field] = answer[field];
+        });
+        sheet.set(saved.question_id, saved);
+    });
+
+    return [...sheet.values()];
+};
+
+/**
+ * Grade an open attempt and record its QuizResult. Timed-out attempts are graded from their saved answers only.
+ * Returns { result: null } when the attempt was already submitted elsewhere (e.g. by the expiry sweep).
+ */
+export const finalizeAttempt = async (attempt, { quiz, answers = [], auto = false, now = new Date() } = {}) => {
+    const sheet = auto ? attempt.answers : mergeAnswers(attempt, answers);
+    quiz = quiz || await Quiz.findById(attempt.quiz_id);
+
+    // The attempt is only submitted together with its result, so a failed result leaves it open to submit again
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let claimed;
+    let result;
+    try {
+        // Claim the attempt first so a sweep and a submission can't both grade it
+        claimed = await QuizAttempt.findOneAndUpdate(
+            { _id: attempt._id, status: 'in_progress' },
+            { status: 'submitted', submitted_at: now, auto_submitted: auto, answers: sheet },
+            { new: true, session }
+        );
+        if (!claimed) {
+            await session.abortTransaction();
+            return { attempt, result: null };
+        }
+
+        const graded = gradeQuestionSet(claimed.questions, sheet);
+        const percentage = graded.max_score > 0 ? (graded.total_score / graded.max_score) * 100 : 0;
+        const completedAt = claimed.deadline_at && claimed.deadline_at < now ? claimed.deadline_at : now;
+
+        [result] = await QuizResult.create([{
+            quiz_id: claimed.quiz_id,
+            student_id: claimed.student_id,
+            course_id: quiz.course_id,
+            module_id: quiz.module_id,
+            attempt_id: claimed._id,
+            answers: graded.answers,
+            total_score: graded.total_score,
+            max_score: graded.max_score,
+            percentage: Math.round(percentage * 100) / 100,
+            // Not passed until manually graded answers are scored
+            passed: graded.pending_review === 0 && percentage >= quiz.pass_percentage,
+            attempt_number: claimed.attempt_number,
+            time_taken_minutes: Math.round((completedAt - claimed.started_at) / 60000),
+            started_at: claimed.started_at,
+            completed_at: completedAt,
+            auto_submitted: auto,
+            grading_status: graded.pending_review > 0 ? 'pending_review' : 'auto'
+        }], { session });
+
+        claimed.result_id = result._id;
+        await claimed.save({ session });
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+
+    await safelyUpdateProgress('quiz submission', () => completeQuizLessons(result));
+    await issueCertificatesForQuizResult(result);
+    return { attempt: claimed, result };
+};
+
+/**
+ * The student's open attempt of a quiz, or a new one with a freshly drawn question set.
+ * Reopening the quiz serves the same questions in the same order; an open attempt whose time ran out
+ * is auto-submitted first. Every started attempt counts towards attempts_allowed.
+ * @returns {Promise<Object>} - { attempt, resumed, expired, error }
+ */
+export const startOrResumeAttempt = async (quiz, studentId, now = new Date()) => {
+    let expired = null;
+    const open = await QuizAttempt.findOne({ quiz_id: quiz._id, student_id: studentId, status: 'in_progress' });
+    if (open) {
+        if (!isAttemptExpired(open, now)) return { attempt: open, resumed: true, expired, error: null };
+        ({ result: expired } = await finalizeAttempt(open, { quiz, auto: true, now }));
+    }
+
+    const started = await countStartedAttempts(quiz._id, studentId);
+    if (started >= quiz.attempts_allowed) {
+        return { attempt: null, resumed: false, expired, error: `Maximum attempts (${quiz.attempts_allowed}) exceeded` };
+    }
+
+    const { questions, error } = await buildAttemptQuestions(quiz);
+    if (error) return { attempt: null, resumed: false, expired, error };
+
+    try {
+        const attempt = await QuizAttempt.create({
+            quiz_id: quiz._id,
+            student_id: studentId,
+            questions,
+            attempt_number: started + 1,
+            started_at: now,
+            deadline_at: quiz.time_limit_minutes ? new Date(now.getTime() + quiz.time_limit_minutes * 60000) : null
+        });
+        return { attempt, resumed: false, expired, error: null };
+    } catch (error) {
+        // Another request opened an attempt at the same time; serve that one
+        if (error.code !== 11000) throw error;
+        const attempt = await QuizAttempt.findOne({ quiz_id: quiz._id, student_id: studentId, status: 'in_progress' });
+        if (!attempt) throw error;
+        return { attempt, resumed: true, expired, error: null };
+    }
+};
+
+// Auto-submit open attempts whose time ran out and that nobody submitted
+export const submitExpiredAttempts = async ({ now = new Date() } = {}) => {
+    const cutoff = new Date(now.getTime() - SUBMIT_GRACE_SECONDS * 1000);
+    const attempts = await QuizAttempt.find({ status: 'in_progress', deadline_at: { $ne: null, $lt: cutoff } });
+
+    const quizzes = new Map();
+    let submitted = 0;
+    for (const attempt of attempts) {
+        try {
+            const key = attempt.quiz_id.toString();
+            if (!quizzes.has(key)) quizzes.set(key, await Quiz.findById(attempt.quiz_id));
+            const quiz = quizzes.get(key);
+            if (!quiz) continue;
+
+            const { result } = await finalizeAttempt(attempt, { quiz, auto: true, now });
+            if (result) submitted++;
+        } catch (error) {
+            console.error(`Failed to auto-submit quiz attempt ${attempt._id}:`, error);
+        }
+    }
+    return { checked: attempts.length, submitted };
+};
+
+export const startQuizAttemptScheduler = () => {
+    const intervalMinutes = parseFloat(process.env.QUIZ_ATTEMPT_SWEEP_MINUTES) || 5;
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const totals = await submitExpiredAttempts();
+            if (totals.submitted > 0) console.log('Expired quiz attempts auto-submitted:', totals);
+        } catch (error) {
+            console.error('Quiz attempt sweep failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(run, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
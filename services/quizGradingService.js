@@ -0,0 +1,227 @@
+// Case-insensitive, with surrounding and repeated spaces ignored
+const normalizeText = (value) => (value ?? '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
+
+const getCorrectOptions = (question) => (question.options || []).filter(option => option.is_correct);
+
+const toIdSet = (ids) => new Set((Array.isArray(ids) ? ids : []).filter(Boolean).map(id => id.toString()));
+
+// Points for a fraction of the question, rounded to 2 decimals; only full marks count as correct
+const scoreFraction = (question, fraction) => {
+    const clamped = Math.min(Math.max(fraction, 0), 1);
+    return {
+        is_correct: clamped === 1,
+        points_earned: Math.round(question.score * clamped * 100) / 100
+    };
+};
+
+const hasOptionText = (options) => options.every(option => option && (option.option_text ?? '').toString().trim());
+
+// Single correct option picked (mcq, true_false)
+const gradeSingleChoice = (question, answer) => {
+    const correct = getCorrectOptions(question)[0];
+    const isCorrect = !!correct && answer.selected_option_id?.toString() === correct.option_id.toString();
+    return {
+        selected_option_id: answer.selected_option_id,
+        ...scoreFraction(question, isCorrect ? 1 : 0)
+    };
+};
+
+// Partial credit: each correct pick earns its share, each wrong pick takes one back
+const gradeMultiSelect = (question, answer) => {
+    const correctIds = toIdSet(getCorrectOptions(question).map(option => option.option_id));
+    const picked = toIdSet(answer.selected_option_ids);
+    const hits = [...picked].filter(id => correctIds.has(id)).length;
+    const misses = picked.size - hits;
+    return {
+        selected_option_ids: [...picked],
+        ...scoreFraction(question, correctIds.size > 0 ? (hits - misses) / correctIds.size : 0)
+    };
+};
+
+// Typed answer matching any accepted answer
+const gradeFillBlank = (question, answer) => {
+    const given = normalizeText(answer.text_answer);
+    const isCorrect = given !== '' && getCorrectOptions(question).some(option => normalizeText(option.option_text) === given);
+    return {
+        text_answer: answer.text_answer,
+        ...scoreFraction(question, isCorrect ? 1 : 0)
+    };
+};
+
+// Partial credit per correctly matched pair
+const gradeMatching = (question, answer) => {
+    const given = new Map(
+        (Array.isArray(answer.matches) ? answer.matches : [])
+            .filter(match => match && match.option_id)
+            .map(match => [match.option_id.toString(), match.match_text])
+    );
+    const options = question.options || [];
+    const matched = options.filter(option =>
+        given.has(option.option_id.toString()) && normalizeText(given.get(option.option_id.toString())) === normalizeText(option.match_text)
+    ).length;
+    return {
+        matches: [...given].map(([option_id, match_text]) => ({ option_id, match_text })),
+        ...scoreFraction(question, options.length > 0 ? matched / options.length : 0)
+    };
+};
+
+// Partial credit per option placed in its correct position
+const gradeOrdering = (question, answer) => {
+    const given = (Array.isArray(answer.ordered_option_ids) ? answer.ordered_option_ids : []).map(id => id?.toString());
+    const expected = [...(question.options || [])].sort((a, b) => a.order - b.order).map(option => option.option_id.toString());
+    const inPlace = expected.filter((id, index) => given[index] === id).length;
+    return {
+        ordered_option_ids: given,
+        ...scoreFraction(question, expected.length > 0 ? inPlace / expected.length : 0)
+    };
+};
+
+// Number within the question's tolerance of the expected answer
+const gradeNumeric = (question, answer) => {
+    const given = answer.numeric_answer === '' || answer.numeric_answer === null ? NaN : Number(answer.numeric_answer);
+    const isCorrect = Number.isFinite(given) && Math.abs(given - question.numeric_answer) <= (question.tolerance || 0) + 1e-9;
+    return {
+        numeric_answer: Number.isFinite(given) ? given : undefined,
+        ...scoreFraction(question, isCorrect ? 1 : 0)
+    };
+};
+
+// Left for an instructor to score (short_answer, essay)
+const gradeManually = (question, answer) => ({
+    text_answer: answer.text_answer,
+    is_correct: false,
+    points_earned: 0,
+    review_status: 'pending'
+});
+
+const validateSingleChoice = (count) => (question, options) => {
+    if (count ? options.length !== count : options.length < 2) {
+        return count ? `Exactly ${count} options are required` : 'At least two options are required';
+    }
+    if (!hasOptionText(options)) return 'Each option needs an option_text';
+    if (options.filter(option => option.is_correct).length !== 1) return 'Exactly one correct option must be provided';
+    return null;
+};
+
+const validateMultiSelect = (question, options) => {
+    if (options.length < 2) return 'At least two options are required';
+    if (!hasOptionText(options)) return 'Each option needs an option_text';
+    if (!options.some(option => option.is_correct)) return 'At least one correct option must be provided';
+    return null;
+};
+
+const validateFillBlank = (question, options) => {
+    if (!hasOptionText(options)) return 'Each accepted answer needs an option_text';
+    if (!options.some(option => option.is_correct)) return 'At least one accepted answer must be provided';
+    return null;
+};
+
+const validateMatching = (question, options) => {
+    if (options.length < 2) return 'At least two pairs are required';
+    if (!hasOptionText(options)) return 'Each pair needs an option_text';
+    if (options.some(option => !(option.match_text ?? '').toString().trim())) return 'Each pair needs a match_text';
+    return null;
+};
+
+const validateOrdering = (question, options) => {
+    if (options.length < 2) return 'At least two items are required';
+    if (!hasOptionText(options)) return 'Each item needs an option_text';
+    const orders = options.map(option => option.order);
+    if (orders.some(order => !Number.isInteger(order)) || new Set(orders).size !== orders.length) {
+        return 'Each item needs a distinct integer order';
+    }
+    return null;
+};
+
+const validateWithoutOptions = (label) => (question, options) => (options.length > 0 ? `${label} questions do not take options` : null);
+
+const validateNumeric = (question, options) => {
+    if (options.length > 0) return 'Numeric questions do not take options';
+    if (!Number.isFinite(question.numeric_answer)) return 'numeric_answer must be a number';
+    if (question.tolerance !== undefined && !(question.tolerance >= 0)) return 'tolerance must be zero or more';
+    return null;
+};
+
+/**
+ * Question type registry. Each type has:
+ *   grade(question, answer)     - graded answer fields plus is_correct and points_earned
+ *   validate(question, options) - error message for an invalid definition, or null
+ *   answerFields                - fields of a submitted answer the grader reads
+ *   showOptions                 - whether options are shown to the student (false when they are the answer key)
+ *   takesOptions                - whether the question has options at all
+ *   manual                      - answers wait for an instructor to score them
+ */
+const QUESTION_TYPES = new Map();
+
+export const registerQuestionType = (type, definition) => {
+    QUESTION_TYPES.set(type, { showOptions: true, takesOptions: true, manual: false, answerFields: [], ...definition });
+};
+
+export const getQuestionType = (type) => QUESTION_TYPES.get(type) || null;
+
+export const getQuestionTypeNames = () => [...QUESTION_TYPES.keys()];
+
+// Every answer field any registered type reads
+export const getAnswerFields = () => [...new Set([...QUESTION_TYPES.values()].flatMap(definition => definition.answerFields))];
+
+registerQuestionType('mcq', { grade: gradeSingleChoice, validate: validateSingleChoice(), answerFields: ['selected_option_id'] });
+registerQuestionType('true_false', { grade: gradeSingleChoice, validate: validateSingleChoice(2), answerFields: ['selected_option_id'] });
+registerQuestionType('multi_select', { grade: gradeMultiSelect, validate: validateMultiSelect, answerFields: ['selected_option_ids'] });
+registerQuestionType('fill_blank', { grade: gradeFillBlank, validate: validateFillBlank, answerFields: ['text_answer'], showOptions: false });
+registerQuestionType('matching', { grade: gradeMatching, validate: validateMatching, answerFields: ['matches'] });
+registerQuestionType('ordering', { grade: gradeOrdering, validate: validateOrdering, answerFields: ['ordered_option_ids'] });
+registerQuestionType('numeric', { grade: gradeNumeric, validate: validateNumeric, answerFields: ['numeric_answer'], showOptions: false, takesOptions: false });
+registerQuestionType('short_answer', {
+    grade: gradeManually,
+    validate: validateWithoutOptions('Short answer'),
+    answerFields: ['text_answer'],
+    showOptions: false,
+    takesOptions: false,
+    manual: true
+});
+registerQuestionType('essay', {
+    grade: gradeManually,
+    validate: validateWithoutOptions('Essay'),
+    answerFields: ['text_answer'],
+    showOptions: false,
+    takesOptions: false,
+    manual: true
+});
+
+/**
+ * Check a question definition ({ question_type, numeric_answer, tolerance }) and its options.
+ * @returns {string|null} - An error message, or null when the question is valid.
+ */
+export const validateQuestionDefinition = (question, options = []) => {
+    const definition = getQuestionType(question.question_type);
+    if (!definition) return `question_type must be one of: ${getQuestionTypeNames().join(', ')}`;
+    if (!Array.isArray(options)) return 'options must be a list';
+    return definition.validate(question, options);
+};
+
+/**
+ * Grade one answer against a served question ({ question_id, question_type, score, options, numeric_answer, tolerance }).
+ * A missing answer or an unknown question type earns nothing; a blank manually graded answer needs no review.
+ */
+export const gradeAnswer = (question, answer) => {
+    const definition = getQuestionType(question.question_type);
+    if (!answer || !definition || (definition.manual && !(answer.text_answer ?? '').toString().trim())) {
+        return { question_id: question.question_id, is_correct: false, points_earned: 0 };
+    }
+    return { question_id: question.question_id, ...definition.grade(question, answer) };
+};
+
+// Grade a full answer sheet against the questions that were served
+export const gradeQuestionSet = (questions, answers = []) => {
+    const answersById = new Map(
+        answers.filter(answer => answer && answer.question_id).map(answer => [answer.question_id.toString(), answer])
+    );
+
+    const graded = questions.map(question => gradeAnswer(question, answersById.get(question.question_id.toString())));
+    return {
+        answers: graded,
+        total_score: Math.round(graded.reduce((sum, answer) => sum + answer.points_earned, 0) * 100) / 100,
+        max_score: questions.reduce((sum, question) => sum + question.score, 0),
+        pending_review: graded.filter(answer => answer.review_status === 'pending').length
+    };
+};
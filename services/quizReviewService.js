@@ -0,0 +1,127 @@
+import Login from '../models/login.model.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import QuizResult from '../models/QuizResult.js';
+import Quiz from '../models/QuizTable.js';
+import User from '../models/user.model.js';
+import { issueCertificatesForQuizResult } from './certificateService.js';
+import { completeQuizLessons, safelyUpdateProgress } from './lessonProgressService.js';
+import sendMail from '../utils/senMail.js';
+
+// Served questions of the result's attempt, by question id
+export const getServedQuestions = async (result) => {
+    const attempt = result.attempt_id ? await QuizAttempt.findById(result.attempt_id).select('questions') : null;
+    return new Map((attempt ? attempt.questions : []).map(question => [question.question_id.toString(), question]));
+};
+
+/**
+ * Apply instructor scores and feedback ([{ question_id, points_earned, feedback }]) to a result.
+ * Only essay/short answers can be scored; feedback can be left on any answer.
+ * @returns {Promise<string|null>} - An error message, or null when every grade was applied.
+ */
+export const applyManualGrades = async (result, grades, { gradedBy, now = new Date() } = {}) => {
+    const served = await getServedQuestions(result);
+    const answers = new Map(result.answers.map(answer => [answer.question_id.toString(), answer]));
+
+    for (const grade of grades) {
+        const answer = grade && grade.question_id ? answers.get(grade.question_id.toString()) : null;
+        if (!answer) return `Answer for question ${grade?.question_id} not found in this result`;
+
+        if (grade.points_earned !== undefined) {
+            if (answer.review_status === 'none') return `Question ${grade.question_id} is graded automatically`;
+
+            const max = served.get(answer.question_id.toString())?.score;
+            const points = Number(grade.points_earned);
+            if (!Number.isFinite(points) || points < 0 || (max !== undefined && points > max)) {
+                return `points_earned for question ${grade.question_id} must be between 0 and ${max ?? 'the question score'}`;
+            }
+        }
+    }
+
+    grades.forEach(grade => {
+        const answer = answers.get(grade.question_id.toString());
+        if (grade.feedback !== undefined) answer.feedback = String(grade.feedback);
+        if (grade.points_earned !== undefined) {
+            const max = served.get(answer.question_id.toString())?.score;
+            answer.points_earned = Math.round(Number(grade.points_earned) * 100) / 100;
+            answer.is_correct = max !== undefined && answer.points_earned >= max;
+            answer.review_status = 'graded';
+        }
+        answer.graded_by = gradedBy;
+        answer.graded_at = now;
+    });
+    return null;
+};
+
+/**
+ * Recompute totals from the answers. `passed` and grading_status only become final once no answer is pending.
+ * @returns {boolean} - Whether this call completed the grading.
+ */
+export const recomputeResultTotals = (result, quiz, now = new Date()) => {
+    const pending = result.answers.filter(answer => answer.review_status === 'pending').length;
+    const wasPending = result.grading_status === 'pending_review';
+
+    result.total_score = Math.round(result.answers.reduce((sum, answer) => sum + (answer.points_earned || 0), 0) * 100) / 100;
+    result.percentage = result.max_score > 0 ? Math.round((result.total_score / result.max_score) * 10000) / 100 : 0;
+    result.passed = pending === 0 && result.percentage >= quiz.pass_percentage;
+
+    if (pending > 0) {
+        result.grading_status = 'pending_review';
+        return false;
+    }
+    if (result.answers.some(answer => answer.review_status === 'graded')) {
+        result.grading_status = 'graded';
+        if (wasPending) result.graded_at = now;
+    }
+    return wasPending;
+};
+
+// Email the student that their result is final
+export const notifyResultGraded = async (result, quiz) => {
+    const profile = await User.findById(result.student_id).select('fname lname email');
+    const login = profile ? null : await Login.findOne({ user_id: result.student_id }).select('email');
+    const email = profile?.email || login?.email;
+    if (!email) return false;
+
+    const feedbackCount = result.answers.filter(answer => answer.feedback).length;
+    await sendMail({
+        to: email,
+        subject: `Your "${quiz.title}" result has been graded`,
+        html: `<p>Hi ${profile ? profile.fname : 'there'},</p>
+<p>Your instructor has finished grading your attempt ${result.attempt_number} of <strong>${quiz.title}</strong>.</p>
+<p>Score: <strong>${result.total_score} / ${result.max_score}</strong> (${result.percentage}%) - ${result.passed ? 'passed' : 'not passed'}.</p>
+${feedbackCount > 0 ? `<p>Your instructor left feedback on ${feedbackCount} answer(s).</p>` : ''}`
+    });
+    return true;
+};
+
+/**
+ * Grade a result's answers, recompute its totals and notify the student once grading is complete.
+ * @returns {Promise<Object>} - { result, completed, error }
+ */
+export const gradeQuizResult = async (resultId, grades, { gradedBy, now = new Date() } = {}) => {
+    const result = await QuizResult.findById(resultId);
+    if (!result) return { result: null, completed: false, error: 'Quiz result not found' };
+
+    const quiz = await Quiz.findById(result.quiz_id);
+    if (!quiz) return { result: null, completed: false, error: 'Quiz not found' };
+
+    const error = await applyManualGrades(result, grades, { gradedBy, now });
+    if (error) return { result: null, completed: false, error };
+
+    const completed = recomputeResultTotals(result, quiz, now);
+    await result.save();
+
+    if (completed) {
+        await safelyUpdateProgress('quiz grading', () => completeQuizLessons(result));
+        await issueCertificatesForQuizResult(result);
+        try {
+            if (await notifyResultGraded(result, quiz)) {
+                result.student_notified_at = now;
+                await result.save();
+            }
+        } catch (notifyError) {
+            console.error('Error notifying student of graded quiz:', notifyError);
+        }
+    }
+    return { result, completed, error: null };
+};
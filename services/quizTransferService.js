@@ -0,0 +1,224 @@
+import mongoose from 'mongoose';
+import Quiz from '../models/QuizTable.js';
+import QuizOptions from '../models/QuizOptions.js';
+import QuizQuestion from '../models/QuizQuestion.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { parseGift, toGift } from '../utils/gift.js';
+import { buildQtiAssessment } from '../utils/qti.js';
+import { getFixedQuestions } from './quizAttemptService.js';
+import { validateQuestionDefinition } from './quizGradingService.js';
+
+export const IMPORT_FORMATS = ['gift', 'csv'];
+export const EXPORT_FORMATS = ['gift', 'csv', 'qti'];
+
+const CSV_COLUMNS = ['question_type', 'question_text', 'score', 'options', 'correct', 'numeric_answer', 'tolerance'];
+const MATCH_SEPARATOR = '=>';
+
+// Import format from an explicit value or the uploaded file's extension
+export const detectImportFormat = (format, filename = '') => {
+    if (format) return IMPORT_FORMATS.includes(String(format).toLowerCase()) ? String(format).toLowerCase() : null;
+    const extension = filename.toLowerCase().split('.').pop();
+    if (extension === 'csv') return 'csv';
+    if (extension === 'gift' || extension === 'txt') return 'gift';
+    return null;
+};
+
+// CSV list cells are "|"-separated; a literal pipe is written "\|"
+const splitList = (value) => (value.trim() === ''
+    ? []
+    : value.split(/(?<!\\)\|/).map(item => item.replace(/\\\|/g, '|').trim()));
+
+const joinList = (items) => items.map(item => String(item ?? '').replace(/\|/g, '\\|')).join('|');
+
+const toOptionalNumber = (value) => (value.trim() === '' ? undefined : Number(value));
+
+/**
+ * Options of one CSV row. "correct" lists 1-based option numbers or option texts.
+ * Matching options are "left=>right" pairs, ordering options are listed in the correct order
+ * and fill-in-the-blank options are the accepted answers.
+ */
+const parseCsvOptions = (type, optionsCell, correctCell) => {
+    const items = splitList(optionsCell);
+    const correct = splitList(correctCell).map(item => item.toLowerCase());
+    const isCorrect = (text, index) => correct.includes(String(index + 1)) || correct.includes(text.toLowerCase());
+
+    switch (type) {
+        case 'true_false': {
+            const answer = correct[0] === 'true' || correct[0] === 't' || correct[0] === '1';
+            return items.length > 0
+                ? items.map((text, index) => ({ option_text: text, is_correct: isCorrect(text, index) }))
+                : [{ option_text: 'True', is_correct: answer }, { option_text: 'False', is_correct: !answer }];
+        }
+        case 'fill_blank':
+            return items.map(text => ({ option_text: text, is_correct: true }));
+        case 'matching':
+            return items.map(item => {
+                const [left, ...right] = item.split(MATCH_SEPARATOR);
+                return { option_text: left.trim(), match_text: right.join(MATCH_SEPARATOR).trim(), is_correct: false };
+            });
+        case 'ordering':
+            return items.map((text, index) => ({ option_text: text, order: index + 1, is_correct: false }));
+        default:
+            return items.map((text, index) => ({ option_text: text, is_correct: isCorrect(text, index) }));
+    }
+};
+
+// Questions of a CSV file; the header row names the columns, in any order
+const parseQuizCsv = (content) => {
+    const [header, ...rows] = parseCsv(content);
+    if (!header) return { questions: [], errors: [{ line: 1, message: 'The file is empty' }] };
+
+    const columns = header.cells.map(cell => cell.trim().toLowerCase());
+    const missing = ['question_type', 'question_text'].filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        return { questions: [], errors: [{ line: header.line, message: `Missing column(s): ${missing.join(', ')}` }] };
+    }
+
+    const questions = rows.map(({ line, cells }) => {
+        const row = Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']));
+        const type = row.question_type.trim().toLowerCase();
+        return {
+            line,
+            question_type: type,
+            question_text: row.question_text.trim(),
+            score: row.score?.trim() ? Number(row.score) : 1,
+            options: parseCsvOptions(type, row.options || '', row.correct || ''),
+            numeric_answer: toOptionalNumber(row.numeric_answer || ''),
+            tolerance: toOptionalNumber(row.tolerance || '')
+        };
+    });
+    return { questions, errors: [] };
+};
+
+/**
+ * Parse and validate an import file. Every question is checked the same way as one added through the API,
+ * and problems are reported with the line they start on.
+ * @returns {Object} - { questions, errors }
+ */
+export const parseQuizFile = (format, content) => {
+    const parsed = format === 'csv' ? parseQuizCsv(content) : parseGift(content);
+    const errors = [...parsed.errors];
+
+    parsed.questions.forEach(question => {
+        let error = null;
+        if (!question.question_text) error = 'question_text is required';
+        else if (!Number.isFinite(question.score) || question.score < 1) error = 'score must be a number of 1 or more';
+        else error = validateQuestionDefinition(question, question.options);
+        if (error) errors.push({ line: question.line, message: error });
+    });
+
+    if (parsed.questions.length === 0 && errors.length === 0) {
+        errors.push({ line: 1, message: 'No questions found in the file' });
+    }
+    errors.sort((a, b) => a.line - b.line);
+
+    return { questions: parsed.questions, errors };
+};
+
+/**
+ * Create the questions (and the quiz, when `quizData` is given instead of an existing quiz) in one transaction,
+ * so a failed import leaves nothing behind.
+ * @returns {Promise<Object>} - { quiz, questions_created, options_created }
+ */
+export const importQuizQuestions = async ({ quiz: existingQuiz = null, quizData = null, questions }) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const quiz = existingQuiz || new Quiz(quizData);
+        if (!existingQuiz) await quiz.save({ session });
+
+        const createdQuestions = await QuizQuestion.insertMany(questions.map(question => ({
+            quiz_id: quiz._id,
+            question_text: question.question_text,
+            question_type: question.question_type,
+            score: question.score,
+            ...(question.question_type === 'numeric' && {
+                numeric_answer: question.numeric_answer,
+                tolerance: question.tolerance || 0
+            })
+        })), { session });
+
+        const options = questions.flatMap((question, index) => question.options.map(option => ({
+            question_id: createdQuestions[index]._id,
+            option_text: option.option_text,
+            is_correct: !!option.is_correct,
+            match_text: option.match_text ?? null,
+            order: option.order ?? null
+        })));
+        if (options.length > 0) await QuizOptions.insertMany(options, { session });
+
+        await session.commitTransaction();
+        return { quiz, questions_created: createdQuestions.length, options_created: options.length };
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+// One CSV row per question, in the layout parseQuizCsv reads back
+const toCsvRow = (question) => {
+    const options = question.options || [];
+    let optionItems = options.map(option => option.option_text);
+    let correct = options
+        .map((option, index) => (option.is_correct ? String(index + 1) : null))
+        .filter(Boolean);
+
+    if (question.question_type === 'matching') {
+        optionItems = options.map(option => `${option.option_text}${MATCH_SEPARATOR}${option.match_text}`);
+        correct = [];
+    } else if (question.question_type === 'ordering') {
+        optionItems = [...options].sort((a, b) => a.order - b.order).map(option => option.option_text);
+        correct = [];
+    } else if (question.question_type === 'fill_blank') {
+        optionItems = options.filter(option => option.is_correct).map(option => option.option_text);
+        correct = [];
+    }
+
+    return [
+        question.question_type,
+        question.question_text,
+        question.score,
+        joinList(optionItems),
+        joinList(correct),
+        question.question_type === 'numeric' ? question.numeric_answer : '',
+        question.question_type === 'numeric' ? question.tolerance || 0 : ''
+    ];
+};
+
+/**
+ * Export a quiz's own questions. Questions a format cannot express are listed in `skipped`.
+ * Random (question bank) quizzes export the fixed questions only; their draws differ per attempt.
+ * @returns {Promise<Object>} - { content, contentType, extension, skipped }
+ */
+export const exportQuiz = async (quiz, format) => {
+    const questions = await getFixedQuestions(quiz._id);
+
+    if (format === 'csv') {
+        return {
+            content: toCsv([CSV_COLUMNS, ...questions.map(toCsvRow)]),
+            contentType: 'text/csv; charset=utf-8',
+            extension: 'csv',
+            skipped: []
+        };
+    }
+
+    if (format === 'qti') {
+        return {
+            content: buildQtiAssessment({
+                id: quiz._id.toString(),
+                title: quiz.title,
+                description: quiz.description,
+                questions: questions.map(question => ({ ...question, question_id: question.question_id.toString() }))
+            }),
+            contentType: 'application/xml; charset=utf-8',
+            extension: 'xml',
+            skipped: []
+        };
+    }
+
+    const { content, skipped } = toGift(questions, quiz.title);
+    return { content, contentType: 'text/plain; charset=utf-8', extension: 'gift', skipped };
+};
@@ -0,0 +1,329 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import JSZip from 'jszip';
+import Login from '../models/login.model.js';
+import ScormRegistration from '../models/ScormRegistration.js';
+import User from '../models/user.model.js';
+import { completeScormLesson } from './lessonProgressService.js';
+import { formatScormTime, parseScormManifest, parseScormTime } from '../utils/scorm.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Outside the public uploads folder; package files are only served through the access-checked content route
+export const SCORM_DIR = path.join(__dirname, '..', 'storage', 'scorm');
+
+// Packages with more files than this are refused rather than unpacked
+const MAX_PACKAGE_FILES = 5000;
+
+// Manifests are read into memory; anything bigger is not a real manifest
+const MAX_MANIFEST_BYTES = 10 * 1024 * 1024;
+
+// Packages that unpack to more than this are refused (PACKAGE_MAX_UNPACKED_MB, default 2 GB)
+export const getMaxUnpackedBytes = () => (parseFloat(process.env.PACKAGE_MAX_UNPACKED_MB) || 2048) * 1024 * 1024;
+
+// Bytes a package may still unpack to; one budget is shared by everything unpacked from the same zip
+export const createUnpackBudget = () => ({ remaining: getMaxUnpackedBytes() });
+
+export const unpackLimitError = () => `Packages may unpack to at most ${Math.floor(getMaxUnpackedBytes() / (1024 * 1024))} MB`;
+
+// SCORM 1.2 data model limits and vocabularies
+const LESSON_STATUSES = ['not attempted', 'browsed', 'incomplete', 'completed', 'passed', 'failed'];
+const EXIT_VALUES = ['', 'time-out', 'suspend', 'logout'];
+const MAX_LOCATION_LENGTH = 255;
+const MAX_SUSPEND_DATA_LENGTH = 4096;
+
+// Absolute path of `relativePath` inside `baseDir`, or null when it would escape it
+export const resolveInside = (baseDir, relativePath) => {
+    const base = path.resolve(baseDir);
+    const target = path.resolve(base, relativePath);
+    return target.startsWith(base + path.sep) ? target : null;
+};
+
+// Uncompressed size the zip's central directory declares for `entries`, known before anything is inflated
+export const getDeclaredSize = (entries) => entries.reduce((sum, entry) => sum + (entry._data?.uncompressedSize || 0), 0);
+
+/**
+ * Inflate a zip entry chunk by chunk and stop once more than `limit` bytes come out, so an entry that lies
+ * about its size cannot fill memory or disk. `onChunk` may return a promise to hold the next chunk back.
+ * @returns {Promise<number|null>} - bytes inflated, or null when the limit was reached
+ */
+export const inflateZipEntry = (entry, limit, onChunk) => new Promise((resolve, reject) => {
+    const stream = entry.internalStream('nodebuffer');
+    let inflated = 0;
+    let done = false;
+    const finish = (callback) => {
+        if (done) return;
+        done = true;
+        stream.pause();
+        callback();
+    };
+
+    stream
+        .on('data', chunk => {
+            if (done) return;
+            inflated += chunk.length;
+            if (inflated > limit) return finish(() => resolve(null));
+            const pending = onChunk(chunk);
+            if (pending) {
+                stream.pause();
+                pending.then(() => !done && stream.resume(), error => finish(() => reject(error)));
+            }
+        })
+        .on('error', error => finish(() => reject(error)))
+        .on('end', () => finish(() => resolve(inflated)));
+    stream.resume();
+});
+
+// Text of a zip entry of at most `limit` bytes, or null
+export const readZipEntryText = async (entry, limit = MAX_MANIFEST_BYTES) => {
+    const chunks = [];
+    const size = await inflateZipEntry(entry, limit, chunk => { chunks.push(chunk); });
+    return size === null ? null : Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Write a zip entry to `target`, charging what it unpacks to against `budget`.
+ * @returns {Promise<boolean>} - false (and nothing written) when the budget ran out
+ */
+export const writeZipEntry = async (entry, target, budget) => {
+    const out = fs.createWriteStream(target);
+    const closed = new Promise((resolve, reject) => out.on('close', resolve).on('error', reject));
+    // Several chunks can arrive before the stream pauses; they all wait for the same drain
+    let draining = null;
+    let size;
+    try {
+        size = await inflateZipEntry(entry, budget.remaining, chunk => {
+            if (!out.write(chunk) && !draining) {
+                draining = new Promise(resolve => out.once('drain', () => {
+                    draining = null;
+                    resolve();
+                }));
+            }
+            return draining;
+        });
+    } finally {
+        out.end();
+        await closed;
+    }
+
+    if (size === null) {
+        await fs.promises.rm(target, { force: true });
+        return false;
+    }
+    budget.remaining -= size;
+    return true;
+};
+
+/**
+ * Write the files of a zip under `prefix` into a directory, refusing entries that would land outside it
+ * and packages that unpack to more than the budget allows.
+ * @returns {Promise<Object>} - { files, error }
+ */
+export const extractZipFolder = async (zip, prefix, targetDir, budget = createUnpackBudget()) => {
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && entry.name.startsWith(prefix));
+    if (entries.length > MAX_PACKAGE_FILES) return { files: 0, error: `Packages may hold at most ${MAX_PACKAGE_FILES} files` };
+    if (getDeclaredSize(entries) > budget.remaining) return { files: 0, error: unpackLimitError() };
+
+    for (const entry of entries) {
+        const target = resolveInside(targetDir, entry.name.slice(prefix.length));
+        if (!target) return { files: 0, error: `Unsafe file path in package: ${entry.name}` };
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        if (!(await writeZipEntry(entry, target, budget))) return { files: 0, error: unpackLimitError() };
+    }
+    return { files: entries.length, error: null };
+};
+
+export const removeScormPackage = (packageDir) => {
+    if (packageDir && resolveInside(SCORM_DIR, path.relative(SCORM_DIR, packageDir))) {
+        fs.rmSync(packageDir, { recursive: true, force: true });
+    }
+};
+
+/**
+ * Unpack the SCORM 1.2 package found under `root` of a zip into its own folder of storage/scorm.
+ * The manifest may sit at that root or in a single top-level folder.
+ * @returns {Promise<Object>} - { scorm (the lesson's scorm settings), error }
+ */
+export const unpackScormZip = async (zip, root = '', budget = createUnpackBudget()) => {
+    const manifestEntry = Object.values(zip.files)
+        .filter(entry => !entry.dir && entry.name.startsWith(root) && path.posix.basename(entry.name).toLowerCase() === 'imsmanifest.xml')
+        .sort((a, b) => a.name.length - b.name.length)[0];
+    if (!manifestEntry) return { scorm: null, error: 'imsmanifest.xml not found; is this a SCORM package?' };
+
+    const manifestXml = await readZipEntryText(manifestEntry);
+    if (manifestXml === null) return { scorm: null, error: 'imsmanifest.xml is too large' };
+    const manifest = parseScormManifest(manifestXml);
+    if (manifest.error) return { scorm: null, error: manifest.error };
+
+    const prefix = manifestEntry.name.slice(0, manifestEntry.name.length - 'imsmanifest.xml'.length);
+    const packageDir = path.join(SCORM_DIR, `scorm-${Date.now()}-${Math.round(Math.random() * 1e9)}`);
+
+    try {
+        const { error } = await extractZipFolder(zip, prefix, packageDir, budget);
+        if (error) {
+            removeScormPackage(packageDir);
+            return { scorm: null, error };
+        }
+    } catch (error) {
+        removeScormPackage(packageDir);
+        throw error;
+    }
+
+    let launchFile = null;
+    try {
+        launchFile = resolveInside(packageDir, decodeURI(manifest.launch_path));
+    } catch {
+        launchFile = null;
+    }
+    if (!launchFile || !fs.existsSync(launchFile)) {
+        removeScormPackage(packageDir);
+        return { scorm: null, error: `The launch file ${manifest.launch_path} is missing from the package` };
+    }
+
+    return {
+        scorm: {
+            version: '1.2',
+            package_dir: packageDir,
+            launch_path: manifest.launch_path,
+            title: manifest.title,
+            mastery_score: manifest.mastery_score
+        },
+        error: null
+    };
+};
+
+/**
+ * Unpack an uploaded SCORM 1.2 zip from disk.
+ * @returns {Promise<Object>} - { scorm, error }
+ */
+export const unpackScormPackage = async (filePath) => {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(await fs.promises.readFile(filePath));
+    } catch {
+        return { scorm: null, error: 'The file is not a valid zip archive' };
+    }
+    return unpackScormZip(zip);
+};
+
+// URL the player opens; the package's relative links resolve against it
+export const getScormLaunchUrl = (lesson) => (lesson.scorm
+    ? `/api/scorm/lessons/${lesson._id}/content/${lesson.scorm.launch_path}`
+    : null);
+
+// A file of a SCORM lesson's package, or null when it is missing or outside the package
+export const resolveScormFile = (lesson, relativePath) => {
+    if (!lesson.scorm?.package_dir) return null;
+    const file = resolveInside(lesson.scorm.package_dir, relativePath);
+    return file && fs.existsSync(file) && fs.statSync(file).isFile() ? file : null;
+};
+
+/**
+ * Run-time values a SCO reads on LMSInitialize for a student (Login id), from their last committed data.
+ * @returns {Promise<Object>} - { registration, cmi }
+ */
+export const getScormRuntime = async (studentId, lesson) => {
+    const registration = await ScormRegistration.findOne({ lesson_id: lesson._id, student_id: studentId });
+    const login = await Login.findById(studentId).select('email user_id');
+    const user = login?.user_id ? await User.findById(login.user_id).select('fname lname') : null;
+
+    // SCORM 1.2 names students "Last, First"
+    const studentName = user ? [user.lname, user.fname].filter(Boolean).join(', ') : login?.email || '';
+    let entry = '';
+    if (!registration || registration.lesson_status === 'not attempted') entry = 'ab-initio';
+    else if (registration.exit === 'suspend') entry = 'resume';
+
+    return {
+        registration,
+        cmi: {
+            'cmi.core.student_id': studentId.toString(),
+            'cmi.core.student_name': studentName,
+            'cmi.core.lesson_location': registration?.lesson_location || '',
+            'cmi.core.credit': 'credit',
+            'cmi.core.lesson_status': registration?.lesson_status || 'not attempted',
+            'cmi.core.entry': entry,
+            'cmi.core.score.raw': registration?.score_raw ?? '',
+            'cmi.core.score.min': registration?.score_min ?? '',
+            'cmi.core.score.max': registration?.score_max ?? '',
+            'cmi.core.total_time': formatScormTime(registration?.total_time_seconds),
+            'cmi.core.lesson_mode': 'normal',
+            'cmi.suspend_data': registration?.suspend_data || '',
+            'cmi.launch_data': '',
+            'cmi.student_data.mastery_score': lesson.scorm?.mastery_score ?? ''
+        }
+    };
+};
+
+const parseScore = (value, name) => {
+    if (value === '' || value === null) return { score: null, error: null };
+    const score = Number(value);
+    return Number.isFinite(score) ? { score, error: null } : { score: null, error: `${name} must be a number` };
+};
+
+/**
+ * Store what a SCO committed (LMSCommit/LMSFinish) for a student (Login id) and complete the lesson once the
+ * package reports completed or passed. Data: { cmi: { "cmi.core.lesson_status": ..., ... }, finish }
+ * With a mastery score, a reported score decides passed or failed, as SCORM 1.2 has the LMS do.
+ * @returns {Promise<Object>} - { registration, completed_now, error }
+ */
+export const saveScormRuntime = async (studentId, lesson, courseId, { cmi = {}, finish = false } = {}, now = new Date()) => {
+    const registration = await ScormRegistration.findOne({ lesson_id: lesson._id, student_id: studentId })
+        || new ScormRegistration({ lesson_id: lesson._id, course_id: courseId, student_id: studentId, first_launched_at: now });
+    const fail = (error) => ({ registration: null, completed_now: false, error });
+
+    const status = cmi['cmi.core.lesson_status'];
+    if (status !== undefined) {
+        if (!LESSON_STATUSES.includes(status)) return fail(`cmi.core.lesson_status must be one of: ${LESSON_STATUSES.join(', ')}`);
+        registration.lesson_status = status;
+    }
+    if (registration.lesson_status === 'not attempted') registration.lesson_status = 'incomplete';
+
+    let scored = false;
+    for (const [key, field] of [['cmi.core.score.raw', 'score_raw'], ['cmi.core.score.min', 'score_min'], ['cmi.core.score.max', 'score_max']]) {
+        if (cmi[key] === undefined) continue;
+        const { score, error } = parseScore(cmi[key], key);
+        if (error) return fail(error);
+        registration[field] = score;
+        if (field === 'score_raw' && score !== null) scored = true;
+    }
+
+    const location = cmi['cmi.core.lesson_location'];
+    if (location !== undefined) {
+        if (String(location).length > MAX_LOCATION_LENGTH) return fail(`cmi.core.lesson_location is limited to ${MAX_LOCATION_LENGTH} characters`);
+        registration.lesson_location = String(location);
+    }
+    const suspendData = cmi['cmi.suspend_data'];
+    if (suspendData !== undefined) {
+        if (String(suspendData).length > MAX_SUSPEND_DATA_LENGTH) return fail(`cmi.suspend_data is limited to ${MAX_SUSPEND_DATA_LENGTH} characters`);
+        registration.suspend_data = String(suspendData);
+    }
+    const exit = cmi['cmi.core.exit'];
+    if (exit !== undefined) {
+        if (!EXIT_VALUES.includes(exit)) return fail(`cmi.core.exit must be one of: ${EXIT_VALUES.filter(Boolean).join(', ')} or empty`);
+        registration.exit = exit;
+    }
+
+    // Session time is added to the total once, when the session ends
+    const sessionTime = cmi['cmi.core.session_time'];
+    if (sessionTime !== undefined) {
+        const seconds = parseScormTime(sessionTime);
+        if (seconds === null) return fail('cmi.core.session_time must be in HHHH:MM:SS.SS format');
+        if (finish) registration.total_time_seconds += seconds;
+    }
+    if (finish) registration.sessions += 1;
+
+    const masteryScore = lesson.scorm?.mastery_score;
+    if (scored && masteryScore !== null && masteryScore !== undefined && registration.lesson_status !== 'browsed') {
+        registration.lesson_status = registration.score_raw >= masteryScore ? 'passed' : 'failed';
+    }
+
+    registration.last_committed_at = now;
+    const completedNow = !registration.completed_at && ['completed', 'passed'].includes(registration.lesson_status);
+    if (completedNow) registration.completed_at = now;
+    await registration.save();
+
+    if (completedNow) await completeScormLesson(studentId, lesson);
+    return { registration, completed_now: completedNow, error: null };
+};
@@ -1,5 +1,10 @@
+import moment from 'moment-timezone';
 import BatchSubscription from '../models/Batch_Subscription.js';
 import BatchStudent from '../models/Batch_Students.js';
+import Batch from '../models/Batch_table.js';
+import { expandBatchSchedule } from './classOccurrenceService.js';
+import { getHolidayLength } from './holidayService.js';
+import { getBatchTimezone } from '../utils/timezone.js';
 
 // Check if user has active subscription for a batch
 export const checkUserBatchSubscription = async (userId, batchId) => {
@@ -129,3 +134,71 @@ export const getSubscriptionStats = async (tenantId) => {
         return { success: false, error: error.message };
     }
 };
+
+// Push back next_billing_date of active subscriptions whose batch loses classes to a holiday (once per subscription)
+export const extendSubscriptionsForHoliday = async (holiday) => {
+    const result = { batches: 0, subscriptions: 0 };
+    if (!holiday.extend_billing) return result;
+
+    const filter = { tenant_id: holiday.tenant_id };
+    if (holiday.batch_ids && holiday.batch_ids.length > 0) filter._id = { $in: holiday.batch_ids };
+    const batches = await Batch.find(filter);
+    const days = getHolidayLength(holiday);
+    const extended = new Set((holiday.billing_extensions || []).map(extension => extension.subscription_id.toString()));
+
+    for (const batch of batches) {
+        const timezone = await getBatchTimezone(batch);
+        const holidayStart = moment.tz(holiday.start_date, timezone).startOf('day');
+        const holidayEnd = moment.tz(holiday.end_date, timezone).endOf('day');
+
+        const classesLost = expandBatchSchedule(batch, timezone, {
+            from: holidayStart.toDate(),
+            to: holidayEnd.toDate()
+        }).length;
+        if (classesLost === 0) continue;
+        result.batches++;
+
+        // Only periods the holiday falls into are extended
+        const subscriptions = await BatchSubscription.find({
+            batch_id: batch._id,
+            status: 'active',
+            started_at: { $lte: holidayEnd.toDate() },
+            next_billing_date: { $gte: holidayStart.toDate() }
+        });
+
+        for (const subscription of subscriptions) {
+            if (extended.has(subscription._id.toString())) continue;
+
+            subscription.next_billing_date = moment(subscription.next_billing_date).add(days, 'days').toDate();
+            await subscription.save();
+
+            holiday.billing_extensions.push({
+                subscription_id: subscription._id,
+                batch_id: batch._id,
+                classes_lost: classesLost,
+                days_extended: days
+            });
+            result.subscriptions++;
+        }
+    }
+
+    await holiday.save();
+    return result;
+};
+
+// Undo the billing extensions a holiday applied, e.g. before it is moved or deleted
+export const revertHolidayBillingExtensions = async (holiday) => {
+    let reverted = 0;
+
+    for (const extension of holiday.billing_extensions || []) {
+        const subscription = await BatchSubscription.findById(extension.subscription_id);
+        if (!subscription || subscription.status !== 'active') continue;
+
+        subscription.next_billing_date = moment(subscription.next_billing_date).subtract(extension.days_extended, 'days').toDate();
+        await subscription.save();
+        reverted++;
+    }
+
+    holiday.billing_extensions = [];
+    return reverted;
+};
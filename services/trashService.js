@@ -0,0 +1,386 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import AssignmentSubmission from '../models/AssignmentSubmission.js';
+import Batch from '../models/Batch_table.js';
+import CertificateTemplate from '../models/CertificateTemplate.js';
+import Course from '../models/Course.js';
+import CourseGeoPricing from '../models/Course_Geo_Pricing.js';
+import Lesson from '../models/Lesson.model.js';
+import LessonProgress from '../models/LessonProgress.js';
+import Module from '../models/Module.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import QuizOptions from '../models/QuizOptions.js';
+import Quiz from '../models/QuizTable.js';
+import QuizQuestion from '../models/QuizQuestion.js';
+import QuizResult from '../models/QuizResult.js';
+import ScormRegistration from '../models/ScormRegistration.js';
+import { getVersionRootId } from './courseCloneService.js';
+import { removeScormPackage } from './scormService.js';
+import { markUploadFilesDeleted } from './uploadService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const COURSE_IMAGE_DIR = path.join(__dirname, '..', 'uploads', 'courses');
+
+export const TRASH_TYPES = ['course', 'module', 'lesson'];
+
+// Days a deleted course, module or lesson stays in the trash before it is purged (TRASH_RETENTION_DAYS, default 30)
+export const getTrashRetentionDays = () => parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const trashedState = (deletedBy, now, trashedWith = null) => ({
+    is_deleted: true,
+    deleted_at: now,
+    deleted_by: deletedBy,
+    trashed_with: trashedWith
+});
+
+const RESTORED_STATE = { is_deleted: false, deleted_at: null, deleted_by: null, trashed_with: null };
+
+// The newest version still out of the trash is the one new batches and the catalogue use
+const refreshLatestVersion = async (course) => {
+    const rootId = getVersionRootId(course);
+    const versions = await Course.find({ $or: [{ _id: rootId }, { version_of: rootId }], is_deleted: { $ne: true } })
+        .select('version')
+        .sort({ version: -1 });
+    if (versions.length === 0) return;
+
+    await Course.updateMany({ _id: { $in: versions.slice(1).map(version => version._id) } }, { is_latest_version: false });
+    await Course.updateOne({ _id: versions[0]._id }, { is_latest_version: true });
+};
+
+/**
+ * Move a lesson to the trash.
+ */
+export const trashLesson = async (lesson, deletedBy, now = new Date()) => {
+    await Lesson.updateOne({ _id: lesson._id }, trashedState(deletedBy, now));
+};
+
+/**
+ * Move a module and its lessons to the trash; restoring the module brings the lessons back.
+ * @returns {Promise<Object>} - { lessons }
+ */
+export const trashModule = async (module, deletedBy, now = new Date()) => {
+    await Module.updateOne({ _id: module._id }, trashedState(deletedBy, now));
+    const { modifiedCount } = await Lesson.updateMany(
+        { module_id: module._id, is_deleted: { $ne: true } },
+        trashedState(deletedBy, now, module._id)
+    );
+    return { lessons: modifiedCount };
+};
+
+/**
+ * Move a course with its modules and lessons to the trash. Refused while batches of it are active, since their
+ * students are still taking it. An earlier version takes over as the latest.
+ * @returns {Promise<Object>} - { modules, lessons, error }
+ */
+export const trashCourse = async (course, deletedBy, now = new Date()) => {
+    const activeBatches = await Batch.find({ course_id: course._id, status: 'active' }).select('batch_name');
+    if (activeBatches.length > 0) {
+        return {
+            modules: 0,
+            lessons: 0,
+            error: `The course has active batches (${activeBatches.map(batch => batch.batch_name).join(', ')}); complete or deactivate them first`
+        };
+    }
+
+    const moduleIds = await Module.find({ course_id: course._id }).distinct('_id');
+    await Course.updateOne({ _id: course._id }, trashedState(deletedBy, now));
+    const modules = await Module.updateMany(
+        { course_id: course._id, is_deleted: { $ne: true } },
+        trashedState(deletedBy, now, course._id)
+    );
+    const lessons = await Lesson.updateMany(
+        { module_id: { $in: moduleIds }, is_deleted: { $ne: true } },
+        trashedState(deletedBy, now, course._id)
+    );
+    await refreshLatestVersion(course);
+
+    return { modules: modules.modifiedCount, lessons: lessons.modifiedCount, error: null };
+};
+
+// A trashed item of the tenant by type and id, with the course it belongs to
+const findTrashedItem = async (tenantId, type, id) => {
+    if (!TRASH_TYPES.includes(type) || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+    if (type === 'course') {
+        const course = await Course.findOne({ _id: id, tenant_id: tenantId, is_deleted: true });
+        return course && { doc: course, course };
+    }
+    if (type === 'module') {
+        const module = await Module.findOne({ _id: id, is_deleted: true });
+        const course = module && await Course.findOne({ _id: module.course_id, tenant_id: tenantId });
+        return course && { doc: module, course };
+    }
+    const lesson = await Lesson.findOne({ _id: id, is_deleted: true });
+    const module = lesson && await Module.findById(lesson.module_id);
+    const course = module && await Course.findOne({ _id: module.course_id, tenant_id: tenantId });
+    return course && { doc: lesson, module, course };
+};
+
+/**
+ * Bring a deleted course, module or lesson back with everything that was trashed along with it.
+ * An item deleted with its course or module comes back with that course or module, and an item whose
+ * course or module is itself in the trash waits for it.
+ * @returns {Promise<Object>} - { item, course, status, error }
+ */
+export const restoreTrashItem = async (tenantId, type, id) => {
+    const found = await findTrashedItem(tenantId, type, id);
+    if (!found) return { status: 404, error: 'Item not found in the trash' };
+    const { doc, module, course } = found;
+
+    if (doc.trashed_with) {
+        const parent = doc.trashed_with.toString() === course._id.toString() ? 'course' : 'module';
+        return { status: 409, error: `This ${type} was deleted with its ${parent}; restore the ${parent} instead` };
+    }
+    if (type !== 'course' && course.is_deleted) {
+        return { status: 409, error: `The course "${course.course_title}" is in the trash; restore it first` };
+    }
+    if (type === 'lesson' && module.is_deleted) {
+        return { status: 409, error: `The module "${module.module_title}" is in the trash; restore it first` };
+    }
+
+    if (type === 'course') {
+        await Course.updateOne({ _id: doc._id }, RESTORED_STATE);
+        await Module.updateMany({ trashed_with: doc._id }, RESTORED_STATE);
+        await Lesson.updateMany({ trashed_with: doc._id }, RESTORED_STATE);
+        await refreshLatestVersion(doc);
+    } else if (type === 'module') {
+        await Module.updateOne({ _id: doc._id }, RESTORED_STATE);
+        await Lesson.updateMany({ trashed_with: doc._id }, RESTORED_STATE);
+    } else {
+        await Lesson.updateOne({ _id: doc._id }, RESTORED_STATE);
+    }
+
+    return { item: doc, course, status: 200, error: null };
+};
+
+/**
+ * The tenant's trash: every course, module and lesson deleted on its own (items deleted along with them are
+ * counted under them), newest first, with when each is purged.
+ * @returns {Promise<Array>}
+ */
+export const listTrash = async (tenantId) => {
+    const retentionMs = getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+    const courses = await Course.find({ tenant_id: tenantId }).select('course_title is_deleted deleted_at deleted_by trashed_with');
+    const courseById = new Map(courses.map(course => [course._id.toString(), course]));
+    const modules = await Module.find({ course_id: { $in: courses.map(course => course._id) } })
+        .select('course_id module_title is_deleted deleted_at deleted_by trashed_with');
+    const moduleById = new Map(modules.map(module => [module._id.toString(), module]));
+    const lessons = await Lesson.find({ module_id: { $in: modules.map(module => module._id) }, is_deleted: true })
+        .select('module_id lesson_title is_deleted deleted_at deleted_by trashed_with');
+
+    const countWith = (docs, id) => docs.filter(doc => doc.is_deleted && doc.trashed_with?.toString() === id.toString()).length;
+    const toItem = (type, doc, title, course, module = null) => ({
+        type,
+        id: doc._id,
+        title,
+        course_id: course?._id || null,
+        course_title: course?.course_title || null,
+        module_id: module?._id || null,
+        module_title: module?.module_title || null,
+        deleted_at: doc.deleted_at,
+        deleted_by: doc.deleted_by,
+        purge_at: doc.deleted_at ? new Date(doc.deleted_at.getTime() + retentionMs) : null,
+        contains: { modules: countWith(modules, doc._id), lessons: countWith(lessons, doc._id) },
+        restorable: type === 'course'
+            || (!course?.is_deleted && (type === 'module' || !module?.is_deleted))
+    });
+
+    const items = [
+        ...courses.filter(course => course.is_deleted && !course.trashed_with)
+            .map(course => toItem('course', course, course.course_title, course)),
+        ...modules.filter(module => module.is_deleted && !module.trashed_with)
+            .map(module => toItem('module', module, module.module_title, courseById.get(module.course_id.toString()))),
+        ...lessons.filter(lesson => !lesson.trashed_with).map(lesson => {
+            const module = moduleById.get(lesson.module_id.toString());
+            return toItem('lesson', lesson, lesson.lesson_title, courseById.get(module.course_id.toString()), module);
+        })
+    ];
+    return items.sort((a, b) => (b.deleted_at || 0) - (a.deleted_at || 0));
+};
+
+// Remove uploaded files once nothing in the database points at them any more
+const removeFiles = (files, scormDirs) => {
+    files.forEach(file => fs.unlink(file, (error) => {
+        if (error && error.code !== 'ENOENT') console.error(`Could not remove purged file ${file}:`, error);
+    }));
+    scormDirs.forEach(dir => removeScormPackage(dir));
+};
+
+// Release rules that wait on purged lessons or quizzes fall back to releasing immediately
+const clearPrerequisites = async (field, ids, session) => {
+    if (ids.length === 0) return;
+    await Module.updateMany({ [`release.${field}`]: { $in: ids } }, { release: null }, { session });
+    await Lesson.updateMany({ [`release.${field}`]: { $in: ids } }, { release: null }, { session });
+};
+
+// Delete quizzes with their questions, options, attempts and results
+const purgeQuizzes = async (quizIds, session) => {
+    if (quizIds.length === 0) return;
+    const questionIds = await QuizQuestion.find({ quiz_id: { $in: quizIds } }).session(session).distinct('_id');
+    await QuizOptions.deleteMany({ question_id: { $in: questionIds } }, { session });
+    await QuizQuestion.deleteMany({ quiz_id: { $in: quizIds } }, { session });
+    await QuizAttempt.deleteMany({ quiz_id: { $in: quizIds } }, { session });
+    await QuizResult.deleteMany({ quiz_id: { $in: quizIds } }, { session });
+    await Lesson.updateMany({ quiz_id: { $in: quizIds } }, { quiz_id: null }, { session });
+    await clearPrerequisites('prerequisite_quiz_id', quizIds, session);
+    await Quiz.deleteMany({ _id: { $in: quizIds } }, { session });
+};
+
+// Delete lessons with their progress, SCORM data and submissions; returns the files they leave behind.
+// Everything that decides what to delete is read in the transaction, so it sees the same data it deletes.
+const purgeLessons = async (lessons, session) => {
+    const lessonIds = lessons.map(lesson => lesson._id);
+    const files = [];
+    const scormDirs = [];
+    if (lessonIds.length === 0) return { files, scormDirs };
+
+    // Copies share nothing, but never remove a file another lesson still uses
+    for (const lesson of lessons) {
+        const others = { _id: { $nin: lessonIds } };
+        if (lesson.file_path && !(await Lesson.exists({ ...others, file_path: lesson.file_path }).session(session))) {
+            files.push(lesson.file_path);
+        }
+        const packageDir = lesson.scorm?.package_dir;
+        if (packageDir && !(await Lesson.exists({ ...others, 'scorm.package_dir': packageDir }).session(session))) {
+            scormDirs.push(packageDir);
+        }
+    }
+    const submissions = await AssignmentSubmission.find({ lesson_id: { $in: lessonIds } }).select('files').session(session);
+    submissions.forEach(submission => submission.files.forEach(file => files.push(file.file_path)));
+
+    await AssignmentSubmission.deleteMany({ lesson_id: { $in: lessonIds } }, { session });
+    await LessonProgress.deleteMany({ lesson_id: { $in: lessonIds } }, { session });
+    await ScormRegistration.deleteMany({ lesson_id: { $in: lessonIds } }, { session });
+    await clearPrerequisites('prerequisite_lesson_id', lessonIds, session);
+    await Lesson.deleteMany({ _id: { $in: lessonIds } }, { session });
+    return { files, scormDirs };
+};
+
+// Delete modules with all their lessons and quizzes, trashed or not
+const purgeModules = async (moduleIds, session) => {
+    const lessons = await Lesson.find({ module_id: { $in: moduleIds } }).select('file_path scorm').session(session);
+    const removed = await purgeLessons(lessons, session);
+    await purgeQuizzes(await Quiz.find({ module_id: { $in: moduleIds } }).session(session).distinct('_id'), session);
+    await Module.deleteMany({ _id: { $in: moduleIds } }, { session });
+    return removed;
+};
+
+// Delete a course with its content, certificate template, pricing and image; returns the files it leaves behind
+const purgeCourseContent = async (course, session) => {
+    const removed = await purgeModules(await Module.find({ course_id: course._id }).session(session).distinct('_id'), session);
+    await purgeQuizzes(await Quiz.find({ course_id: course._id }).session(session).distinct('_id'), session);
+
+    const template = await CertificateTemplate.findOne({ course_id: course._id }).session(session);
+    if (template?.logo_path
+        && !(await CertificateTemplate.exists({ _id: { $ne: template._id }, logo_path: template.logo_path }).session(session))) {
+        removed.files.push(template.logo_path);
+    }
+    await CertificateTemplate.deleteMany({ course_id: course._id }, { session });
+    await CourseGeoPricing.deleteMany({ course_id: course._id }, { session });
+
+    if (course.image && !/^https?:\/\//i.test(course.image)
+        && !(await Course.exists({ _id: { $ne: course._id }, image: course.image }).session(session))) {
+        removed.files.push(path.join(COURSE_IMAGE_DIR, course.image));
+    }
+    await Course.deleteOne({ _id: course._id }, { session });
+    return removed;
+};
+
+/**
+ * Permanently delete a trashed course, module or lesson with everything under it: lessons, quizzes and their
+ * questions, attempts and results, progress, submissions and the uploaded files. Purchases, payments, attendance
+ * and issued certificates are records of what happened and are kept. A course that batches still point at is
+ * kept until those batches are deleted.
+ * @returns {Promise<Object>} - { purged, status, error }
+ */
+export const purgeTrashItem = async (tenantId, type, id) => {
+    const found = await findTrashedItem(tenantId, type, id);
+    if (!found) return { purged: false, status: 404, error: 'Item not found in the trash' };
+    const { doc } = found;
+
+    if (type === 'course' && (await Batch.exists({ course_id: doc._id }))) {
+        return { purged: false, status: 409, error: 'Batches still belong to this course; delete them before purging it' };
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        let removed;
+        if (type === 'course') removed = await purgeCourseContent(doc, session);
+        else if (type === 'module') removed = await purgeModules([doc._id], session);
+        else removed = await purgeLessons([doc], session);
+
+        await session.commitTransaction();
+        removeFiles(removed.files, removed.scormDirs);
+        await markUploadFilesDeleted(removed.files);
+        return { purged: true, status: 200, error: null };
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Purge every item that has been in the trash longer than the retention period, across tenants.
+ * @returns {Promise<Object>} - totals
+ */
+export const purgeExpiredTrash = async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+    const expired = { is_deleted: true, trashed_with: null, deleted_at: { $lte: cutoff } };
+    const totals = { courses: 0, modules: 0, lessons: 0, kept: 0, failed: 0 };
+
+    const purge = async (type, tenantId, id) => {
+        try {
+            const { purged } = await purgeTrashItem(tenantId, type, id);
+            if (purged) totals[`${type}s`]++;
+            else totals.kept++;
+        } catch (error) {
+            totals.failed++;
+            console.error(`Error purging ${type} ${id}:`, error);
+        }
+    };
+
+    for (const course of await Course.find(expired).select('tenant_id')) {
+        await purge('course', course.tenant_id, course._id);
+    }
+    for (const module of await Module.find(expired).select('course_id')) {
+        const course = await Course.findById(module.course_id).select('tenant_id');
+        if (course) await purge('module', course.tenant_id, module._id);
+    }
+    for (const lesson of await Lesson.find(expired).select('module_id')) {
+        const module = await Module.findById(lesson.module_id).select('course_id');
+        const course = module && await Course.findById(module.course_id).select('tenant_id');
+        if (course) await purge('lesson', course.tenant_id, lesson._id);
+    }
+
+    return totals;
+};
+
+// Purge expired trash periodically (TRASH_PURGE_INTERVAL_HOURS, default 24)
+export const startTrashPurgeScheduler = () => {
+    const intervalHours = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS) || 24;
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const totals = await purgeExpiredTrash();
+            console.log('Trash purge finished:', totals);
+        } catch (error) {
+            console.error('Trash purge failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+    timer.unref();
+    return timer;
+};
@@ -0,0 +1,450 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import Tenant from '../models/tenant.model.js';
+import Upload from '../models/Upload.js';
+import { allowedMimeTypes, videoMimeTypes } from '../config/multer/multer.config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LESSON_DIR = path.join(__dirname, '..', 'uploads', 'lessons');
+// Recordings go where synced Dyte recordings are kept and are served from /api/static-recordings
+const RECORDINGS_DIR = process.env.RECORDINGS_PATH || path.join(__dirname, '..', 'uploads', 'recordings');
+// Part files stay out of the public uploads folder until they are complete
+const PART_DIR = process.env.UPLOAD_PARTS_PATH || path.join(__dirname, '..', 'tmp', 'uploads');
+
+const MB = 1024 * 1024;
+
+export const UPLOAD_PURPOSES = ['lesson', 'recording'];
+
+const MIME_TYPES = { lesson: allowedMimeTypes, recording: videoMimeTypes };
+
+// Multer field names, so finished files are named like whole-file uploads of the same kind
+const FIELD_NAMES = { lesson: 'file', recording: 'recording' };
+
+const TARGET_DIRS = { lesson: LESSON_DIR, recording: RECORDINGS_DIR };
+
+// Uploads whose bytes count towards the tenant's quota
+const STORED_STATUSES = ['uploading', 'completed', 'attached'];
+
+// A chunk write that has not finished in this long is taken as abandoned
+const WRITE_LOCK_MS = 10 * 60 * 1000;
+
+// Largest file that can be uploaded (UPLOAD_MAX_SIZE_MB, default 20 GB)
+export const getMaxUploadBytes = () => (parseFloat(process.env.UPLOAD_MAX_SIZE_MB) || 20 * 1024) * MB;
+
+// Largest chunk a single request may carry (UPLOAD_CHUNK_MAX_MB, default 64 MB)
+export const getMaxChunkBytes = () => (parseFloat(process.env.UPLOAD_CHUNK_MAX_MB) || 64) * MB;
+
+// How long an upload may sit idle, or finished but unused, before it is removed (UPLOAD_EXPIRY_HOURS, default 24)
+const expiresFrom = (now) => new Date(now.getTime() + (parseFloat(process.env.UPLOAD_EXPIRY_HOURS) || 24) * 60 * 60 * 1000);
+
+const removeFile = (file) => {
+    if (!file) return;
+    fs.unlink(file, (error) => {
+        if (error && error.code !== 'ENOENT') console.error(`Could not remove upload file ${file}:`, error);
+    });
+};
+
+const moveFile = async (from, to) => {
+    try {
+        await fs.promises.rename(from, to);
+    } catch (error) {
+        // The parts folder may be on another disk
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(from, to);
+        await fs.promises.unlink(from);
+    }
+};
+
+const hashFile = (file) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+        .on('data', data => hash.update(data))
+        .on('error', reject)
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Quota of tenants without their own upload_quota_mb (TENANT_UPLOAD_QUOTA_MB, default 50 GB)
+const getDefaultQuotaMb = () => parseFloat(process.env.TENANT_UPLOAD_QUOTA_MB) || 50 * 1024;
+
+/**
+ * A tenant's upload quota in bytes and how much of it finished and unfinished uploads use.
+ * The quota is the tenant's upload_quota_mb, or TENANT_UPLOAD_QUOTA_MB.
+ * @returns {Promise<Object>} - { limit_bytes, used_bytes, available_bytes }
+ */
+export const getUploadQuota = async (tenantId) => {
+    const tenant = await Tenant.findById(tenantId).select('upload_quota_mb upload_used_bytes');
+    const limit = Math.round((tenant?.upload_quota_mb ?? getDefaultQuotaMb()) * MB);
+    const used = tenant?.upload_used_bytes || 0;
+    return { limit_bytes: limit, used_bytes: used, available_bytes: Math.max(limit - used, 0) };
+};
+
+// Add `bytes` to the tenant's usage in one conditional update, so concurrent uploads cannot overshoot the quota
+const reserveQuota = async (tenantId, bytes) => {
+    const reserved = await Tenant.findOneAndUpdate(
+        {
+            _id: tenantId,
+            $expr: {
+                $lte: [
+                    { $add: [{ $ifNull: ['$upload_used_bytes', 0] }, bytes] },
+                    { $multiply: [{ $ifNull: ['$upload_quota_mb', getDefaultQuotaMb()] }, MB] }
+                ]
+            }
+        },
+        { $inc: { upload_used_bytes: bytes } }
+    );
+    return !!reserved;
+};
+
+const releaseQuota = (tenantId, bytes) => Tenant.updateOne({ _id: tenantId }, { $inc: { upload_used_bytes: -bytes } });
+
+/**
+ * Move an upload out of the statuses that hold quota, if it still matches `filter`, and give its bytes back.
+ * @returns {Promise<Object|null>} - the upload as it was before, or null when it no longer matched
+ */
+const retireUpload = async (filter, update) => {
+    const previous = await Upload.findOneAndUpdate(filter, update);
+    if (previous && STORED_STATUSES.includes(previous.status)) await releaseQuota(previous.tenant_id, previous.size);
+    return previous;
+};
+
+/**
+ * Start an upload. The announced size is reserved against the tenant's quota straight away.
+ * @param {Object} params - { tenantId, userId, purpose, fileName, mimeType, size, checksum (hex SHA-256, optional) }
+ * @returns {Promise<Object>} - { upload, status, error }
+ */
+export const createUpload = async ({ tenantId, userId, purpose, fileName, mimeType, size, checksum }) => {
+    if (!UPLOAD_PURPOSES.includes(purpose)) {
+        return { upload: null, status: 400, error: `purpose must be one of: ${UPLOAD_PURPOSES.join(', ')}` };
+    }
+    if (!fileName || typeof fileName !== 'string' || !fileName.trim()) {
+        return { upload: null, status: 400, error: 'file_name is required' };
+    }
+    if (!MIME_TYPES[purpose].includes(mimeType)) {
+        return {
+            upload: null,
+            status: 400,
+            error: purpose === 'recording'
+                ? 'Invalid file type. Only video files are allowed for recordings.'
+                : 'Invalid file type. Only images, documents and videos are allowed.'
+        };
+    }
+
+    const bytes = Number(size);
+    if (!Number.isInteger(bytes) || bytes <= 0) {
+        return { upload: null, status: 400, error: 'size must be the file size in bytes' };
+    }
+    if (bytes > getMaxUploadBytes()) {
+        return { upload: null, status: 413, error: `Files can be at most ${Math.floor(getMaxUploadBytes() / MB)} MB` };
+    }
+    if (checksum && !/^[a-f0-9]{64}$/i.test(checksum)) {
+        return { upload: null, status: 400, error: 'checksum must be the hex SHA-256 of the file' };
+    }
+
+    if (!(await reserveQuota(tenantId, bytes))) {
+        const quota = await getUploadQuota(tenantId);
+        return {
+            upload: null,
+            status: 413,
+            error: `Upload quota exceeded: ${Math.floor(quota.available_bytes / MB)} MB of ${Math.floor(quota.limit_bytes / MB)} MB left`
+        };
+    }
+
+    const upload = new Upload({
+        tenant_id: tenantId,
+        created_by: userId,
+        purpose,
+        file_name: path.basename(fileName.trim()),
+        mime_type: mimeType,
+        size: bytes,
+        checksum: checksum ? checksum.toLowerCase() : null,
+        expires_at: expiresFrom(new Date())
+    });
+    upload.part_path = path.join(PART_DIR, `${upload._id}.part`);
+
+    try {
+        await fs.promises.mkdir(PART_DIR, { recursive: true });
+        await fs.promises.writeFile(upload.part_path, '');
+        await upload.save();
+    } catch (error) {
+        removeFile(upload.part_path);
+        await releaseQuota(tenantId, bytes);
+        throw error;
+    }
+    return { upload, status: 201, error: null };
+};
+
+/**
+ * An upload of the tenant, or null
+ */
+export const findUpload = async (tenantId, uploadId) => {
+    if (!mongoose.Types.ObjectId.isValid(uploadId)) return null;
+    return Upload.findOne({ _id: uploadId, tenant_id: tenantId });
+};
+
+// Take the upload's write lock if it is still at `offset`; null while another request holds it
+const lockUpload = (upload, offset, now) => Upload.findOneAndUpdate(
+    {
+        _id: upload._id,
+        status: 'uploading',
+        offset,
+        $or: [{ writing_since: null }, { writing_since: { $lt: new Date(now.getTime() - WRITE_LOCK_MS) } }]
+    },
+    { writing_since: now },
+    { new: true }
+);
+
+// Check the part file against the whole-file checksum and move it next to the other lesson files or
+// recordings. Runs with the write lock held.
+const completeUpload = async (upload) => {
+    const checksum = await hashFile(upload.part_path);
+    if (upload.checksum && checksum !== upload.checksum) {
+        removeFile(upload.part_path);
+        await retireUpload(
+            { _id: upload._id, status: 'uploading' },
+            { status: 'failed', part_path: null, writing_since: null, expires_at: null }
+        );
+        const failed = await Upload.findById(upload._id);
+        return { upload: failed, status: 422, error: 'The file does not match its checksum; start the upload again' };
+    }
+
+    const ext = path.extname(upload.file_name);
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+    const targetDir = TARGET_DIRS[upload.purpose];
+    const filePath = path.join(targetDir, `${FIELD_NAMES[upload.purpose]}-${uniqueSuffix}${ext}`);
+    await fs.promises.mkdir(targetDir, { recursive: true });
+    await moveFile(upload.part_path, filePath);
+
+    const now = new Date();
+    const completed = await Upload.findByIdAndUpdate(
+        upload._id,
+        {
+            status: 'completed',
+            checksum,
+            part_path: null,
+            file_path: filePath,
+            writing_since: null,
+            completed_at: now,
+            expires_at: expiresFrom(now)
+        },
+        { new: true }
+    );
+    return { upload: completed, status: 200, error: null };
+};
+
+/**
+ * Write a chunk at `offset`, which must be the number of bytes received so far. A chunk checksum in the
+ * tus form "sha256 <base64 digest>" is verified before anything is written. The chunk that brings the
+ * upload to its announced size completes it; an empty chunk at that offset retries a completion that
+ * was interrupted.
+ * @returns {Promise<Object>} - { upload, status, error }
+ */
+export const appendChunk = async (upload, { offset, chunk, chunkChecksum }) => {
+    if (upload.status !== 'uploading') {
+        return { upload, status: 409, error: `The upload is ${upload.status}` };
+    }
+    if (!Number.isInteger(offset) || offset !== upload.offset) {
+        return { upload, status: 409, error: `Upload-Offset must be ${upload.offset}, the bytes received so far` };
+    }
+    const length = Buffer.isBuffer(chunk) ? chunk.length : 0;
+    if (length === 0 && offset < upload.size) {
+        return { upload, status: 400, error: 'Send the chunk as an application/offset+octet-stream body' };
+    }
+    if (offset + length > upload.size) {
+        return { upload, status: 400, error: `The chunk runs past the file size of ${upload.size} bytes` };
+    }
+
+    if (length > 0 && chunkChecksum) {
+        const [algorithm, digest] = String(chunkChecksum).trim().split(/\s+/);
+        if (algorithm?.toLowerCase() !== 'sha256' || !digest) {
+            return { upload, status: 400, error: 'Upload-Checksum must be "sha256 <base64 digest>"' };
+        }
+        if (crypto.createHash('sha256').update(chunk).digest('base64') !== digest) {
+            return { upload, status: 400, error: 'The chunk does not match its checksum; send it again' };
+        }
+    }
+
+    const now = new Date();
+    let locked = await lockUpload(upload, offset, now);
+    if (!locked) {
+        return { upload, status: 409, error: 'Another chunk of this upload is being written; check the offset and retry' };
+    }
+
+    try {
+        if (length > 0) {
+            // Bytes past the offset are left over from an interrupted write and are overwritten
+            const handle = await fs.promises.open(locked.part_path, 'r+');
+            try {
+                await handle.write(chunk, 0, length, offset);
+                await handle.truncate(offset + length);
+            } finally {
+                await handle.close();
+            }
+        }
+
+        const complete = offset + length === locked.size;
+        locked = await Upload.findByIdAndUpdate(
+            locked._id,
+            { offset: offset + length, expires_at: expiresFrom(now), ...(!complete && { writing_since: null }) },
+            { new: true }
+        );
+        if (!complete) return { upload: locked, status: 200, error: null };
+        return await completeUpload(locked);
+    } catch (error) {
+        await Upload.updateOne({ _id: locked._id }, { writing_since: null });
+        throw error;
+    }
+};
+
+/**
+ * Cancel an upload that nothing uses yet and remove its data.
+ * @returns {Promise<Object>} - { upload, status, error }
+ */
+export const cancelUpload = async (upload) => {
+    const previous = await retireUpload(
+        { _id: upload._id, status: { $in: ['uploading', 'completed', 'failed'] } },
+        { status: 'cancelled', part_path: null, file_path: null, expires_at: null }
+    );
+    if (!previous) {
+        return { upload, status: 409, error: `The upload is ${upload.status} and cannot be cancelled` };
+    }
+    removeFile(previous.part_path);
+    removeFile(previous.file_path);
+    return { upload: await Upload.findById(upload._id), status: 200, error: null };
+};
+
+/**
+ * A completed upload of the tenant that a lesson or recording can use, with a multer-like file
+ * description of it ({ fieldname, originalname, mimetype, size, path }).
+ * @returns {Promise<Object>} - { upload, file, status, error }
+ */
+export const findAttachableUpload = async (tenantId, uploadId, purpose) => {
+    const upload = tenantId ? await findUpload(tenantId, uploadId) : null;
+    if (!upload) return { upload: null, file: null, status: 404, error: 'Upload not found' };
+    if (upload.purpose !== purpose) {
+        return { upload: null, file: null, status: 400, error: `The upload is for a ${upload.purpose}, not a ${purpose}` };
+    }
+    if (upload.status !== 'completed') {
+        return {
+            upload: null,
+            file: null,
+            status: 409,
+            error: upload.status === 'attached' ? 'The upload is already in use' : `The upload is ${upload.status}`
+        };
+    }
+
+    return {
+        upload,
+        file: {
+            fieldname: FIELD_NAMES[purpose],
+            originalname: upload.file_name,
+            mimetype: upload.mime_type,
+            size: upload.size,
+            path: upload.file_path
+        },
+        status: 200,
+        error: null
+    };
+};
+
+/**
+ * Mark a completed upload as used by a lesson or recording; false if something else claimed it first.
+ * @param {Object} attachedTo - { kind: 'lesson' | 'recording', id }
+ */
+export const claimUpload = async (upload, attachedTo) => {
+    const claimed = await Upload.findOneAndUpdate(
+        { _id: upload._id, status: 'completed' },
+        { status: 'attached', attached_to: attachedTo, expires_at: null }
+    );
+    return !!claimed;
+};
+
+// Give a claimed upload back when the lesson or recording using it could not be saved
+export const releaseUpload = async (upload) => {
+    await Upload.updateOne(
+        { _id: upload._id, status: 'attached' },
+        { status: 'completed', $unset: { attached_to: 1 }, expires_at: expiresFrom(new Date()) }
+    );
+};
+
+// Files removed with purged content no longer count towards the quota
+export const markUploadFilesDeleted = async (files) => {
+    if (files.length === 0) return;
+    const uploads = await Upload.find({ file_path: { $in: files }, status: 'attached' }).select('_id');
+    for (const upload of uploads) {
+        await retireUpload({ _id: upload._id, status: 'attached' }, { status: 'deleted' });
+    }
+};
+
+/**
+ * Delete the uploads behind removed lessons or recordings, with their files, and free their quota.
+ * @param {string} kind - 'lesson' or 'recording'
+ * @param {Array} ids - ids of the removed lessons or recordings
+ * @returns {Promise<number>} - number of uploads deleted
+ */
+export const deleteAttachedUploads = async (kind, ids) => {
+    if (ids.length === 0) return 0;
+    const uploads = await Upload.find({ 'attached_to.kind': kind, 'attached_to.id': { $in: ids }, status: 'attached' }).select('_id');
+    let deleted = 0;
+    for (const upload of uploads) {
+        const previous = await retireUpload({ _id: upload._id, status: 'attached' }, { status: 'deleted', file_path: null });
+        if (!previous) continue;
+        removeFile(previous.file_path);
+        deleted++;
+    }
+    return deleted;
+};
+
+/**
+ * Remove unfinished uploads that went idle and finished ones nothing used in time.
+ * @returns {Promise<number>} - number of uploads expired
+ */
+export const expireUploads = async (now = new Date()) => {
+    const uploads = await Upload.find({ status: { $in: ['uploading', 'completed'] }, expires_at: { $lte: now } });
+    let expired = 0;
+
+    for (const upload of uploads) {
+        // Skip uploads that received a chunk or were claimed since they were read
+        const previous = await retireUpload(
+            {
+                _id: upload._id,
+                status: upload.status,
+                expires_at: upload.expires_at,
+                $or: [{ writing_since: null }, { writing_since: { $lt: new Date(now.getTime() - WRITE_LOCK_MS) } }]
+            },
+            { status: 'expired', part_path: null, file_path: null }
+        );
+        if (!previous) continue;
+        removeFile(upload.part_path);
+        removeFile(upload.file_path);
+        expired++;
+    }
+    return expired;
+};
+
+// Expire stale uploads periodically (UPLOAD_CLEANUP_INTERVAL_HOURS, default 1)
+export const startUploadCleanupScheduler = () => {
+    const intervalHours = parseFloat(process.env.UPLOAD_CLEANUP_INTERVAL_HOURS) || 1;
+    let running = false;
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const expired = await expireUploads();
+            if (expired > 0) console.log(`Expired ${expired} stale upload(s)`);
+        } catch (error) {
+            console.error('Upload cleanup failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+    timer.unref();
+    return timer;
+};
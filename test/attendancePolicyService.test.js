@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_ATTENDANCE_POLICY, summarizeAttendance } from '../services/attendancePolicyService.js';
+
+const records = (...statuses) => statuses.map((status, index) => ({ _id: `r${index + 1}`, status }));
+
+describe('summarizeAttendance', () => {
+    it('counts statuses and leaves excused records out of the rate by default', () => {
+        const summary = summarizeAttendance(records('present', 'late', 'absent', 'excused'));
+
+        assert.equal(summary.total, 4);
+        assert.equal(summary.attended, 2);
+        assert.equal(summary.present, 1);
+        assert.equal(summary.late, 1);
+        assert.equal(summary.absent, 1);
+        assert.equal(summary.excused, 1);
+        assert.equal(summary.attendance_percentage, 66.67);
+        assert.equal(summary.holiday, 0);
+    });
+
+    it('counts excused records as attended when the policy says so', () => {
+        const policy = { ...DEFAULT_ATTENDANCE_POLICY, excused_handling: 'attended' };
+        const summary = summarizeAttendance(records('present', 'absent', 'excused', 'excused'), policy);
+
+        assert.equal(summary.attended, 3);
+        assert.equal(summary.attendance_percentage, 75);
+    });
+
+    it('does not hold absences on a holiday against the student', () => {
+        const list = records('present', 'absent', 'absent', 'late');
+        const summary = summarizeAttendance(list, DEFAULT_ATTENDANCE_POLICY, { isHoliday: record => record._id === 'r3' });
+
+        assert.equal(summary.holiday, 1);
+        assert.equal(summary.total, 3);
+        assert.equal(summary.absent, 1);
+        assert.equal(summary.attendance_percentage, 66.67);
+    });
+
+    it('only waives absences, not attended classes on a holiday', () => {
+        const summary = summarizeAttendance(records('present', 'late'), DEFAULT_ATTENDANCE_POLICY, { isHoliday: () => true });
+
+        assert.equal(summary.holiday, 0);
+        assert.equal(summary.attended, 2);
+    });
+
+    it('counts manually corrected records', () => {
+        const list = records('present', 'absent');
+        list[1].status_history = [{ from: 'present', to: 'absent' }];
+
+        assert.equal(summarizeAttendance(list).corrected, 1);
+    });
+
+    it('reports a zero rate when nothing counts', () => {
+        assert.equal(summarizeAttendance([]).attendance_percentage, 0);
+        assert.equal(summarizeAttendance(records('excused')).attendance_percentage, 0);
+    });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeCsvField, parseCsv, toCsv } from '../utils/csv.js';
+
+describe('escapeCsvField', () => {
+    it('quotes fields with separators, quotes or line breaks', () => {
+        assert.equal(escapeCsvField('plain'), 'plain');
+        assert.equal(escapeCsvField('a,b'), '"a,b"');
+        assert.equal(escapeCsvField('say "hi"'), '"say ""hi"""');
+        assert.equal(escapeCsvField('two\nlines'), '"two\nlines"');
+        assert.equal(escapeCsvField(null), '');
+    });
+
+    it('keeps text that a spreadsheet would run as a formula from running', () => {
+        assert.equal(escapeCsvField('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+        assert.equal(escapeCsvField('+1'), "'+1");
+        assert.equal(escapeCsvField('@SUM(A1)'), "'@SUM(A1)");
+        assert.equal(escapeCsvField(-5), '-5');
+    });
+});
+
+describe('parseCsv', () => {
+    it('reads back what toCsv writes', () => {
+        const rows = [
+            ['name', 'note', 'score'],
+            ['Asha', 'said "hello", then left', '-3'],
+            ['=cmd|/C calc', '@home\r\nnext line', '+7'],
+            ['', ' spaced ', 'last']
+        ];
+
+        const parsed = parseCsv(toCsv(rows));
+        assert.deepEqual(parsed.map(row => row.cells), rows);
+        assert.deepEqual(parsed.map(row => row.line), [1, 2, 3, 5]);
+    });
+});
@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGift, toGift } from '../utils/gift.js';
+import { buildQtiAssessment } from '../utils/qti.js';
+
+const QUESTIONS = [
+    {
+        question_text: 'Which planet is known as the Red Planet?',
+        question_type: 'mcq',
+        options: [
+            { option_text: 'Venus', is_correct: false },
+            { option_text: 'Mars', is_correct: true }
+        ]
+    },
+    {
+        question_text: 'Pick the prime numbers',
+        question_type: 'multi_select',
+        options: [
+            { option_text: '2', is_correct: true },
+            { option_text: '4', is_correct: false },
+            { option_text: '7', is_correct: true }
+        ]
+    },
+    {
+        question_text: 'The earth is flat.',
+        question_type: 'true_false',
+        options: [
+            { option_text: 'True', is_correct: false },
+            { option_text: 'False', is_correct: true }
+        ]
+    },
+    {
+        question_text: 'The capital of France is',
+        question_type: 'fill_blank',
+        options: [{ option_text: 'Paris', is_correct: true }]
+    },
+    {
+        question_text: 'Match the symbols',
+        question_type: 'matching',
+        options: [
+            { option_text: 'Fe', match_text: 'Iron', is_correct: false },
+            { option_text: 'Au', match_text: 'Gold', is_correct: false }
+        ]
+    },
+    { question_text: 'What is pi to two decimals?', question_type: 'numeric', options: [], numeric_answer: 3.14, tolerance: 0.005 },
+    { question_text: 'Describe photosynthesis.', question_type: 'essay', options: [] }
+];
+
+// The fields a GIFT round trip keeps
+const comparable = ({ question_text, question_type, options, numeric_answer, tolerance }) => ({
+    question_text,
+    question_type,
+    options: options.map(({ option_text, match_text, is_correct }) => ({ option_text, ...(match_text !== undefined && { match_text }), is_correct })),
+    ...(question_type === 'numeric' && { numeric_answer, tolerance })
+});
+
+describe('GIFT', () => {
+    it('parses what it exports', () => {
+        const { content, skipped } = toGift(QUESTIONS, 'Science quiz');
+        const { questions, errors } = parseGift(content);
+
+        assert.deepEqual(skipped, []);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(questions.map(comparable), QUESTIONS.map(comparable));
+    });
+
+    it('keeps GIFT control characters in text', () => {
+        const question = {
+            question_text: 'Is {x} = 1: a #tag ~ or \\ path?',
+            question_type: 'mcq',
+            options: [
+                { option_text: 'a = b', is_correct: true },
+                { option_text: '~{}', is_correct: false }
+            ]
+        };
+        const { questions, errors } = parseGift(toGift([question]).content);
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(questions.map(comparable), [comparable(question)]);
+    });
+
+    it('skips ordering questions, which GIFT cannot express', () => {
+        const ordering = { question_text: 'Order these', question_type: 'ordering', options: [{ option_text: 'a', order: 1 }] };
+        const { content, skipped } = toGift([ordering, QUESTIONS[0]]);
+
+        assert.deepEqual(skipped, ['Order these']);
+        assert.equal(parseGift(content).questions.length, 1);
+    });
+
+    it('reports the line of a broken question', () => {
+        const { questions, errors } = parseGift('// comment\n\nWhat is 2+2? {#four}\n\nFine {=yes ~no}\n\nOpen {=never closed');
+
+        assert.equal(questions.length, 1);
+        assert.deepEqual(errors.map(error => error.line), [3, 7]);
+    });
+});
+
+describe('QTI', () => {
+    const xml = buildQtiAssessment({
+        id: 'quiz1',
+        title: 'Fish & <Chips>',
+        questions: QUESTIONS.map((question, index) => ({ ...question, question_id: `q${index + 1}`, score: 2 }))
+    });
+
+    it('writes one item per question with its Canvas question type', () => {
+        const types = [...xml.matchAll(/<fieldlabel>question_type<\/fieldlabel><fieldentry>([^<]+)</g)].map(match => match[1]);
+
+        assert.deepEqual(types, [
+            'multiple_choice_question',
+            'multiple_answers_question',
+            'true_false_question',
+            'short_answer_question',
+            'matching_question',
+            'numerical_question',
+            'essay_question'
+        ]);
+        assert.deepEqual([...xml.matchAll(/<item ident="([^"]+)"/g)].map(match => match[1]), ['q1', 'q2', 'q3', 'q4', 'q5', 'q6', 'q7']);
+    });
+
+    it('escapes attribute values', () => {
+        assert.match(xml, /<assessment ident="quiz1" title="Fish &amp; &lt;Chips&gt;">/);
+    });
+
+    it('keeps each question text and its answer key', () => {
+        const items = [...xml.matchAll(/<item [^>]*>[\s\S]*?<\/item>/g)].map(match => readItem(match[0]));
+        assert.deepEqual(items, [
+            { text: QUESTIONS[0].question_text, labels: ['Venus', 'Mars'], correct: ['Mars'] },
+            { text: QUESTIONS[1].question_text, labels: ['2', '4', '7'], correct: ['2', '7'] },
+            { text: QUESTIONS[2].question_text, labels: ['True', 'False'], correct: ['False'] },
+            { text: QUESTIONS[3].question_text, labels: [], correct: ['Paris'] },
+            { text: QUESTIONS[4].question_text, labels: ['Fe', 'Iron', 'Gold', 'Au', 'Iron', 'Gold'], correct: ['Fe -> Iron', 'Au -> Gold'] },
+            { text: QUESTIONS[5].question_text, labels: [], correct: ['3.135..3.145'] },
+            { text: QUESTIONS[6].question_text, labels: [], correct: [] }
+        ]);
+    });
+});
+
+const unescapeXml = (value) => value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// Question text, shown texts and the answers scored as correct, read back from a QTI item
+const readItem = (item) => {
+    const [text, ...labels] = [...item.matchAll(/<mattext[^>]*>([^<]*)<\/mattext>/g)].map(match => unescapeXml(match[1]));
+    const choiceText = (ident) => unescapeXml(item.match(new RegExp(`<response_label ident="${ident}"><material><mattext[^>]*>([^<]*)`))[1]);
+
+    let correct = [...item.matchAll(/(<not>)?<varequal respident="(response\d+)"( case="No")?>([^<]*)<\/varequal>/g)]
+        .filter(([, negated]) => !negated)
+        .map(([, , respident, caseless, value]) => {
+            if (caseless) return unescapeXml(value);
+            if (value.startsWith('m')) {
+                const prompt = item.match(new RegExp(`<response_lid ident="${respident}"[^>]*><material><mattext[^>]*>([^<]*)`))[1];
+                return `${unescapeXml(prompt)} -> ${choiceText(value)}`;
+            }
+            return choiceText(value);
+        });
+    const range = item.match(/<vargte respident="response1">([^<]+)<\/vargte><varlte respident="response1">([^<]+)<\/varlte>/);
+    if (range) correct = [`${Math.round(range[1] * 1000) / 1000}..${Math.round(range[2] * 1000) / 1000}`];
+
+    return { text, labels, correct };
+};
@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { gradeAnswer, gradeQuestionSet, validateQuestionDefinition } from '../services/quizGradingService.js';
+
+const question = (question_type, extra = {}) => ({ question_id: 'q1', question_type, score: 4, options: [], ...extra });
+
+const choices = (...correct) => correct.map((isCorrect, index) => ({ option_id: `o${index + 1}`, option_text: `Option ${index + 1}`, is_correct: isCorrect }));
+
+describe('gradeAnswer', () => {
+    it('gives full marks for the correct single choice only', () => {
+        const mcq = question('mcq', { options: choices(false, true, false) });
+        assert.deepEqual(gradeAnswer(mcq, { selected_option_id: 'o2' }), {
+            question_id: 'q1', selected_option_id: 'o2', is_correct: true, points_earned: 4
+        });
+        assert.equal(gradeAnswer(mcq, { selected_option_id: 'o1' }).points_earned, 0);
+    });
+
+    it('takes a share back for each wrong multi-select pick and never goes below zero', () => {
+        const multi = question('multi_select', { options: choices(true, true, false, false) });
+        assert.equal(gradeAnswer(multi, { selected_option_ids: ['o1', 'o2'] }).points_earned, 4);
+        assert.equal(gradeAnswer(multi, { selected_option_ids: ['o1'] }).points_earned, 2);
+        assert.equal(gradeAnswer(multi, { selected_option_ids: ['o1', 'o3'] }).points_earned, 0);
+        assert.equal(gradeAnswer(multi, { selected_option_ids: ['o3', 'o4'] }).points_earned, 0);
+        assert.equal(gradeAnswer(multi, { selected_option_ids: ['o1', 'o1'] }).points_earned, 2);
+    });
+
+    it('matches fill-in answers ignoring case and spacing', () => {
+        const blank = question('fill_blank', { options: [{ option_id: 'o1', option_text: 'New  Delhi', is_correct: true }] });
+        assert.equal(gradeAnswer(blank, { text_answer: '  new delhi ' }).is_correct, true);
+        assert.equal(gradeAnswer(blank, { text_answer: '' }).is_correct, false);
+    });
+
+    it('gives partial credit per matched pair and per item in place', () => {
+        const matching = question('matching', {
+            options: [
+                { option_id: 'o1', option_text: 'A', match_text: '1' },
+                { option_id: 'o2', option_text: 'B', match_text: '2' }
+            ]
+        });
+        const matched = gradeAnswer(matching, { matches: [{ option_id: 'o1', match_text: '1' }, { option_id: 'o2', match_text: '1' }] });
+        assert.equal(matched.points_earned, 2);
+        assert.equal(matched.is_correct, false);
+
+        const ordering = question('ordering', {
+            options: [
+                { option_id: 'o1', option_text: 'first', order: 1 },
+                { option_id: 'o2', option_text: 'second', order: 2 },
+                { option_id: 'o3', option_text: 'third', order: 3 },
+                { option_id: 'o4', option_text: 'fourth', order: 4 }
+            ]
+        });
+        assert.equal(gradeAnswer(ordering, { ordered_option_ids: ['o1', 'o2', 'o4', 'o3'] }).points_earned, 2);
+        assert.equal(gradeAnswer(ordering, { ordered_option_ids: ['o1', 'o2', 'o3', 'o4'] }).is_correct, true);
+    });
+
+    it('accepts numeric answers within the tolerance', () => {
+        const numeric = question('numeric', { numeric_answer: 9.81, tolerance: 0.01 });
+        assert.equal(gradeAnswer(numeric, { numeric_answer: '9.8' }).is_correct, true);
+        assert.equal(gradeAnswer(numeric, { numeric_answer: 9.7 }).is_correct, false);
+        assert.equal(gradeAnswer(numeric, { numeric_answer: '' }).numeric_answer, undefined);
+    });
+
+    it('leaves written answers for review unless they are blank', () => {
+        const essay = question('essay');
+        assert.equal(gradeAnswer(essay, { text_answer: 'Because...' }).review_status, 'pending');
+        assert.equal(gradeAnswer(essay, { text_answer: '   ' }).review_status, undefined);
+    });
+
+    it('earns nothing for a missing answer or an unknown type', () => {
+        assert.deepEqual(gradeAnswer(question('mcq'), undefined), { question_id: 'q1', is_correct: false, points_earned: 0 });
+        assert.equal(gradeAnswer(question('hotspot'), { selected_option_id: 'o1' }).points_earned, 0);
+    });
+});
+
+describe('gradeQuestionSet', () => {
+    it('totals the score and counts answers waiting for review', () => {
+        const questions = [
+            question('mcq', { question_id: 'q1', score: 1, options: choices(true, false) }),
+            question('multi_select', { question_id: 'q2', score: 3, options: choices(true, true, true) }),
+            question('essay', { question_id: 'q3', score: 5 })
+        ];
+        const result = gradeQuestionSet(questions, [
+            { question_id: 'q1', selected_option_id: 'o1' },
+            { question_id: 'q2', selected_option_ids: ['o1'] },
+            { question_id: 'q3', text_answer: 'An essay' },
+            null
+        ]);
+
+        assert.equal(result.total_score, 2);
+        assert.equal(result.max_score, 9);
+        assert.equal(result.pending_review, 1);
+        assert.deepEqual(result.answers.map(answer => answer.question_id), ['q1', 'q2', 'q3']);
+    });
+});
+
+describe('validateQuestionDefinition', () => {
+    it('accepts well-formed questions', () => {
+        assert.equal(validateQuestionDefinition({ question_type: 'mcq' }, choices(true, false)), null);
+        assert.equal(validateQuestionDefinition({ question_type: 'numeric', numeric_answer: 3 }), null);
+    });
+
+    it('explains what is wrong with a definition', () => {
+        assert.match(validateQuestionDefinition({ question_type: 'hotspot' }), /^question_type must be one of/);
+        assert.equal(validateQuestionDefinition({ question_type: 'mcq' }, choices(true, true)), 'Exactly one correct option must be provided');
+        assert.equal(validateQuestionDefinition({ question_type: 'true_false' }, choices(true, false, false)), 'Exactly 2 options are required');
+        assert.equal(validateQuestionDefinition({ question_type: 'essay' }, choices(true)), 'Essay questions do not take options');
+        assert.equal(validateQuestionDefinition({ question_type: 'numeric', numeric_answer: 1, tolerance: -1 }), 'tolerance must be zero or more');
+        assert.equal(
+            validateQuestionDefinition({ question_type: 'ordering' }, [{ option_text: 'a', order: 1 }, { option_text: 'b', order: 1 }]),
+            'Each item needs a distinct integer order'
+        );
+    });
+});
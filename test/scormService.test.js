@@ -0,0 +1,73 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { extractZipFolder, resolveInside } from '../services/scormService.js';
+
+const loadZip = async (files) => {
+    const zip = new JSZip();
+    Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+    return JSZip.loadAsync(await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+};
+
+describe('resolveInside', () => {
+    const base = path.resolve('/srv/packages/abc');
+
+    it('resolves paths inside the base directory', () => {
+        assert.equal(resolveInside(base, 'index.html'), path.join(base, 'index.html'));
+        assert.equal(resolveInside(base, 'a/../b/c.js'), path.join(base, 'b', 'c.js'));
+    });
+
+    it('refuses paths that leave the base directory', () => {
+        assert.equal(resolveInside(base, '../other/index.html'), null);
+        assert.equal(resolveInside(base, '/etc/passwd'), null);
+        assert.equal(resolveInside(base, '../abcdef/index.html'), null);
+        assert.equal(resolveInside(base, ''), null);
+        assert.equal(resolveInside(base, '.'), null);
+    });
+});
+
+describe('extractZipFolder', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scorm-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes the files under the prefix and charges them to the budget', async () => {
+        const zip = await loadZip({ 'pkg/index.html': '<html></html>', 'pkg/js/app.js': 'run();', 'other.txt': 'skip' });
+        const budget = { remaining: 1000 };
+        const target = path.join(dir, 'ok');
+
+        assert.deepEqual(await extractZipFolder(zip, 'pkg/', target, budget), { files: 2, error: null });
+        assert.equal(fs.readFileSync(path.join(target, 'js', 'app.js'), 'utf8'), 'run();');
+        assert.equal(fs.existsSync(path.join(target, 'other.txt')), false);
+        assert.equal(budget.remaining, 1000 - '<html></html>'.length - 'run();'.length);
+    });
+
+    it('refuses a package whose declared size is over the budget before inflating it', async () => {
+        const zip = await loadZip({ 'big.bin': Buffer.alloc(4096) });
+        const target = path.join(dir, 'declared');
+
+        const result = await extractZipFolder(zip, '', target, { remaining: 1024 });
+        assert.equal(result.files, 0);
+        assert.match(result.error, /^Packages may unpack to at most/);
+        assert.equal(fs.existsSync(target), false);
+    });
+
+    it('stops an entry that inflates to more than it declared', async () => {
+        const zip = await loadZip({ 'bomb.bin': Buffer.alloc(64 * 1024) });
+        zip.files['bomb.bin']._data.uncompressedSize = 10;
+        const target = path.join(dir, 'bomb');
+
+        const result = await extractZipFolder(zip, '', target, { remaining: 1024 });
+        assert.match(result.error, /^Packages may unpack to at most/);
+        assert.equal(fs.existsSync(path.join(target, 'bomb.bin')), false);
+    });
+});
@@ -0,0 +1,181 @@
+import { after, before, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The service reads its folders when it is loaded
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+process.env.UPLOAD_PARTS_PATH = path.join(dir, 'parts');
+process.env.RECORDINGS_PATH = path.join(dir, 'recordings');
+
+const { default: Tenant } = await import('../models/tenant.model.js');
+const { default: Upload } = await import('../models/Upload.js');
+const { appendChunk, createUpload } = await import('../services/uploadService.js');
+
+const sha256 = (data, encoding) => crypto.createHash('sha256').update(data).digest(encoding);
+
+const FILE = Buffer.from('0123456789abcdefghij');
+
+// One upload document standing in for the collection
+let stored;
+
+const matches = (filter) => {
+    if (filter.status !== undefined && (filter.status.$in ? !filter.status.$in.includes(stored.status) : filter.status !== stored.status)) return false;
+    if (filter.offset !== undefined && filter.offset !== stored.offset) return false;
+    if (filter.$or && stored.writing_since) return false;
+    return true;
+};
+
+const apply = (update, options = {}) => {
+    const previous = { ...stored };
+    Object.assign(stored, update);
+    return options.new ? { ...stored } : previous;
+};
+
+const startUpload = (checksum = null) => {
+    const partPath = path.join(process.env.UPLOAD_PARTS_PATH, 'upload1.part');
+    fs.mkdirSync(path.dirname(partPath), { recursive: true });
+    fs.writeFileSync(partPath, '');
+    stored = {
+        _id: 'upload1',
+        tenant_id: 'tenant1',
+        purpose: 'recording',
+        file_name: 'lecture.mp4',
+        size: FILE.length,
+        offset: 0,
+        checksum,
+        status: 'uploading',
+        writing_since: null,
+        part_path: partPath,
+        file_path: null
+    };
+    return { ...stored };
+};
+
+const send = (upload, offset, chunk, chunkChecksum) => appendChunk(upload, { offset, chunk, chunkChecksum });
+
+before(() => {
+    mock.method(Upload, 'findOneAndUpdate', async (filter, update, options) => (matches(filter) ? apply(update, options) : null));
+    mock.method(Upload, 'findByIdAndUpdate', async (id, update, options) => apply(update, options));
+    mock.method(Upload, 'updateOne', async (filter, update) => apply(update));
+    mock.method(Upload, 'findById', async () => ({ ...stored }));
+});
+
+after(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('appendChunk', () => {
+    let releaseQuota;
+
+    beforeEach(() => {
+        releaseQuota = mock.method(Tenant, 'updateOne', async () => ({ modifiedCount: 1 }));
+    });
+
+    it('appends chunks in order and completes the upload into the recordings folder', async () => {
+        let upload = startUpload(sha256(FILE, 'hex'));
+
+        let result = await send(upload, 0, FILE.subarray(0, 8), `sha256 ${sha256(FILE.subarray(0, 8), 'base64')}`);
+        assert.equal(result.error, null);
+        assert.equal(result.upload.offset, 8);
+        assert.equal(result.upload.writing_since, null);
+        upload = result.upload;
+
+        result = await send(upload, 8, FILE.subarray(8));
+        assert.equal(result.status, 200);
+        assert.equal(result.upload.status, 'completed');
+        assert.equal(result.upload.checksum, sha256(FILE, 'hex'));
+        assert.equal(result.upload.part_path, null);
+        assert.equal(path.dirname(result.upload.file_path), process.env.RECORDINGS_PATH);
+        assert.deepEqual(fs.readFileSync(result.upload.file_path), FILE);
+        assert.equal(releaseQuota.mock.callCount(), 0);
+    });
+
+    it('only takes a chunk at the bytes received so far', async () => {
+        const upload = startUpload();
+
+        const result = await send(upload, 4, FILE.subarray(0, 4));
+        assert.equal(result.status, 409);
+        assert.equal(result.error, 'Upload-Offset must be 0, the bytes received so far');
+        assert.equal(fs.statSync(upload.part_path).size, 0);
+    });
+
+    it('refuses a chunk that runs past the announced size', async () => {
+        const upload = startUpload();
+
+        const result = await send(upload, 0, Buffer.concat([FILE, Buffer.from('!')]));
+        assert.equal(result.status, 400);
+        assert.match(result.error, /runs past the file size/);
+    });
+
+    it('checks a chunk against its checksum before writing it', async () => {
+        const upload = startUpload();
+        const chunk = FILE.subarray(0, 8);
+
+        let result = await send(upload, 0, chunk, `md5 ${crypto.createHash('md5').update(chunk).digest('base64')}`);
+        assert.equal(result.status, 400);
+        assert.equal(result.error, 'Upload-Checksum must be "sha256 <base64 digest>"');
+
+        result = await send(upload, 0, chunk, `sha256 ${sha256(FILE, 'base64')}`);
+        assert.equal(result.status, 400);
+        assert.equal(result.error, 'The chunk does not match its checksum; send it again');
+        assert.equal(fs.statSync(upload.part_path).size, 0);
+    });
+
+    it('overwrites bytes left over from an interrupted write', async () => {
+        const upload = startUpload();
+        fs.writeFileSync(upload.part_path, 'leftover bytes');
+
+        const result = await send(upload, 0, FILE.subarray(0, 4));
+        assert.equal(result.upload.offset, 4);
+        assert.equal(fs.readFileSync(upload.part_path, 'utf8'), '0123');
+    });
+
+    it('waits while another chunk is being written', async () => {
+        const upload = startUpload();
+        stored.writing_since = new Date();
+
+        const result = await send(upload, 0, FILE.subarray(0, 4));
+        assert.equal(result.status, 409);
+        assert.match(result.error, /being written/);
+    });
+
+    it('fails an upload that does not match the whole-file checksum and gives its quota back', async () => {
+        const upload = startUpload(sha256('something else', 'hex'));
+
+        const result = await send(upload, 0, FILE);
+        assert.equal(result.status, 422);
+        assert.equal(result.upload.status, 'failed');
+        assert.equal(fs.existsSync(upload.part_path), false);
+        assert.deepEqual(releaseQuota.mock.calls.map(call => call.arguments), [
+            [{ _id: 'tenant1' }, { $inc: { upload_used_bytes: -FILE.length } }]
+        ]);
+    });
+});
+
+describe('createUpload', () => {
+    const params = { tenantId: 'tenant1', userId: 'user1', purpose: 'recording', fileName: 'lecture.mp4', mimeType: 'video/mp4', size: 100 };
+
+    it('checks the request before reserving any quota', async () => {
+        const reserve = mock.method(Tenant, 'findOneAndUpdate', async () => null);
+        const cases = [
+            [{ purpose: 'avatar' }, 400, /^purpose must be one of/],
+            [{ fileName: ' ' }, 400, /^file_name is required$/],
+            [{ mimeType: 'application/pdf' }, 400, /Only video files are allowed for recordings/],
+            [{ size: 1.5 }, 400, /^size must be the file size in bytes$/],
+            [{ size: 0 }, 400, /^size must be the file size in bytes$/],
+            [{ size: 21 * 1024 * 1024 * 1024 }, 413, /^Files can be at most/],
+            [{ checksum: 'not-a-hash' }, 400, /^checksum must be the hex SHA-256/]
+        ];
+
+        for (const [override, status, error] of cases) {
+            const result = await createUpload({ ...params, ...override });
+            assert.equal(result.status, status, JSON.stringify(override));
+            assert.match(result.error, error);
+        }
+        assert.equal(reserve.mock.callCount(), 0);
+    });
+});
@@ -1,70 +1,174 @@
+import moment from "moment-timezone";
+import { DEFAULT_TIMEZONE, normalizeTimezone } from "./timezone.js";
+
+const WEEK_DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
 
 /**
- * Parse time string "HH:MM AM/PM" to minutes from midnight.
+ * Parse a time string to minutes from midnight.
+ * Accepts 12-hour ("10:30 AM", "10:30pm") and 24-hour ("18:45") formats.
  */
 function parseTimeToMinutes(timeStr) {
     if (!timeStr) return null;
-    const match = timeStr.match(/(\d+):(\d+)\s+(AM|PM)/i);
+    const match = timeStr.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
     if (!match) return null;
 
     let [_, hours, minutes, period] = match;
     hours = parseInt(hours, 10);
     minutes = parseInt(minutes, 10);
-    period = period.toUpperCase();
+    if (minutes > 59) return null;
 
-    if (period === "PM" && hours < 12) hours += 12;
-    if (period === "AM" && hours === 12) hours = 0;
+    if (period) {
+        if (hours < 1 || hours > 12) return null;
+        period = period.toUpperCase();
+        if (period === "PM" && hours < 12) hours += 12;
+        if (period === "AM" && hours === 12) hours = 0;
+    } else if (hours > 23) {
+        return null;
+    }
 
     return hours * 60 + minutes;
 }
 
 /**
- * Check if two time ranges overlap.
- * Range format: "HH:MM AM - HH:MM PM"
+ * Parse a time range ("HH:MM AM - HH:MM PM" or "HH:MM-HH:MM") into start/end minutes.
+ * A range that ends at or before its start runs past midnight, so its end is pushed to the next day.
  */
-function isTimeOverlap(timeRange1, timeRange2) {
-    if (!timeRange1 || !timeRange2) return false;
+function parseTimeRange(timeRange) {
+    if (!timeRange) return null;
+
+    const parts = timeRange.split("-");
+    if (parts.length !== 2) return null;
 
-    const [start1Str, end1Str] = timeRange1.split(" - ");
-    const [start2Str, end2Str] = timeRange2.split(" - ");
+    const start = parseTimeToMinutes(parts[0]);
+    let end = parseTimeToMinutes(parts[1]);
+    if (start === null || end === null) return null;
+
+    if (end <= start) end += MINUTES_PER_DAY;
+    return { start, end };
+}
 
-    const start1 = parseTimeToMinutes(start1Str);
-    const end1 = parseTimeToMinutes(end1Str);
-    const start2 = parseTimeToMinutes(start2Str);
-    const end2 = parseTimeToMinutes(end2Str);
+/**
+ * Weekly intervals (UTC minutes from Sunday 00:00) of a batch's recurring classes.
+ * Local times are shifted by the batch timezone's offset at `referenceDate`.
+ */
+function getWeeklyIntervals(batch, timezone, referenceDate) {
+    const range = parseTimeRange(batch.batch_time);
+    if (!range || !batch.recurring_days) return [];
 
-    if (start1 === null || end1 === null || start2 === null || end2 === null) return false;
+    const offset = moment.tz.zone(timezone).utcOffset(referenceDate.getTime()); // Minutes behind UTC
 
-    // Overlap condition: Start1 < End2 && Start2 < End1
-    return start1 < end2 && start2 < end1;
+    return batch.recurring_days
+        .filter(day => WEEK_DAYS.includes(day))
+        .map(day => {
+            const dayStart = WEEK_DAYS.indexOf(day) * MINUTES_PER_DAY + offset;
+            return { day, start: dayStart + range.start, end: dayStart + range.end };
+        });
 }
 
 /**
- * Check if two day arrays share any common day.
+ * Check if two weekly intervals overlap, including classes that wrap from Saturday into Sunday.
  */
-function isDayOverlap(days1, days2) {
-    if (!days1 || !days2) return false;
-    return days1.some(day => days2.includes(day));
+function isIntervalOverlap(a, b) {
+    return [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK].some(shift =>
+        a.start < b.end + shift && b.start + shift < a.end
+    );
 }
 
 /**
- * Check for batch conflicts for a student.
- * @param {Object} targetBatch - The batch being enrolled in.
- * @param {Array} existingBatches - Array of batches the student is already enrolled in.
- * @returns {Object|null} - Returns the conflicting batch if found, otherwise null.
+ * Intersection of two batches' date ranges, or null when they never run at the same time.
+ * A batch without dates is treated as open-ended.
+ */
+function getDateRangeOverlap(batch1, batch2) {
+    const toTime = (value, fallback) => (value ? new Date(value).getTime() : fallback);
+
+    const start = Math.max(toTime(batch1.start_date, -Infinity), toTime(batch2.start_date, -Infinity));
+    const end = Math.min(toTime(batch1.end_date, Infinity), toTime(batch2.end_date, Infinity));
+    if (start > end) return null;
+
+    return {
+        start: Number.isFinite(start) ? new Date(start) : null,
+        end: Number.isFinite(end) ? new Date(end) : null
+    };
+}
+
+/**
+ * Check whether a weekday occurs at least once in a date range, in the given timezone.
+ */
+function isDayInRange(day, range, timezone) {
+    if (!range.start || !range.end) return true;
+    if (range.end - range.start >= 6 * MINUTES_PER_DAY * 60 * 1000) return true;
+
+    const cursor = moment.tz(range.start, timezone).startOf("day");
+    while (cursor.toDate() <= range.end) {
+        if (WEEK_DAYS[cursor.day()] === day) return true;
+        cursor.add(1, "day");
+    }
+    return false;
+}
+
+/**
+ * Work out how two batches clash. Batches without their own timezone use `defaultTimezone`.
+ * Overlapping days are reported as weekdays of the target batch, in its timezone.
+ * @returns {Object|null} - { batch, overlapping_days, overlap_start, overlap_end } or null.
  */
-export function findBatchConflict(targetBatch, existingBatches) {
-    if (!targetBatch.recurring_days || !targetBatch.batch_time) return null;
+export function getScheduleConflict(targetBatch, batch, defaultTimezone = DEFAULT_TIMEZONE) {
+    const dateOverlap = getDateRangeOverlap(targetBatch, batch);
+    if (!dateOverlap) return null;
+
+    const targetTimezone = normalizeTimezone(targetBatch.timezone, defaultTimezone);
+    const batchTimezone = normalizeTimezone(batch.timezone, defaultTimezone);
+    const referenceDate = dateOverlap.start && dateOverlap.start > new Date() ? dateOverlap.start : new Date();
+
+    const targetIntervals = getWeeklyIntervals(targetBatch, targetTimezone, referenceDate);
+    const batchIntervals = getWeeklyIntervals(batch, batchTimezone, referenceDate);
 
+    const overlappingDays = [...new Set(
+        targetIntervals
+            .filter(target => batchIntervals.some(other => isIntervalOverlap(target, other)))
+            .map(target => target.day)
+    )].filter(day => isDayInRange(day, dateOverlap, targetTimezone));
+
+    if (overlappingDays.length === 0) return null;
+
+    return {
+        batch,
+        overlapping_days: overlappingDays,
+        overlap_start: dateOverlap.start,
+        overlap_end: dateOverlap.end
+    };
+}
+
+/**
+ * Find every batch that clashes with the target batch.
+ * @param {Object} targetBatch - The batch being scheduled or enrolled in.
+ * @param {Array} existingBatches - Batches already on the student's or instructor's schedule.
+ * @param {Object} [options] - { timezone } used for batches without their own timezone.
+ * @returns {Array} - Conflicts as returned by getScheduleConflict.
+ */
+export function findBatchConflicts(targetBatch, existingBatches, { timezone = DEFAULT_TIMEZONE } = {}) {
+    if (!targetBatch.recurring_days || !targetBatch.batch_time) return [];
+
+    const conflicts = [];
     for (const batch of existingBatches) {
-        if (batch._id.toString() === targetBatch._id.toString()) continue; // Skip self if present
+        if (!batch) continue;
+        if (targetBatch._id && batch._id.toString() === targetBatch._id.toString()) continue; // Skip self if present
         if (batch.status !== 'active') continue; // Only check active batches
 
-        if (isDayOverlap(targetBatch.recurring_days, batch.recurring_days)) {
-            if (isTimeOverlap(targetBatch.batch_time, batch.batch_time)) {
-                return batch;
-            }
-        }
+        const conflict = getScheduleConflict(targetBatch, batch, timezone);
+        if (conflict) conflicts.push(conflict);
     }
-    return null;
+    return conflicts;
+}
+
+/**
+ * Check for batch conflicts for a student.
+ * @param {Object} targetBatch - The batch being enrolled in.
+ * @param {Array} existingBatches - Array of batches the student is already enrolled in.
+ * @returns {Object|null} - Returns the first conflicting batch if found, otherwise null.
+ */
+export function findBatchConflict(targetBatch, existingBatches, options) {
+    const [conflict] = findBatchConflicts(targetBatch, existingBatches, options);
+    return conflict ? conflict.batch : null;
 }
@@ -0,0 +1,87 @@
+// Spreadsheets run cells starting with one of these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// The apostrophe escapeCsvField puts before a formula character
+const PROTECTED_FORMULA = /^'[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings).
+ * The apostrophe escapeCsvField adds before a leading formula character is dropped again.
+ * @param {string} text - The CSV content; a leading byte order mark is ignored.
+ * @returns {Array<{ line: number, cells: string[] }>} - Non-empty rows with the line each starts on.
+ */
+export function parseCsv(text) {
+    const source = String(text ?? "").replace(/^\uFEFF/, "");
+    const rows = [];
+    let cells = [];
+    let cell = "";
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endCell = () => {
+        cells.push(PROTECTED_FORMULA.test(cell) ? cell.slice(1) : cell);
+        cell = "";
+    };
+
+    const endRow = () => {
+        endCell();
+        if (cells.some((value) => value.trim() !== "")) rows.push({ line: rowLine, cells });
+        cells = [];
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === "\"" && source[i + 1] === "\"") {
+                cell += "\"";
+                i++;
+            } else if (char === "\"") {
+                inQuotes = false;
+            } else {
+                if (char === "\n") line++;
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === "\"" && cell === "") {
+            inQuotes = true;
+        } else if (char === ",") {
+            endCell();
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && source[i + 1] === "\n") i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== "" || cells.length > 0) endRow();
+
+    return rows;
+}
+
+/**
+ * Quote a CSV field when it contains a comma, quote or line break. Text starting with =, +, -, @, a tab or a
+ * carriage return gets a leading apostrophe so spreadsheets show it instead of running it as a formula;
+ * numbers are written as they are.
+ * @param {*} value - The field; null and undefined become empty.
+ * @returns {string}
+ */
+export function escapeCsvField(value) {
+    let text = String(value ?? "");
+    if (typeof value !== "number" && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Build CSV text from rows of values.
+ * @param {Array<Array>} rows - The header row first.
+ * @returns {string} - CSV with CRLF line endings.
+ */
+export function toCsv(rows) {
+    return rows.map((row) => row.map(escapeCsvField).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,260 @@
+// Moodle GIFT format: https://docs.moodle.org/en/GIFT_format
+
+const SPECIAL_CHARS = /[~=#{}:\\]/g;
+
+/**
+ * Escape GIFT control characters in question or answer text.
+ */
+function escapeGift(value) {
+    return String(value ?? "").replace(SPECIAL_CHARS, (char) => `\\${char}`).replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Undo GIFT escapes.
+ */
+function unescapeGift(value) {
+    return String(value ?? "").replace(/\\n/g, "\n").replace(/\\([~=#{}:\\])/g, "$1").trim();
+}
+
+/**
+ * Index of the first unescaped occurrence of `char` at or after `from`, or -1.
+ */
+function findUnescaped(text, char, from = 0) {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === "\\") {
+            i++;
+        } else if (text[i] === char) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Split an answer block into answers, each starting with an unescaped "=" or "~".
+ */
+function splitAnswers(body) {
+    const answers = [];
+    let current = null;
+
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (char === "\\") {
+            if (current) current.text += char + (body[i + 1] ?? "");
+            i++;
+        } else if (char === "=" || char === "~") {
+            current = { mark: char, text: "" };
+            answers.push(current);
+        } else if (current) {
+            current.text += char;
+        }
+    }
+
+    return answers.map(({ mark, text }) => {
+        // Per-answer feedback after an unescaped "#" is dropped
+        const feedbackAt = findUnescaped(text, "#");
+        let answer = feedbackAt >= 0 ? text.slice(0, feedbackAt) : text;
+
+        let weight = mark === "=" ? 100 : 0;
+        const weighted = answer.trim().match(/^%(-?\d+(?:\.\d+)?)%/);
+        if (weighted) {
+            weight = Number(weighted[1]);
+            answer = answer.trim().slice(weighted[0].length);
+        }
+        return { mark, weight, text: answer };
+    });
+}
+
+/**
+ * Numeric answer "value", "value:tolerance" or "min..max" as { numeric_answer, tolerance }, or null.
+ */
+function parseNumericAnswer(text) {
+    const value = text.trim();
+    const range = value.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+    if (range) {
+        const min = Number(range[1]);
+        const max = Number(range[2]);
+        if (!Number.isFinite(min) || !Number.isFinite(max) || max < min) return null;
+        return { numeric_answer: (min + max) / 2, tolerance: (max - min) / 2 };
+    }
+
+    const [answer, tolerance = "0"] = value.split(":");
+    const parsed = { numeric_answer: Number(answer), tolerance: Number(tolerance) };
+    return Number.isFinite(parsed.numeric_answer) && Number.isFinite(parsed.tolerance) && answer.trim() !== "" ? parsed : null;
+}
+
+/**
+ * Turn the contents of a question's {...} block into a type and options; returns { question, error }.
+ */
+function parseAnswerBlock(body) {
+    const trimmed = body.trim();
+
+    if (trimmed === "") return { question: { question_type: "essay", options: [] } };
+
+    const trueFalse = trimmed.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/is);
+    if (trueFalse) {
+        const isTrue = trueFalse[1].toUpperCase().startsWith("T");
+        return {
+            question: {
+                question_type: "true_false",
+                options: [
+                    { option_text: "True", is_correct: isTrue },
+                    { option_text: "False", is_correct: !isTrue },
+                ],
+            },
+        };
+    }
+
+    if (trimmed.startsWith("#")) {
+        const rest = trimmed.slice(1).trim();
+        // "#=value:tolerance =other" lists alternatives; the first one is used
+        const first = rest.startsWith("=") ? splitAnswers(rest)[0]?.text ?? "" : rest.split("#")[0];
+        const numeric = parseNumericAnswer(unescapeGift(first));
+        if (!numeric) return { error: "Numeric answer must be value, value:tolerance or min..max" };
+        return { question: { question_type: "numeric", options: [], ...numeric } };
+    }
+
+    const answers = splitAnswers(trimmed);
+    if (answers.length === 0) return { error: "No answers found; start each answer with = or ~" };
+
+    if (answers.every((answer) => answer.mark === "=" && answer.text.includes("->"))) {
+        const options = answers.map((answer) => {
+            const [left, ...right] = answer.text.split("->");
+            return { option_text: unescapeGift(left), match_text: unescapeGift(right.join("->")), is_correct: false };
+        });
+        return { question: { question_type: "matching", options } };
+    }
+
+    const options = answers.map((answer) => ({ option_text: unescapeGift(answer.text), is_correct: answer.weight > 0 }));
+    const hasWrong = answers.some((answer) => answer.mark === "~");
+
+    if (!hasWrong) return { question: { question_type: "fill_blank", options } };
+
+    const correct = answers.filter((answer) => answer.weight > 0);
+    const isSingle = correct.length === 1 && correct[0].weight === 100;
+    return { question: { question_type: isSingle ? "mcq" : "multi_select", options } };
+}
+
+/**
+ * Parse GIFT text into questions. Questions are separated by blank lines; // comments and $CATEGORY lines are skipped,
+ * as are items without an answer block (descriptions). Text after the answer block is kept with a blank in its place.
+ * @param {string} text - GIFT content.
+ * @returns {Object} - { questions: [{ line, question_text, question_type, score, options, numeric_answer, tolerance }], errors: [{ line, message }] }
+ */
+export function parseGift(text) {
+    const lines = String(text ?? "").replace(/^\uFEFF/, "").split(/\r?\n/);
+    const blocks = [];
+    let current = null;
+
+    lines.forEach((raw, index) => {
+        const line = raw.trim();
+        if (line.startsWith("//") || line.startsWith("$CATEGORY:")) return;
+        if (line === "") {
+            current = null;
+            return;
+        }
+        if (!current) {
+            current = { line: index + 1, text: "" };
+            blocks.push(current);
+        }
+        current.text += (current.text ? "\n" : "") + raw;
+    });
+
+    const questions = [];
+    const errors = [];
+
+    blocks.forEach(({ line, text: block }) => {
+        let source = block.trim();
+
+        const title = source.match(/^::((?:\\.|[^:\\]|:(?!:))*)::/);
+        if (title) source = source.slice(title[0].length).trim();
+        source = source.replace(/^\[(html|markdown|plain|moodle)\]/i, "");
+
+        const open = findUnescaped(source, "{");
+        if (open < 0) return;
+        const close = findUnescaped(source, "}", open);
+        if (close < 0) {
+            errors.push({ line, message: "Answer block is not closed with }" });
+            return;
+        }
+
+        const before = unescapeGift(source.slice(0, open));
+        const after = unescapeGift(source.slice(close + 1));
+        const { question, error } = parseAnswerBlock(source.slice(open + 1, close));
+        if (error) {
+            errors.push({ line, message: error });
+            return;
+        }
+
+        const questionText = after ? `${before} _____ ${after}` : before || unescapeGift(title?.[1]);
+        if (!questionText) {
+            errors.push({ line, message: "Question text is empty" });
+            return;
+        }
+        questions.push({ line, question_text: questionText, score: 1, ...question });
+    });
+
+    return { questions, errors };
+}
+
+/**
+ * Format a number without trailing float noise.
+ */
+function formatNumber(value) {
+    return String(Math.round(value * 100000) / 100000);
+}
+
+/**
+ * Answer block for one question, or null when GIFT has no equivalent (ordering).
+ */
+function buildAnswerBlock(question) {
+    const options = question.options || [];
+    const correct = options.filter((option) => option.is_correct);
+
+    switch (question.question_type) {
+        case "mcq":
+            return options.map((option) => `\t${option.is_correct ? "=" : "~"}${escapeGift(option.option_text)}`).join("\n");
+        case "true_false":
+            return /^t/i.test(correct[0]?.option_text ?? "") ? "TRUE" : "FALSE";
+        case "multi_select": {
+            // Same weights as the grader: each correct pick earns its share, each wrong pick takes one back
+            const share = formatNumber(100 / Math.max(correct.length, 1));
+            return options.map((option) => `\t~%${option.is_correct ? share : `-${share}`}%${escapeGift(option.option_text)}`).join("\n");
+        }
+        case "fill_blank":
+            return correct.map((option) => `\t=${escapeGift(option.option_text)}`).join("\n");
+        case "matching":
+            return options.map((option) => `\t=${escapeGift(option.option_text)} -> ${escapeGift(option.match_text)}`).join("\n");
+        case "numeric":
+            return `#${formatNumber(question.numeric_answer)}:${formatNumber(question.tolerance || 0)}`;
+        case "essay":
+        case "short_answer":
+            return "";
+        default:
+            return null;
+    }
+}
+
+/**
+ * Build GIFT text for a list of questions.
+ * Ordering questions have no GIFT equivalent and are left out; short answers export as essays.
+ * @param {Array} questions - [{ question_text, question_type, options, numeric_answer, tolerance }]
+ * @param {string} [title] - Written as a comment at the top.
+ * @returns {Object} - { content, skipped } where skipped lists the question texts left out.
+ */
+export function toGift(questions, title = "") {
+    const parts = title ? [`// ${title.replace(/\r?\n/g, " ")}`] : [];
+    const skipped = [];
+
+    questions.forEach((question, index) => {
+        const block = buildAnswerBlock(question);
+        if (block === null) {
+            skipped.push(question.question_text);
+            return;
+        }
+        const inline = block.includes("\n") ? `{\n${block}\n}` : `{${block}}`;
+        parts.push(`::Q${index + 1}:: ${escapeGift(question.question_text)} ${inline}`);
+    });
+
+    return { content: parts.join("\n\n") + "\n", skipped };
+}
@@ -0,0 +1,13 @@
+/**
+ * Escape text for HTML content and attribute values, e.g. names placed into email bodies.
+ * @param {*} value - The text; null and undefined become empty.
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
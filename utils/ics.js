@@ -0,0 +1,85 @@
+import moment from "moment-timezone";
+
+const PRODUCT_ID = "-//Edulayne//Class Calendar//EN";
+
+/**
+ * Escape text for an iCalendar property value (RFC 5545 3.3.11).
+ */
+function escapeText(value) {
+    return String(value ?? "")
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line to 75 octets; continuation lines start with a space.
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = "";
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        if (size + charSize > 75) {
+            parts.push(current);
+            current = " ";
+            size = 1;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join("\r\n");
+}
+
+/**
+ * UTC date-time in iCalendar form, e.g. "20261018T043000Z".
+ */
+function formatDateTime(value) {
+    return moment.utc(value).format("YYYYMMDD[T]HHmmss[Z]");
+}
+
+/**
+ * Build an iCalendar document.
+ * @param {Object} calendar - { name, description, events }
+ * Each event is { uid, start, end, summary, description, location, url, status, sequence, updated_at }.
+ * @returns {string} - The .ics content with CRLF line endings.
+ */
+export function buildCalendar({ name, description, events = [] }) {
+    const now = new Date();
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODUCT_ID}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(name)}`,
+        "X-PUBLISHED-TTL:PT1H",
+        "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    ];
+    if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+
+    for (const event of events) {
+        lines.push(
+            "BEGIN:VEVENT",
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatDateTime(event.updated_at || now)}`,
+            `DTSTART:${formatDateTime(event.start)}`,
+            `DTEND:${formatDateTime(event.end)}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+            `SEQUENCE:${event.sequence || 0}`,
+            `STATUS:${event.status || "CONFIRMED"}`
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        if (event.updated_at) lines.push(`LAST-MODIFIED:${formatDateTime(event.updated_at)}`);
+        lines.push("END:VEVENT");
+    }
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,152 @@
+// IMS QTI 1.2 (questestinterop) export, with Canvas-style question_type metadata
+
+const QTI_TYPES = {
+    mcq: "multiple_choice_question",
+    true_false: "true_false_question",
+    multi_select: "multiple_answers_question",
+    fill_blank: "short_answer_question",
+    matching: "matching_question",
+    ordering: "ordering_question",
+    numeric: "numerical_question",
+    short_answer: "essay_question",
+    essay: "essay_question",
+};
+
+/**
+ * Escape text for XML content and attribute values.
+ */
+function escapeXml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+function material(text) {
+    return `<material><mattext texttype="text/plain">${escapeXml(text)}</mattext></material>`;
+}
+
+function responseLabels(options, textOf = (option) => option.option_text) {
+    return options
+        .map((option, index) => `<response_label ident="${index + 1}">${material(textOf(option))}</response_label>`)
+        .join("");
+}
+
+function setScore(value, action = "Set") {
+    return `<setvar action="${action}" varname="SCORE">${Math.round(value * 100000) / 100000}</setvar>`;
+}
+
+/**
+ * Presentation and response processing of one item. Scores are on a 0-100 scale as QTI tools expect.
+ */
+function buildInteraction(question) {
+    const options = question.options || [];
+    const correctLabels = options.map((option, index) => (option.is_correct ? String(index + 1) : null)).filter(Boolean);
+
+    switch (question.question_type) {
+        case "mcq":
+        case "true_false":
+            return {
+                presentation: `<response_lid ident="response1" rcardinality="Single"><render_choice>${responseLabels(options)}</render_choice></response_lid>`,
+                processing: correctLabels.length > 0
+                    ? `<respcondition continue="No"><conditionvar><varequal respident="response1">${correctLabels[0]}</varequal></conditionvar>${setScore(100)}</respcondition>`
+                    : "",
+            };
+        case "multi_select": {
+            const conditions = options
+                .map((option, index) => (option.is_correct
+                    ? `<varequal respident="response1">${index + 1}</varequal>`
+                    : `<not><varequal respident="response1">${index + 1}</varequal></not>`))
+                .join("");
+            return {
+                presentation: `<response_lid ident="response1" rcardinality="Multiple"><render_choice>${responseLabels(options)}</render_choice></response_lid>`,
+                processing: `<respcondition continue="No"><conditionvar><and>${conditions}</and></conditionvar>${setScore(100)}</respcondition>`,
+            };
+        }
+        case "fill_blank":
+            return {
+                presentation: "<response_str ident=\"response1\" rcardinality=\"Single\"><render_fib><response_label ident=\"answer1\" rshuffle=\"No\"/></render_fib></response_str>",
+                processing: `<respcondition continue="No"><conditionvar>${options
+                    .filter((option) => option.is_correct)
+                    .map((option) => `<varequal respident="response1" case="No">${escapeXml(option.option_text)}</varequal>`)
+                    .join("")}</conditionvar>${setScore(100)}</respcondition>`,
+            };
+        case "numeric": {
+            const tolerance = question.tolerance || 0;
+            return {
+                presentation: "<response_str ident=\"response1\" rcardinality=\"Single\"><render_fib fibtype=\"Decimal\"><response_label ident=\"answer1\"/></render_fib></response_str>",
+                processing: `<respcondition continue="No"><conditionvar><and><vargte respident="response1">${question.numeric_answer - tolerance}</vargte><varlte respident="response1">${question.numeric_answer + tolerance}</varlte></and></conditionvar>${setScore(100)}</respcondition>`,
+            };
+        }
+        case "matching": {
+            const choices = [...new Set(options.map((option) => option.match_text))];
+            const share = 100 / Math.max(options.length, 1);
+            const labels = choices.map((choice, index) => `<response_label ident="m${index + 1}">${material(choice)}</response_label>`).join("");
+            return {
+                presentation: options
+                    .map((option, index) => `<response_lid ident="response${index + 1}" rcardinality="Single">${material(option.option_text)}<render_choice>${labels}</render_choice></response_lid>`)
+                    .join(""),
+                processing: options
+                    .map((option, index) => `<respcondition><conditionvar><varequal respident="response${index + 1}">m${choices.indexOf(option.match_text) + 1}</varequal></conditionvar>${setScore(share, "Add")}</respcondition>`)
+                    .join(""),
+            };
+        }
+        case "ordering": {
+            const ordered = [...options].sort((a, b) => a.order - b.order);
+            return {
+                presentation: `<response_lid ident="response1" rcardinality="Ordered"><render_choice shuffle="Yes">${responseLabels(options)}</render_choice></response_lid>`,
+                processing: `<respcondition continue="No"><conditionvar>${ordered
+                    .map((option) => `<varequal respident="response1">${options.indexOf(option) + 1}</varequal>`)
+                    .join("")}</conditionvar>${setScore(100)}</respcondition>`,
+            };
+        }
+        default:
+            // Essays and short answers are scored by hand
+            return {
+                presentation: "<response_str ident=\"response1\" rcardinality=\"Single\"><render_fib><response_label ident=\"answer1\" rshuffle=\"No\"/></render_fib></response_str>",
+                processing: "",
+            };
+    }
+}
+
+/**
+ * Build a QTI 1.2 assessment document for a quiz.
+ * @param {Object} assessment - { id, title, description, questions: [{ question_id, question_text, question_type, score, options, numeric_answer, tolerance }] }
+ * @returns {string} - The XML document.
+ */
+export function buildQtiAssessment({ id, title, description = "", questions = [] }) {
+    const items = questions.map((question, index) => {
+        const { presentation, processing } = buildInteraction(question);
+        const metadata = [
+            ["question_type", QTI_TYPES[question.question_type] || "essay_question"],
+            ["points_possible", question.score],
+        ]
+            .map(([label, entry]) => `<qtimetadatafield><fieldlabel>${label}</fieldlabel><fieldentry>${escapeXml(entry)}</fieldentry></qtimetadatafield>`)
+            .join("");
+
+        return [
+            `<item ident="${escapeXml(question.question_id || `item${index + 1}`)}" title="${escapeXml(`Question ${index + 1}`)}">`,
+            `<itemmetadata><qtimetadata>${metadata}</qtimetadata></itemmetadata>`,
+            `<presentation>${material(question.question_text)}${presentation}</presentation>`,
+            `<resprocessing><outcomes><decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/></outcomes>${processing}</resprocessing>`,
+            "</item>",
+        ].join("\n");
+    });
+
+    return [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<questestinterop xmlns=\"http://www.imsglobal.org/xsd/ims_qtiasiv1p2\">",
+        `<assessment ident="${escapeXml(id)}" title="${escapeXml(title)}">`,
+        description ? `<qticomment>${escapeXml(description)}</qticomment>` : "",
+        "<section ident=\"root_section\">",
+        ...items,
+        "</section>",
+        "</assessment>",
+        "</questestinterop>",
+        "",
+    ]
+        .filter((line, index, lines) => line !== "" || index === lines.length - 1)
+        .join("\n");
+}
@@ -0,0 +1,126 @@
+// SCORM 1.2 helpers: reading imsmanifest.xml and the CMI time format
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+/**
+ * Decode the predefined XML entities and numeric character references.
+ */
+function decodeXml(value) {
+    return String(value ?? "").replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === "#") {
+            const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Attributes of an opening tag, keyed by lower-cased name (prefixes kept, e.g. "adlcp:scormtype").
+ */
+function parseAttributes(tag) {
+    const attributes = {};
+    const pattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+        attributes[match[1].toLowerCase()] = decodeXml(match[3] ?? match[4]);
+    }
+    return attributes;
+}
+
+function firstElementText(xml, name) {
+    const match = xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`, "i"));
+    return match ? decodeXml(match[1].trim()) : null;
+}
+
+// Join xml:base values and an href the way the manifest resolves them
+function joinHref(...parts) {
+    return parts
+        .filter(Boolean)
+        .join("")
+        .replace(/\\/g, "/")
+        .replace(/^\.\//, "");
+}
+
+/**
+ * Read the launch details of a SCORM 1.2 package from its imsmanifest.xml: the first item of the default
+ * organization and the SCO resource it points to.
+ * @returns {Object} - { title, launch_path, mastery_score, error }
+ */
+export function parseScormManifest(xml) {
+    const text = String(xml || "").replace(/<!--[\s\S]*?-->/g, "");
+    if (!/<manifest\b/i.test(text)) return { error: "imsmanifest.xml has no <manifest> element" };
+
+    const schemaVersion = firstElementText(text, "schemaversion");
+    if (schemaVersion && /2004|CAM 1\.3/i.test(schemaVersion)) {
+        return { error: `Only SCORM 1.2 packages are supported (this package is ${schemaVersion})` };
+    }
+
+    // Resources by identifier, with their resolved launch href
+    const resourcesTag = text.match(/<resources\b[^>]*>/i);
+    const resourcesBase = resourcesTag ? parseAttributes(resourcesTag[0])["xml:base"] : "";
+    const resources = [];
+    const resourcePattern = /<resource\b[^>]*>/gi;
+    let match;
+    while ((match = resourcePattern.exec(text)) !== null) {
+        const attributes = parseAttributes(match[0]);
+        resources.push({
+            identifier: attributes.identifier,
+            scormtype: (attributes["adlcp:scormtype"] || "").toLowerCase(),
+            href: attributes.href ? joinHref(resourcesBase, attributes["xml:base"], attributes.href) : null,
+        });
+    }
+
+    // First item with a resource in the default organization (or the first organization)
+    const defaultOrganization = parseAttributes(text.match(/<organizations\b[^>]*>/i)?.[0] || "").default;
+    const organizations = [...text.matchAll(/<organization\b[^>]*>[\s\S]*?<\/organization>/gi)].map(found => found[0]);
+    const organization = organizations.find(block => parseAttributes(block.match(/<organization\b[^>]*>/i)[0]).identifier === defaultOrganization)
+        || organizations[0]
+        || "";
+
+    let item = null;
+    const itemPattern = /<item\b[^>]*>/gi;
+    while ((match = itemPattern.exec(organization)) !== null) {
+        const attributes = parseAttributes(match[0]);
+        if (attributes.identifierref) {
+            const rest = organization.slice(match.index + match[0].length);
+            const end = rest.search(/<item\b|<\/item>/i);
+            item = { attributes, body: end === -1 ? rest : rest.slice(0, end) };
+            break;
+        }
+    }
+
+    const resource = (item && resources.find(candidate => candidate.identifier === item.attributes.identifierref && candidate.href))
+        || resources.find(candidate => candidate.scormtype === "sco" && candidate.href)
+        || resources.find(candidate => candidate.href);
+    if (!resource) return { error: "imsmanifest.xml does not name a launchable resource" };
+
+    const masteryScore = item ? parseFloat(firstElementText(item.body, "adlcp:masteryscore")) : NaN;
+
+    return {
+        title: (item && firstElementText(item.body, "title")) || firstElementText(organization, "title") || "",
+        launch_path: resource.href.split(/[?#]/)[0],
+        mastery_score: Number.isFinite(masteryScore) ? masteryScore : null,
+        error: null,
+    };
+}
+
+/**
+ * Seconds in a CMITimespan ("HHHH:MM:SS.SS"), or null when it is malformed.
+ */
+export function parseScormTime(value) {
+    const match = String(value || "").trim().match(/^(\d{2,4}):(\d{2}):(\d{2}(?:\.\d{1,2})?)$/);
+    if (!match) return null;
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+/**
+ * Seconds as a CMITimespan ("HHHH:MM:SS.SS").
+ */
+export function formatScormTime(seconds) {
+    const total = Math.max(0, Number(seconds) || 0);
+    const hours = Math.min(Math.floor(total / 3600), 9999);
+    const minutes = Math.floor((total % 3600) / 60);
+    const rest = (total % 60).toFixed(2).padStart(5, "0");
+    return `${String(hours).padStart(4, "0")}:${String(minutes).padStart(2, "0")}:${rest}`;
+}
@@ -0,0 +1,150 @@
+import moment from "moment-timezone";
+import Tenant from "../models/tenant.model.js";
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Asia/Kolkata";
+
+const WEEK_DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const TIME_FORMATS = ["h:mm A", "hh:mm A", "h:mmA", "hh:mmA", "H:mm", "HH:mm"];
+
+/**
+ * Check that a value is a known IANA timezone name.
+ */
+export function isValidTimezone(tz) {
+    return typeof tz === "string" && !!moment.tz.zone(tz);
+}
+
+/**
+ * Return the timezone if it is valid, otherwise the fallback.
+ */
+export function normalizeTimezone(tz, fallback = DEFAULT_TIMEZONE) {
+    return isValidTimezone(tz) ? tz : fallback;
+}
+
+/**
+ * Timezone of a tenant (document or id), falling back to the platform default.
+ */
+export async function getTenantTimezone(tenant) {
+    if (!tenant) return DEFAULT_TIMEZONE;
+    if (isValidTimezone(tenant.timezone)) return tenant.timezone;
+
+    const doc = await Tenant.findById(tenant._id || tenant).select("timezone").lean();
+    return normalizeTimezone(doc?.timezone);
+}
+
+/**
+ * Timezone a batch is scheduled in: its own, then its tenant's, then the platform default.
+ */
+export async function getBatchTimezone(batch) {
+    if (isValidTimezone(batch?.timezone)) return batch.timezone;
+    return getTenantTimezone(batch?.tenant_id);
+}
+
+/**
+ * Timezone requested by the caller (X-Timezone header or ?tz=), or the fallback.
+ */
+export function getViewerTimezone(req, fallback = DEFAULT_TIMEZONE) {
+    return normalizeTimezone(req.headers?.["x-timezone"] || req.query?.tz, fallback);
+}
+
+/**
+ * Mongo range for the calendar day containing `date` in `tz`.
+ */
+export function getDayRange(date, tz) {
+    const start = moment.tz(date || new Date(), tz).startOf("day");
+    return { $gte: start.toDate(), $lt: start.clone().add(1, "day").toDate() };
+}
+
+/**
+ * Parse a date/time in `tz`. Strings that carry an offset (ISO with Z or +hh:mm) keep it.
+ */
+export function parseInTimezone(value, tz) {
+    return moment.tz(value, tz);
+}
+
+/**
+ * ISO string with the offset of `tz`, e.g. "2026-10-18T10:00:00+05:30".
+ */
+export function formatInTimezone(value, tz) {
+    if (!value) return null;
+    const parsed = moment.tz(value, tz);
+    return parsed.isValid() ? parsed.format() : null;
+}
+
+/**
+ * Start and end time strings of a "10:00 AM - 11:00 AM" / "18:00 - 19:30" batch_time.
+ */
+export function splitBatchTime(batchTime) {
+    if (!batchTime) return null;
+    const parts = batchTime.split("-").map((part) => part.trim());
+    if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+    return { start: parts[0], end: parts[1] };
+}
+
+/**
+ * Moment of `timeStr` on the calendar day containing `onDate`, both read in `tz`.
+ */
+export function getTimeOnDay(timeStr, onDate, tz) {
+    const day = moment.tz(onDate || new Date(), tz).format("YYYY-MM-DD");
+    const parsed = moment.tz(`${day} ${timeStr.trim().toUpperCase()}`, TIME_FORMATS.map((f) => `YYYY-MM-DD ${f}`), true, tz);
+    return parsed.isValid() ? parsed : null;
+}
+
+/**
+ * Batch start/end dates are calendar days; turn them into instants in the batch timezone.
+ */
+export function getBatchDateBounds(batch, tz) {
+    const toDay = (value) => moment.utc(value).format("YYYY-MM-DD");
+    return {
+        start: batch.start_date ? moment.tz(toDay(batch.start_date), tz).startOf("day").toDate() : null,
+        end: batch.end_date ? moment.tz(toDay(batch.end_date), tz).endOf("day").toDate() : null,
+    };
+}
+
+/**
+ * Whether the batch is running at `now` in its own timezone.
+ */
+export function isBatchActiveAt(batch, tz, now = new Date()) {
+    const { start, end } = getBatchDateBounds(batch, tz);
+    return (!start || start <= now) && (!end || end >= now);
+}
+
+/**
+ * Whether the batch has not started yet at `now` in its own timezone.
+ */
+export function isBatchUpcomingAt(batch, tz, now = new Date()) {
+    const { start } = getBatchDateBounds(batch, tz);
+    return !!start && start > now;
+}
+
+/**
+ * Express a batch's weekly schedule in another timezone.
+ * Days shift when the class crosses midnight in the viewer's timezone.
+ * @returns {Object} - { timezone, batch_time, recurring_days }
+ */
+export function convertBatchSchedule(batch, fromTz, toTz, referenceDate = new Date()) {
+    const times = splitBatchTime(batch.batch_time);
+    if (!times || fromTz === toTz) {
+        return { timezone: toTz, batch_time: batch.batch_time || null, recurring_days: batch.recurring_days || [] };
+    }
+
+    const reference = moment.tz(referenceDate, fromTz).startOf("week");
+    const start = getTimeOnDay(times.start, reference, fromTz);
+    const end = getTimeOnDay(times.end, reference, fromTz);
+    if (!start || !end) {
+        return { timezone: toTz, batch_time: batch.batch_time, recurring_days: batch.recurring_days || [] };
+    }
+
+    const convertedStart = start.clone().tz(toTz);
+    const convertedEnd = end.clone().tz(toTz);
+    // Weekday difference between the two zones is at most one day either way
+    let dayShift = (convertedStart.day() - start.day() + 7) % 7;
+    if (dayShift > 3) dayShift -= 7;
+
+    return {
+        timezone: toTz,
+        batch_time: `${convertedStart.format("hh:mm A")} - ${convertedEnd.format("hh:mm A")}`,
+        recurring_days: (batch.recurring_days || [])
+            .filter((day) => WEEK_DAYS.includes(day))
+            .map((day) => WEEK_DAYS[(WEEK_DAYS.indexOf(day) + dayShift + 7) % 7]),
+    };
+}